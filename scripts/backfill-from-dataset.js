@@ -6,7 +6,12 @@
  * notes / accords / perfumer / concentration. Re-scraping 24k HTML pages is slow
  * and needs a paid proxy. A one-time JOIN against a pre-scraped dataset fills
  * notes, accords, perfumer, year and concentration for the whole catalogue in
- * minutes — matched by the Fragrantica objectID we already store in source_url.
+ * minutes — matched by the Fragrantica objectID we store per perfume (object_id).
+ *
+ * The same import is available to superadmins from the API (POST /api/imports:
+ * upload, map columns, dry-run, then a tracked background run — see
+ * src/services/datasetImport.js). This script remains for server-side runs on
+ * files too big to upload.
  *
  * This is the "dataset" half of the hybrid strategy. Vote-based fields
  * (sillage / longevity / seasonUsage) are NOT in datasets — those still come from
@@ -25,7 +30,7 @@
  *
  * The column names below are configurable via env or the CONFIG block — adjust
  * them to match whichever dataset you feed in. Matching strategy:
- *   1. by Fragrantica objectID  (dataset PID column  ↔  id parsed from source_url)
+ *   1. by Fragrantica objectID  (dataset PID column  ↔  indexed object_id column)
  *   2. fallback by normalized  brand + name
  * Only fields that are CURRENTLY EMPTY in the DB are written (idempotent, safe to
  * re-run). Run with --dry-run first to preview counts.
@@ -34,6 +39,7 @@
 import pg from 'pg';
 import fs from 'fs';
 import path from 'path';
+import { extractObjectId, parseCsv } from '../src/services/datasetImport.js';
 
 const { Pool } = pg;
 
@@ -73,32 +79,6 @@ const DRY_RUN = args.includes('--dry-run');
 if (!FILE) { console.error('❌ --file <dataset.csv> is required'); process.exit(1); }
 if (!process.env.DATABASE_URL) { console.error('❌ DATABASE_URL env is required'); process.exit(1); }
 
-// ─── Minimal, dependency-free CSV parser (RFC-4180-ish, quoted fields) ───────
-function parseCsv(text, delimiter) {
-    const rows = [];
-    let field = '', row = [], inQuotes = false;
-    for (let i = 0; i < text.length; i++) {
-        const c = text[i];
-        if (inQuotes) {
-            if (c === '"') {
-                if (text[i + 1] === '"') { field += '"'; i++; }
-                else inQuotes = false;
-            } else field += c;
-        } else if (c === '"') inQuotes = true;
-        else if (c === delimiter) { row.push(field); field = ''; }
-        else if (c === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
-        else if (c === '\r') { /* skip */ }
-        else field += c;
-    }
-    if (field.length || row.length) { row.push(field); rows.push(row); }
-    return rows;
-}
-
-const extractObjectId = (s) => {
-    if (!s) return null;
-    const m = String(s).match(/-(\d+)\.html/) || String(s).match(/^(\d+)$/);
-    return m ? m[1] : null;
-};
 const norm = (s) => String(s || '').toLowerCase().normalize('NFD')
     .replace(/[̀-ͯ]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
 const toList = (v) => !v ? [] :
@@ -142,7 +122,8 @@ async function main() {
     // 2. Stream DB perfumes
     const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: false });
     const { rows: perfumes } = await pool.query(
-        `SELECT id, name, brand, source_url, year, concentration, perfumer, notes, accords
+        `SELECT id, name, brand, source_url, object_id, year, concentration, perfumer, notes, accords,
+                COALESCE(locked_fields, '[]'::jsonb) AS locked_fields
          FROM perfumes ${LIMIT ? `LIMIT ${LIMIT}` : ''}`
     );
     console.log(`🗄️  ${perfumes.length} DB perfumes to check\n`);
@@ -151,7 +132,7 @@ async function main() {
     const stat = { notes: 0, accords: 0, perfumer: 0, year: 0, concentration: 0 };
 
     for (const p of perfumes) {
-        const pid = extractObjectId(p.source_url);
+        const pid = p.object_id || extractObjectId(p.source_url);
         const rec = (pid && byPid.get(pid)) || byKey.get(`${norm(p.brand)}|${norm(p.name)}`);
         if (!rec) { skipped++; continue; }
         matched++;
@@ -167,18 +148,22 @@ async function main() {
             } else if (rec.notes.length) {
                 notes = { top: [], heart: rec.notes, base: [] }; // flat list → heart
             }
-            if (notes) { patch.notes = notes; stat.notes++; }
+            if (notes) patch.notes = notes;
         }
         // accords
         if ((!p.accords || p.accords.length === 0) && rec.accords.length) {
-            patch.accords = rec.accords; stat.accords++;
+            patch.accords = rec.accords;
         }
         // perfumer / year / concentration — only fill when empty
-        if (!p.perfumer && rec.perfumer) { patch.perfumer = rec.perfumer; stat.perfumer++; }
-        if (!p.year && rec.year) { patch.year = rec.year; stat.year++; }
-        if (!p.concentration && rec.concentration) { patch.concentration = rec.concentration; stat.concentration++; }
+        if (!p.perfumer && rec.perfumer) patch.perfumer = rec.perfumer;
+        if (!p.year && rec.year) patch.year = rec.year;
+        if (!p.concentration && rec.concentration) patch.concentration = rec.concentration;
+
+        // Fields an admin locked are never overwritten by the dataset
+        for (const field of p.locked_fields) delete patch[field];
 
         if (Object.keys(patch).length === 0) { skipped++; continue; }
+        for (const field of Object.keys(patch)) stat[field]++;
 
         if (!DRY_RUN) {
             const sets = [], vals = [];
@@ -189,9 +174,22 @@ async function main() {
                 sets.push(`${colName} = $${i++}`);
                 vals.push(isJson ? JSON.stringify(v) : v);
             }
+            // Per-field provenance, same shape as the API's field_sources
+            const at = new Date().toISOString();
+            sets.push(`field_sources = COALESCE(field_sources, '{}'::jsonb) || $${i++}::jsonb`);
+            vals.push(JSON.stringify(Object.fromEntries(Object.keys(patch).map((k) => [k, { source: 'dataset', at }]))));
             sets.push('updated_at = NOW()');
             vals.push(p.id);
             await pool.query(`UPDATE perfumes SET ${sets.join(', ')} WHERE id = $${i}`, vals);
+            // Same revision format the API writes (see perfume_revisions in dataStore)
+            const changes = Object.fromEntries(
+                Object.entries(patch).map(([k, v]) => [k, { from: p[k] ?? null, to: v }])
+            );
+            await pool.query(
+                `INSERT INTO perfume_revisions (perfume_id, action, source, changes, note)
+                 VALUES ($1, 'update', 'dataset', $2, $3)`,
+                [p.id, JSON.stringify(changes), `backfill from ${path.basename(FILE)}`]
+            );
         }
         updated++;
         if (updated % 500 === 0) console.log(`  …${updated} updated`);
@@ -18,13 +18,26 @@ import aiRoutes from './routes/ai.js';
 import activityRoutes from './routes/activity.js';
 import backupRoutes from './routes/backup.js';
 import perfumersRoutes from './routes/perfumers.js';
+import notesRoutes from './routes/notes.js';
+import accordsRoutes from './routes/accords.js';
+import brandsRoutes from './routes/brands.js';
+import trendingRoutes from './routes/trending.js';
+import localesRoutes from './routes/locales.js';
+import imagesRoutes from './routes/images.js';
+import importsRoutes from './routes/imports.js';
+import graphqlRoutes from './routes/graphql.js';
 import algoliaRoutes, { refreshAlgoliaKey } from './routes/algolia.js';
 import { algoliaKeyExpiry } from './services/algoliaService.js';
 import docsRoutes from './routes/docs.js';
 import { initScheduler } from './services/backupScheduler.js';
+import { initTrashPurge } from './services/trashPurgeScheduler.js';
+import { initSimilarityIndex } from './services/similarityIndexScheduler.js';
+import { initTrending } from './services/trendingService.js';
+import { initImageMirror } from './services/imageMirrorScheduler.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { initDatabase, dataStore, getConnectionError } from './services/dataStore.js';
 import { requireSuperAdmin } from './middleware/auth.js';
+import { negotiateLocale } from './middleware/locale.js';
 import { metricsMiddleware, getMetrics } from './services/metricsService.js';
 
 dotenv.config();
@@ -135,16 +148,24 @@ app.get('/metrics', requireSuperAdmin, (req, res) => {
   res.json(getMetrics());
 });
 
-// Rutas
-app.use('/api/perfumes', perfumeRoutes);
+// Rutas. Las públicas de catálogo y contenido negocian idioma (?lang= / Accept-Language)
+app.use('/api/perfumes', negotiateLocale, perfumeRoutes);
 app.use('/api/scrape', scraperRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/favorites', favoritesRoutes);
-app.use('/api/content', contentRoutes);
+app.use('/api/content', negotiateLocale, contentRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/activity', activityRoutes);
 app.use('/api/backup', backupRoutes);
 app.use('/api/perfumers', perfumersRoutes);
+app.use('/api/notes', negotiateLocale, notesRoutes);
+app.use('/api/accords', negotiateLocale, accordsRoutes);
+app.use('/api/brands', brandsRoutes);
+app.use('/api/trending', trendingRoutes);
+app.use('/api/locales', localesRoutes);
+app.use('/api/images', imagesRoutes);
+app.use('/api/imports', importsRoutes);
+app.use('/api/graphql', negotiateLocale, graphqlRoutes);
 app.use('/api/algolia', algoliaRoutes);
 app.use('/docs', docsRoutes);
 
@@ -199,6 +220,18 @@ const startServer = async () => {
   // Initialize backup scheduler (reads config from DB, harmless if DB unavailable)
   await initScheduler();
 
+  // Purga diaria de la papelera de perfumes
+  initTrashPurge();
+
+  // Índice de similitud: lo que falte al arrancar y reconstrucción diaria
+  initSimilarityIndex();
+
+  // Rankings de tendencias (activity_events), recalculados cada 15 minutos
+  initTrending();
+
+  // Copias locales (WebP) de las imágenes de perfumes y perfumistas, cada 30 minutos
+  initImageMirror();
+
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`💾 Database: ${dataStore.isConnected() ? 'Connected' : 'In-memory mode'}`);
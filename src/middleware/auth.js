@@ -54,23 +54,45 @@ export const requireApiKey = async (req, res, next) => {
 
 // ─── JWT-based auth ────────────────────────────────────────────────────────────
 
-export const requireAuth = async (req, res, next) => {
+// User behind the Bearer token, or null when there is none. A bad token or an
+// inactive user is a 401 ApiError, never an anonymous request.
+export const authenticate = async (req) => {
     const authHeader = req.headers['authorization'];
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return next(new ApiError('Authentication required', 401));
-    }
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
 
     const token = authHeader.slice(7);
+    let user;
     try {
         const payload = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await dataStore.getUserById(payload.sub);
-        if (!user || !user.is_active) {
-            return next(new ApiError('User not found or inactive', 401));
-        }
+        user = await dataStore.getUserById(payload.sub);
+    } catch (err) {
+        throw new ApiError('Invalid or expired token', 401);
+    }
+    if (!user || !user.is_active) {
+        throw new ApiError('User not found or inactive', 401);
+    }
+    return user;
+};
+
+export const requireAuth = async (req, res, next) => {
+    try {
+        const user = await authenticate(req);
+        if (!user) return next(new ApiError('Authentication required', 401));
         req.user = user;
         return next();
     } catch (err) {
-        return next(new ApiError('Invalid or expired token', 401));
+        return next(err);
+    }
+};
+
+// Same token check as requireAuth, but anonymous requests go through (req.user unset)
+export const optionalAuth = async (req, res, next) => {
+    try {
+        const user = await authenticate(req);
+        if (user) req.user = user;
+        return next();
+    } catch (err) {
+        return next(err);
     }
 };
 
@@ -83,3 +105,16 @@ export const requireSuperAdmin = async (req, res, next) => {
         return next();
     });
 };
+
+// Catalog editors can create/update/delete perfumes; SUPERADMIN can do everything
+export const requireRole = (...roles) => async (req, res, next) => {
+    await requireAuth(req, res, (err) => {
+        if (err) return next(err);
+        if (!roles.includes(req.user?.role)) {
+            return next(new ApiError(`Requires role: ${roles.join(' or ')}`, 403));
+        }
+        return next();
+    });
+};
+
+export const requireEditor = requireRole('EDITOR', 'SUPERADMIN');
@@ -0,0 +1,40 @@
+import { ApiError } from './errorHandler.js';
+import { authenticate } from './auth.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, parseAcceptLanguage } from '../services/localization.js';
+
+// ─── Locale negotiation ───
+// ?lang= wins over Accept-Language. Sets req.locale ('en' | 'es'), or null when
+// the client asked for nothing (responses stay as stored). An Accept-Language
+// with no supported language gets DEFAULT_LOCALE; an unsupported ?lang= is a 400.
+// Editors and superadmins only get a translation with ?lang=: the admin editor
+// reads stored text even though the browser sends Accept-Language, so it never
+// saves a translation back over the original.
+
+const EDITOR_ROLES = ['EDITOR', 'SUPERADMIN'];
+
+// Token holder is an editor; a bad token just means "not an editor" on public reads
+const isEditor = async (req) => {
+    const user = await authenticate(req).catch(() => null);
+    return EDITOR_ROLES.includes(user?.role);
+};
+
+export const negotiateLocale = async (req, res, next) => {
+    res.vary('Accept-Language');
+    const { lang } = req.query;
+    if (lang !== undefined) {
+        const locale = String(lang).toLowerCase();
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            return next(new ApiError(`lang debe ser uno de: ${SUPPORTED_LOCALES.join(', ')}`, 400));
+        }
+        req.locale = locale;
+    } else if (req.headers['accept-language']) {
+        res.vary('Authorization');
+        req.locale = await isEditor(req)
+            ? null
+            : parseAcceptLanguage(req.headers['accept-language'])[0] || DEFAULT_LOCALE;
+    } else {
+        req.locale = null;
+    }
+    if (req.locale) res.set('Content-Language', req.locale);
+    return next();
+};
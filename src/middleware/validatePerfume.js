@@ -0,0 +1,161 @@
+import { ApiError } from './errorHandler.js';
+import { SUPPORTED_LOCALES, TRANSLATABLE_FIELDS } from '../services/localization.js';
+
+// ─── Perfume payload schema ───
+// Validates POST/PUT bodies for /api/perfumes. On success `req.body` is replaced
+// by a clean copy holding only known fields (strings trimmed); otherwise the
+// request fails with 400 and a `details` list of { field, message }.
+
+export const PERFUME_GENDERS = ['masculine', 'feminine', 'unisex'];
+export const NOTE_PHASES = ['top', 'heart', 'base'];
+
+const MIN_YEAR = 1700;
+const maxYear = () => new Date().getFullYear() + 2;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const isHttpUrl = (v) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(v).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Field checkers: return [cleanValue] when valid, or an error message string.
+// `null` clears a field (except name/brand).
+const text = (max) => (v) => {
+    if (typeof v !== 'string') return 'must be a string';
+    const t = v.trim();
+    if (t.length > max) return `must be at most ${max} characters`;
+    return [t || null];
+};
+
+const requiredText = (max) => (v) => {
+    const r = text(max)(v);
+    if (typeof r === 'string') return r;
+    return r[0] ? r : 'must not be empty';
+};
+
+const url = (v) => {
+    if (typeof v !== 'string' || !isHttpUrl(v.trim())) return 'must be an http(s) URL';
+    return [v.trim()];
+};
+
+const stringList = (v, field) => {
+    if (!Array.isArray(v)) return `${field} must be an array of strings`;
+    if (v.some((s) => typeof s !== 'string' || !s.trim())) return `${field} must only contain non-empty strings`;
+    return [v.map((s) => s.trim())];
+};
+
+// { es: { description } } — empty values are dropped, an empty locale removed
+const translations = (v) => {
+    if (!isPlainObject(v)) return 'must be an object { locale: { description } }';
+    const unknown = Object.keys(v).filter((l) => !SUPPORTED_LOCALES.includes(l));
+    if (unknown.length) return `unknown locale(s): ${unknown.join(', ')} (supported: ${SUPPORTED_LOCALES.join(', ')})`;
+    const clean = {};
+    for (const [locale, fields] of Object.entries(v)) {
+        if (!isPlainObject(fields)) return `${locale} must be an object { ${TRANSLATABLE_FIELDS.join(', ')} }`;
+        const extra = Object.keys(fields).filter((f) => !TRANSLATABLE_FIELDS.includes(f));
+        if (extra.length) return `${locale}: unknown field(s): ${extra.join(', ')}`;
+        const out = {};
+        for (const [field, value] of Object.entries(fields)) {
+            if (value === null) continue;
+            const r = text(20000)(value);
+            if (typeof r === 'string') return `${locale}.${field} ${r}`;
+            if (r[0]) out[field] = r[0];
+        }
+        if (Object.keys(out).length) clean[locale] = out;
+    }
+    return [clean];
+};
+
+const FIELDS = {
+    name: requiredText(255),
+    brand: requiredText(255),
+    year: (v) => (Number.isInteger(v) && v >= MIN_YEAR && v <= maxYear()
+        ? [v]
+        : `must be an integer between ${MIN_YEAR} and ${maxYear()}`),
+    perfumer: text(1000),
+    perfumerImageUrl: url,
+    gender: (v) => (PERFUME_GENDERS.includes(v) ? [v] : `must be one of ${PERFUME_GENDERS.join(', ')}`),
+    concentration: text(100),
+    notes: (v) => {
+        if (!isPlainObject(v)) return 'must be an object { top, heart, base }';
+        const extra = Object.keys(v).filter((k) => !NOTE_PHASES.includes(k));
+        if (extra.length) return `unknown phase(s): ${extra.join(', ')}`;
+        const clean = {};
+        for (const phase of NOTE_PHASES) {
+            const r = stringList(v[phase] ?? [], phase);
+            if (typeof r === 'string') return r;
+            clean[phase] = r[0];
+        }
+        return [clean];
+    },
+    accords: (v) => {
+        if (!Array.isArray(v)) return 'must be an array';
+        const names = v.map((a) => (typeof a === 'string' ? a : a?.name));
+        if (names.some((n) => typeof n !== 'string' || !n.trim())) return 'must contain accord names (strings or { name })';
+        return [v];
+    },
+    description: text(20000),
+    imageUrl: url,
+    rating: (v) => (typeof v === 'number' && v >= 0 && v <= 5 ? [v] : 'must be a number between 0 and 5'),
+    sillage: (v) => (isPlainObject(v) ? [v] : 'must be an object'),
+    longevity: (v) => (isPlainObject(v) ? [v] : 'must be an object'),
+    projection: text(50),
+    similarPerfumes: (v) => (Array.isArray(v) ? [v] : 'must be an array'),
+    seasonUsage: (v) => (isPlainObject(v) ? [v] : 'must be an object'),
+    sourceUrl: url,
+    translations,
+};
+
+// One field outside a request (dataset imports): [cleanValue] or an error message
+export const validatePerfumeField = (field, value) => FIELDS[field](value, field);
+
+const REQUIRED_ON_CREATE = ['name', 'brand'];
+const NOT_NULLABLE = ['name', 'brand'];
+
+// partial=false (POST): name + brand required. partial=true (PUT): any subset,
+// but at least one field.
+export const validatePerfume = ({ partial = false } = {}) => (req, res, next) => {
+    const body = req.body;
+    if (!isPlainObject(body)) {
+        return next(new ApiError('Request body must be a JSON object', 400));
+    }
+
+    const details = [];
+    const clean = {};
+
+    for (const field of Object.keys(body)) {
+        if (!(field in FIELDS)) {
+            details.push({ field, message: 'unknown field' });
+            continue;
+        }
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value === null) {
+            if (NOT_NULLABLE.includes(field)) details.push({ field, message: 'must not be null' });
+            else clean[field] = null;
+            continue;
+        }
+        const result = FIELDS[field](value, field);
+        if (typeof result === 'string') details.push({ field, message: result });
+        else clean[field] = result[0];
+    }
+
+    if (!partial) {
+        for (const field of REQUIRED_ON_CREATE) {
+            if (body[field] === undefined) details.push({ field, message: 'is required' });
+        }
+    } else if (!details.length && !Object.keys(clean).length) {
+        details.push({ field: null, message: 'no fields to update' });
+    }
+
+    if (details.length) {
+        return next(new ApiError('Invalid perfume payload', 400, details));
+    }
+
+    req.body = clean;
+    return next();
+};
@@ -0,0 +1,80 @@
+import express from 'express';
+import { dataStore } from '../services/dataStore.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { canonicalAccord, DOMINANT_ACCORD_POSITIONS } from '../services/accordTaxonomy.js';
+import { foldText } from '../services/textSearch.js';
+import { localizeNamed } from '../services/localization.js';
+
+const router = express.Router();
+
+const SORTS = {
+    count: (a, b) => b.perfumeCount - a.perfumeCount,
+    dominant: (a, b) => b.dominantCount - a.dominantCount || b.perfumeCount - a.perfumeCount,
+    name: () => 0,
+};
+
+// GET /api/accords — catálogo de acordes con conteos y color
+// (?q=, ?sort=count|dominant|name, ?canonical=true para ocultar los que no están en la lista)
+router.get('/', async (req, res, next) => {
+    try {
+        const sort = SORTS[req.query.sort] ? req.query.sort : 'count';
+        const q = req.query.q ? foldText(req.query.q).trim() : null;
+        let accords = await dataStore.getAccords();
+        if (req.query.canonical === 'true') accords = accords.filter((a) => a.canonical);
+        if (q) accords = accords.filter((a) => foldText(a.name).includes(q) || foldText(a.nameEs).includes(q));
+        accords = [...accords]
+            .map((accord) => localizeNamed(accord, req.locale))
+            .sort((a, b) => SORTS[sort](a, b) || a.name.localeCompare(b.name));
+        res.json({ success: true, dominantPositions: DOMINANT_ACCORD_POSITIONS, count: accords.length, data: accords });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/accords/:name — un acorde (acepta slug, nombre o nombre en español)
+router.get('/:name', async (req, res, next) => {
+    try {
+        const accord = canonicalAccord(req.params.name);
+        const found = accord && (await dataStore.getAccords()).find((a) => a.slug === accord.slug);
+        if (!found) {
+            return next(new ApiError('Acorde no encontrado', 404));
+        }
+        res.json({ success: true, data: localizeNamed(found, req.locale) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/accords/:name/perfumes — perfumes con el acorde, más prominente primero
+// (?maxPosition=3 = solo donde es dominante)
+router.get('/:name/perfumes', async (req, res, next) => {
+    try {
+        const accord = canonicalAccord(req.params.name);
+        if (!accord) {
+            return next(new ApiError('Acorde no encontrado', 404));
+        }
+        const maxPosition = req.query.maxPosition ? parseInt(req.query.maxPosition) : null;
+        if (maxPosition !== null && !(maxPosition >= 1)) {
+            return next(new ApiError('maxPosition debe ser un entero >= 1', 400));
+        }
+        const result = await dataStore.getAccordPerfumes(accord.slug, {
+            maxPosition,
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100),
+        });
+        if (!accord.canonical && !result.pagination.total) {
+            return next(new ApiError('Acorde no encontrado', 404));
+        }
+        const { canonical, ...summary } = accord;
+        res.json({
+            success: true,
+            accord: localizeNamed(summary, req.locale),
+            ...result,
+            data: await dataStore.localizePerfumes(result.data, req.locale),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
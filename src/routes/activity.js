@@ -4,6 +4,8 @@ import { requireAuth, requireSuperAdmin } from '../middleware/auth.js';
 
 const router = Router();
 
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|headless|lighthouse|curl|wget|python-requests|axios|node-fetch|^$/i;
+
 // ─── POST /api/activity/log ───────────────────────────────────────────────────
 // Log a user activity event. Auth is optional — anonymous sessions are tracked too.
 
@@ -32,7 +34,12 @@ router.post('/log', async (req, res) => {
         }
     }
 
-    await dataStore.logActivity({ userId, sessionId, eventType, entityId, entityName, metadata });
+    // Crawlers and scripted clients are kept for the admin log but flagged, so
+    // trending rankings ignore them
+    const isBot = BOT_USER_AGENT.test(req.headers['user-agent'] || '');
+    const meta = isBot ? { ...(metadata && typeof metadata === 'object' ? metadata : {}), bot: true } : metadata;
+
+    await dataStore.logActivity({ userId, sessionId, eventType, entityId, entityName, metadata: meta });
     res.json({ success: true });
 });
 
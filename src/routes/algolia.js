@@ -334,7 +334,7 @@ router.post('/import/catalog', requireSuperAdmin, async (req, res) => {
             console.log(`[algolia] Found ${brandNames.length} brands`);
 
             // 2. For each brand, fetch perfumes using facetFilters (requires only search ACL)
-            const existingUrls = new Set(await dataStore.getAllSourceUrls().catch(() => []));
+            const existingUrls = await dataStore.getKnownUrlSet().catch(() => new Set());
             const allUrls = [];
 
             for (const brand of brandNames) {
@@ -334,8 +334,8 @@ router.patch('/users/:id/role', requireSuperAdmin, async (req, res, next) => {
     const { id } = req.params;
     const { role } = req.body;
 
-    if (!['SUPERADMIN', 'USER'].includes(role)) {
-        return next(new ApiError('Role must be SUPERADMIN or USER', 400));
+    if (!['SUPERADMIN', 'EDITOR', 'USER'].includes(role)) {
+        return next(new ApiError('Role must be SUPERADMIN, EDITOR or USER', 400));
     }
 
     try {
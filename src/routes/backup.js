@@ -255,7 +255,7 @@ router.post('/import', requireSuperAdmin, async (req, res, next) => {
         let imported = 0;
         for (const p of perfumes) {
             if (!p || typeof p !== 'object') continue;
-            try { await dataStore.add(p); imported++; } catch {}
+            try { await dataStore.add(p, { source: 'backup', userId: req.user?.id, note: 'backup import' }); imported++; } catch {}
         }
         res.json({ success: true, imported, mode });
     } catch (err) {
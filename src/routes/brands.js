@@ -0,0 +1,207 @@
+import express from 'express';
+import { dataStore } from '../services/dataStore.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { requireSuperAdmin } from '../middleware/auth.js';
+import { BRAND_CLASSIFICATIONS } from '../services/brandCatalog.js';
+import { autocompleteIndex } from '../services/autocompleteIndex.js';
+
+const router = express.Router();
+
+const MAX_MERGE_SOURCES = 20;
+
+const isHttpUrl = (v) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(v).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Body de POST/PUT: { name, country, foundedYear, parentGroup, description,
+// website, classification, logoUrl, aliases }. Devuelve los campos presentes
+// (null borra) o lanza 400 con `details`.
+const parseBrandBody = (body, { partial }) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError('Request body must be a JSON object', 400);
+    }
+    const details = [];
+    const clean = {};
+    const text = (field, max, { nullable = true } = {}) => {
+        const v = body[field];
+        if (v === undefined) return;
+        if (v === null && nullable) {
+            clean[field] = null;
+        } else if (typeof v !== 'string' || !v.trim() || v.trim().length > max) {
+            details.push({ field, message: `must be a non-empty string of at most ${max} characters` });
+        } else {
+            clean[field] = v.trim();
+        }
+    };
+    const url = (field) => {
+        const v = body[field];
+        if (v === undefined) return;
+        if (v === null || (typeof v === 'string' && isHttpUrl(v.trim()))) clean[field] = v?.trim() ?? null;
+        else details.push({ field, message: 'must be an http(s) URL' });
+    };
+
+    text('name', 255, { nullable: false });
+    text('country', 100);
+    text('parentGroup', 150);
+    text('description', 5000);
+    url('website');
+    url('logoUrl');
+    if (body.foundedYear !== undefined) {
+        const maxYear = new Date().getFullYear();
+        if (body.foundedYear === null || (Number.isInteger(body.foundedYear) && body.foundedYear >= 1700 && body.foundedYear <= maxYear)) {
+            clean.foundedYear = body.foundedYear;
+        } else {
+            details.push({ field: 'foundedYear', message: `must be an integer between 1700 and ${maxYear}` });
+        }
+    }
+    if (body.classification !== undefined) {
+        if (body.classification === null || BRAND_CLASSIFICATIONS.includes(body.classification)) clean.classification = body.classification;
+        else details.push({ field: 'classification', message: `must be one of ${BRAND_CLASSIFICATIONS.join(', ')}` });
+    }
+    if (body.aliases !== undefined) {
+        if (Array.isArray(body.aliases) && body.aliases.length <= 100
+            && body.aliases.every((a) => typeof a === 'string' && a.trim())) {
+            clean.aliases = body.aliases;
+        } else {
+            details.push({ field: 'aliases', message: 'must be an array of up to 100 non-empty strings' });
+        }
+    }
+    const known = ['name', 'country', 'foundedYear', 'parentGroup', 'description', 'website', 'classification', 'logoUrl', 'aliases'];
+    for (const field of Object.keys(body).filter((k) => !known.includes(k))) details.push({ field, message: 'unknown field' });
+    if (!partial && clean.name === undefined && !details.some((d) => d.field === 'name')) {
+        details.push({ field: 'name', message: 'is required' });
+    }
+    if (partial && !details.length && !Object.keys(clean).length) {
+        details.push({ field: null, message: 'no fields to update' });
+    }
+    if (details.length) throw new ApiError('Invalid brand payload', 400, details);
+    return clean;
+};
+
+// GET /api/brands — fichas de marca (?q=, ?classification=niche, ?country=, ?sort=name|perfumes)
+router.get('/', async (req, res, next) => {
+    try {
+        const classification = req.query.classification || null;
+        if (classification && !BRAND_CLASSIFICATIONS.includes(classification)) {
+            return next(new ApiError(`classification debe ser una de: ${BRAND_CLASSIFICATIONS.join(', ')}`, 400));
+        }
+        const result = await dataStore.getBrandProfiles({
+            q: req.query.q ? String(req.query.q) : null,
+            classification,
+            country: req.query.country ? String(req.query.country) : null,
+            sort: req.query.sort === 'perfumes' ? 'perfumes' : 'name',
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200),
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/brands — crear una marca; `aliases` le asigna esas grafías y sus perfumes
+router.post('/', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const brand = await dataStore.createBrand(parseBrandBody(req.body, { partial: false }), { userId: req.user.id });
+        if (!brand) {
+            return next(new ApiError('Ya existe una marca con ese nombre', 409));
+        }
+        autocompleteIndex.invalidate();
+        res.status(201).json({ success: true, data: brand });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/brands/:slug — ficha de marca con alias y número de perfumes.
+// Acepta también cualquier grafía registrada ("CHANEL", "chanel-paris").
+router.get('/:slug', async (req, res, next) => {
+    try {
+        const brand = await dataStore.getBrand(req.params.slug);
+        if (!brand) {
+            return next(new ApiError('Marca no encontrada', 404));
+        }
+        res.json({ success: true, data: brand });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/brands/:slug/lines — líneas de producto de la marca (original + flankers)
+router.get('/:slug/lines', async (req, res, next) => {
+    try {
+        const brand = await dataStore.getBrand(req.params.slug);
+        if (!brand) {
+            return next(new ApiError('Marca no encontrada', 404));
+        }
+        const lines = await dataStore.getBrandLines(brand.name);
+        res.json({ success: true, brand: { slug: brand.slug, name: brand.name }, count: lines.length, data: lines });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/brands/:slug — editar ficha; renombrar o añadir `aliases` reescribe
+// la marca de los perfumes afectados
+router.put('/:slug', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const brand = await dataStore.updateBrand(req.params.slug, parseBrandBody(req.body, { partial: true }), { userId: req.user.id });
+        if (!brand) {
+            return next(new ApiError('Marca no encontrada', 404));
+        }
+        if (brand === 'conflict') {
+            return next(new ApiError('Ya existe otra marca con ese nombre', 409));
+        }
+        autocompleteIndex.invalidate();
+        res.json({ success: true, data: brand });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/brands/:slug — borrar una marca sin perfumes (fusionarla si los tiene)
+router.delete('/:slug', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const result = await dataStore.deleteBrand(req.params.slug);
+        if (!result) {
+            return next(new ApiError('Marca no encontrada', 404));
+        }
+        if (!result.deleted) {
+            return next(new ApiError('La marca tiene perfumes; fusiónala con otra en lugar de borrarla', 409, {
+                perfumeCount: result.brand.perfumeCount,
+            }));
+        }
+        autocompleteIndex.invalidate();
+        res.json({ success: true, message: 'Marca eliminada', data: result.brand });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/brands/:slug/merge — fusionar { sourceSlugs } en esta marca
+router.post('/:slug/merge', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { sourceSlugs } = req.body || {};
+        if (!Array.isArray(sourceSlugs) || !sourceSlugs.length || sourceSlugs.length > MAX_MERGE_SOURCES
+            || !sourceSlugs.every((s) => typeof s === 'string' && s.trim())) {
+            return next(new ApiError(`sourceSlugs debe ser un array de 1 a ${MAX_MERGE_SOURCES} slugs`, 400));
+        }
+        if (sourceSlugs.includes(req.params.slug)) {
+            return next(new ApiError('Una marca no puede fusionarse consigo misma', 400));
+        }
+        const result = await dataStore.mergeBrands(req.params.slug, sourceSlugs, { userId: req.user.id });
+        if (!result) {
+            return next(new ApiError('Marca no encontrada', 404));
+        }
+        autocompleteIndex.invalidate();
+        res.json({ success: true, data: result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,10 +1,14 @@
 import { Router } from 'express';
 import { dataStore } from '../services/dataStore.js';
 import { requireSuperAdmin } from '../middleware/auth.js';
+import { DEFAULT_LOCALE, contentKey, fallbackChain } from '../services/localization.js';
 
 const router = Router();
 
-const DEFAULT_ABOUT = {
+// Built-in About page per locale, until a superadmin saves one
+const DEFAULT_ABOUT = {};
+
+DEFAULT_ABOUT.en = {
     hero: {
         eyebrow: 'About Parfumería',
         title: 'The Poetry of',
@@ -31,24 +35,61 @@ const DEFAULT_ABOUT = {
     },
 };
 
-// GET /api/content/about — public
-router.get('/about', async (req, res) => {
-    try {
-        const stored = await dataStore.getContent('about');
-        res.json({ content: stored ?? DEFAULT_ABOUT });
-    } catch (err) {
-        res.json({ content: DEFAULT_ABOUT });
+DEFAULT_ABOUT.es = {
+    hero: {
+        eyebrow: 'Sobre Parfumería',
+        title: 'La poesía del',
+        titleAccent: 'aroma',
+        subtitle: 'Creemos que la fragancia es una de las formas de expresión más íntimas y poderosas. Nuestra misión es acercarte a los mejores perfumes del mundo, cada uno una obra maestra del arte olfativo.',
+    },
+    story: {
+        title: 'Nuestra historia',
+        paragraphs: [
+            'Fundada por apasionados de la perfumería, Parfumería nació del sueño de crear el destino definitivo para los amantes del perfume. Pasamos años recorriendo el mundo, visitando casas de perfumería legendarias, conociendo a maestros perfumistas y reuniendo una colección que representa lo mejor del oficio.',
+            'Hoy nuestro catálogo reúne cientos de fragancias cuidadosamente seleccionadas de las marcas más prestigiosas. Cada perfume de nuestra colección ha sido evaluado personalmente por su calidad, su creatividad y su capacidad de emocionar.',
+            'Somos más que un catálogo: somos una comunidad de amantes del perfume dedicada a ayudarte a descubrir tu fragancia.',
+        ],
+        imageUrl: DEFAULT_ABOUT.en.story.imageUrl,
+        imageAlt: 'Artesanía del perfume',
+    },
+    values: {
+        title: 'Nuestros valores',
+        items: [
+            { title: 'Autenticidad', description: 'Todas las fragancias de nuestra colección son 100% auténticas y proceden directamente de distribuidores autorizados.' },
+            { title: 'Experiencia', description: 'Nuestro equipo incluye especialistas en fragancias certificados que pueden guiarte hasta tu aroma ideal.' },
+            { title: 'Pasión', description: 'Nos mueve un amor sincero por la perfumería y el deseo de compartirlo contigo.' },
+        ],
+    },
+};
+
+// Stored page for the first locale of the fallback chain that has one, else the
+// built-in text. `locale` is the language actually served.
+const aboutFor = async (requested) => {
+    for (const locale of fallbackChain(requested)) {
+        const stored = await dataStore.getContent(contentKey('about', locale));
+        if (stored) return { content: stored, locale };
+        if (DEFAULT_ABOUT[locale]) return { content: DEFAULT_ABOUT[locale], locale };
     }
+    return { content: DEFAULT_ABOUT[DEFAULT_LOCALE], locale: DEFAULT_LOCALE };
+};
+
+// GET /api/content/about — public (?lang= / Accept-Language)
+router.get('/about', async (req, res) => {
+    const { content, locale } = await aboutFor(req.locale || DEFAULT_LOCALE);
+    res.set('Content-Language', locale);
+    res.json({ content, locale });
 });
 
-// PUT /api/content/about — superadmin only
+// PUT /api/content/about — superadmin only. ?lang=es guarda la versión en ese
+// idioma; sin ?lang, la del idioma por defecto (Accept-Language no cuenta aquí)
 router.put('/about', requireSuperAdmin, async (req, res, next) => {
     try {
-        const ok = await dataStore.setContent('about', req.body);
+        const locale = req.query.lang ? req.locale : DEFAULT_LOCALE;
+        const ok = await dataStore.setContent(contentKey('about', locale), req.body);
         if (!ok) {
             return res.status(503).json({ error: 'Database unavailable — content not saved' });
         }
-        res.json({ success: true, content: req.body });
+        res.json({ success: true, content: req.body, locale });
     } catch (err) {
         next(err);
     }
@@ -132,27 +132,82 @@ const AUTH = sectionHeader('⊕', 'Authentication', 'JWT-based auth with Google
         ep('DELETE', '/api/auth/users/:id', 'Delete user', 'Permanent')
     );
 
-const PERFUMES = sectionHeader('◎', 'Perfumes', 'Core catalog. Reads are public; writes require x-api-key.') +
+const PERFUMES = sectionHeader('◎', 'Perfumes', 'Core catalog. Reads are public; writes require x-api-key. Reads take ?lang=en|es or Accept-Language (ignored for editor / superadmin tokens, so the admin editor gets stored text): description (original or translation), concentrationLabel, note and accord names come back in that language, falling back to English and then to the stored text.') +
     group('public', 'badge-public',
-        ep('GET', '/api/perfumes', 'List perfumes', 'Filter, sort, paginate',
-            null, [['page', 'number', 'optional'], ['limit', 'number', 'optional'], ['brand', 'string', 'optional'], ['gender', 'string', 'optional'], ['sort', 'string', 'optional'], ['q', 'string', 'optional']],
-            `{ <span class="key">"data"</span>: [...], <span class="key">"pagination"</span>: { <span class="key">"total"</span>: <span class="num">5541</span>, <span class="key">"page"</span>: <span class="num">1</span>, <span class="key">"limit"</span>: <span class="num">20</span> } }`),
-        ep('GET', '/api/perfumes/stats', 'Catalog statistics', ''),
+        ep('GET', '/api/perfumes', 'List perfumes', 'Faceted filters, sort, paginate. List params take comma lists; notes/accords are AND-ed, the rest OR-ed',
+            null, [['page', 'number', 'optional'], ['limit', 'number', 'optional — 1-100, default 12'], ['brand', 'string', 'optional — partial match'], ['brands', 'string[]', 'optional'], ['gender', 'string[]', 'optional'], ['search', 'string', 'optional'],
+                ['perfumer', 'string[]', 'optional'], ['concentration', 'string[]', 'optional'], ['notes', 'string[]', 'optional — any phase'], ['topNotes / heartNotes / baseNotes', 'string[]', 'optional'], ['accords', 'string[]', 'optional'],
+                ['yearMin / yearMax', 'number', 'optional'], ['ratingMin / ratingMax', 'number', 'optional'], ['hasLongevity / hasSillage', 'boolean', 'optional'],
+                ['sortBy', 'name|rating|year|createdAt|updatedAt', 'optional'], ['order', 'asc|desc', 'optional'], ['cursor', 'string', 'optional — pagination.nextCursor; keyset mode, no total'], ['fields', 'string[]', 'optional — e.g. name,brand,imageUrl'], ['facets', 'boolean', 'optional — default false; true adds facet counts'], ['facetLimit', 'number', 'optional — default 30']],
+            `{ <span class="key">"data"</span>: [...], <span class="key">"pagination"</span>: { <span class="key">"total"</span>: <span class="num">5541</span>, <span class="key">"page"</span>: <span class="num">1</span>, <span class="key">"limit"</span>: <span class="num">20</span> }, <span class="key">"facets"</span>: { <span class="key">"accords"</span>: [{ <span class="key">"value"</span>: <span class="str">"woody"</span>, <span class="key">"count"</span>: <span class="num">812</span> }], ... } }`),
+        ep('GET', '/api/perfumes/stats', 'Catalog statistics', 'Totals, releases per year / decade, concentrations, top notes and accords (overall and per gender), average rating per brand (3+ rated perfumes), perfumer productivity and data-completeness percentages. Cached 10 min per scope',
+            null, [['brand', 'string', 'optional — any spelling of the brand'], ['perfumer', 'string', 'optional']],
+            `{ <span class="key">"data"</span>: { <span class="key">"totalPerfumes"</span>: <span class="num">5541</span>, <span class="key">"releases"</span>: { <span class="key">"byYear"</span>: [{ <span class="key">"year"</span>: <span class="num">2015</span>, <span class="key">"count"</span>: <span class="num">212</span> }], <span class="key">"byDecade"</span>: [...] }, <span class="key">"concentrations"</span>: [...], <span class="key">"topNotes"</span>: { <span class="key">"overall"</span>: [...], <span class="key">"byGender"</span>: {...} }, <span class="key">"topAccords"</span>: {...}, <span class="key">"brandRatings"</span>: [...], <span class="key">"perfumers"</span>: [...], <span class="key">"completeness"</span>: { <span class="key">"fields"</span>: { <span class="key">"notes"</span>: { <span class="key">"count"</span>: <span class="num">5310</span>, <span class="key">"percentage"</span>: <span class="num">95.8</span> } }, <span class="key">"complete"</span>: {...} } } }`),
         ep('GET', '/api/perfumes/brands', 'All brand names', 'Distinct, sorted'),
-        ep('GET', '/api/perfumes/search', 'Full-text search', '',
-            null, [['q', 'string', 'required'], ['limit', 'number', 'optional']]),
-        ep('GET', '/api/perfumes/brand/:brand', 'Perfumes by brand', ''),
+        ep('GET', '/api/perfumes/autocomplete', 'Typeahead suggestions', 'Grouped prefix matches from an in-memory index (rebuilt every 5 min)',
+            null, [['q', 'string', 'required'], ['limit', 'number', 'optional — per group, max 20'], ['types', 'string[]', 'optional — perfumes,brands,perfumers,notes']],
+            `{ <span class="key">"data"</span>: { <span class="key">"perfumes"</span>: [{ <span class="key">"id"</span>: ..., <span class="key">"label"</span>: <span class="str">"Aventus"</span>, <span class="key">"brand"</span>: <span class="str">"Creed"</span> }], <span class="key">"brands"</span>: [{ <span class="key">"label"</span>: ..., <span class="key">"count"</span>: <span class="num">42</span> }], <span class="key">"perfumers"</span>: [...], <span class="key">"notes"</span>: [...] } }`),
+        ep('GET', '/api/perfumes/search', 'Ranked search', 'Name, brand, perfumer, notes, accords, description. Accent-insensitive, typo-tolerant; suggestions when nothing matches',
+            null, [['q', 'string', 'required'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 100']],
+            `{ <span class="key">"data"</span>: [{ ..., <span class="key">"searchScore"</span>: <span class="num">9.0</span> }], <span class="key">"pagination"</span>: {...}, <span class="key">"suggestions"</span>: [<span class="str">"Sauvage"</span>] }`),
+        ep('GET', '/api/perfumes/compare', 'Compare perfumes side by side', 'Notes per phase and accords split into shared (all) / partial (some) / unique, accord positions, longevity / sillage vote distributions, season usage and the pairwise similarity score (same weighting as /:id/similar)',
+            null, [['ids', 'uuid[]', 'required — 2 or 3, comma-separated']],
+            `{ <span class="key">"data"</span>: { <span class="key">"perfumes"</span>: [...], <span class="key">"notes"</span>: { <span class="key">"top"</span>: { <span class="key">"shared"</span>: [{ <span class="key">"name"</span>: <span class="str">"Bergamot"</span> }], <span class="key">"partial"</span>: [], <span class="key">"unique"</span>: { <span class="str">"&lt;id&gt;"</span>: [...] } }, ... }, <span class="key">"accords"</span>: {...}, <span class="key">"performance"</span>: {...}, <span class="key">"similarity"</span>: [{ <span class="key">"perfumeIds"</span>: [...], <span class="key">"score"</span>: <span class="num">16</span>, <span class="key">"sharedNotes"</span>: <span class="num">3</span>, <span class="key">"sharedAccords"</span>: <span class="num">3</span> }] } }`),
+        ep('GET', '/api/perfumes/suggestions', 'What to wear today', 'Ranked by season votes, day/night votes, fresh vs warm accords against the weather, and longevity / sillage against the occasion. Season defaults to today\'s. favorites=true (Bearer token) ranks only the user\'s collection',
+            null, [['season', 'winter|spring|summer|autumn', 'optional'], ['time', 'day|night', 'optional'], ['temperature', 'number', 'optional — °C'], ['humidity', 'number', 'optional — %'],
+                ['occasion', 'office|casual|sport|date|evening|formal', 'optional'], ['hemisphere', 'north|south', 'optional — for the default season'], ['favorites', 'boolean', 'optional — requires auth'], ['limit', 'number', 'optional — max 50']],
+            `{ <span class="key">"context"</span>: { <span class="key">"season"</span>: <span class="str">"summer"</span>, <span class="key">"temperature"</span>: <span class="num">30</span>, ... }, <span class="key">"data"</span>: [{ ..., <span class="key">"contextScore"</span>: <span class="num">92</span>, <span class="key">"matches"</span>: { <span class="key">"season"</span>: <span class="num">100</span>, <span class="key">"time"</span>: <span class="bool">null</span>, <span class="key">"climate"</span>: <span class="num">95</span>, <span class="key">"performance"</span>: <span class="num">81</span> } }] }`),
+        ep('GET', '/api/perfumes/brand/:brand', 'Perfumes by brand', 'Full list, or paginated when limit/cursor is given',
+            null, [['limit', 'number', 'optional'], ['cursor', 'string', 'optional'], ['sortBy', 'string', 'optional — default name'], ['fields', 'string[]', 'optional']]),
         ep('GET', '/api/perfumes/perfumers', 'List all perfumers', ''),
-        ep('GET', '/api/perfumes/perfumer/:name', 'Perfumes by perfumer', ''),
+        ep('GET', '/api/perfumes/perfumer/:name', 'Perfumes by perfumer', 'Full list, or paginated when limit/cursor is given',
+            null, [['limit', 'number', 'optional'], ['cursor', 'string', 'optional'], ['sortBy', 'string', 'optional — default name'], ['fields', 'string[]', 'optional']]),
         ep('GET', '/api/perfumes/perfumer/:name/brands', 'Brands by perfumer', ''),
         ep('GET', '/api/perfumes/perfumer/:name/brand/:brand', 'Perfumer + brand', ''),
-        ep('GET', '/api/perfumes/:id', 'Get single perfume', 'Full object with notes, accords, metrics')
+        ep('GET', '/api/perfumes/:id', 'Get single perfume', 'Full object with notes, accords, metrics, objectId (Fragrantica id), mirrorUrls (other domains seen for it) and line { key, name, role }'),
+        ep('GET', '/api/perfumes/:id/family', 'Product line ("Other versions")', 'The perfume\'s line with every member: original, concentration variants (EDT/EDP/Parfum/Elixir) and flankers. line is null when the perfume has no other versions')
     ) +
-    group('x-api-key', 'badge-key',
-        ep('POST', '/api/perfumes', 'Create perfume', '',
-            [['name', 'string', 'required'], ['brand', 'string', 'required'], ['sourceUrl', 'string', 'required']]),
-        ep('PUT', '/api/perfumes/:id', 'Update perfume', ''),
-        ep('DELETE', '/api/perfumes/:id', 'Delete perfume', 'Permanent')
+    group('editor / superAdmin', 'badge-admin',
+        ep('GET', '/api/perfumes/:id/revisions', 'Revision history', 'Newest first; field-level diff, source (user, scrape, algolia, ai, dataset, backup), editor and internal note. Includes trashed perfumes',
+            null, [['page', 'number', 'optional'], ['limit', 'number', 'optional — max 200']],
+            `{ <span class="key">"data"</span>: [{ <span class="key">"id"</span>: <span class="num">42</span>, <span class="key">"action"</span>: <span class="str">"update"</span>, <span class="key">"source"</span>: <span class="str">"scrape"</span>, <span class="key">"user"</span>: <span class="bool">null</span>, <span class="key">"changes"</span>: { <span class="key">"rating"</span>: { <span class="key">"from"</span>: <span class="num">4.1</span>, <span class="key">"to"</span>: <span class="num">4.2</span> } } }] }`),
+        ep('POST', '/api/perfumes', 'Create perfume', 'Validated; 409 if sourceUrl already exists',
+            [['name', 'string', 'required'], ['brand', 'string', 'required'], ['year', 'integer', 'optional — 1700..current year+2'], ['gender', 'masculine|feminine|unisex', 'optional'],
+                ['notes', '{ top, heart, base }: string[]', 'optional'], ['accords', 'string[]', 'optional'], ['rating', 'number', 'optional — 0..5'], ['sourceUrl', 'url', 'optional']],
+            null, `{ <span class="key">"success"</span>: <span class="bool">false</span>, <span class="key">"error"</span>: <span class="str">"Invalid perfume payload"</span>, <span class="key">"details"</span>: [{ <span class="key">"field"</span>: <span class="str">"year"</span>, <span class="key">"message"</span>: ... }] }`),
+        ep('PUT', '/api/perfumes/:id', 'Update perfume', 'Partial update, same schema as create'),
+        ep('PUT', '/api/perfumes/:id/translations/:locale', 'Set translation', 'Per-locale description (en|es); the original description is kept. null removes it. Re-scraping the other-language mirror (.es / .com) also lands here instead of overwriting',
+            [['description', 'string | null', 'required']]),
+        ep('DELETE', '/api/perfumes/:id', 'Delete perfume', 'Moves it to the trash; favorites are kept and come back on restore'),
+        ep('GET', '/api/perfumes/export', 'Export catalog', 'Streamed download (attachment) in CSV, NDJSON or XLSX. Takes every listing filter and sort. Notes split into topNotes / heartNotes / baseNotes; in CSV / XLSX lists and vote counts are joined with "; "',
+            null, [['format', 'csv|ndjson|xlsx', 'optional — default csv'], ['columns', 'string', 'optional — comma list: id, name, brand, year, perfumer, gender, concentration, topNotes, heartNotes, baseNotes, accords, rating, longevity, sillage, projection, seasonUsage, description, imageUrl, sourceUrl, completenessScore, createdAt, updatedAt (default all)'], ['sortBy', 'string', 'optional — name (default) | rating | year | createdAt | updatedAt'], ['order', 'asc|desc', 'optional'], ['brands, gender, notes, accords, yearMin, …', '', 'optional — same filters as GET /api/perfumes']])
+    ) +
+    group('superAdmin', 'badge-super',
+        ep('POST', '/api/perfumes/:id/revisions/:revisionId/revert', 'Revert to revision', 'Restores the state right after that revision; recorded as a new "revert" revision'),
+        ep('PATCH', '/api/perfumes/:id/locks', 'Lock / unlock fields', 'Locked fields are skipped by scrape, Algolia, AI enrichment and the dataset backfill; manual edits and backup restores still write them. Provenance is in fieldSources on every perfume',
+            [['lock', 'string[]', 'optional — e.g. ["notes"]'], ['unlock', 'string[]', 'optional']]),
+        ep('GET', '/api/perfumes/trash', 'Trash', 'Deleted perfumes, newest first, with favoritesCount. Purged automatically after TRASH_RETENTION_DAYS (default 30)',
+            null, [['reason', 'manual|duplicate|reset|url-migration', 'optional'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 200']]),
+        ep('POST', '/api/perfumes/:id/restore', 'Restore from trash', 'Back in the catalogue with its favorites'),
+        ep('PUT', '/api/perfumes/:id/family', 'Override product line', 'Pins the perfume to a line (joins the detected one when the name matches); { line: null } keeps it out of any line. Automatic detection leaves it alone afterwards',
+            [['line', 'string | null', 'required — line name, e.g. "Sauvage"'], ['role', 'original|variant|flanker', 'optional — default flanker']]),
+        ep('DELETE', '/api/perfumes/:id/family', 'Clear line override', 'Back to automatic detection'),
+        ep('POST', '/api/perfumes/:id/merge', 'Merge duplicates into this perfume', 'Best value per field, favorites and activity move here, duplicate source URLs become aliases (never re-scraped), duplicates go to the trash',
+            [['duplicateIds', 'uuid[]', 'required — 1..20'], ['prefer', '{ field: perfumeId }', 'optional — force where a field is taken from']]),
+        ep('POST', '/api/perfumes/trash/purge', 'Empty trash', 'Permanent — deletes favorites and revisions too',
+            [['olderThanDays', 'integer', 'optional — default 0 (everything)'], ['ids', 'uuid[]', 'optional — only these']]),
+        ep('GET', '/api/perfumes/similarity/status', 'Similarity index status', 'Perfumes indexed / queued / total, stored pairs and the last build. The index (top 100 per perfume) serves /:id/similar; perfumes not indexed yet are scored live',
+            null, null,
+            `{ <span class="key">"data"</span>: { <span class="key">"indexed"</span>: <span class="num">4810</span>, <span class="key">"pending"</span>: <span class="num">2</span>, <span class="key">"total"</span>: <span class="num">4812</span>, <span class="key">"pairs"</span>: <span class="num">481000</span>, <span class="key">"build"</span>: { <span class="key">"running"</span>: <span class="bool">false</span>, <span class="key">"mode"</span>: <span class="str">"full"</span>, ... } } }`),
+        ep('POST', '/api/perfumes/similarity/rebuild', 'Rebuild similarity index', 'Runs in the background (202); also runs daily at 04:00 UTC. 409 while a build is running',
+            [['onlyMissing', 'boolean', 'optional — only perfumes without an entry']]),
+        ep('GET', '/api/perfumes/quality', 'Data quality overview', 'Average completenessScore (0-100, stored on every perfume), distribution and the most-missing fields with their weights',
+            null, [['brand', 'string', 'optional — any alias']],
+            `{ <span class="key">"data"</span>: { <span class="key">"perfumeCount"</span>: <span class="num">4812</span>, <span class="key">"averageScore"</span>: <span class="num">71.4</span>, <span class="key">"complete"</span>: { <span class="key">"count"</span>: <span class="num">903</span>, <span class="key">"percentage"</span>: <span class="num">18.8</span> }, <span class="key">"distribution"</span>: [{ <span class="key">"min"</span>: <span class="num">0</span>, <span class="key">"max"</span>: <span class="num">19</span>, <span class="key">"count"</span>: <span class="num">41</span> }, ...], <span class="key">"fields"</span>: [{ <span class="key">"field"</span>: <span class="str">"longevity"</span>, <span class="key">"weight"</span>: <span class="num">8</span>, <span class="key">"missing"</span>: <span class="num">1620</span>, <span class="key">"percentage"</span>: <span class="num">33.7</span> }, ...] } }`),
+        ep('GET', '/api/perfumes/quality/brands', 'Data quality by brand', 'Average score, incomplete perfumes and missing count per field for each brand',
+            null, [['sort', 'score|perfumes|incomplete', 'optional — default score (worst first)'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 200']]),
+        ep('GET', '/api/perfumes/quality/targets', 'Enrichment targets', 'Perfumes to complete, by priority: (100 - score) × (1 + ln(1 + distinct viewers in 30 days)). Each comes with completenessScore, missingFields, views and priority. Rescrape and bulk AI enrichment pick perfumes in this order',
+            null, [['field', 'notes|accords|perfumer|description|imageUrl|longevity|sillage|seasonUsage|year|concentration', 'optional — only perfumes missing it'], ['brand', 'string', 'optional'], ['maxScore', 'integer', 'optional — default 99'], ['withSourceUrl', 'boolean', 'optional — only re-scrapeable'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 500']])
     );
 
 const SCRAPER = sectionHeader('⧫', 'Scraper', 'Puppeteer pipeline. Persistent DB queue. 15s delay between requests.') +
@@ -195,7 +250,7 @@ const SCRAPER = sectionHeader('⧫', 'Scraper', 'Puppeteer pipeline. Persistent
   <span class="key">"processed"</span>: <span class="num">6073</span>, <span class="key">"failed"</span>: <span class="num">4</span>,
   <span class="key">"processingRatePerHour"</span>: <span class="num">240</span>, <span class="key">"etaMs"</span>: <span class="num">44280000</span>
 }`),
-        ep('POST', '/api/scrape/queue/check', 'Check which URLs exist', '',
+        ep('POST', '/api/scrape/queue/check', 'Check which URLs exist', 'Matches by objectID, so .com / .es variants count as existing',
             [['urls', 'string[]', 'required']]),
         ep('POST', '/api/scrape/queue/retry-failed', 'Retry all failed URLs', ''),
         ep('DELETE', '/api/scrape/queue', 'Clear queue', '',
@@ -214,17 +269,20 @@ const SCRAPER = sectionHeader('⧫', 'Scraper', 'Puppeteer pipeline. Persistent
         ep('GET', '/api/scrape/incomplete/by-brand', 'Incomplete grouped by brand', ''),
         ep('POST', '/api/scrape/rescrape', 'Re-scrape by IDs (max 100)', '',
             [['ids', 'string[]', 'required']]),
-        ep('POST', '/api/scrape/rescrape/queue', 'Queue all incomplete', ''),
+        ep('POST', '/api/scrape/rescrape/queue', 'Queue all incomplete', 'Lowest completeness score and most viewed first (see /api/perfumes/quality/targets)'),
         ep('POST', '/api/scrape/rescrape/queue/ids', 'Queue by IDs (max 2000)', '',
             [['ids', 'string[]', 'required']]),
         ep('POST', '/api/scrape/rescrape/brand', 'Re-scrape incomplete from brand', '',
             [['brand', 'string', 'required'], ['direct', 'boolean', 'optional — sync mode, max 100']]),
         ep('GET', '/api/scrape/duplicates', 'Find duplicate perfumes', ''),
-        ep('DELETE', '/api/scrape/duplicates', 'Remove duplicates', 'Keeps highest-rated'),
+        ep('GET', '/api/scrape/duplicates/candidates', 'Near-duplicate candidates', 'Scored pairs: same objectID, same name with concentration spelled differently ("EDP" / "Eau de Parfum"), small typos',
+            null, [['minScore', 'number', 'optional — 0..1, default 0.8'], ['brand', 'string', 'optional'], ['limit', 'number', 'optional — max 1000']],
+            `{ <span class="key">"data"</span>: [{ <span class="key">"score"</span>: <span class="num">0.95</span>, <span class="key">"reasons"</span>: [<span class="str">"sameName"</span>], <span class="key">"suggestedSurvivorId"</span>: <span class="str">"…"</span>, <span class="key">"perfumes"</span>: [...] }] }`),
+        ep('DELETE', '/api/scrape/duplicates', 'Remove duplicates', 'Keeps highest-rated; the rest go to the trash'),
         ep('GET', '/api/scrape/cache/stats', 'Cache stats', ''),
         ep('DELETE', '/api/scrape/cache', 'Clear cache', ''),
-        ep('POST', '/api/scrape/reset', '⚠ RESET ALL DATA — irreversible', '',
-            [['confirm', 'string', 'required — must equal "CONFIRM_RESET"']])
+        ep('POST', '/api/scrape/reset', '⚠ RESET ALL DATA', 'Perfumes go to the trash (trashed URLs are not re-scraped); purge=true deletes them for good',
+            [['confirm', 'string', 'required — must equal "CONFIRM_RESET"'], ['purge', 'boolean', 'optional — irreversible']])
     );
 
 const ALGOLIA = sectionHeader('◉', 'Algolia', 'Fragrantica uses Algolia (App: FGVI612DFZ, Index: fragrantica_perfumes). Key from browser DevTools — expires ~3 weeks.') +
@@ -283,13 +341,96 @@ const PERFUMERS = sectionHeader('◷', 'Perfumers', 'Perfumer/nose profiles with
         ep('DELETE', '/api/perfumers/:name', 'Delete perfumer', '')
     );
 
-const CONTENT = sectionHeader('≡', 'Content', 'CMS-style content blocks (About page, etc.)') +
+const GRAPHQL = sectionHeader('◇', 'GraphQL', 'Perfumes, brands, perfumers, notes, similar perfumes and the viewer\'s favorites in one request, resolved with batched loaders. Queries nested deeper than 8 fields, or costing more than 5000 (each field counts once per item of the lists around it: limit, or the default limit), are rejected. Send the same Bearer token as the REST API for viewer and isFavorite; an invalid token is a 401. Localized like the REST catalogue (?lang= / Accept-Language).') +
+    group('public', 'badge-public',
+        ep('POST', '/api/graphql', 'Run a query', 'e.g. perfume(id) { name brandProfile { name } perfumers { name } similar { score perfume { name } } isFavorite }. Standard GraphQL response { data, errors }. Parse, validation, depth and cost errors are a 400; resolver errors carry extensions.status',
+            [['query', 'string', 'required'], ['variables', 'object', 'optional'], ['operationName', 'string', 'optional']], null,
+            `{ <span class="key">"data"</span>: { <span class="key">"perfume"</span>: { <span class="key">"name"</span>: <span class="str">"Sauvage"</span>, <span class="key">"brandProfile"</span>: { <span class="key">"name"</span>: <span class="str">"Dior"</span> }, <span class="key">"perfumers"</span>: [{ <span class="key">"name"</span>: <span class="str">"François Demachy"</span> }], <span class="key">"similar"</span>: [{ <span class="key">"score"</span>: <span class="num">16</span>, <span class="key">"perfume"</span>: { ... } }], <span class="key">"isFavorite"</span>: <span class="bool">true</span> } } }`),
+        ep('GET', '/api/graphql', 'Run a query by URL', 'Queries only (no mutations), so responses can be cached by URL',
+            null, [['query', 'string', 'required'], ['variables', 'string', 'optional — JSON object'], ['operationName', 'string', 'optional']])
+    );
+
+const IMAGES = sectionHeader('▣', 'Images', 'Local WebP copies of perfume and perfumer images, stored once per distinct image and kept in several widths. Use the public endpoints as <img src>: they fall back to the original URL while no copy exists.') +
+    group('public', 'badge-public',
+        ep('GET', '/api/images/perfumes/:id', 'Perfume image', 'Stored width closest above the requested one (also read from Sec-CH-Width / Width); 302 to the original URL when not mirrored or WebP not accepted',
+            null, [['w', 'number', 'optional — CSS pixels; default the largest stored'], ['dpr', 'number', 'optional — 1-4, multiplies w']]),
+        ep('GET', '/api/images/perfumers/:name', 'Perfumer image', 'Verified photo, else a scraped one. Same negotiation as perfume images',
+            null, [['w', 'number', 'optional'], ['dpr', 'number', 'optional']])
+    ) +
+    group('superAdmin', 'badge-super',
+        ep('GET', '/api/images/status', 'Mirror status', 'Pending, mirrored and failed URLs, distinct images stored, recent failures and the last run. Runs every 30 min',
+            null, null,
+            `{ <span class="key">"data"</span>: { <span class="key">"pending"</span>: <span class="num">120</span>, <span class="key">"mirrored"</span>: <span class="num">5302</span>, <span class="key">"failed"</span>: <span class="num">14</span>, <span class="key">"assets"</span>: <span class="num">5188</span>, <span class="key">"widths"</span>: [<span class="num">100</span>, <span class="num">200</span>, <span class="num">400</span>, <span class="num">800</span>], <span class="key">"recentFailures"</span>: [...], <span class="key">"job"</span>: { <span class="key">"running"</span>: <span class="bool">false</span>, ... } } }`),
+        ep('POST', '/api/images/mirror', 'Mirror now', 'Starts a run in the background; 409 while one is running',
+            [['limit', 'number', 'optional — default 300, max 5000'], ['retryFailed', 'boolean', 'optional — also retry URLs that failed']])
+    );
+
+const IMPORTS = sectionHeader('⇪', 'Imports', 'Fill empty perfume fields from an uploaded CSV or JSON dataset. Upload, map columns to perfume fields, dry-run, then run as a background job. Only empty, unlocked fields are written, with "dataset" revisions.') +
+    group('superAdmin', 'badge-super',
+        ep('POST', '/api/imports', 'Upload dataset', 'multipart/form-data. CSV (delimiter auto-detected) or JSON (array, { data: [...] } or one object per line), up to 50 MB. Kept in memory for 2 h. Returns id, columns, a sample and suggestedMapping',
+            [['file', 'file', 'required — .csv, .tsv, .json, .ndjson'], ['delimiter', 'string', 'optional — CSV delimiter']]),
+        ep('GET', '/api/imports/:id', 'Get upload', 'Columns, current mapping, last dry-run report and the job when it belongs to this upload'),
+        ep('POST', '/api/imports/:id/dry-run', 'Dry-run', 'Nothing is written. Report: rows, matched, wouldUpdate, unchanged, unmatched, ambiguous, duplicates, matchedBy, fields that would change, lockedSkipped and sample rows',
+            [['mapping', 'object', 'optional — { field: column } for objectId, sourceUrl, name, brand, topNotes, heartNotes, baseNotes, notes, accords, perfumer, year, concentration, gender, description, imageUrl, rating; default the suggested one'], ['matchBy', 'string[]', 'optional — objectId | url | brandName, tried in order; default all']]),
+        ep('POST', '/api/imports/:id/run', 'Run import', 'Starts the import in the background (202); 409 while another one is running. Same body as the dry-run',
+            [['mapping', 'object', 'optional'], ['matchBy', 'string[]', 'optional']]),
+        ep('GET', '/api/imports/job', 'Import job', 'Progress of the running or last import: processed, updated, unchanged, unmatched, skipped, failed, fields, errors'),
+        ep('DELETE', '/api/imports/:id', 'Discard upload', 'Also cancels its import if running')
+    );
+
+const NOTES = sectionHeader('✿', 'Notes', 'Canonical note registry. Raw scraped notes ("Calabrian Bergamot", "bergamota") are mapped to one entry through aliases; similar-perfume scoring compares notes by registry entry.') +
+    group('public', 'badge-public',
+        ep('GET', '/api/notes', 'List notes', 'Each note has slug, name, nameEs, family, aliases and perfumeCount',
+            null, [['family', 'string', 'optional — family slug, or none for unclassified'], ['q', 'string', 'optional — matches name, Spanish name and aliases'], ['sort', 'string', 'optional — name (default) | popular'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 200']]),
+        ep('GET', '/api/notes/families', 'List olfactory families', 'With English/Spanish labels and note counts'),
+        ep('GET', '/api/notes/:slug', 'Get note', 'Also resolves variants (/api/notes/bergamota). Includes phases { top, heart, base } perfume counts'),
+        ep('GET', '/api/notes/:slug/perfumes', 'Perfumes with a note', 'Best rated first; each perfume has notePhases',
+            null, [['phase', 'string', 'optional — top | heart | base'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 100']])
+    ) +
+    group('superAdmin', 'badge-super',
+        ep('POST', '/api/notes', 'Create note', '',
+            [['name', 'string', 'required'], ['nameEs', 'string', 'optional'], ['family', 'string', 'optional — family slug'], ['description', 'string', 'optional'], ['imageUrl', 'string', 'optional'], ['aliases', 'string[]', 'optional — raw spellings mapped to it']]),
+        ep('PUT', '/api/notes/:slug', 'Update note', 'name, nameEs, family, description, imageUrl. aliases are moved onto this note; auto-created notes left without aliases are removed'),
+        ep('POST', '/api/notes/sync', 'Map unmapped notes', 'Runs on boot and after every perfume write; returns { mapped, created }')
+    );
+
+const ACCORDS = sectionHeader('◐', 'Accords', 'Canonical main-accord catalogue. Raw accords ("Amaderado", "woody") are counted under one entry; accords outside the list keep their own name.') +
+    group('public', 'badge-public',
+        ep('GET', '/api/accords', 'List accords', 'perfumeCount, dominantCount (positions 1-3), primaryCount, avgPosition and display color',
+            null, [['q', 'string', 'optional — matches English and Spanish names'], ['sort', 'string', 'optional — count (default) | dominant | name'], ['canonical', 'boolean', 'optional — only accords in the canonical list']]),
+        ep('GET', '/api/accords/:name', 'Get accord', 'Accepts slug, name or Spanish name'),
+        ep('GET', '/api/accords/:name/perfumes', 'Perfumes with an accord', 'Ranked by accord position (most prominent first), then rating; each perfume has accordPosition and accordCount',
+            null, [['maxPosition', 'number', 'optional — only perfumes where the accord is in the first N'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 100']])
+    );
+
+const BRANDS = sectionHeader('◆', 'Brands', 'Brand profiles. Every spelling seen in perfumes ("CHANEL", "Chanel Paris") is an alias of one brand; perfume writes store the brand name.') +
+    group('public', 'badge-public',
+        ep('GET', '/api/brands', 'List brand profiles', 'country, foundedYear, parentGroup, description, website, classification, logoUrl, aliases and perfumeCount',
+            null, [['q', 'string', 'optional — matches name and aliases'], ['classification', 'string', 'optional — designer | niche | indie | celebrity | mass-market'], ['country', 'string', 'optional'], ['sort', 'string', 'optional — name (default) | perfumes'], ['page', 'number', 'optional'], ['limit', 'number', 'optional — max 200']]),
+        ep('GET', '/api/brands/:slug', 'Get brand', 'Also resolves any registered spelling (/api/brands/CHANEL)'),
+        ep('GET', '/api/brands/:slug/lines', 'Product lines of a brand', 'Lines with at least two perfumes, largest first: perfumeCount, variants, flankers, years { from, to } and the original')
+    ) +
+    group('superAdmin', 'badge-super',
+        ep('POST', '/api/brands', 'Create brand', 'aliases (and the name) are moved onto the new brand together with their perfumes',
+            [['name', 'string', 'required'], ['country', 'string', 'optional'], ['foundedYear', 'number', 'optional'], ['parentGroup', 'string', 'optional'], ['description', 'string', 'optional'], ['website', 'string', 'optional'], ['classification', 'string', 'optional — designer | niche | indie | celebrity | mass-market'], ['logoUrl', 'string', 'optional'], ['aliases', 'string[]', 'optional']]),
+        ep('PUT', '/api/brands/:slug', 'Update brand', 'Renaming or adding aliases rewrites the brand of the affected perfumes, with a revision each'),
+        ep('DELETE', '/api/brands/:slug', 'Delete brand', '409 while the brand still has perfumes — merge it instead'),
+        ep('POST', '/api/brands/:slug/merge', 'Merge brands', 'Moves aliases and perfumes of the sources to this brand, fills its empty profile fields and deletes the sources. Returns { brand, movedPerfumes, movedAliases }',
+            [['sourceSlugs', 'string[]', 'required — brands merged into this one']])
+    );
+
+const CONTENT = sectionHeader('≡', 'Content', 'CMS-style content blocks (About page, etc.) and localization') +
     group('public', 'badge-public',
-        ep('GET', '/api/content/about', 'Get about page content', '')
+        ep('GET', '/api/content/about', 'Get about page content', 'In the ?lang= / Accept-Language locale; returns the locale served',
+            null, [['lang', 'en|es', 'optional']]),
+        ep('GET', '/api/locales', 'Locales', 'Supported locales, the default one and the one negotiated for this request')
     ) +
     group('superAdmin', 'badge-super',
-        ep('PUT', '/api/content/about', 'Update about page', '',
-            [['content', 'string', 'required'], ['title', 'string', 'optional']])
+        ep('PUT', '/api/content/about', 'Update about page', 'Saved for ?lang= (default locale without it)',
+            [['content', 'string', 'required'], ['title', 'string', 'optional']], [['lang', 'en|es', 'optional']]),
+        ep('GET', '/api/locales/missing', 'Missing translations', 'Per locale: perfume descriptions without that language (most viewed first) and the language mix, notes without a name, accords outside the list, concentrations without a label, content pages not saved in it',
+            null, [['locale', 'en|es', 'optional — default every locale'], ['limit', 'number', 'optional — samples per section, max 200']],
+            `{ <span class="key">"data"</span>: { <span class="key">"locale"</span>: <span class="str">"es"</span>, <span class="key">"perfumes"</span>: { <span class="key">"withDescription"</span>: <span class="num">5310</span>, <span class="key">"missing"</span>: <span class="num">2704</span>, <span class="key">"translated"</span>: <span class="num">2606</span>, <span class="key">"percentage"</span>: <span class="num">49.1</span>, <span class="key">"descriptionLocales"</span>: { <span class="key">"en"</span>: <span class="num">2650</span>, <span class="key">"es"</span>: <span class="num">2606</span>, <span class="key">"und"</span>: <span class="num">54</span> }, <span class="key">"samples"</span>: [...] }, <span class="key">"notes"</span>: {...}, <span class="key">"accords"</span>: {...}, <span class="key">"concentrations"</span>: {...}, <span class="key">"content"</span>: { <span class="key">"missing"</span>: [<span class="str">"about"</span>] } } }`)
     );
 
 const BACKUP = sectionHeader('⊞', 'Backup', 'Full DB backup/restore with configurable destinations.') +
@@ -308,10 +449,15 @@ const BACKUP = sectionHeader('⊞', 'Backup', 'Full DB backup/restore with confi
             [['data', 'object', 'required'], ['merge', 'boolean', 'optional']])
     );
 
-const ACTIVITY = sectionHeader('⟁', 'Activity', 'Event logging and analytics.') +
+const ACTIVITY = sectionHeader('⟁', 'Activity', 'Event logging, analytics and trending rankings.') +
     group('public', 'badge-public',
-        ep('POST', '/api/activity/log', 'Log event', '',
-            [['event', 'string', 'required'], ['data', 'object', 'optional']])
+        ep('POST', '/api/activity/log', 'Log event', 'Crawler / scripted user agents are stored flagged as bot and left out of trending',
+            [['sessionId', 'string', 'required'], ['eventType', 'perfume_view|brand_search|search_query', 'required'], ['entityId', 'string', 'optional — perfume id for perfume_view'], ['entityName', 'string', 'optional — brand for brand_search'], ['metadata', 'object', 'optional']]),
+        ep('GET', '/api/trending', 'Trending', 'Top perfumes, brands and perfumers. One vote per session and entity, decayed by age (half-life 6h / 2d / 7d per window); bot sessions ignored. Recomputed every 15 min, served from cache',
+            null, [['window', '24h|7d|30d', 'optional — default 7d'], ['limit', 'number', 'optional — per type, default 10, max 50']],
+            `{ <span class="key">"window"</span>: <span class="str">"7d"</span>, <span class="key">"computedAt"</span>: <span class="str">"..."</span>, <span class="key">"data"</span>: { <span class="key">"perfumes"</span>: [{ <span class="key">"id"</span>: ..., <span class="key">"name"</span>: <span class="str">"Sauvage"</span>, <span class="key">"score"</span>: <span class="num">41.27</span>, <span class="key">"sessions"</span>: <span class="num">58</span> }], <span class="key">"brands"</span>: [{ <span class="key">"name"</span>: <span class="str">"Dior"</span>, <span class="key">"slug"</span>: <span class="str">"dior"</span>, ... }], <span class="key">"perfumers"</span>: [...] } }`),
+        ep('GET', '/api/trending/:type', 'Trending by type', 'perfumes | brands | perfumers',
+            null, [['window', '24h|7d|30d', 'optional — default 7d'], ['limit', 'number', 'optional — default 20, max 50']])
     ) +
     group('superAdmin', 'badge-super',
         ep('GET', '/api/activity/stats', 'Activity statistics', '')
@@ -539,15 +685,21 @@ pre .key{color:var(--amber)}pre .str{color:var(--green)}pre .num{color:var(--blu
       <div class="sb-sec">
         <div class="sb-lbl">Endpoints</div>
         <div class="ni" onclick="go('auth')" id="n-auth"><span class="ic">⊕</span>Auth<span class="nc">11</span></div>
-        <div class="ni" onclick="go('perfumes')" id="n-perfumes"><span class="ic">◎</span>Perfumes<span class="nc">13</span></div>
-        <div class="ni" onclick="go('scraper')" id="n-scraper"><span class="ic">⧫</span>Scraper<span class="nc">26</span></div>
+        <div class="ni" onclick="go('perfumes')" id="n-perfumes"><span class="ic">◎</span>Perfumes<span class="nc">33</span></div>
+        <div class="ni" onclick="go('scraper')" id="n-scraper"><span class="ic">⧫</span>Scraper<span class="nc">27</span></div>
         <div class="ni" onclick="go('algolia')" id="n-algolia"><span class="ic">◉</span>Algolia<span class="nc">5</span></div>
         <div class="ni" onclick="go('ai')" id="n-ai"><span class="ic">★</span>AI<span class="nc">8</span></div>
         <div class="ni" onclick="go('favorites')" id="n-favorites"><span class="ic">♡</span>Favorites<span class="nc">3</span></div>
+        <div class="ni" onclick="go('brands')" id="n-brands"><span class="ic">◆</span>Brands<span class="nc">7</span></div>
         <div class="ni" onclick="go('perfumers')" id="n-perfumers"><span class="ic">◷</span>Perfumers<span class="nc">8</span></div>
-        <div class="ni" onclick="go('content')" id="n-content"><span class="ic">≡</span>Content<span class="nc">2</span></div>
+        <div class="ni" onclick="go('graphql')" id="n-graphql"><span class="ic">◇</span>GraphQL<span class="nc">2</span></div>
+        <div class="ni" onclick="go('images')" id="n-images"><span class="ic">▣</span>Images<span class="nc">4</span></div>
+        <div class="ni" onclick="go('imports')" id="n-imports"><span class="ic">⇪</span>Imports<span class="nc">6</span></div>
+        <div class="ni" onclick="go('notes')" id="n-notes"><span class="ic">✿</span>Notes<span class="nc">7</span></div>
+        <div class="ni" onclick="go('accords')" id="n-accords"><span class="ic">◐</span>Accords<span class="nc">3</span></div>
+        <div class="ni" onclick="go('content')" id="n-content"><span class="ic">≡</span>Content<span class="nc">4</span></div>
         <div class="ni" onclick="go('backup')" id="n-backup"><span class="ic">⊞</span>Backup<span class="nc">9</span></div>
-        <div class="ni" onclick="go('activity')" id="n-activity"><span class="ic">⟁</span>Activity<span class="nc">2</span></div>
+        <div class="ni" onclick="go('activity')" id="n-activity"><span class="ic">⟁</span>Activity<span class="nc">4</span></div>
         <div class="ni" onclick="go('apikeys')" id="n-apikeys"><span class="ic">⊗</span>API Keys<span class="nc">5</span></div>
       </div>
       <div class="ql">
@@ -570,6 +722,12 @@ pre .key{color:var(--amber)}pre .str{color:var(--green)}pre .num{color:var(--blu
       <div class="sec" id="s-ai">${AI}</div>
       <div class="sec" id="s-favorites">${FAVORITES}</div>
       <div class="sec" id="s-perfumers">${PERFUMERS}</div>
+      <div class="sec" id="s-graphql">${GRAPHQL}</div>
+      <div class="sec" id="s-images">${IMAGES}</div>
+      <div class="sec" id="s-imports">${IMPORTS}</div>
+      <div class="sec" id="s-notes">${NOTES}</div>
+      <div class="sec" id="s-accords">${ACCORDS}</div>
+      <div class="sec" id="s-brands">${BRANDS}</div>
       <div class="sec" id="s-content">${CONTENT}</div>
       <div class="sec" id="s-backup">${BACKUP}</div>
       <div class="sec" id="s-activity">${ACTIVITY}</div>
@@ -23,6 +23,9 @@ router.post('/:id', requireAuth, async (req, res, next) => {
             // addFavorite returns null if DB not connected or on error; check if already exists
             const exists = await dataStore.isFavorite(req.user.id, req.params.id);
             if (!exists) {
+                // Perfumes en la papelera no se pueden añadir
+                const perfume = await dataStore.getById(req.params.id).catch(() => null);
+                if (!perfume) return next(new ApiError('Perfume not found', 404));
                 return next(new ApiError('Could not add favorite', 500));
             }
         }
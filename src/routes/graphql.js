@@ -0,0 +1,97 @@
+import express from 'express';
+import { execute, GraphQLError, parse, specifiedRules, validate } from 'graphql';
+import { optionalAuth } from '../middleware/auth.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { costLimit, depthLimit, MAX_QUERY_COST, MAX_QUERY_DEPTH, schema } from '../services/graphqlSchema.js';
+import { createLoaders } from '../services/graphqlLoaders.js';
+
+const router = express.Router();
+
+// Errores de resolvers: los ApiError conservan mensaje, status y details; el resto
+// se registra y sale como error interno, igual que en errorHandler
+const formatError = (error) => {
+    const original = error.originalError;
+    if (!original || original instanceof GraphQLError) return error.toJSON();
+    if (original instanceof ApiError) {
+        return {
+            ...error.toJSON(),
+            extensions: { status: original.statusCode, ...(original.details && { details: original.details }) },
+        };
+    }
+    console.error('GraphQL error:', original.message);
+    return { ...error.toJSON(), message: 'Error interno del servidor' };
+};
+
+const runQuery = async (req, res, next, { query, variables, operationName }) => {
+    try {
+        if (typeof query !== 'string' || !query.trim()) {
+            return next(new ApiError('Falta la consulta GraphQL (query)', 400));
+        }
+        let document;
+        try {
+            document = parse(query);
+        } catch (error) {
+            return res.status(400).json({ errors: [error.toJSON()] });
+        }
+        // El coste depende de las variables (limit: $n), así que las reglas son por petición
+        const errors = validate(schema, document, [
+            ...specifiedRules,
+            depthLimit(MAX_QUERY_DEPTH),
+            costLimit(MAX_QUERY_COST, variables),
+        ]);
+        if (errors.length) {
+            return res.status(400).json({ errors: errors.map((e) => e.toJSON()) });
+        }
+        // GET solo para consultas: las mutaciones no deben viajar en una URL
+        const operation = document.definitions.find((d) => d.kind === 'OperationDefinition'
+            && (!operationName || d.name?.value === operationName));
+        if (req.method === 'GET' && operation && operation.operation !== 'query') {
+            res.set('Allow', 'POST');
+            return next(new ApiError('Solo se admiten consultas por GET; usa POST', 405));
+        }
+
+        const user = req.user || null;
+        const result = await execute({
+            schema,
+            document,
+            variableValues: variables,
+            operationName,
+            contextValue: { user, locale: req.locale, loaders: createLoaders({ user, locale: req.locale }) },
+        });
+        res.json({
+            ...(result.errors && { errors: result.errors.map(formatError) }),
+            data: result.data ?? null,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Variables por GET llegan como JSON en la query string
+const parseVariables = (raw) => {
+    if (raw == null || raw === '') return undefined;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw new ApiError('variables debe ser un objeto JSON', 400);
+    }
+};
+
+// POST /api/graphql — { query, variables, operationName }. Con token Bearer, viewer
+// y isFavorite son del usuario; un token inválido da 401 como en el resto de la API
+router.post('/', optionalAuth, (req, res, next) => runQuery(req, res, next, req.body || {}));
+
+// GET /api/graphql?query=…&variables=… — solo consultas (cacheables por URL)
+router.get('/', optionalAuth, (req, res, next) => {
+    try {
+        runQuery(req, res, next, {
+            query: req.query.query,
+            variables: parseVariables(req.query.variables),
+            operationName: req.query.operationName || undefined,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { dataStore } from '../services/dataStore.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { requireSuperAdmin } from '../middleware/auth.js';
+import { IMAGE_WIDTHS, imagePath, pickWidth } from '../services/imageMirror.js';
+import { imageMirrorStatus, runImageMirror } from '../services/imageMirrorScheduler.js';
+
+const router = express.Router();
+
+const MAX_REQUESTED_WIDTH = 4000;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Ancho pedido en píxeles de pantalla: ?w= (× ?dpr=), o las client hints
+// Sec-CH-Width / Width, que ya vienen en píxeles de pantalla. null = el mayor.
+const requestedWidth = (req) => {
+    const w = parseInt(req.query.w);
+    if (w > 0) {
+        const dpr = Math.min(Math.max(parseFloat(req.query.dpr) || 1, 1), 4);
+        return Math.min(Math.round(w * dpr), MAX_REQUESTED_WIDTH);
+    }
+    const hint = parseInt(req.get('Sec-CH-Width') || req.get('Width'));
+    return hint > 0 ? Math.min(hint, MAX_REQUESTED_WIDTH) : null;
+};
+
+// Copia local en WebP al ancho más cercano por arriba; sin copia (aún no
+// descargada o fallida) o si el cliente no acepta WebP, redirige a la URL original
+const sendImage = async (req, res, url) => {
+    // helmet deja Cross-Origin-Resource-Policy en same-origin; las imágenes se incrustan desde el front
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.vary('Accept');
+    res.vary('Sec-CH-Width');
+    res.vary('Width');
+    const mirrored = req.accepts('image/webp') ? await dataStore.getMirroredImage(url) : null;
+    const redirectToOriginal = () => {
+        res.removeHeader('X-Image-Width');
+        res.set('Cache-Control', 'public, max-age=300');
+        res.redirect(302, url);
+    };
+    if (!mirrored) return redirectToOriginal();
+
+    const width = pickWidth(mirrored.widths, requestedWidth(req));
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.set('X-Image-Width', String(width));
+    res.type('image/webp');
+    res.sendFile(imagePath(mirrored.hash, width), (err) => {
+        // Filas en BD pero archivo perdido (volumen de uploads borrado)
+        if (err && !res.headersSent) redirectToOriginal();
+    });
+};
+
+// GET /api/images/perfumes/:id — imagen del perfume (?w=400&dpr=2)
+router.get('/perfumes/:id', async (req, res, next) => {
+    try {
+        const perfume = UUID_RE.test(req.params.id) && await dataStore.getById(req.params.id);
+        if (!perfume) return next(new ApiError('Perfume no encontrado', 404));
+        if (!perfume.imageUrl) return next(new ApiError('El perfume no tiene imagen', 404));
+        await sendImage(req, res, perfume.imageUrl);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/images/perfumers/:name — foto del perfumista (?w=200)
+router.get('/perfumers/:name', async (req, res, next) => {
+    try {
+        const url = await dataStore.getPerfumerImageUrl(req.params.name);
+        if (!url) return next(new ApiError('El perfumista no tiene imagen', 404));
+        await sendImage(req, res, url);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/images/status — cobertura de las copias locales y última ejecución
+router.get('/status', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const stats = await dataStore.getImageMirrorStats();
+        res.json({ success: true, data: { ...stats, widths: IMAGE_WIDTHS, job: imageMirrorStatus } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/images/mirror — descargar ahora en segundo plano las imágenes pendientes
+// ({ limit, retryFailed: true } para reintentar también las fallidas)
+router.post('/mirror', requireSuperAdmin, (req, res, next) => {
+    if (imageMirrorStatus.running) {
+        return next(new ApiError('Ya hay una descarga de imágenes en curso', 409, { job: imageMirrorStatus }));
+    }
+    const limit = Math.min(Math.max(parseInt(req.body?.limit) || 300, 1), 5000);
+    runImageMirror({ limit, retryFailed: req.body?.retryFailed === true });
+    res.status(202).json({ success: true, message: 'Descarga de imágenes iniciada', data: imageMirrorStatus });
+});
+
+export default router;
@@ -0,0 +1,260 @@
+import express from 'express';
+import multer from 'multer';
+import { randomUUID } from 'crypto';
+import { dataStore } from '../services/dataStore.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { requireSuperAdmin } from '../middleware/auth.js';
+import {
+    FILLABLE_FIELDS,
+    IMPORT_FIELDS,
+    MATCH_STRATEGIES,
+    dryRunReport,
+    fillableChanges,
+    filledFields,
+    parseDataset,
+    planImport,
+    suggestMapping,
+    validateImportOptions,
+} from '../services/datasetImport.js';
+
+const router = express.Router();
+
+const datasetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024, files: 1 },
+    fileFilter: (_req, file, cb) => {
+        const ok = /\.(csv|tsv|txt|json|ndjson|jsonl)$/i.test(file.originalname);
+        cb(ok ? null : new ApiError('Solo se admiten archivos CSV o JSON', 400), ok);
+    },
+});
+
+// ─── Sesiones de importación (en memoria) ────────────────────────────────────
+// Un dataset subido vive aquí mientras se prueba el mapeo; caduca a las 2 h y
+// como mucho se guardan MAX_SESSIONS (la más antigua sale primero).
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_SESSIONS = 5;
+const sessions = new Map();
+
+const pruneSessions = () => {
+    const now = Date.now();
+    for (const [id, s] of sessions) {
+        if (now - s.createdAt > SESSION_TTL_MS && importJob.sessionId !== id) sessions.delete(id);
+    }
+    while (sessions.size >= MAX_SESSIONS) {
+        const oldest = [...sessions.keys()].find((id) => importJob.sessionId !== id || !importJob.running);
+        if (!oldest) break;
+        sessions.delete(oldest);
+    }
+};
+
+const sessionMeta = (s) => ({
+    id: s.id,
+    filename: s.filename,
+    format: s.format,
+    rowCount: s.rows.length,
+    columns: s.columns,
+    createdAt: new Date(s.createdAt).toISOString(),
+    mapping: s.mapping,
+    matchBy: s.matchBy,
+});
+
+// ─── Tracker del job de importación (uno a la vez) ───────────────────────────
+let importJob = {
+    running: false,
+    sessionId: null,
+    filename: null,
+    total: 0,
+    processed: 0,
+    updated: 0,
+    unchanged: 0,
+    unmatched: 0,
+    skipped: 0,
+    failed: 0,
+    fields: {},
+    errors: [],
+    cancelled: false,
+    startedAt: null,
+    completedAt: null,
+};
+
+const MAX_JOB_ERRORS = 50;
+
+// Mapeo y estrategia de un body, con los de la sesión como valores por defecto
+const importOptions = (req, session) => {
+    const options = {
+        mapping: req.body?.mapping ?? session.mapping,
+        matchBy: req.body?.matchBy ?? session.matchBy,
+    };
+    const details = validateImportOptions(options, session.columns);
+    if (details.length) throw new ApiError('Mapeo de columnas no válido', 400, details);
+    return options;
+};
+
+const findSession = (req) => {
+    pruneSessions();
+    const session = sessions.get(req.params.id);
+    if (!session) throw new ApiError('Importación no encontrada o caducada', 404);
+    return session;
+};
+
+async function runImport(session, options, userId) {
+    try {
+        // Índice recién leído: lo que se rellenó desde el dry-run ya no está vacío
+        const index = await dataStore.getImportIndex({ fields: FILLABLE_FIELDS });
+        await planImport(session.rows, options, index, async (r) => {
+            if (importJob.cancelled) return false;
+            importJob.processed++;
+            if (r.status === 'unmatched' || r.status === 'ambiguous') importJob.unmatched++;
+            else if (r.status === 'duplicate') importJob.skipped++;
+            else if (r.status === 'unchanged') importJob.unchanged++;
+            else {
+                try {
+                    // Re-comprobar justo antes de escribir: una edición durante el job gana
+                    const current = await dataStore.getById(r.entry.id);
+                    const { changes } = current
+                        ? fillableChanges(r.record.values, { filled: filledFields(current), lockedFields: current.lockedFields || [] })
+                        : { changes: {} };
+                    if (!Object.keys(changes).length) {
+                        importJob.unchanged++;
+                        return;
+                    }
+                    await dataStore.update(r.entry.id, changes, { source: 'dataset', userId, note: `import ${session.filename}` });
+                    importJob.updated++;
+                    Object.keys(changes).forEach((f) => { importJob.fields[f] = (importJob.fields[f] || 0) + 1; });
+                } catch (err) {
+                    importJob.failed++;
+                    if (importJob.errors.length < MAX_JOB_ERRORS) importJob.errors.push({ row: r.row, perfumeId: r.entry.id, error: err.message });
+                }
+            }
+        });
+    } catch (err) {
+        importJob.errors.push({ error: err.message });
+        console.error('Dataset import job crashed:', err.message);
+    } finally {
+        importJob.running = false;
+        importJob.completedAt = new Date().toISOString();
+        console.log(`📥 Dataset import ${session.filename}: ${importJob.updated} updated, ${importJob.unmatched} unmatched, ${importJob.failed} failed`);
+    }
+}
+
+// POST /api/imports — subir un dataset CSV/JSON (campo `file`); devuelve columnas,
+// muestra y un mapeo sugerido
+router.post('/', requireSuperAdmin, datasetUpload.single('file'), (req, res, next) => {
+    try {
+        if (!req.file) return next(new ApiError('Falta el archivo (campo "file")', 400));
+        let parsed;
+        try {
+            parsed = parseDataset(req.file.buffer, { filename: req.file.originalname, delimiter: req.body?.delimiter || null });
+        } catch (err) {
+            return next(new ApiError(err.message, 400));
+        }
+        pruneSessions();
+        const mapping = suggestMapping(parsed.columns);
+        const session = {
+            id: randomUUID(),
+            filename: req.file.originalname,
+            createdAt: Date.now(),
+            ...parsed,
+            mapping,
+            matchBy: MATCH_STRATEGIES,
+            lastDryRun: null,
+        };
+        sessions.set(session.id, session);
+        res.status(201).json({
+            success: true,
+            data: {
+                ...sessionMeta(session),
+                sample: parsed.rows.slice(0, 5),
+                suggestedMapping: mapping,
+                fields: IMPORT_FIELDS,
+                matchStrategies: MATCH_STRATEGIES,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/imports/job — progreso del job de importación en curso o el último
+router.get('/job', requireSuperAdmin, (req, res) => {
+    res.json({ success: true, data: importJob });
+});
+
+// GET /api/imports/:id — sesión, último dry-run y el job si es de esta sesión
+router.get('/:id', requireSuperAdmin, (req, res, next) => {
+    try {
+        const session = findSession(req);
+        res.json({
+            success: true,
+            data: {
+                ...sessionMeta(session),
+                lastDryRun: session.lastDryRun,
+                job: importJob.sessionId === session.id ? importJob : null,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/imports/:id/dry-run — { mapping, matchBy }: qué se rellenaría, sin escribir nada
+router.post('/:id/dry-run', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const session = findSession(req);
+        const options = importOptions(req, session);
+        const index = await dataStore.getImportIndex({ fields: FILLABLE_FIELDS });
+        const report = await dryRunReport(session.rows, options, index);
+        Object.assign(session, options, { lastDryRun: { ...options, at: new Date().toISOString(), report } });
+        res.json({ success: true, data: report });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/imports/:id/run — lanzar la importación en segundo plano (solo campos vacíos
+// y no bloqueados); seguir el progreso con GET /api/imports/job
+router.post('/:id/run', requireSuperAdmin, (req, res, next) => {
+    try {
+        const session = findSession(req);
+        if (importJob.running) {
+            return next(new ApiError('Ya hay una importación en curso', 409, { job: importJob }));
+        }
+        const options = importOptions(req, session);
+        Object.assign(session, options);
+        importJob = {
+            running: true,
+            sessionId: session.id,
+            filename: session.filename,
+            total: session.rows.length,
+            processed: 0,
+            updated: 0,
+            unchanged: 0,
+            unmatched: 0,
+            skipped: 0,
+            failed: 0,
+            fields: {},
+            errors: [],
+            cancelled: false,
+            startedAt: new Date().toISOString(),
+            completedAt: null,
+        };
+        setImmediate(() => runImport(session, options, req.user.id));
+        res.status(202).json({ success: true, message: 'Importación iniciada', data: importJob });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/imports/:id — descartar el dataset (y cancelar su importación si está en curso)
+router.delete('/:id', requireSuperAdmin, (req, res, next) => {
+    try {
+        const session = findSession(req);
+        if (importJob.running && importJob.sessionId === session.id) importJob.cancelled = true;
+        sessions.delete(session.id);
+        res.json({ success: true, message: 'Importación descartada' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
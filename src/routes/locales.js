@@ -0,0 +1,41 @@
+import express from 'express';
+import { dataStore } from '../services/dataStore.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { requireSuperAdmin } from '../middleware/auth.js';
+import { negotiateLocale } from '../middleware/locale.js';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, TRANSLATABLE_FIELDS } from '../services/localization.js';
+
+const router = express.Router();
+
+// GET /api/locales — idiomas disponibles y el que se negocia para esta petición
+router.get('/', negotiateLocale, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            supported: SUPPORTED_LOCALES,
+            default: DEFAULT_LOCALE,
+            negotiated: req.locale,
+            translatableFields: TRANSLATABLE_FIELDS,
+        },
+    });
+});
+
+// GET /api/locales/missing — traducciones que faltan, por idioma (?locale= para uno solo,
+// ?limit= ejemplos por apartado)
+router.get('/missing', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { locale } = req.query;
+        if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+            return next(new ApiError(`locale debe ser uno de: ${SUPPORTED_LOCALES.join(', ')}`, 400));
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+        const locales = locale ? [locale] : SUPPORTED_LOCALES;
+        const reports = [];
+        for (const l of locales) reports.push(await dataStore.getMissingTranslations(l, { limit }));
+        res.json({ success: true, data: locale ? reports[0] : Object.fromEntries(reports.map((r) => [r.locale, r])) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import { dataStore } from '../services/dataStore.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { requireSuperAdmin } from '../middleware/auth.js';
+import { NOTE_FAMILIES } from '../services/noteTaxonomy.js';
+import { NOTE_PHASES } from '../middleware/validatePerfume.js';
+import { localizeNamed } from '../services/localization.js';
+
+const router = express.Router();
+
+const isHttpUrl = (v) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(v).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Body de POST/PUT: { name, nameEs, family, description, imageUrl, aliases }.
+// Devuelve los campos presentes (null borra) o lanza 400 con `details`.
+const parseNoteBody = (body, { partial }) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError('Request body must be a JSON object', 400);
+    }
+    const details = [];
+    const clean = {};
+    const text = (field, max, { nullable = true } = {}) => {
+        const v = body[field];
+        if (v === undefined) return;
+        if (v === null && nullable) {
+            clean[field] = null;
+        } else if (typeof v !== 'string' || !v.trim() || v.trim().length > max) {
+            details.push({ field, message: `must be a non-empty string of at most ${max} characters` });
+        } else {
+            clean[field] = v.trim();
+        }
+    };
+
+    text('name', 150, { nullable: false });
+    text('nameEs', 150);
+    text('description', 5000);
+    if (body.family !== undefined) {
+        if (body.family === null || Object.hasOwn(NOTE_FAMILIES, body.family)) clean.family = body.family;
+        else details.push({ field: 'family', message: `must be one of ${Object.keys(NOTE_FAMILIES).join(', ')}` });
+    }
+    if (body.imageUrl !== undefined) {
+        if (body.imageUrl === null || (typeof body.imageUrl === 'string' && isHttpUrl(body.imageUrl.trim()))) {
+            clean.imageUrl = body.imageUrl?.trim() ?? null;
+        } else {
+            details.push({ field: 'imageUrl', message: 'must be an http(s) URL' });
+        }
+    }
+    if (body.aliases !== undefined) {
+        if (Array.isArray(body.aliases) && body.aliases.length <= 100
+            && body.aliases.every((a) => typeof a === 'string' && a.trim())) {
+            clean.aliases = body.aliases;
+        } else {
+            details.push({ field: 'aliases', message: 'must be an array of up to 100 non-empty strings' });
+        }
+    }
+    const unknown = Object.keys(body).filter((k) => !['name', 'nameEs', 'family', 'description', 'imageUrl', 'aliases'].includes(k));
+    for (const field of unknown) details.push({ field, message: 'unknown field' });
+    if (!partial && clean.name === undefined && !details.some((d) => d.field === 'name')) {
+        details.push({ field: 'name', message: 'is required' });
+    }
+    if (partial && !details.length && !Object.keys(clean).length) {
+        details.push({ field: null, message: 'no fields to update' });
+    }
+    if (details.length) throw new ApiError('Invalid note payload', 400, details);
+    return clean;
+};
+
+// GET /api/notes — registro de notas canónicas (?family=citrus|none, ?q=, ?sort=name|popular)
+router.get('/', async (req, res, next) => {
+    try {
+        const family = req.query.family || null;
+        if (family && family !== 'none' && !Object.hasOwn(NOTE_FAMILIES, family)) {
+            return next(new ApiError(`family debe ser una de: ${Object.keys(NOTE_FAMILIES).join(', ')}, none`, 400));
+        }
+        const result = await dataStore.getNotes({
+            family,
+            q: req.query.q ? String(req.query.q) : null,
+            sort: req.query.sort === 'popular' ? 'popular' : 'name',
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200),
+        });
+        res.json({ success: true, ...result, data: result.data.map((note) => localizeNamed(note, req.locale)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/notes/families — familias olfativas con su número de notas
+router.get('/families', async (req, res, next) => {
+    try {
+        const families = await dataStore.getNoteFamilies();
+        res.json({ success: true, data: families.map((family) => localizeNamed(family, req.locale)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/notes/sync — mapear al registro las notas de perfumes aún sin mapear
+router.post('/sync', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const result = await dataStore.syncNoteAliases();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/notes — crear una nota canónica
+router.post('/', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const note = await dataStore.createNote(parseNoteBody(req.body, { partial: false }));
+        if (!note) {
+            return next(new ApiError('Ya existe una nota con ese nombre', 409));
+        }
+        res.status(201).json({ success: true, data: note });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/notes/:slug — nota con familia, alias y uso por fase.
+// Acepta también variantes ("bergamota", "calabrian-bergamot").
+router.get('/:slug', async (req, res, next) => {
+    try {
+        const note = await dataStore.getNote(req.params.slug);
+        if (!note) {
+            return next(new ApiError('Nota no encontrada', 404));
+        }
+        res.json({ success: true, data: localizeNamed(note, req.locale) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/notes/:slug/perfumes — perfumes con esa nota (?phase=top|heart|base)
+router.get('/:slug/perfumes', async (req, res, next) => {
+    try {
+        const phase = req.query.phase || null;
+        if (phase && !NOTE_PHASES.includes(phase)) {
+            return next(new ApiError(`phase debe ser una de: ${NOTE_PHASES.join(', ')}`, 400));
+        }
+        const note = await dataStore.getNote(req.params.slug);
+        if (!note) {
+            return next(new ApiError('Nota no encontrada', 404));
+        }
+        const result = await dataStore.getNotePerfumes(note, {
+            phase,
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100),
+        });
+        res.json({
+            success: true,
+            note: localizeNamed({ slug: note.slug, name: note.name, nameEs: note.nameEs, family: note.family }, req.locale),
+            ...result,
+            data: await dataStore.localizePerfumes(result.data, req.locale),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/notes/:slug — editar nota; `aliases` mueve esas variantes a esta nota
+router.put('/:slug', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const note = await dataStore.updateNote(req.params.slug, parseNoteBody(req.body, { partial: true }));
+        if (!note) {
+            return next(new ApiError('Nota no encontrada', 404));
+        }
+        res.json({ success: true, data: note });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,40 +1,131 @@
 import express from 'express';
-import { dataStore } from '../services/dataStore.js';
+import { dataStore, TRACKED_FIELDS } from '../services/dataStore.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import { requireAuth, requireEditor, requireSuperAdmin } from '../middleware/auth.js';
+import { validatePerfume } from '../middleware/validatePerfume.js';
+import { parseCatalogFilters, DEFAULT_FACET_LIMIT } from '../services/catalogFilters.js';
+import { autocompleteIndex, AUTOCOMPLETE_GROUPS } from '../services/autocompleteIndex.js';
+import { resolveSort, parseFields, decodeCursor } from '../services/pagination.js';
+import { trashRetentionDays } from '../services/trashPurgeScheduler.js';
+import { rebuildSimilarityIndex, similarityIndexStatus } from '../services/similarityIndexScheduler.js';
+import { LINE_ROLES } from '../services/productLines.js';
+import { MAX_COMPARE } from '../services/perfumeComparison.js';
+import { OCCASIONS, SEASONS, TIMES, resolveContext } from '../services/contextSuggestions.js';
+import { SCORED_FIELDS } from '../services/catalogStats.js';
+import { SUPPORTED_LOCALES, TRANSLATABLE_FIELDS } from '../services/localization.js';
+import { EXPORT_FORMATS, createExportWriter, exportFieldsFor, parseExportColumns } from '../services/catalogExport.js';
 
 const router = express.Router();
 
-// GET /api/perfumes - Lista con paginación y filtros
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Perfumes en el idioma negociado (?lang= / Accept-Language); sin idioma, tal cual
+const localized = (perfumes, req) => dataStore.localizePerfumes(perfumes, req.locale);
+
+// Opciones de listado compartidas: orden, cursor (keyset) y fieldset (?fields=name,brand).
+// Con idioma, ?fields=description trae también lo necesario para localizarla.
+const parseListingOptions = (query, defaultSort = 'createdAt', locale = null) => {
+    const sort = resolveSort(query.sortBy || defaultSort, query.order);
+    const { fields, unknown } = parseFields(query.fields);
+    if (unknown.length) {
+        throw new ApiError(`Campos desconocidos: ${unknown.join(', ')}`, 400);
+    }
+    if (locale && fields?.includes('description')) fields.push('descriptionLocale', 'translations');
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor, { sortBy: sort.key, dir: sort.dir });
+        if (!cursor) throw new ApiError('Cursor inválido o emitido para otro orden', 400);
+    }
+    return {
+        page: Math.max(parseInt(query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(query.limit) || 12, 1), 100),
+        sortBy: sort.key,
+        order: sort.dir.toLowerCase(),
+        cursor,
+        fields,
+    };
+};
+
+// GET /api/perfumes - Lista con paginación y filtros facetados. Los conteos por
+// faceta son opcionales (?facets=true): cuestan una agregación por dimensión sobre
+// todo el catálogo. ?facetLimit=N limita valores por faceta.
+// ?cursor=<pagination.nextCursor> pagina por keyset (sin COUNT); ?fields= limita columnas
 router.get('/', async (req, res, next) => {
     try {
-        const {
-            page = 1,
-            limit = 12,
-            brand,
-            gender,
-            search,
-            sortBy,
-        } = req.query;
-
-        const result = await dataStore.getAll({
-            page: parseInt(page),
-            limit: parseInt(limit),
-            brand,
-            gender,
-            search,
-            sortBy,
+        const { facets, facetLimit } = req.query;
+        const listing = parseListingOptions(req.query, 'createdAt', req.locale);
+        const filters = parseCatalogFilters(req.query);
+        const wantFacets = facets === 'true' || facets === '1';
+
+        const [result, facetCounts] = await Promise.all([
+            dataStore.getAll({ ...listing, ...filters }),
+            wantFacets
+                ? dataStore.getFacets(filters, {
+                    limit: Math.min(Math.max(parseInt(facetLimit) || DEFAULT_FACET_LIMIT, 1), 200),
+                })
+                : null,
+        ]);
+
+        res.json({
+            success: true,
+            ...result,
+            data: await localized(result.data, req),
+            ...(facetCounts && { facets: facetCounts }),
         });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        res.json({ success: true, ...result });
+// GET /api/perfumes/export - Descarga del catálogo en CSV, NDJSON o XLSX
+// (?format=, ?columns=), con los mismos filtros y orden que el listado. Se
+// escribe por lotes mientras se lee, sin cargar la tabla entera.
+router.get('/export', requireEditor, async (req, res, next) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!EXPORT_FORMATS[format]) {
+            return next(new ApiError(`format debe ser uno de: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400));
+        }
+        const { columns, unknown } = parseExportColumns(req.query.columns);
+        if (unknown.length) return next(new ApiError(`Columnas desconocidas: ${unknown.join(', ')}`, 400));
+        if (!columns.length) return next(new ApiError('columns no puede estar vacío', 400));
+        const sort = resolveSort(req.query.sortBy || 'name', req.query.order);
+
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        res.attachment(`perfumes-${new Date().toISOString().slice(0, 10)}.${extension}`);
+        res.set('Content-Type', contentType);
+        const writer = createExportWriter(format, res, columns);
+        await writer.start();
+        // Se deja de leer si el cliente corta la descarga
+        const exported = await dataStore.exportCatalog(
+            { ...parseCatalogFilters(req.query), sortBy: sort.key, order: sort.dir, fields: exportFieldsFor(columns) },
+            async (perfumes) => {
+                if (res.destroyed) return false;
+                await writer.write(perfumes);
+                return true;
+            }
+        );
+        await writer.end();
+        console.log(`📤 Export ${format}: ${exported} perfume(s), ${columns.length} column(s)`);
     } catch (error) {
+        // Ya se enviaron cabeceras: solo queda cortar la respuesta
+        if (res.headersSent) {
+            console.error('❌ Export failed:', error.message);
+            return res.destroy();
+        }
         next(error);
     }
 });
 
-// GET /api/perfumes/stats - Estadísticas
+// GET /api/perfumes/stats - Estadísticas del catálogo: lanzamientos por año/década,
+// concentraciones, notas y acordes más usados, valoración por marca, perfumistas
+// y completitud de datos. ?brand= y ?perfumer= limitan el ámbito (cache 10 min)
 router.get('/stats', async (req, res, next) => {
     try {
-        const stats = await dataStore.getStats();
+        const stats = await dataStore.getCatalogStats({
+            brand: req.query.brand ? String(req.query.brand).trim() || null : null,
+            perfumer: req.query.perfumer ? String(req.query.perfumer).trim() || null : null,
+        });
         res.json({ success: true, data: stats });
     } catch (error) {
         next(error);
@@ -51,7 +142,102 @@ router.get('/brands', async (req, res, next) => {
     }
 });
 
+// GET /api/perfumes/compare?ids=a,b,c — comparativa de 2-3 perfumes: notas
+// compartidas / únicas por fase, acordes con su posición, longevidad, estela y
+// estaciones lado a lado, y la puntuación de similitud de cada par
+router.get('/compare', async (req, res, next) => {
+    try {
+        // En minúsculas, como los devuelve Postgres: así se deduplican y se encuentran
+        const ids = [...new Set(String(req.query.ids || '').split(',').map((id) => id.trim().toLowerCase()).filter(Boolean))];
+        if (ids.length < 2 || ids.length > MAX_COMPARE) {
+            return next(new ApiError(`ids debe contener entre 2 y ${MAX_COMPARE} ids distintos separados por comas`, 400));
+        }
+        const invalid = ids.filter((id) => !UUID_RE.test(id));
+        if (invalid.length) {
+            return next(new ApiError('Perfume no encontrado', 404, { ids: invalid }));
+        }
+        const comparison = await dataStore.comparePerfumes(ids);
+        if (!comparison) {
+            return next(new ApiError('Alguno de los perfumes no existe', 404));
+        }
+        res.json({ success: true, data: comparison });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Query de /suggestions → contexto validado, o lanza 400 con `details`
+const parseSuggestionContext = (query) => {
+    const details = [];
+    const oneOf = (field, values) => {
+        const v = query[field];
+        if (v === undefined || v === '') return null;
+        if (values.includes(v)) return v;
+        details.push({ field, message: `debe ser uno de: ${values.join(', ')}` });
+        return null;
+    };
+    const number = (field, min, max) => {
+        const v = query[field];
+        if (v === undefined || v === '') return null;
+        const n = Number(v);
+        if (Number.isFinite(n) && n >= min && n <= max) return n;
+        details.push({ field, message: `debe ser un número entre ${min} y ${max}` });
+        return null;
+    };
+    const context = {
+        season: oneOf('season', SEASONS),
+        time: oneOf('time', TIMES),
+        temperature: number('temperature', -40, 55),
+        humidity: number('humidity', 0, 100),
+        occasion: oneOf('occasion', Object.keys(OCCASIONS)),
+        hemisphere: oneOf('hemisphere', ['north', 'south']) || 'north',
+    };
+    if (details.length) throw new ApiError('Contexto de sugerencia no válido', 400, details);
+    return context;
+};
+
+// ?favorites=true needs a logged-in user; otherwise the endpoint is public
+const authForFavorites = (req, res, next) => (req.query.favorites === 'true' ? requireAuth(req, res, next) : next());
+
+// GET /api/perfumes/suggestions — qué ponerse hoy: ranking por estación, día/noche,
+// temperatura/humedad (°C, %) y ocasión. ?favorites=true limita a la colección del usuario
+router.get('/suggestions', authForFavorites, async (req, res, next) => {
+    try {
+        const resolved = resolveContext(parseSuggestionContext(req.query));
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const data = await dataStore.getContextSuggestions(resolved, {
+            userId: req.query.favorites === 'true' ? req.user.id : null,
+            limit,
+        });
+        res.json({ success: true, context: resolved.context, count: data.length, data: await localized(data, req) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/perfumes/autocomplete?q=ave — sugerencias agrupadas para el buscador
+// (perfumes, marcas, perfumistas, notas) servidas desde el índice de prefijos en memoria
+router.get('/autocomplete', async (req, res, next) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+        const types = req.query.types
+            ? String(req.query.types).split(',').filter((t) => AUTOCOMPLETE_GROUPS.includes(t))
+            : AUTOCOMPLETE_GROUPS;
+
+        if (!q) {
+            return next(new ApiError('Parámetro q requerido', 400));
+        }
+
+        const data = await autocompleteIndex.suggest(q, { limit, types });
+        res.json({ success: true, query: q, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // GET /api/perfumes/search - Búsqueda
+// Ranking por relevancia, sin acentos y tolerante a erratas; `suggestions` si no hay resultados
 router.get('/search', async (req, res, next) => {
     try {
         const { q, page = 1, limit = 12 } = req.query;
@@ -63,23 +249,29 @@ router.get('/search', async (req, res, next) => {
             });
         }
 
-        const result = await dataStore.getAll({
-            page: parseInt(page),
-            limit: parseInt(limit),
-            search: q,
+        const result = await dataStore.search({
+            q,
+            page: Math.max(parseInt(page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit) || 12, 1), 100),
         });
 
-        res.json({ success: true, ...result });
+        res.json({ success: true, ...result, data: await localized(result.data, req) });
     } catch (error) {
         next(error);
     }
 });
 
 // GET /api/perfumes/brand/:brand - Por marca
+// Sin ?limit ni ?cursor devuelve la lista completa (comportamiento original)
 router.get('/brand/:brand', async (req, res, next) => {
     try {
-        const perfumes = await dataStore.getByBrand(req.params.brand);
-        res.json({ success: true, data: perfumes });
+        const listing = parseListingOptions(req.query, 'name', req.locale);
+        if (req.query.limit || req.query.cursor) {
+            const result = await dataStore.getAll({ ...listing, brands: [req.params.brand] });
+            return res.json({ success: true, ...result, data: await localized(result.data, req) });
+        }
+        const perfumes = await dataStore.getByBrand(req.params.brand, { fields: listing.fields });
+        res.json({ success: true, data: await localized(perfumes, req) });
     } catch (error) {
         next(error);
     }
@@ -112,17 +304,157 @@ router.get('/perfumer/:name/brand/:brand', async (req, res, next) => {
             decodeURIComponent(req.params.name),
             decodeURIComponent(req.params.brand)
         );
-        res.json({ success: true, data: perfumes });
+        res.json({ success: true, data: await localized(perfumes, req) });
     } catch (error) {
         next(error);
     }
 });
 
 // GET /api/perfumes/perfumer/:name — perfumes by a specific perfumer
+// (paginated with ?limit / ?cursor, like /brand/:brand)
 router.get('/perfumer/:name', async (req, res, next) => {
     try {
-        const perfumes = await dataStore.getByPerfumer(decodeURIComponent(req.params.name));
-        res.json({ success: true, data: perfumes });
+        const name = decodeURIComponent(req.params.name);
+        const listing = parseListingOptions(req.query, 'name', req.locale);
+        if (req.query.limit || req.query.cursor) {
+            const result = await dataStore.getAll({ ...listing, perfumer: [name] });
+            return res.json({ success: true, ...result, data: await localized(result.data, req) });
+        }
+        const perfumes = await dataStore.getByPerfumer(name, { fields: listing.fields });
+        res.json({ success: true, data: await localized(perfumes, req) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ─── Papelera ────────────────────────────────────────────────────────────────
+// DELETE mueve a la papelera; los favoritos se conservan y vuelven al restaurar.
+// Lo que lleva más de TRASH_RETENTION_DAYS se purga a diario (trashPurgeScheduler).
+
+// GET /api/perfumes/trash — perfumes eliminados (?reason=manual|duplicate|reset|url-migration)
+router.get('/trash', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const result = await dataStore.getTrash({ page, limit, reason: req.query.reason || null });
+        res.json({ success: true, ...result, retentionDays: trashRetentionDays() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/perfumes/trash/purge — borrado definitivo. Body: { olderThanDays?=0, ids? }
+router.post('/trash/purge', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { olderThanDays = 0, ids = null } = req.body || {};
+        if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+            return next(new ApiError('olderThanDays debe ser un entero >= 0', 400));
+        }
+        if (ids !== null && (!Array.isArray(ids) || !ids.every((id) => UUID_RE.test(id)))) {
+            return next(new ApiError('ids debe ser un array de UUIDs', 400));
+        }
+        const result = await dataStore.purgeTrash({ olderThanDays, ids });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/perfumes/similarity/status — cobertura del índice de similitud y última reconstrucción
+router.get('/similarity/status', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const stats = await dataStore.getSimilarityIndexStats();
+        res.json({ success: true, data: { ...stats, build: similarityIndexStatus } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/perfumes/similarity/rebuild — reconstruir el índice en segundo plano.
+// Body: { onlyMissing?=false }
+router.post('/similarity/rebuild', requireSuperAdmin, async (req, res, next) => {
+    try {
+        if (!dataStore.isConnected()) {
+            return next(new ApiError('El índice de similitud requiere base de datos', 503));
+        }
+        if (similarityIndexStatus.running) {
+            return next(new ApiError('Ya hay una reconstrucción en curso', 409, { build: similarityIndexStatus }));
+        }
+        rebuildSimilarityIndex({ onlyMissing: req.body?.onlyMissing === true });
+        res.status(202).json({ success: true, message: 'Reconstrucción iniciada', data: similarityIndexStatus });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ─── Calidad de datos ────────────────────────────────────────────────────────
+// completeness_score (0-100) se guarda en cada perfume; pesos en catalogStats.js.
+
+const QUALITY_BRAND_SORTS = ['score', 'perfumes', 'incomplete'];
+
+// GET /api/perfumes/quality — puntuación media, reparto y campos que más faltan (?brand=)
+router.get('/quality', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const data = await dataStore.getQualityOverview({ brand: req.query.brand || null });
+        res.json({ success: true, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/perfumes/quality/brands — calidad por marca (?sort=score|perfumes|incomplete)
+router.get('/quality/brands', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const sort = req.query.sort || 'score';
+        if (!QUALITY_BRAND_SORTS.includes(sort)) {
+            return next(new ApiError(`sort debe ser uno de: ${QUALITY_BRAND_SORTS.join(', ')}`, 400));
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const result = await dataStore.getQualityByBrand({ sort, page, limit });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/perfumes/quality/targets — perfumes a completar, peor puntuación y más vistos primero
+// (?field=, ?brand=, ?maxScore=99, ?withSourceUrl=true)
+router.get('/quality/targets', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { field = null, brand = null } = req.query;
+        if (field && !SCORED_FIELDS.includes(field)) {
+            return next(new ApiError(`field debe ser uno de: ${SCORED_FIELDS.join(', ')}`, 400));
+        }
+        const maxScore = req.query.maxScore === undefined ? 99 : parseInt(req.query.maxScore);
+        if (!Number.isInteger(maxScore) || maxScore < 0 || maxScore > 100) {
+            return next(new ApiError('maxScore debe ser un entero entre 0 y 100', 400));
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const result = await dataStore.getEnrichmentTargets({
+            limit, page, maxScore, brand,
+            fields: field ? [field] : null,
+            withSourceUrl: req.query.withSourceUrl === 'true',
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/perfumes/:id/restore — saca un perfume de la papelera
+router.post('/:id/restore', requireSuperAdmin, async (req, res, next) => {
+    try {
+        if (!UUID_RE.test(req.params.id)) {
+            return next(new ApiError('Perfume no encontrado en la papelera', 404));
+        }
+        const perfume = await dataStore.restore(req.params.id);
+        if (!perfume) {
+            return next(new ApiError('Perfume no encontrado en la papelera', 404));
+        }
+        autocompleteIndex.invalidate();
+        res.json({ success: true, data: perfume });
     } catch (error) {
         next(error);
     }
@@ -137,7 +469,165 @@ router.get('/:id/similar', async (req, res, next) => {
         const minSharedNotes = Math.max(parseInt(req.query.minSharedNotes) || 2, 1);
         const minSharedAccords = Math.max(parseInt(req.query.minSharedAccords) || 3, 1);
         const similar = await dataStore.getSimilarByNotes(req.params.id, { limit, minSharedNotes, minSharedAccords });
-        res.json({ success: true, count: similar.length, data: similar });
+        res.json({ success: true, count: similar.length, data: await localized(similar, req) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/perfumes/:id/family — línea del perfume con todas sus versiones
+// (original, variantes de concentración y flankers) para "Otras versiones"
+router.get('/:id/family', async (req, res, next) => {
+    try {
+        const family = UUID_RE.test(req.params.id) && await dataStore.getPerfumeFamily(req.params.id);
+        if (!family) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        res.json({ success: true, data: { ...family, members: await localized(family.members, req) } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT /api/perfumes/:id/family — override manual: { line: "Sauvage", role: "flanker" }
+// fija el perfume en esa línea; { line: null } lo saca de cualquier línea
+router.put('/:id/family', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { line, role = 'flanker' } = req.body || {};
+        if (line !== null && (typeof line !== 'string' || !line.trim() || line.trim().length > 255)) {
+            return next(new ApiError('line debe ser un nombre de línea (máx. 255 caracteres) o null', 400));
+        }
+        if (line !== null && !LINE_ROLES.includes(role)) {
+            return next(new ApiError(`role debe ser uno de: ${LINE_ROLES.join(', ')}`, 400));
+        }
+        if (!UUID_RE.test(req.params.id)) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        const family = await dataStore.setPerfumeLine(req.params.id, line && { name: line.trim(), role });
+        if (!family) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        res.json({ success: true, data: family });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/perfumes/:id/family — quitar el override y volver a la detección automática
+router.delete('/:id/family', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const family = UUID_RE.test(req.params.id) && await dataStore.clearPerfumeLine(req.params.id);
+        if (!family) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        res.json({ success: true, data: family });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/perfumes/:id/revisions — historial de cambios (diff por campo y origen).
+// Solo EDITOR / SUPERADMIN: incluye quién hizo cada cambio y notas internas
+router.get('/:id/revisions', requireEditor, async (req, res, next) => {
+    try {
+        if (!UUID_RE.test(req.params.id)) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const { total, data } = await dataStore.getRevisions(req.params.id, {
+            limit,
+            offset: (page - 1) * limit,
+        });
+        res.json({
+            success: true,
+            data,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/perfumes/:id/revisions/:revisionId/revert — restaura el estado de esa revisión
+router.post('/:id/revisions/:revisionId/revert', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const revisionId = parseInt(req.params.revisionId);
+        if (!UUID_RE.test(req.params.id) || !revisionId) {
+            return next(new ApiError('Revisión no encontrada', 404));
+        }
+        const result = await dataStore.revertToRevision(req.params.id, revisionId, { userId: req.user.id });
+        if (!result) {
+            return next(new ApiError('Revisión no encontrada', 404));
+        }
+        res.json({ success: true, data: result.perfume, restoredFields: result.restoredFields });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PATCH /api/perfumes/:id/locks — { lock: ['notes'], unlock: ['rating'] }
+// Los campos bloqueados no los sobrescriben scrape, Algolia, IA ni el backfill del dataset
+router.patch('/:id/locks', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { lock = [], unlock = [] } = req.body || {};
+        if (!Array.isArray(lock) || !Array.isArray(unlock)) {
+            return next(new ApiError('lock y unlock deben ser arrays de campos', 400));
+        }
+        const unknown = [...lock, ...unlock].filter((f) => !TRACKED_FIELDS.includes(f));
+        if (unknown.length) {
+            return next(new ApiError(`Campos no bloqueables: ${unknown.join(', ')}`, 400));
+        }
+        if (!UUID_RE.test(req.params.id)) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+
+        const lockedFields = await dataStore.setLockedFields(req.params.id, { lock, unlock });
+        if (!lockedFields) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        res.json({ success: true, data: { id: req.params.id, lockedFields } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/perfumes/:id/merge — fusiona duplicados en este perfume.
+// Body: { duplicateIds: [uuid], prefer?: { campo: idDelQueTomarlo } }
+// Mejor valor por campo, favoritos y actividad pasan al superviviente, las URLs
+// de los duplicados quedan como alias y los duplicados van a la papelera.
+router.post('/:id/merge', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const { duplicateIds } = req.body || {};
+        const prefer = req.body?.prefer ?? {};
+        const survivorId = req.params.id;
+        if (!UUID_RE.test(survivorId)) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+        if (!Array.isArray(duplicateIds) || !duplicateIds.length || duplicateIds.length > 20
+            || !duplicateIds.every((id) => typeof id === 'string' && UUID_RE.test(id))) {
+            return next(new ApiError('duplicateIds debe ser un array de 1 a 20 UUIDs', 400));
+        }
+        if (duplicateIds.includes(survivorId) || new Set(duplicateIds).size !== duplicateIds.length) {
+            return next(new ApiError('duplicateIds no puede repetir ids ni incluir el perfume destino', 400));
+        }
+        if (typeof prefer !== 'object' || Array.isArray(prefer)) {
+            return next(new ApiError('prefer debe ser un objeto { campo: id }', 400));
+        }
+        const ids = [survivorId, ...duplicateIds];
+        const badPrefer = Object.entries(prefer).filter(([field, id]) =>
+            !TRACKED_FIELDS.includes(field) || field === 'sourceUrl' || !ids.includes(id));
+        if (badPrefer.length) {
+            return next(new ApiError(`prefer inválido: ${badPrefer.map(([field]) => field).join(', ')}`, 400));
+        }
+
+        const result = await dataStore.mergePerfumes(survivorId, duplicateIds, { userId: req.user.id, prefer });
+        if (!result) {
+            return next(new ApiError('Alguno de los perfumes no existe o está en la papelera', 404));
+        }
+        autocompleteIndex.invalidate();
+        const { perfume, ...merge } = result;
+        res.json({ success: true, data: perfume, merge });
     } catch (error) {
         next(error);
     }
@@ -151,44 +641,124 @@ router.get('/:id', async (req, res, next) => {
             return next(new ApiError('Perfume no encontrado', 404));
         }
 
-        res.json({ success: true, data: perfume });
+        const [data] = await localized([perfume], req);
+        res.json({ success: true, data });
     } catch (error) {
         next(error);
     }
 });
 
-// POST /api/perfumes - Crear manualmente
-router.post('/', (req, res, next) => {
-    const { name, brand } = req.body;
+// Unique violation (source_url) → 409 instead of a generic 500
+const conflictOr = (error) =>
+    error.code === '23505'
+        ? new ApiError('Ya existe un perfume con esa sourceUrl', 409)
+        : error;
 
-    if (!name || !brand) {
-        return next(new ApiError('Nombre y marca son requeridos', 400));
-    }
+// POST /api/perfumes - Crear manualmente (EDITOR / SUPERADMIN)
+router.post('/', requireEditor, validatePerfume(), async (req, res, next) => {
+    try {
+        // add() hace upsert por source_url: aquí una URL repetida es un conflicto
+        const existing = req.body.sourceUrl && await dataStore.getBySourceUrl(req.body.sourceUrl);
+        if (existing) {
+            return next(new ApiError(
+                existing.deletedAt
+                    ? 'Ya existe un perfume con esa sourceUrl en la papelera; restáuralo'
+                    : 'Ya existe un perfume con esa sourceUrl',
+                409,
+                { id: existing.id }
+            ));
+        }
 
-    const perfume = dataStore.add(req.body);
-    res.status(201).json({ success: true, data: perfume });
+        const perfume = await dataStore.add(req.body, { source: 'user', userId: req.user.id });
+        res.status(201).json({ success: true, data: perfume });
+    } catch (error) {
+        next(conflictOr(error));
+    }
 });
 
-// PUT /api/perfumes/:id - Actualizar
-router.put('/:id', (req, res, next) => {
-    const perfume = dataStore.update(req.params.id, req.body);
+// PUT /api/perfumes/:id - Actualizar (parcial; EDITOR / SUPERADMIN)
+router.put('/:id', requireEditor, validatePerfume({ partial: true }), async (req, res, next) => {
+    try {
+        if (!UUID_RE.test(req.params.id)) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+
+        const perfume = await dataStore.update(req.params.id, req.body, { source: 'user', userId: req.user.id });
 
-    if (!perfume) {
-        return next(new ApiError('Perfume no encontrado', 404));
-    }
+        if (!perfume) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
 
-    res.json({ success: true, data: perfume });
+        res.json({ success: true, data: perfume });
+    } catch (error) {
+        next(conflictOr(error));
+    }
 });
 
-// DELETE /api/perfumes/:id - Eliminar
-router.delete('/:id', (req, res, next) => {
-    const deleted = dataStore.delete(req.params.id);
+// PUT /api/perfumes/:id/translations/:locale — traducción de un perfume (EDITOR / SUPERADMIN).
+// Body: { description } (null la quita). La descripción original no se toca.
+router.put('/:id/translations/:locale', requireEditor, async (req, res, next) => {
+    try {
+        const { locale } = req.params;
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            return next(new ApiError(`locale debe ser uno de: ${SUPPORTED_LOCALES.join(', ')}`, 400));
+        }
+        const body = req.body;
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return next(new ApiError('Request body must be a JSON object', 400));
+        }
+        const details = Object.entries(body).flatMap(([field, value]) => {
+            if (!TRANSLATABLE_FIELDS.includes(field)) return [{ field, message: 'unknown field' }];
+            if (value !== null && (typeof value !== 'string' || value.trim().length > 20000)) {
+                return [{ field, message: 'must be a string of at most 20000 characters, or null' }];
+            }
+            return [];
+        });
+        if (!Object.keys(body).length) details.push({ field: null, message: 'no fields to update' });
+        if (details.length) {
+            return next(new ApiError('Invalid translation payload', 400, details));
+        }
+        const perfume = UUID_RE.test(req.params.id) && await dataStore.getById(req.params.id);
+        if (!perfume) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+
+        const entry = { ...perfume.translations?.[locale] };
+        for (const [field, value] of Object.entries(body)) {
+            if (value === null || !value.trim()) delete entry[field];
+            else entry[field] = value.trim();
+        }
+        const translations = { ...perfume.translations };
+        if (Object.keys(entry).length) translations[locale] = entry;
+        else delete translations[locale];
 
-    if (!deleted) {
-        return next(new ApiError('Perfume no encontrado', 404));
+        const updated = await dataStore.update(req.params.id, { translations }, {
+            source: 'user', userId: req.user.id, note: `translation (${locale})`,
+        });
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        next(error);
     }
+});
+
+// DELETE /api/perfumes/:id - Mover a la papelera (EDITOR / SUPERADMIN)
+router.delete('/:id', requireEditor, async (req, res, next) => {
+    try {
+        if (!UUID_RE.test(req.params.id)) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
 
-    res.json({ success: true, message: 'Perfume eliminado' });
+        const deleted = await dataStore.delete(req.params.id, { userId: req.user.id });
+
+        if (!deleted) {
+            return next(new ApiError('Perfume no encontrado', 404));
+        }
+
+        autocompleteIndex.invalidate();
+        res.json({ success: true, message: 'Perfume movido a la papelera' });
+    } catch (error) {
+        next(error);
+    }
 });
 
 export default router;
@@ -147,7 +147,7 @@ router.get('/perfume', requireSuperAdmin, scrapeLimiter, async (req, res, next)
         }
 
         if (save === 'true' && perfume) {
-            await dataStore.add(perfume);
+            await dataStore.add(perfume, { source: usedSource, userId: req.user?.id });
             console.log(`💾 Perfume guardado: ${perfume.name}`);
         }
 
@@ -250,9 +250,9 @@ router.post('/enrich-ai', requireSuperAdmin, async (req, res, next) => {
 
         if (save && enriched.aiEnriched) {
             if (perfume.id && await dataStore.getById(perfume.id).catch(() => null)) {
-                await dataStore.update(perfume.id, enriched);
+                await dataStore.update(perfume.id, enriched, { source: 'ai', userId: req.user?.id });
             } else {
-                await dataStore.add(enriched);
+                await dataStore.add(enriched, { source: 'ai', userId: req.user?.id });
             }
         }
 
@@ -279,14 +279,22 @@ router.post('/enrich-ai/bulk', requireSuperAdmin, async (req, res, next) => {
             return res.json({ success: false, error: 'Bulk enrichment already running', job: enrichBulkJob });
         }
         const { limit = 50, minConfidence, fields, provider, model } = req.body || {};
+        const targetFields = Array.isArray(fields) && fields.length
+            ? fields.filter((f) => ENRICHABLE_FIELDS.includes(f))
+            : ENRICHABLE_FIELDS;
+        if (!targetFields.length) {
+            return next(new ApiError(`No enrichable fields requested. Valid fields: ${ENRICHABLE_FIELDS.join(', ')}`, 400));
+        }
 
         const active = await getActiveProvider().catch(() => null);
         if (!active && !(provider && req.body?.apiKey)) {
             return next(new ApiError('No active AI provider configured', 503));
         }
 
-        // Perfumes with empty notes are the enrichment targets
-        const candidates = await dataStore.getIncomplete({ limit: parseInt(limit) }).catch(() => []);
+        // Lowest completeness score and most viewed first, among perfumes missing
+        // something the AI can fill
+        const { data: targets } = await dataStore.getEnrichmentTargets({ limit: parseInt(limit) || 50, fields: targetFields });
+        const candidates = targets.map(({ missingFields: _missing, views: _views, priority: _priority, ...p }) => p);
         if (!candidates.length) {
             return res.json({ success: true, message: 'No incomplete perfumes found', job: enrichBulkJob });
         }
@@ -303,7 +311,7 @@ router.post('/enrich-ai/bulk', requireSuperAdmin, async (req, res, next) => {
                 try {
                     const enriched = await enrichPerfumeWithAI(p, { minConfidence, fields, provider, model });
                     if (enriched.aiEnriched) {
-                        await dataStore.update(p.id, enriched);
+                        await dataStore.update(p.id, enriched, { source: 'ai', note: 'bulk AI enrichment' });
                         enrichBulkJob.enriched++;
                     } else {
                         enrichBulkJob.skipped++;
@@ -371,7 +379,7 @@ router.post('/batch', requireSuperAdmin, async (req, res, next) => {
                 const perfume = await scrapePerfume(url);
 
                 if (save && perfume) {
-                    await dataStore.add(perfume);
+                    await dataStore.add(perfume, { source: 'scrape', userId: req.user?.id });
                 }
 
                 results.push({ url, success: true, data: perfume });
@@ -427,9 +435,9 @@ router.post('/migrate-source-urls', requireSuperAdmin, async (req, res, next) =>
         const all = await dataStore.getAllForUrlMigration();
         let updated = 0, deletedDuplicates = 0, skipped = 0, unmapped = 0, alreadyEs = 0;
 
-        for (const { id, brand, name, sourceUrl } of all) {
+        for (const { id, brand, name, sourceUrl, objectId } of all) {
             if (sourceUrl.startsWith(ES_PERFUME_PREFIX)) { alreadyEs++; continue; }
-            const oid = extractObjectIdFromUrl(sourceUrl);
+            const oid = objectId || extractObjectIdFromUrl(sourceUrl);
             if (!oid) { unmapped++; continue; }
             // Reconstruct canonical .es URL from stored brand+name (no Algolia).
             // Fragrantica resolves by the trailing objectID, so the slug need not be
@@ -438,7 +446,7 @@ router.post('/migrate-source-urls', requireSuperAdmin, async (req, res, next) =>
             if (!newUrl || newUrl === sourceUrl) { skipped++; continue; }
             const result = await dataStore.migrateSourceUrl(id, newUrl);
             if (result === 'updated') updated++;
-            else if (result === 'conflict') { await dataStore.delete(id); deletedDuplicates++; }
+            else if (result === 'conflict') { await dataStore.delete(id, { userId: req.user?.id, reason: 'url-migration' }); deletedDuplicates++; }
         }
 
         res.json({
@@ -479,7 +487,7 @@ router.post('/apply-source-urls', requireSuperAdmin, async (req, res, next) => {
             if (!id || !url) { skipped++; continue; }
             const result = await dataStore.migrateSourceUrl(id, url);
             if (result === 'updated') updated++;
-            else if (result === 'conflict') { await dataStore.delete(id); deletedDuplicates++; }
+            else if (result === 'conflict') { await dataStore.delete(id, { userId: req.user?.id, reason: 'url-migration' }); deletedDuplicates++; }
             else skipped++;
         }
         res.json({ success: true, applied: mappings.length, updated, deletedDuplicates, skipped });
@@ -549,7 +557,7 @@ router.post('/brands', requireSuperAdmin, async (req, res, next) => {
             return next(new ApiError('Maximum 20 brands per request', 400));
         }
 
-        const existingUrls = new Set(await dataStore.getAllSourceUrls().catch(() => []));
+        const existingUrls = await dataStore.getKnownUrlSet().catch(() => new Set());
         const results = [];
         let totalQueued = 0;
         let totalSkipped = 0;
@@ -641,7 +649,7 @@ router.post('/brands/bulk', requireSuperAdmin, async (req, res) => {
 
     // Run in background
     setImmediate(async () => {
-        const existingUrls = new Set(await dataStore.getAllSourceUrls().catch(() => []));
+        const existingUrls = await dataStore.getKnownUrlSet().catch(() => new Set());
         const limit = parseInt(limitPerBrand) || 500;
 
         for (const brand of cleanBrands) {
@@ -877,15 +885,14 @@ router.post('/queue/check', requireSuperAdmin, async (req, res, next) => {
         // Filter valid URLs
         const validUrls = urls.filter((url) => isValidUrl(url));
 
-        // Get existing perfume URLs
-        let existingUrls = [];
+        // Get existing perfume URLs (matches .com/.es variants by objectID)
+        let existingSet = new Set();
         try {
-            existingUrls = await dataStore.getAllSourceUrls();
+            existingSet = await dataStore.getKnownUrlSet();
         } catch (error) {
             console.warn('Could not fetch existing URLs:', error.message);
         }
 
-        const existingSet = new Set(existingUrls);
         const existing = validUrls.filter((url) => existingSet.has(url));
         const newUrls = validUrls.filter((url) => !existingSet.has(url));
 
@@ -918,8 +925,7 @@ router.post('/queue', requireSuperAdmin, async (req, res, next) => {
         // Get existing perfume URLs to avoid duplicates
         let existingUrls = new Set();
         try {
-            const existing = await dataStore.getAllSourceUrls();
-            existingUrls = new Set(existing);
+            existingUrls = await dataStore.getKnownUrlSet();
         } catch (error) {
             console.warn(
                 'Could not fetch existing URLs, proceeding without duplicate check:',
@@ -1154,7 +1160,6 @@ async function scrapeWorker(workerId) {
                 // Chromium spikes CPU.
                 throw new Error('INVALID_DATA: not found in Algolia (no scraping proxy configured)');
             }
-            void dataSource;
 
             if (perfume) {
                 // Match an existing row by objectID (handles .com↔.es URL drift) so
@@ -1164,10 +1169,17 @@ async function scrapeWorker(workerId) {
                     ? await dataStore.getByObjectId(oid).catch(() => null)
                     : await dataStore.getBySourceUrl(url).catch(() => null);
                 if (existing) {
-                    await dataStore.update(existing.id, perfume);
+                    // A mirror URL (.com vs .es) keeps the stored canonical URL and is remembered
+                    const mirror = existing.sourceUrl && existing.sourceUrl !== url;
+                    await dataStore.update(
+                        existing.id,
+                        mirror ? { ...perfume, sourceUrl: existing.sourceUrl } : perfume,
+                        { source: dataSource }
+                    );
+                    if (mirror) await dataStore.addMirrorUrl(existing.id, url);
                     console.log(`[worker-${workerId}] 🔄 Updated: ${perfume.name}`);
                 } else {
-                    await dataStore.add(perfume);
+                    await dataStore.add(perfume, { source: dataSource });
                     console.log(`[worker-${workerId}] ✅ Saved: ${perfume.name}`);
                 }
                 await dataStore.queueMark(url, 'done');
@@ -1278,8 +1290,8 @@ router.post('/rescrape/brand', requireSuperAdmin, async (req, res, next) => {
         const { brand, direct = false } = req.body;
         if (!brand) return next(new ApiError('brand is required', 400));
 
-        const perfumes = await dataStore.getIncomplete({ limit: 5000 });
-        const brandPerfumes = perfumes.filter(p => p.brand === brand && p.sourceUrl);
+        // Same brand (any alias), worst-scored and most viewed first
+        const { data: brandPerfumes } = await dataStore.getEnrichmentTargets({ brand, withSourceUrl: true, limit: 5000 });
 
         if (brandPerfumes.length === 0) {
             return res.json({ success: true, added: 0, message: 'No incomplete perfumes for this brand' });
@@ -1296,7 +1308,7 @@ router.post('/rescrape/brand', requireSuperAdmin, async (req, res, next) => {
                 try {
                     const scraped = await scrapePerfume(p.sourceUrl);
                     if (scraped) {
-                        await dataStore.update(p.id, scraped);
+                        await dataStore.update(p.id, scraped, { source: 'scrape', userId: req.user?.id });
                         results.push({ id: p.id, name: p.name, success: true });
                     }
                 } catch (err) {
@@ -1377,7 +1389,7 @@ router.post('/rescrape', requireSuperAdmin, async (req, res, next) => {
 
                 const perfume = await scrapePerfume(existing.sourceUrl);
                 if (perfume) {
-                    await dataStore.update(id, perfume);
+                    await dataStore.update(id, perfume, { source: 'scrape', userId: req.user?.id });
                     results.push({ id, name: perfume.name, success: true });
                 }
             } catch (err) {
@@ -1403,7 +1415,8 @@ router.post('/rescrape', requireSuperAdmin, async (req, res, next) => {
 router.post('/rescrape/queue', requireSuperAdmin, async (req, res, next) => {
     try {
         const { limit = 500 } = req.body;
-        const perfumes = await dataStore.getIncomplete({ limit });
+        // Queue order follows enrichment priority: lowest score, most viewed
+        const { data: perfumes } = await dataStore.getEnrichmentTargets({ limit: parseInt(limit) || 500, withSourceUrl: true });
 
         const stats0 = await dataStore.queueStats().catch(() => ({}));
         if (perfumes.length === 0) {
@@ -1448,10 +1461,12 @@ router.post('/rescrape/queue/ids', requireSuperAdmin, async (req, res, next) =>
     }
 });
 
-// POST /api/scrape/reset - Wipe ALL perfumes and brands (requires confirmation)
+// POST /api/scrape/reset - Wipe ALL perfumes and brands (requires confirmation).
+// Perfumes go to the trash unless { purge: true }; trashed source URLs are still
+// skipped by the scraper, so a fresh re-scrape of the same catalogue needs purge.
 router.post('/reset', requireSuperAdmin, async (req, res, next) => {
     try {
-        const { confirm } = req.body;
+        const { confirm, purge = false } = req.body;
         if (confirm !== 'CONFIRM_RESET') {
             return next(new ApiError('Send { confirm: "CONFIRM_RESET" } to proceed', 400));
         }
@@ -1466,11 +1481,11 @@ router.post('/reset', requireSuperAdmin, async (req, res, next) => {
         await dataStore.queueClear().catch(() => {});
 
         const [perfumesResult, brandsResult] = await Promise.all([
-            dataStore.clearPerfumes(),
+            dataStore.clearPerfumes({ purge: purge === true, userId: req.user?.id }),
             dataStore.clearBrands(),
         ]);
 
-        console.log(`🗑️ Reset: deleted ${perfumesResult.deleted} perfumes, ${brandsResult.deleted} brands`);
+        console.log(`🗑️ Reset: ${purge === true ? 'deleted' : 'trashed'} ${perfumesResult.deleted} perfumes, deleted ${brandsResult.deleted} brands`);
 
         res.json({
             success: true,
@@ -1478,7 +1493,10 @@ router.post('/reset', requireSuperAdmin, async (req, res, next) => {
                 perfumes: perfumesResult.deleted,
                 brands: brandsResult.deleted,
             },
-            message: 'All perfumes and brands have been deleted. Ready for fresh scraping.',
+            purged: purge === true,
+            message: purge === true
+                ? 'All perfumes and brands have been deleted. Ready for fresh scraping.'
+                : 'All perfumes were moved to the trash and brands deleted. Restore from /api/perfumes/trash or purge it before re-scraping.',
         });
     } catch (error) {
         next(new ApiError(error.message, 500));
@@ -1492,7 +1510,7 @@ router.post('/catalog/upload', requireSuperAdmin, xmlUpload.array('sitemaps'), a
         const files = req.files || [];
         if (files.length === 0) return res.json({ success: false, error: 'No files uploaded' });
 
-        const existingUrls = new Set(await dataStore.getAllSourceUrls().catch(() => []));
+        const existingUrls = await dataStore.getKnownUrlSet().catch(() => new Set());
         const allFound = [];
 
         for (const file of files) {
@@ -1649,7 +1667,7 @@ router.post('/catalog/full', requireSuperAdmin, async (req, res, _next) => {
             catalogDiscovery.phase = 'reading_sitemaps';
 
             // ── 2. Extract perfume URLs from each sub-sitemap ──
-            const existingUrls = new Set(await dataStore.getAllSourceUrls().catch(() => []));
+            const existingUrls = await dataStore.getKnownUrlSet().catch(() => new Set());
             const allFound = [];
 
             for (const sitemapUrl of sitemapUrls) {
@@ -1735,7 +1753,7 @@ router.post('/catalog/full-algolia', requireSuperAdmin, async (req, res, _next)
             error: null,
         };
         try {
-            const existingUrls = new Set(await dataStore.getAllSourceUrls().catch(() => []));
+            const existingUrls = await dataStore.getKnownUrlSet().catch(() => new Set());
             const { urls, brands } = await discoverFullCatalogViaAlgolia({
                 limitPerBrand: parseInt(limitPerBrand),
                 onProgress: (s) => {
@@ -1789,12 +1807,32 @@ router.get('/duplicates', requireSuperAdmin, async (req, res, next) => {
     }
 });
 
-// DELETE /api/scrape/duplicates - Delete duplicates keeping highest-rated
+// GET /api/scrape/duplicates/candidates - Near-duplicates scored 0..1 (same objectID,
+// "EDP" vs "Eau de Parfum", small typos). Resolve with POST /api/perfumes/:id/merge
+router.get('/duplicates/candidates', requireSuperAdmin, async (req, res, next) => {
+    try {
+        const minScore = req.query.minScore != null ? parseFloat(req.query.minScore) : undefined;
+        if (minScore !== undefined && !(minScore >= 0 && minScore <= 1)) {
+            return next(new ApiError('minScore must be a number between 0 and 1', 400));
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+        const candidates = await dataStore.getDuplicateCandidates({
+            brand: req.query.brand || null,
+            minScore,
+            limit,
+        });
+        res.json({ success: true, data: candidates, count: candidates.length });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// DELETE /api/scrape/duplicates - Move duplicates to the trash keeping highest-rated
 router.delete('/duplicates', requireSuperAdmin, async (req, res, next) => {
     try {
-        const result = await dataStore.deleteDuplicates();
+        const result = await dataStore.deleteDuplicates({ userId: req.user?.id });
         const count = result?.deleted ?? 0;
-        res.json({ success: true, deleted: count, message: `Deleted ${count} duplicate perfume(s)` });
+        res.json({ success: true, deleted: count, message: `Moved ${count} duplicate perfume(s) to the trash` });
     } catch (err) {
         next(err);
     }
@@ -0,0 +1,54 @@
+import express from 'express';
+import { ApiError } from '../middleware/errorHandler.js';
+import {
+    DEFAULT_TRENDING_WINDOW,
+    TRENDING_DEPTH,
+    TRENDING_TYPES,
+    TRENDING_WINDOWS,
+    getTrending,
+} from '../services/trendingService.js';
+
+const router = express.Router();
+
+// ?window= y ?limit= comunes a todos los rankings
+const parseTrendingQuery = (query, defaultLimit) => {
+    const window = query.window || DEFAULT_TRENDING_WINDOW;
+    if (!Object.hasOwn(TRENDING_WINDOWS, window)) {
+        throw new ApiError(`window debe ser una de: ${Object.keys(TRENDING_WINDOWS).join(', ')}`, 400);
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), TRENDING_DEPTH);
+    return { window, limit };
+};
+
+// GET /api/trending — lo más visto de perfumes, marcas y perfumistas (?window=24h|7d|30d, ?limit= por tipo)
+router.get('/', async (req, res, next) => {
+    try {
+        const { window, limit } = parseTrendingQuery(req.query, 10);
+        const trending = await getTrending(window);
+        res.json({
+            success: true,
+            window,
+            computedAt: trending.computedAt,
+            data: Object.fromEntries(TRENDING_TYPES.map((type) => [type, trending[type].slice(0, limit)])),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/trending/:type — ranking de un tipo (perfumes | brands | perfumers)
+router.get('/:type', async (req, res, next) => {
+    try {
+        if (!TRENDING_TYPES.includes(req.params.type)) {
+            return next(new ApiError(`Tipo no válido. Usa: ${TRENDING_TYPES.join(', ')}`, 404));
+        }
+        const { window, limit } = parseTrendingQuery(req.query, 20);
+        const trending = await getTrending(window);
+        const data = trending[req.params.type].slice(0, limit);
+        res.json({ success: true, window, computedAt: trending.computedAt, count: data.length, data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import { noteKey } from './noteTaxonomy.js';
+
+/**
+ * Canonical main-accord list (Fragrantica's accord vocabulary) with Spanish
+ * names from the .es site, common spelling variants, and the bar colour each
+ * accord is drawn with. Raw accords are matched by the same key as notes
+ * (folded, punctuation collapsed — TEXT_KEY_SQL in dataStore); accords outside
+ * the list are still counted under their own normalized name.
+ */
+
+// Accords at list positions 1..N count as dominant (same cut as similarity scoring)
+export const DOMINANT_ACCORD_POSITIONS = 3;
+
+// Colour for accords that are not in the list
+export const DEFAULT_ACCORD_COLOR = '#9e9e9e';
+
+// [name, Spanish name, colour, extra aliases]
+const ACCORDS = [
+    ['woody', 'amaderado', '#774414', ['wood', 'woods']],
+    ['citrus', 'cítrico', '#f9ff52', ['citric']],
+    ['floral', 'floral', '#ff5f8d', ['flowery']],
+    ['white floral', 'floral blanco', '#f1edda', ['floral blanco']],
+    ['yellow floral', 'floral amarillo', '#f5d33c', []],
+    ['rose', 'rosa', '#fe016a', []],
+    ['iris', 'iris', '#b7a5d8', []],
+    ['violet', 'violeta', '#9b5fd3', []],
+    ['tuberose', 'tuberosa', '#f8eede', ['nardos']],
+    ['lavender', 'lavanda', '#a487cf', []],
+    ['sweet', 'dulce', '#ee363b', []],
+    ['vanilla', 'avainillado', '#fffec0', ['vainilla']],
+    ['powdery', 'atalcado', '#eedbd4', ['polvoso']],
+    ['musky', 'almizclado', '#e2d6e4', ['musk', 'almizcle']],
+    ['amber', 'ámbar', '#bc4d10', ['ambar', 'ambery']],
+    ['warm spicy', 'especiado cálido', '#cc3300', ['especiado calido']],
+    ['fresh spicy', 'especiado fresco', '#83c928', []],
+    ['soft spicy', 'especiado suave', '#dfa26c', []],
+    ['aromatic', 'aromático', '#37a089', []],
+    ['herbal', 'herbal', '#6c9a4d', ['herbaceo', 'herbáceo']],
+    ['green', 'verde', '#0e8c1d', []],
+    ['fresh', 'fresco', '#9be5ed', []],
+    ['aquatic', 'acuático', '#6bc4ea', []],
+    ['marine', 'marino', '#2bb5c9', []],
+    ['ozonic', 'ozónico', '#8ecae6', []],
+    ['fruity', 'afrutado', '#fc4b29', ['frutal']],
+    ['tropical', 'tropical', '#ff8c00', []],
+    ['coconut', 'coco', '#f5f3ea', []],
+    ['cherry', 'cereza', '#b3082a', []],
+    ['lactonic', 'lactónico', '#fbf4e6', []],
+    ['almond', 'almendra', '#f3d8ad', []],
+    ['nutty', 'frutos secos', '#a86f3c', ['nuez']],
+    ['honey', 'miel', '#f7b500', []],
+    ['caramel', 'caramelo', '#c66e1d', []],
+    ['cacao', 'cacao', '#6a3b1d', ['chocolate']],
+    ['coffee', 'café', '#5b3a29', []],
+    ['gourmand', 'gourmand', '#d9985f', []],
+    ['balsamic', 'balsámico', '#a36b4f', []],
+    ['leather', 'cuero', '#7a4e3b', []],
+    ['tobacco', 'tabaco', '#9c6e3c', ['atabacado']],
+    ['smoky', 'ahumado', '#7d7d7d', []],
+    ['earthy', 'terroso', '#544a3e', []],
+    ['mossy', 'musgoso', '#667a47', []],
+    ['patchouli', 'pachulí', '#6b5a35', ['pachuli']],
+    ['oud', 'oud', '#3c2b21', []],
+    ['animalic', 'animal', '#8d6e63', ['animalico']],
+    ['aldehydic', 'aldehídico', '#d4e2f2', ['aldehidico']],
+    ['soapy', 'jabonoso', '#e1f1f7', []],
+    ['salty', 'salado', '#ddeef2', []],
+    ['metallic', 'metálico', '#a5a9b4', []],
+    ['camphor', 'alcanforado', '#c9e4de', []],
+    ['conifer', 'conífero', '#1f5e3a', ['coniferous']],
+    ['cinnamon', 'canela', '#b5552c', []],
+    ['anis', 'anís', '#d8d3b3', ['anise', 'aniseed']],
+    ['rum', 'ron', '#8b4513', []],
+    ['whiskey', 'whisky', '#b7712a', []],
+    ['wine', 'vino', '#7b1e3a', []],
+    ['bitter', 'amargo', '#7a8450', []],
+    ['sour', 'agrio', '#d6e15b', ['acido', 'ácido']],
+    ['beeswax', 'cera de abeja', '#e8c15a', []],
+    ['cannabis', 'cannabis', '#4f7a28', []],
+    ['sand', 'arena', '#e3c99c', []],
+    ['savory', 'salado especiado', '#a35f3c', []],
+];
+
+export const accordKey = noteKey;
+
+export const CANONICAL_ACCORDS = ACCORDS.map(([name, nameEs, color, aliases]) => ({
+    slug: accordKey(name).replace(/ /g, '-'),
+    name,
+    nameEs,
+    color,
+    aliases: [...new Set([name, nameEs, ...aliases].map(accordKey))],
+}));
+
+const BY_ALIAS = new Map(CANONICAL_ACCORDS.flatMap((a) => a.aliases.map((alias) => [alias, a])));
+
+// (alias, slug) columns for the SQL side: every known spelling → canonical slug
+export const ACCORD_ALIAS_PARAMS = [
+    [...BY_ALIAS.keys()],
+    [...BY_ALIAS.values()].map((a) => a.slug),
+];
+
+// Canonical form of an accord name, slug or variant ("Amaderado", "white-floral").
+// Unknown accords keep their own name, with the default colour.
+export const canonicalAccord = (raw) => {
+    const key = accordKey(String(raw ?? '').replace(/-/g, ' '));
+    if (!key) return null;
+    const known = BY_ALIAS.get(key);
+    if (known) return { slug: known.slug, name: known.name, nameEs: known.nameEs, color: known.color, canonical: true };
+    return { slug: key.replace(/ /g, '-'), name: key, nameEs: null, color: DEFAULT_ACCORD_COLOR, canonical: false };
+};
@@ -0,0 +1,158 @@
+import { dataStore } from './dataStore.js';
+import { foldText } from './textSearch.js';
+
+// ─── Autocomplete prefix index ───
+// Sorted array of (folded key → entry) kept in process memory and rebuilt from
+// the DB every REFRESH_MS. A lookup is a binary search for the first key >= the
+// prefix followed by a scan of the matching range, so typeahead requests never
+// touch the perfumes table.
+//
+// Every entry is indexed under its full name and under each later word, so
+// "terre" and "hermes" both find "Terre d'Hermès".
+
+const REFRESH_MS = 5 * 60 * 1000;
+export const AUTOCOMPLETE_GROUPS = ['perfumes', 'brands', 'perfumers', 'notes'];
+
+const state = {
+    keys: [],          // [{ key, entry }] sorted by key
+    builtAt: null,
+    expired: false,    // set by invalidate(); rebuilt on the next lookup
+    building: null,    // in-flight build promise
+    sizes: {},
+};
+
+// Folded full text plus every suffix that starts at a word boundary
+const keysFor = (text) => {
+    const folded = foldText(text).trim().replace(/\s+/g, ' ');
+    if (!folded) return [];
+    const keys = [folded];
+    const wordStart = /[^a-z0-9]+([a-z0-9])/g;
+    let m;
+    while ((m = wordStart.exec(folded))) keys.push(folded.slice(m.index + m[0].length - 1));
+    return keys;
+};
+
+const build = async () => {
+    const [source, brands, perfumers] = await Promise.all([
+        dataStore.getAutocompleteSource(),
+        dataStore.getBrands(),
+        dataStore.getPerfumers(),
+    ]);
+
+    const entries = [
+        ...source.perfumes.map((p) => ({
+            type: 'perfumes',
+            id: p.id,
+            label: p.name,
+            brand: p.brand,
+            imageUrl: p.imageUrl,
+            weight: p.rating ?? 0,
+            keys: [...keysFor(p.name), ...keysFor(`${p.brand} ${p.name}`)],
+        })),
+        ...brands.map((b) => ({
+            type: 'brands',
+            id: b.name,
+            label: b.name,
+            count: b.count,
+            imageUrl: b.imageUrl,
+            weight: b.count,
+            keys: keysFor(b.name),
+        })),
+        ...perfumers.map((p) => ({
+            type: 'perfumers',
+            id: p.name,
+            label: p.name,
+            count: parseInt(p.count) || 0,
+            imageUrl: p.imageUrl || null,
+            weight: parseInt(p.count) || 0,
+            keys: keysFor(p.name),
+        })),
+        ...source.notes.map((n) => ({
+            type: 'notes',
+            id: n.name,
+            label: n.name,
+            count: n.count,
+            weight: n.count,
+            keys: keysFor(n.name),
+        })),
+    ];
+
+    const keys = [];
+    for (const entry of entries) {
+        for (const key of new Set(entry.keys)) keys.push({ key, entry });
+        delete entry.keys;
+    }
+    keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    state.keys = keys;
+    state.builtAt = Date.now();
+    state.expired = false;
+    state.sizes = Object.fromEntries(AUTOCOMPLETE_GROUPS.map((g) => [g, entries.filter((e) => e.type === g).length]));
+};
+
+// Build on first use; afterwards refresh in the background and keep serving the
+// previous index until the new one is ready.
+const ensureFresh = async () => {
+    const stale = !state.builtAt || state.expired || Date.now() - state.builtAt > REFRESH_MS;
+    if (!stale) return;
+    if (!state.building) {
+        state.building = build()
+            .catch((err) => console.error('❌ Autocomplete index build failed:', err.message))
+            .finally(() => { state.building = null; });
+    }
+    if (!state.builtAt) await state.building;
+};
+
+// First index position whose key is >= prefix
+const lowerBound = (prefix) => {
+    let lo = 0;
+    let hi = state.keys.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (state.keys[mid].key < prefix) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+const publicEntry = ({ weight, ...entry }) => entry;
+
+export const autocompleteIndex = {
+    // Grouped suggestions for a prefix: { perfumes, brands, perfumers, notes }.
+    // Within a group, perfumes are ordered by rating and the rest by count.
+    suggest: async (q, { limit = 5, types = AUTOCOMPLETE_GROUPS } = {}) => {
+        await ensureFresh();
+        const prefix = foldText(q).trim().replace(/\s+/g, ' ');
+        const groups = Object.fromEntries(types.map((t) => [t, new Map()]));
+        if (!prefix) return Object.fromEntries(types.map((t) => [t, []]));
+
+        for (let i = lowerBound(prefix); i < state.keys.length; i++) {
+            const { key, entry } = state.keys[i];
+            if (!key.startsWith(prefix)) break;
+            const group = groups[entry.type];
+            if (group && !group.has(entry)) group.set(entry, key === prefix);
+        }
+
+        // Exact matches first, then by weight
+        return Object.fromEntries(
+            Object.entries(groups).map(([type, found]) => [
+                type,
+                [...found.entries()]
+                    .sort(([a, aExact], [b, bExact]) => bExact - aExact || b.weight - a.weight || a.label.localeCompare(b.label))
+                    .slice(0, limit)
+                    .map(([entry]) => publicEntry(entry)),
+            ])
+        );
+    },
+
+    // Force a rebuild on the next request (e.g. after a bulk import)
+    invalidate: () => {
+        state.expired = true;
+    },
+
+    status: () => ({
+        builtAt: state.builtAt ? new Date(state.builtAt).toISOString() : null,
+        keys: state.keys.length,
+        entries: state.sizes,
+    }),
+};
@@ -211,7 +211,7 @@ export async function restoreFromBackup(backupJson) {
     let imported = 0;
     for (const p of perfumes) {
         try {
-            await dataStore.add(p);
+            await dataStore.add(p, { source: 'backup', note: 'backup restore' });
             imported++;
         } catch {}
     }
@@ -0,0 +1,26 @@
+import { noteKey } from './noteTaxonomy.js';
+
+/**
+ * Brand identity helpers. A brand is one `brands` row; every spelling seen in
+ * `perfumes.brand` ("CHANEL", "Chanel", "Chanel Paris") is an alias key that
+ * points at it. Keys use the same normalization as notes (folded, punctuation
+ * collapsed — TEXT_KEY_SQL in dataStore).
+ */
+
+export const BRAND_CLASSIFICATIONS = ['designer', 'niche', 'indie', 'celebrity', 'mass-market'];
+
+// Profile fields an admin can edit: API name → brands column
+export const BRAND_PROFILE_COLUMNS = {
+    name: 'name',
+    country: 'country',
+    foundedYear: 'founded_year',
+    parentGroup: 'parent_group',
+    description: 'description',
+    website: 'website',
+    classification: 'classification',
+    logoUrl: 'logo_url',
+};
+
+export const brandKey = noteKey;
+
+export const slugifyBrand = (name) => brandKey(name).replace(/ /g, '-');
@@ -0,0 +1,143 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+/**
+ * Catalogue exports for GET /api/perfumes/export, streamed row by row so the
+ * table never sits in memory: dataStore.exportCatalog() reads keyset batches
+ * and a writer below turns each batch into CSV, NDJSON or XLSX on the response.
+ *
+ * Columns are flat so a spreadsheet can filter on them: the note pyramid is
+ * split into topNotes / heartNotes / baseNotes, accords are a list and vote
+ * data (longevity, sillage, seasonUsage) stays { label: votes }. NDJSON keeps
+ * those as arrays / objects; CSV and XLSX cells join them with "; ".
+ */
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const accordNames = (accords) => (Array.isArray(accords) ? accords : [])
+    .map((a) => (typeof a === 'string' ? a : a?.name))
+    .filter(Boolean);
+
+const field = (name) => ({ fields: [name], value: (p) => p[name] ?? null });
+const notesIn = (phase) => ({ fields: ['notes'], value: (p) => p.notes?.[phase] || [] });
+
+// Export column → perfume fields it reads (PERFUME_FIELD_COLUMNS) and its value
+const EXPORT_COLUMNS = {
+    id: field('id'),
+    name: field('name'),
+    brand: field('brand'),
+    year: field('year'),
+    perfumer: field('perfumer'),
+    gender: field('gender'),
+    concentration: field('concentration'),
+    topNotes: notesIn('top'),
+    heartNotes: notesIn('heart'),
+    baseNotes: notesIn('base'),
+    accords: { fields: ['accords'], value: (p) => accordNames(p.accords) },
+    rating: { fields: ['rating'], value: (p) => (p.rating == null ? null : Number(p.rating)) },
+    longevity: field('longevity'),
+    sillage: field('sillage'),
+    projection: field('projection'),
+    seasonUsage: field('seasonUsage'),
+    description: field('description'),
+    imageUrl: field('imageUrl'),
+    sourceUrl: field('sourceUrl'),
+    completenessScore: field('completenessScore'),
+    createdAt: field('createdAt'),
+    updatedAt: field('updatedAt'),
+};
+export const EXPORT_COLUMN_NAMES = Object.keys(EXPORT_COLUMNS);
+
+// `?columns=name,brand,topNotes` → { columns, unknown }; every column when absent
+export const parseExportColumns = (raw) => {
+    if (raw == null || raw === '') return { columns: EXPORT_COLUMN_NAMES, unknown: [] };
+    const requested = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map((c) => String(c).trim())
+        .filter(Boolean);
+    return {
+        columns: [...new Set(requested.filter((c) => Object.hasOwn(EXPORT_COLUMNS, c)))],
+        unknown: requested.filter((c) => !Object.hasOwn(EXPORT_COLUMNS, c)),
+    };
+};
+
+// Perfume fields to read for some columns (id always, the keyset needs it)
+export const exportFieldsFor = (columns) => [...new Set(['id', ...columns.flatMap((c) => EXPORT_COLUMNS[c].fields)])];
+
+export const exportRow = (perfume, columns) => Object.fromEntries(columns.map((c) => [c, EXPORT_COLUMNS[c].value(perfume)]));
+
+// Spreadsheet text for a value: lists joined, vote objects as "label: votes"
+const cellText = (value) => {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.join('; ');
+    if (typeof value === 'object') return Object.entries(value).map(([k, v]) => `${k}: ${v}`).join('; ');
+    return String(value);
+};
+
+// CSV text a spreadsheet would run as a formula (=, +, -, @) gets a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const safeText = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+const csvField = (value) => {
+    const text = typeof value === 'number' ? String(value) : safeText(cellText(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xlsxCell = (value) => {
+    if (value == null) return null;
+    if (typeof value === 'number' || value instanceof Date) return value;
+    return cellText(value);
+};
+
+// Write honouring backpressure: wait for 'drain' when the socket buffer is full
+// (or 'close', if the client goes away meanwhile)
+const write = async (stream, chunk) => {
+    if (!stream.write(chunk)) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+};
+
+/**
+ * Writer for `format` on a writable stream:
+ *   await writer.start(); await writer.write(perfumes) per batch; await writer.end()
+ */
+export const createExportWriter = (format, stream, columns) => {
+    if (format === 'ndjson') {
+        return {
+            start: async () => {},
+            write: (perfumes) => write(stream, perfumes.map((p) => `${JSON.stringify(exportRow(p, columns))}\n`).join('')),
+            end: async () => stream.end(),
+        };
+    }
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+        const sheet = workbook.addWorksheet('Perfumes', { views: [{ state: 'frozen', ySplit: 1 }] });
+        return {
+            start: async () => {
+                sheet.columns = columns.map((c) => ({ header: c, key: c, width: c === 'description' ? 60 : 20 }));
+                sheet.getRow(1).font = { bold: true };
+            },
+            write: async (perfumes) => {
+                for (const p of perfumes) {
+                    const row = exportRow(p, columns);
+                    sheet.addRow(columns.map((c) => xlsxCell(row[c]))).commit();
+                }
+            },
+            end: async () => {
+                sheet.commit();
+                await workbook.commit();
+            },
+        };
+    }
+    // CSV with a BOM so Excel opens it as UTF-8
+    return {
+        start: () => write(stream, `\ufeff${columns.join(',')}\r\n`),
+        write: (perfumes) => write(stream, perfumes.map((p) => {
+            const row = exportRow(p, columns);
+            return `${columns.map((c) => csvField(row[c])).join(',')}\r\n`;
+        }).join('')),
+        end: async () => stream.end(),
+    };
+};
@@ -0,0 +1,174 @@
+/**
+ * Catalog filters shared by the listing (`GET /api/perfumes`) and facet counts.
+ *
+ * Query params are normalized once here so every consumer (SQL builder in
+ * dataStore, in-memory fallback, facet counter) sees the same shape:
+ *
+ *   brand                  legacy partial match (LIKE), single value
+ *   brands                 exact brand names, OR-ed
+ *   gender                 OR-ed (masculine,feminine,unisex)
+ *   perfumer               perfumer names (matched per comma-separated credit), OR-ed
+ *   concentration          OR-ed
+ *   notes                  notes in ANY pyramid phase, AND-ed
+ *   topNotes / heartNotes / baseNotes   notes in that phase, AND-ed
+ *   accords                AND-ed
+ *   yearMin / yearMax      inclusive range
+ *   ratingMin / ratingMax  inclusive range
+ *   hasLongevity / hasSillage   true|false — whether vote data exists
+ *
+ * Multi-value params accept either `?accords=woody,citrus` or repeated
+ * `?accords=woody&accords=citrus`. Text values are compared lower-cased.
+ */
+
+// Facet dimensions — each one is computed "disjunctively": its own filter is
+// left out so the sidebar still shows the alternatives for a selected value.
+export const FACET_DIMENSIONS = [
+    'brands',
+    'gender',
+    'concentration',
+    'perfumer',
+    'topNotes',
+    'heartNotes',
+    'baseNotes',
+    'accords',
+    'year',
+    'rating',
+    'hasLongevity',
+    'hasSillage',
+];
+
+export const DEFAULT_FACET_LIMIT = 30;
+
+const toList = (raw) => {
+    if (raw == null || raw === '') return [];
+    const parts = Array.isArray(raw) ? raw : String(raw).split(',');
+    return [...new Set(parts.map((v) => String(v).trim().toLowerCase()).filter(Boolean))];
+};
+
+const toNumber = (raw) => {
+    if (raw == null || raw === '') return undefined;
+    const n = Number(raw);
+    return Number.isFinite(n) ? n : undefined;
+};
+
+const toBool = (raw) => {
+    if (raw === true || raw === 'true' || raw === '1') return true;
+    if (raw === false || raw === 'false' || raw === '0') return false;
+    return undefined;
+};
+
+// Normalize req.query (or an already-parsed object, e.g. { gender: 'masculine' }
+// from the AI recommender) into the filter object consumed by dataStore.
+export const parseCatalogFilters = (query = {}) => ({
+    brand: query.brand ? String(query.brand) : undefined,
+    brands: toList(query.brands),
+    gender: toList(query.gender),
+    search: query.search ? String(query.search) : undefined,
+    perfumer: toList(query.perfumer),
+    concentration: toList(query.concentration),
+    notes: toList(query.notes),
+    topNotes: toList(query.topNotes),
+    heartNotes: toList(query.heartNotes),
+    baseNotes: toList(query.baseNotes),
+    accords: toList(query.accords),
+    yearMin: toNumber(query.yearMin),
+    yearMax: toNumber(query.yearMax),
+    ratingMin: toNumber(query.ratingMin),
+    ratingMax: toNumber(query.ratingMax),
+    hasLongevity: toBool(query.hasLongevity),
+    hasSillage: toBool(query.hasSillage),
+});
+
+// ─── In-memory matching (fallback when the DB is down) ───────────────────────
+
+const lowerList = (arr) =>
+    (Array.isArray(arr) ? arr : []).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+
+const phaseNotes = (p, phase) => lowerList(p.notes?.[phase]);
+
+const accordNames = (p) =>
+    lowerList((Array.isArray(p.accords) ? p.accords : [])
+        .map((a) => (typeof a === 'string' ? a : a?.name)));
+
+const perfumerNames = (p) => lowerList(String(p.perfumer || '').split(','));
+
+const hasVotes = (v) => v != null && !(typeof v === 'object' && Object.keys(v).length === 0);
+
+const containsAll = (have, wanted) => wanted.every((w) => have.includes(w));
+
+export const matchesCatalogFilters = (p, f, exclude = null) => {
+    const use = (dim) => dim !== exclude;
+
+    if (f.brand && !p.brand?.toLowerCase().includes(f.brand.toLowerCase())) return false;
+    if (use('brands') && f.brands?.length && !f.brands.includes(p.brand?.toLowerCase())) return false;
+    if (use('gender') && f.gender?.length && !f.gender.includes(p.gender?.toLowerCase())) return false;
+    if (f.search) {
+        const q = f.search.toLowerCase();
+        if (!p.name?.toLowerCase().includes(q) && !p.brand?.toLowerCase().includes(q)) return false;
+    }
+    if (use('perfumer') && f.perfumer?.length && !perfumerNames(p).some((n) => f.perfumer.includes(n))) return false;
+    if (use('concentration') && f.concentration?.length && !f.concentration.includes(p.concentration?.toLowerCase())) return false;
+    if (f.notes?.length) {
+        const all = [...phaseNotes(p, 'top'), ...phaseNotes(p, 'heart'), ...phaseNotes(p, 'base')];
+        if (!containsAll(all, f.notes)) return false;
+    }
+    if (use('topNotes') && f.topNotes?.length && !containsAll(phaseNotes(p, 'top'), f.topNotes)) return false;
+    if (use('heartNotes') && f.heartNotes?.length && !containsAll(phaseNotes(p, 'heart'), f.heartNotes)) return false;
+    if (use('baseNotes') && f.baseNotes?.length && !containsAll(phaseNotes(p, 'base'), f.baseNotes)) return false;
+    if (use('accords') && f.accords?.length && !containsAll(accordNames(p), f.accords)) return false;
+    if (use('year')) {
+        if (f.yearMin != null && !(p.year >= f.yearMin)) return false;
+        if (f.yearMax != null && !(p.year <= f.yearMax)) return false;
+    }
+    if (use('rating')) {
+        if (f.ratingMin != null && !(p.rating >= f.ratingMin)) return false;
+        if (f.ratingMax != null && !(p.rating <= f.ratingMax)) return false;
+    }
+    if (use('hasLongevity') && f.hasLongevity != null && hasVotes(p.longevity) !== f.hasLongevity) return false;
+    if (use('hasSillage') && f.hasSillage != null && hasVotes(p.sillage) !== f.hasSillage) return false;
+    return true;
+};
+
+// Values each perfume contributes to a facet. Grouping is case-insensitive
+// (like the SQL side); the display value keeps the first-seen casing.
+const FACET_VALUES = {
+    brands: (p) => (p.brand ? [p.brand] : []),
+    gender: (p) => (p.gender ? [p.gender] : []),
+    concentration: (p) => (p.concentration ? [p.concentration] : []),
+    perfumer: (p) => String(p.perfumer || '').split(',').map((s) => s.trim()).filter(Boolean),
+    topNotes: (p) => (p.notes?.top || []).map((s) => String(s).trim()).filter(Boolean),
+    heartNotes: (p) => (p.notes?.heart || []).map((s) => String(s).trim()).filter(Boolean),
+    baseNotes: (p) => (p.notes?.base || []).map((s) => String(s).trim()).filter(Boolean),
+    accords: (p) => (Array.isArray(p.accords) ? p.accords : [])
+        .map((a) => (typeof a === 'string' ? a : a?.name)).filter(Boolean).map((s) => String(s).trim()),
+    year: (p) => (p.year ? [p.year] : []),
+    rating: (p) => (p.rating != null ? [Math.floor(p.rating)] : []),
+    hasLongevity: (p) => [hasVotes(p.longevity)],
+    hasSillage: (p) => [hasVotes(p.sillage)],
+};
+
+// Dimensions listed in natural order (years, rating buckets, booleans) rather than by count.
+export const ORDERED_FACETS = new Set(['year', 'rating', 'hasLongevity', 'hasSillage']);
+
+export const computeMemoryFacets = (perfumes, filters, limit = DEFAULT_FACET_LIMIT) => {
+    const facets = {};
+    for (const dim of FACET_DIMENSIONS) {
+        const counts = new Map();
+        for (const p of perfumes) {
+            if (!matchesCatalogFilters(p, filters, dim)) continue;
+            const seen = new Set();
+            for (const value of FACET_VALUES[dim](p)) {
+                const key = typeof value === 'string' ? value.toLowerCase() : value;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                if (!counts.has(key)) counts.set(key, { value, count: 0 });
+                counts.get(key).count++;
+            }
+        }
+        const rows = [...counts.values()];
+        facets[dim] = ORDERED_FACETS.has(dim)
+            ? rows.sort((a, b) => (a.value > b.value ? 1 : -1))
+            : rows.sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))).slice(0, limit);
+    }
+    return facets;
+};
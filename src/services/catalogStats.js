@@ -0,0 +1,210 @@
+import { canonicalAccord } from './accordTaxonomy.js';
+
+/**
+ * Catalogue analytics for GET /api/perfumes/stats: releases per year / decade,
+ * concentrations, top notes and accords (overall and per gender), average
+ * rating per brand, perfumer productivity and data completeness.
+ *
+ * dataStore computes the counts in SQL and shapes them with the helpers below;
+ * buildCatalogStats() does the whole thing in JS for the no-DB fallback.
+ */
+
+export const STATS_GENDERS = ['masculine', 'feminine', 'unisex'];
+export const TOP_NOTES = 20;
+export const TOP_NOTES_PER_GENDER = 10;
+export const TOP_BRANDS = 20;
+export const TOP_PERFUMERS = 20;
+// Brands need this many rated perfumes to enter the rating ranking (unless scoped to one brand)
+export const MIN_RATED_PER_BRAND = 3;
+
+// Field → "has data" check, in the same terms as the SQL side (COMPLETENESS_SQL)
+const hasVotes = (v) => v != null && typeof v === 'object' && Object.keys(v).length > 0;
+const hasText = (v) => typeof v === 'string' && v.trim() !== '';
+export const COMPLETENESS_CHECKS = {
+    notes: (p) => ['top', 'heart', 'base'].some((phase) => p.notes?.[phase]?.length),
+    accords: (p) => Array.isArray(p.accords) && p.accords.length > 0,
+    description: (p) => hasText(p.description),
+    imageUrl: (p) => hasText(p.imageUrl),
+    year: (p) => p.year != null,
+    perfumer: (p) => hasText(p.perfumer),
+    concentration: (p) => hasText(p.concentration),
+    rating: (p) => p.rating != null,
+    longevity: (p) => hasVotes(p.longevity),
+    sillage: (p) => hasVotes(p.sillage),
+    seasonUsage: (p) => hasVotes(p.seasonUsage),
+};
+export const COMPLETENESS_FIELDS = Object.keys(COMPLETENESS_CHECKS);
+
+// Weight of each field in a perfume's completeness score (0-100, stored as
+// perfumes.completeness_score). Rating is reported in the stats but not scored:
+// it is not something a rescrape or enrichment can fill in.
+export const COMPLETENESS_WEIGHTS = {
+    notes: 25,
+    accords: 15,
+    perfumer: 10,
+    description: 10,
+    imageUrl: 10,
+    longevity: 8,
+    sillage: 7,
+    seasonUsage: 7,
+    year: 4,
+    concentration: 4,
+};
+export const SCORED_FIELDS = Object.keys(COMPLETENESS_WEIGHTS);
+
+export const missingFields = (perfume) => SCORED_FIELDS.filter((f) => !COMPLETENESS_CHECKS[f](perfume));
+
+export const completenessScore = (perfume) =>
+    SCORED_FIELDS.reduce((score, f) => score + (COMPLETENESS_CHECKS[f](perfume) ? COMPLETENESS_WEIGHTS[f] : 0), 0);
+
+export const percentage = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+const round2 = (v) => (v == null ? null : Math.round(Number(v) * 100) / 100);
+
+// [{ year, count }] ascending → [{ decade, count }]
+export const decadesOf = (byYear) => {
+    const decades = new Map();
+    for (const { year, count } of byYear) {
+        const decade = Math.floor(year / 10) * 10;
+        decades.set(decade, (decades.get(decade) || 0) + count);
+    }
+    return [...decades].sort((a, b) => a[0] - b[0]).map(([decade, count]) => ({ decade, count }));
+};
+
+// { field: { count, percentage } } plus the share with every field filled
+export const completenessOf = (counts, complete, total) => ({
+    fields: Object.fromEntries(COMPLETENESS_FIELDS.map((f) => [f, { count: counts[f] || 0, percentage: percentage(counts[f] || 0, total) }])),
+    complete: { count: complete, percentage: percentage(complete, total) },
+});
+
+// Top entries overall and per gender from rows of { key, gender|null (= overall), count, ...item }
+export const rankedByGender = (rows, describe) => {
+    const top = (gender, n) => rows
+        .filter((r) => r.gender === gender)
+        .sort((a, b) => b.count - a.count || String(a.name ?? a.key).localeCompare(String(b.name ?? b.key)))
+        .slice(0, n)
+        .map((r) => ({ ...describe(r), count: r.count }));
+    return {
+        overall: top(null, TOP_NOTES),
+        byGender: Object.fromEntries(STATS_GENDERS.map((g) => [g, top(g, TOP_NOTES_PER_GENDER)])),
+    };
+};
+
+export const describeAccord = (row) => {
+    const accord = canonicalAccord(row.key);
+    return { slug: accord.slug, name: accord.name, color: accord.color };
+};
+
+/**
+ * Stats for an in-memory list. Resolvers: noteOf(raw) → { key, name, slug } | null,
+ * brandOf(name) → { key, name, slug }, perfumersOf(raw) → [names].
+ */
+export const buildCatalogStats = (perfumes, { noteOf, brandOf, perfumersOf }, { minRated = MIN_RATED_PER_BRAND } = {}) => {
+    const total = perfumes.length;
+    const count = (map, key, init) => {
+        if (!map.has(key)) map.set(key, init());
+        return map.get(key);
+    };
+
+    const years = new Map();
+    const concentrations = new Map();
+    const notes = new Map();
+    const accords = new Map();
+    const brands = new Map();
+    const perfumers = new Map();
+    const completeness = Object.fromEntries(COMPLETENESS_FIELDS.map((f) => [f, 0]));
+    let complete = 0;
+    let ratingSum = 0;
+    let rated = 0;
+
+    for (const p of perfumes) {
+        if (p.year != null) years.set(p.year, (years.get(p.year) || 0) + 1);
+        if (hasText(p.concentration)) {
+            const c = count(concentrations, p.concentration.trim().toLowerCase(), () => ({ name: p.concentration.trim(), count: 0 }));
+            c.count++;
+        }
+        if (p.rating != null) {
+            ratingSum += Number(p.rating);
+            rated++;
+        }
+        const checks = COMPLETENESS_FIELDS.filter((f) => COMPLETENESS_CHECKS[f](p));
+        checks.forEach((f) => completeness[f]++);
+        if (checks.length === COMPLETENESS_FIELDS.length) complete++;
+
+        const genders = [null, ...(STATS_GENDERS.includes(p.gender) ? [p.gender] : [])];
+        const noteKeys = new Map();
+        for (const phase of ['top', 'heart', 'base']) {
+            for (const raw of p.notes?.[phase] || []) {
+                const note = noteOf(raw);
+                if (note && !noteKeys.has(note.key)) noteKeys.set(note.key, note);
+            }
+        }
+        for (const note of noteKeys.values()) {
+            for (const gender of genders) count(notes, `${note.key}|${gender}`, () => ({ ...note, gender, count: 0 })).count++;
+        }
+        const accordSlugs = new Set((Array.isArray(p.accords) ? p.accords : [])
+            .map((el) => canonicalAccord(typeof el === 'string' ? el : el?.name)?.slug)
+            .filter(Boolean));
+        for (const slug of accordSlugs) {
+            for (const gender of genders) count(accords, `${slug}|${gender}`, () => ({ key: slug, gender, count: 0 })).count++;
+        }
+
+        const brand = brandOf(p.brand);
+        if (brand) {
+            const b = count(brands, brand.key, () => ({ name: brand.name, slug: brand.slug, perfumeCount: 0, ratedCount: 0, ratingSum: 0 }));
+            b.perfumeCount++;
+            if (p.rating != null) {
+                b.ratedCount++;
+                b.ratingSum += Number(p.rating);
+            }
+        }
+        for (const name of perfumersOf(p.perfumer)) {
+            const pf = count(perfumers, name.toLowerCase(), () => ({
+                name, perfumeCount: 0, brands: new Set(), firstYear: null, lastYear: null, ratedCount: 0, ratingSum: 0,
+            }));
+            pf.perfumeCount++;
+            if (brand) pf.brands.add(brand.key);
+            if (p.year != null) {
+                pf.firstYear = pf.firstYear === null ? p.year : Math.min(pf.firstYear, p.year);
+                pf.lastYear = pf.lastYear === null ? p.year : Math.max(pf.lastYear, p.year);
+            }
+            if (p.rating != null) {
+                pf.ratedCount++;
+                pf.ratingSum += Number(p.rating);
+            }
+        }
+    }
+
+    const byYear = [...years].sort((a, b) => a[0] - b[0]).map(([year, n]) => ({ year, count: n }));
+    return {
+        totalPerfumes: total,
+        totalBrands: brands.size,
+        totalPerfumers: perfumers.size,
+        averageRating: rated ? round2(ratingSum / rated) : null,
+        byGender: {
+            ...Object.fromEntries(STATS_GENDERS.map((g) => [g, perfumes.filter((p) => p.gender === g).length])),
+            unknown: perfumes.filter((p) => !STATS_GENDERS.includes(p.gender)).length,
+        },
+        releases: {
+            byYear,
+            byDecade: decadesOf(byYear),
+            unknownYear: total - byYear.reduce((n, y) => n + y.count, 0),
+        },
+        concentrations: [...concentrations.values()]
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+            .map((c) => ({ ...c, percentage: percentage(c.count, total) })),
+        topNotes: rankedByGender([...notes.values()], (r) => ({ name: r.name, slug: r.slug })),
+        topAccords: rankedByGender([...accords.values()], describeAccord),
+        brandRatings: [...brands.values()]
+            .filter((b) => b.ratedCount >= minRated)
+            .map(({ ratingSum: sum, ...b }) => ({ ...b, averageRating: round2(sum / b.ratedCount) }))
+            .sort((a, b) => b.averageRating - a.averageRating || b.ratedCount - a.ratedCount)
+            .slice(0, TOP_BRANDS),
+        perfumers: [...perfumers.values()]
+            .map(({ brands: set, ratingSum: sum, ratedCount, ...pf }) => ({
+                ...pf, brandCount: set.size, averageRating: ratedCount ? round2(sum / ratedCount) : null,
+            }))
+            .sort((a, b) => b.perfumeCount - a.perfumeCount || a.name.localeCompare(b.name))
+            .slice(0, TOP_PERFUMERS),
+        completeness: completenessOf(completeness, complete, total),
+    };
+};
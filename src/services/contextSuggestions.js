@@ -0,0 +1,158 @@
+import { canonicalAccord } from './accordTaxonomy.js';
+import { LONGEVITY_LEVELS, SILLAGE_LEVELS } from './perfumeComparison.js';
+
+/**
+ * "What should I wear today?" — ranks perfumes for a context (season, day/night,
+ * weather, occasion). Each perfume gets a 0..1 match per signal:
+ *
+ *   season      — season_usage votes for the season (0-100, relative to the top season)
+ *   time        — season_usage day / night votes (only when a time is given)
+ *   climate     — how fresh vs warm its accords are, against what the weather asks for
+ *   performance — expected longevity / sillage from votes, against what the occasion asks for
+ *
+ * and a weighted total. Signals a perfume has no data for count as neutral (0.5),
+ * so unvoted perfumes in a collection still get ranked.
+ */
+
+export const SEASONS = ['winter', 'spring', 'summer', 'autumn'];
+export const TIMES = ['day', 'night'];
+
+// Desired sillage / longevity (0 = weakest vote level, 1 = strongest) and how far
+// the occasion leans fresh (+) or warm (-)
+export const OCCASIONS = {
+    office: { sillage: 0.3, longevity: 0.6, freshness: 0.2 },
+    casual: { sillage: 0.45, longevity: 0.5, freshness: 0.1 },
+    sport: { sillage: 0.15, longevity: 0.3, freshness: 0.6 },
+    date: { sillage: 0.6, longevity: 0.65, freshness: -0.2 },
+    evening: { sillage: 0.8, longevity: 0.8, freshness: -0.3 },
+    formal: { sillage: 0.5, longevity: 0.75, freshness: -0.1 },
+};
+const DEFAULT_OCCASION = { sillage: 0.5, longevity: 0.65, freshness: 0 };
+
+export const SIGNAL_WEIGHTS = { season: 0.35, time: 0.15, climate: 0.25, performance: 0.25 };
+
+// Perfumes scored per request from the database: the best season/time matches.
+// Favorites-only requests score the whole collection.
+export const CANDIDATE_POOL = 500;
+
+// Fresh (+1) and warm (-1) accords by canonical slug; the rest are neutral
+const FRESH_ACCORDS = new Set([
+    'citrus', 'fresh', 'aquatic', 'marine', 'ozonic', 'green', 'fresh-spicy', 'aromatic', 'herbal',
+    'lavender', 'fruity', 'tropical', 'aldehydic', 'soapy', 'salty', 'metallic', 'camphor', 'conifer', 'sour',
+]);
+const WARM_ACCORDS = new Set([
+    'amber', 'warm-spicy', 'vanilla', 'sweet', 'balsamic', 'oud', 'leather', 'tobacco', 'gourmand', 'honey',
+    'caramel', 'cacao', 'coffee', 'smoky', 'animalic', 'patchouli', 'cinnamon', 'rum', 'whiskey', 'beeswax',
+    'nutty', 'almond', 'lactonic', 'earthy', 'powdery', 'musky',
+]);
+
+// Freshness the season asks for when no temperature is given
+const SEASON_FRESHNESS = { summer: 0.6, spring: 0.3, autumn: -0.3, winter: -0.6 };
+
+// Season for a date (meteorological: Dec-Feb winter in the north)
+export const seasonOf = (date = new Date(), hemisphere = 'north') => {
+    const north = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+    const season = north[date.getUTCMonth()];
+    if (hemisphere !== 'south') return season;
+    return { winter: 'summer', summer: 'winter', spring: 'autumn', autumn: 'spring' }[season];
+};
+
+const clamp = (v, min = -1, max = 1) => Math.min(max, Math.max(min, v));
+
+/**
+ * Context from validated query values: { season, time, temperature, humidity,
+ * occasion, hemisphere }. Season defaults to today's. Returns the echoed context
+ * plus the targets the signals are scored against.
+ */
+export const resolveContext = ({ season, time = null, temperature = null, humidity = null, occasion = null, hemisphere = 'north' } = {}) => {
+    const resolvedSeason = season || seasonOf(new Date(), hemisphere);
+    const occ = OCCASIONS[occasion] || DEFAULT_OCCASION;
+
+    // Weather: ~28°C+ wants the freshest, ~5°C- the warmest; humid heat pushes
+    // fresher still and amplifies projection, so aim for less sillage
+    let freshness = temperature === null ? SEASON_FRESHNESS[resolvedSeason] : clamp((temperature - 16) / 12);
+    let sillage = occ.sillage;
+    if (humidity !== null && humidity >= 70 && (temperature ?? 20) >= 22) {
+        freshness += 0.2;
+        sillage -= 0.15;
+    }
+    freshness = clamp(freshness + occ.freshness);
+
+    return {
+        context: { season: resolvedSeason, time, temperature, humidity, occasion, hemisphere },
+        targets: { freshness, sillage: clamp(sillage, 0, 1), longevity: occ.longevity },
+    };
+};
+
+// -1 (all warm) .. +1 (all fresh), weighting accords by prominence; null without
+// classified accords
+export const freshnessOf = (accords) => {
+    let sum = 0;
+    let weights = 0;
+    (Array.isArray(accords) ? accords : []).forEach((el, i) => {
+        const slug = canonicalAccord(typeof el === 'string' ? el : el?.name)?.slug;
+        if (!slug) return;
+        const w = 1 / (i + 1);
+        weights += w;
+        if (FRESH_ACCORDS.has(slug)) sum += w;
+        else if (WARM_ACCORDS.has(slug)) sum -= w;
+    });
+    return weights ? sum / weights : null;
+};
+
+// Average vote level as 0..1 over `levels` (weakest first); null without votes
+export const voteLevel = (metric, levels) => {
+    const votes = metric?.votes;
+    let total = 0;
+    let weighted = 0;
+    levels.forEach((level, i) => {
+        const n = Number(votes?.[level]) || 0;
+        total += n;
+        weighted += n * i;
+    });
+    return total ? weighted / (total * (levels.length - 1)) : null;
+};
+
+const usage = (perfume, key) => {
+    const v = perfume.seasonUsage?.[key];
+    return v === undefined || v === null || Number.isNaN(Number(v)) ? null : clamp(Number(v) / 100, 0, 1);
+};
+
+/**
+ * Score one perfume for a resolved context. Returns { score: 0-100, matches }
+ * where matches holds each signal as 0-100 (null = no data, scored neutral).
+ */
+export const scoreForContext = (perfume, { context, targets }) => {
+    const matches = {
+        season: usage(perfume, context.season),
+        time: context.time ? usage(perfume, context.time) : null,
+        climate: null,
+        performance: null,
+    };
+    const freshness = freshnessOf(perfume.accords);
+    if (freshness !== null) matches.climate = 1 - Math.abs(freshness - targets.freshness) / 2;
+    const longevity = voteLevel(perfume.longevity, LONGEVITY_LEVELS);
+    const sillage = voteLevel(perfume.sillage, SILLAGE_LEVELS);
+    const fits = [
+        longevity === null ? null : 1 - Math.abs(longevity - targets.longevity),
+        sillage === null ? null : 1 - Math.abs(sillage - targets.sillage),
+    ].filter((v) => v !== null);
+    if (fits.length) matches.performance = fits.reduce((a, b) => a + b, 0) / fits.length;
+
+    let total = 0;
+    let weights = 0;
+    for (const [signal, weight] of Object.entries(SIGNAL_WEIGHTS)) {
+        if (signal === 'time' && !context.time) continue;
+        total += weight * (matches[signal] ?? 0.5);
+        weights += weight;
+    }
+    return {
+        score: Math.round((total / weights) * 100),
+        matches: Object.fromEntries(Object.entries(matches).map(([k, v]) => [k, v === null ? null : Math.round(v * 100)])),
+    };
+};
+
+// Rank `perfumes` for the context: best score first, rating as tie-break
+export const rankForContext = (perfumes, resolved) => perfumes
+    .map((perfume) => ({ perfume, ...scoreForContext(perfume, resolved) }))
+    .sort((a, b) => b.score - a.score || (b.perfume.rating ?? -1) - (a.perfume.rating ?? -1));
@@ -1,6 +1,66 @@
 import pg from 'pg';
 import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcryptjs';
+import { cacheService } from './cacheService.js';
+import {
+    FACET_DIMENSIONS,
+    ORDERED_FACETS,
+    DEFAULT_FACET_LIMIT,
+    parseCatalogFilters,
+    matchesCatalogFilters,
+    computeMemoryFacets,
+} from './catalogFilters.js';
+import {
+    ACCENTED_CHARS,
+    PLAIN_CHARS,
+    FIELD_WEIGHTS,
+    PHRASE_BONUS,
+    foldText,
+    tokenizeQuery,
+    scorePerfume,
+    closestTerms,
+} from './textSearch.js';
+import { encodeCursor, pickFields, resolveSort, PERFUME_FIELD_COLUMNS } from './pagination.js';
+import { findDuplicateCandidates, objectIdOf, pickMergedFields } from './duplicateDetection.js';
+import { SEED_NOTES, NOTE_FAMILIES, noteKey, slugifyNote, resolveNoteKey, displayNoteName } from './noteTaxonomy.js';
+import { BRAND_PROFILE_COLUMNS, brandKey, slugifyBrand } from './brandCatalog.js';
+import { detectLines, lineKeyOf } from './productLines.js';
+import { buildComparison } from './perfumeComparison.js';
+import { CANDIDATE_POOL, rankForContext } from './contextSuggestions.js';
+import {
+    MIN_RATED_PER_BRAND,
+    COMPLETENESS_CHECKS,
+    COMPLETENESS_WEIGHTS,
+    SCORED_FIELDS,
+    STATS_GENDERS,
+    TOP_BRANDS,
+    TOP_PERFUMERS,
+    buildCatalogStats,
+    completenessOf,
+    completenessScore,
+    missingFields,
+    decadesOf,
+    describeAccord,
+    percentage,
+    rankedByGender,
+} from './catalogStats.js';
+import { SIMILARITY_INDEX_DEPTH, accordPositions, notePairs, scoreSimilarity } from './similarityScoring.js';
+import {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    concentrationLabels,
+    contentKey,
+    descriptionLocaleOf,
+    hasDescriptionIn,
+    hasNameIn,
+    localizePerfume,
+} from './localization.js';
+import {
+    ACCORD_ALIAS_PARAMS,
+    CANONICAL_ACCORDS,
+    DOMINANT_ACCORD_POSITIONS,
+    canonicalAccord,
+} from './accordTaxonomy.js';
 
 const { Pool } = pg;
 
@@ -173,6 +233,59 @@ const connectAndInit = async () => {
       IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='perfumer_image_url') THEN
         ALTER TABLE perfumes ADD COLUMN perfumer_image_url TEXT;
       END IF;
+      -- Per-field provenance { field: { source, at } } and admin-locked fields
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='field_sources') THEN
+        ALTER TABLE perfumes ADD COLUMN field_sources JSONB DEFAULT '{}';
+      END IF;
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='locked_fields') THEN
+        ALTER TABLE perfumes ADD COLUMN locked_fields JSONB DEFAULT '[]';
+      END IF;
+      -- Soft delete: trashed rows stay (with their favorites) until purged
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='deleted_at') THEN
+        ALTER TABLE perfumes ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+        ALTER TABLE perfumes ADD COLUMN deleted_by UUID;
+        ALTER TABLE perfumes ADD COLUMN deleted_reason VARCHAR(50);
+      END IF;
+      -- Fragrantica objectID as its own (unique) column, plus other URLs seen for
+      -- the same perfume (.com / .es / casing variants)
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='object_id') THEN
+        ALTER TABLE perfumes ADD COLUMN object_id TEXT;
+        ALTER TABLE perfumes ADD COLUMN mirror_urls JSONB DEFAULT '[]';
+        -- Backfill: per objectID one row keeps it (live, best rated, oldest) and the
+        -- URLs of the other rows become its mirrors (they show up as duplicate candidates)
+        WITH ranked AS (
+          SELECT id, source_url, substring(source_url from '-(\\d+)\\.html') AS oid,
+                 ROW_NUMBER() OVER (
+                   PARTITION BY substring(source_url from '-(\\d+)\\.html')
+                   ORDER BY (deleted_at IS NULL) DESC, COALESCE(rating, 0) DESC, created_at ASC
+                 ) AS rn
+          FROM perfumes
+          WHERE substring(source_url from '-(\\d+)\\.html') IS NOT NULL
+        ),
+        mirrors AS (
+          SELECT oid, jsonb_agg(source_url) AS urls FROM ranked WHERE rn > 1 GROUP BY oid
+        )
+        UPDATE perfumes p
+        SET object_id = r.oid, mirror_urls = COALESCE(m.urls, '[]'::jsonb)
+        FROM ranked r LEFT JOIN mirrors m ON m.oid = r.oid
+        WHERE p.id = r.id AND r.rn = 1;
+      END IF;
+      -- Product line (see productLines.js); line_manual = set by an admin, detection skips it
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='line_key') THEN
+        ALTER TABLE perfumes ADD COLUMN line_key TEXT;
+        ALTER TABLE perfumes ADD COLUMN line_name VARCHAR(255);
+        ALTER TABLE perfumes ADD COLUMN line_role VARCHAR(20);
+        ALTER TABLE perfumes ADD COLUMN line_manual BOOLEAN DEFAULT FALSE;
+      END IF;
+      -- Weighted data completeness 0-100 (COMPLETENESS_WEIGHTS in catalogStats.js)
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='completeness_score') THEN
+        ALTER TABLE perfumes ADD COLUMN completeness_score SMALLINT;
+      END IF;
+      -- Localized content: language of the stored description and { locale: { description } }
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='perfumes' AND column_name='description_locale') THEN
+        ALTER TABLE perfumes ADD COLUMN description_locale VARCHAR(8);
+        ALTER TABLE perfumes ADD COLUMN translations JSONB DEFAULT '{}';
+      END IF;
       -- Add unique constraint on source_url to prevent duplicates from same URL
       -- First, deduplicate existing rows with the same source_url (keep highest rated)
       IF NOT EXISTS (
@@ -193,6 +306,12 @@ const connectAndInit = async () => {
         ALTER TABLE perfumes ADD CONSTRAINT perfumes_source_url_unique UNIQUE (source_url);
       END IF;
     END $$;
+    CREATE INDEX IF NOT EXISTS idx_perfumes_deleted_at ON perfumes(deleted_at) WHERE deleted_at IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_perfumes_object_id ON perfumes(object_id) WHERE object_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_perfumes_mirror_urls ON perfumes USING GIN (mirror_urls);
+    CREATE INDEX IF NOT EXISTS idx_perfumes_line_key ON perfumes(line_key) WHERE line_key IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_perfumes_completeness ON perfumes(completeness_score) WHERE deleted_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_perfumes_description_locale ON perfumes(description_locale) WHERE deleted_at IS NULL;
 
     CREATE TABLE IF NOT EXISTS api_keys (
       id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -296,6 +415,43 @@ const connectAndInit = async () => {
         AND (b1.logo_url IS NULL OR b2.logo_url IS NOT NULL);
     END $$;
 
+    -- Migration: brand profiles. slug = name key with dashes; brands whose names
+    -- collapse to the same key (left for an admin merge) get -2, -3…
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='brands' AND column_name='slug') THEN
+        ALTER TABLE brands
+          ADD COLUMN slug VARCHAR(255),
+          ADD COLUMN country VARCHAR(100),
+          ADD COLUMN founded_year INTEGER,
+          ADD COLUMN parent_group VARCHAR(255),
+          ADD COLUMN description TEXT,
+          ADD COLUMN website TEXT,
+          ADD COLUMN classification VARCHAR(20),
+          ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+        UPDATE brands b SET slug = s.slug || CASE WHEN s.rn > 1 THEN '-' || s.rn ELSE '' END
+        FROM (
+          SELECT id,
+                 COALESCE(NULLIF(replace(${TEXT_KEY_SQL('name')}, ' ', '-'), ''), 'brand') AS slug,
+                 ROW_NUMBER() OVER (
+                   PARTITION BY ${TEXT_KEY_SQL('name')}
+                   ORDER BY (logo_url IS NOT NULL) DESC, created_at, id
+                 ) AS rn
+          FROM brands
+        ) s
+        WHERE s.id = b.id;
+      END IF;
+    END $$;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_brands_slug ON brands(slug);
+
+    -- ===== BRAND ALIASES (every spelling of a brand → its brands row) =====
+    -- alias = normalized key (see brandKey() / TEXT_KEY_SQL)
+    CREATE TABLE IF NOT EXISTS brand_aliases (
+      alias TEXT PRIMARY KEY,
+      brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_brand_aliases_brand ON brand_aliases(brand_id);
+
     -- ===== ACTIVITY EVENTS TABLE =====
     CREATE TABLE IF NOT EXISTS activity_events (
       id BIGSERIAL PRIMARY KEY,
@@ -348,6 +504,100 @@ const connectAndInit = async () => {
       ('anthropic',     NULL, 'claude-haiku-4-5-20251001', FALSE)
     ON CONFLICT (provider) DO NOTHING;
 
+    -- ===== PERFUME REVISIONS (field-level history of every write) =====
+    -- changes = { field: { from, to } }; source = who/what wrote it
+    -- (user | scrape | algolia | ai | dataset | backup)
+    CREATE TABLE IF NOT EXISTS perfume_revisions (
+      id BIGSERIAL PRIMARY KEY,
+      perfume_id UUID NOT NULL REFERENCES perfumes(id) ON DELETE CASCADE,
+      action VARCHAR(20) NOT NULL DEFAULT 'update',
+      source VARCHAR(20) NOT NULL,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      changes JSONB NOT NULL DEFAULT '{}',
+      note TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_perfume_revisions_perfume ON perfume_revisions(perfume_id, id DESC);
+
+    -- ===== PERFUME URL ALIASES (source URLs of perfumes merged into another) =====
+    -- Lookups by URL / objectID resolve through here, so a merged duplicate is
+    -- never re-scraped as a new perfume.
+    CREATE TABLE IF NOT EXISTS perfume_aliases (
+      source_url TEXT PRIMARY KEY,
+      object_id TEXT,
+      perfume_id UUID NOT NULL REFERENCES perfumes(id) ON DELETE CASCADE,
+      merged_from UUID,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_perfume_aliases_object_id ON perfume_aliases(object_id);
+    CREATE INDEX IF NOT EXISTS idx_perfume_aliases_perfume ON perfume_aliases(perfume_id);
+
+    -- ===== SIMILARITY INDEX (precomputed /:id/similar, see similarityScoring.js) =====
+    -- Each indexed perfume keeps its best SIMILARITY_INDEX_DEPTH pairs; every pair
+    -- scoring above min_score is stored (min_score 0 = its complete list)
+    CREATE TABLE IF NOT EXISTS perfume_similarity (
+      perfume_id UUID NOT NULL REFERENCES perfumes(id) ON DELETE CASCADE,
+      similar_id UUID NOT NULL REFERENCES perfumes(id) ON DELETE CASCADE,
+      score INTEGER NOT NULL,
+      shared_notes INTEGER NOT NULL,
+      same_phase_matches INTEGER NOT NULL,
+      shared_accords INTEGER NOT NULL,
+      PRIMARY KEY (perfume_id, similar_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_perfume_similarity_rank ON perfume_similarity(perfume_id, score DESC);
+    CREATE INDEX IF NOT EXISTS idx_perfume_similarity_similar ON perfume_similarity(similar_id);
+    CREATE TABLE IF NOT EXISTS perfume_similarity_state (
+      perfume_id UUID PRIMARY KEY REFERENCES perfumes(id) ON DELETE CASCADE,
+      min_score INTEGER NOT NULL DEFAULT 0,
+      computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- ===== NOTES TAXONOMY (canonical notes + the raw spellings mapped to them) =====
+    -- source = seed (built-in list) | auto (created from an unknown scraped note) | manual
+    CREATE TABLE IF NOT EXISTS notes (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      slug VARCHAR(150) UNIQUE NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      name_es VARCHAR(150),
+      family VARCHAR(30),
+      description TEXT,
+      image_url TEXT,
+      source VARCHAR(10) NOT NULL DEFAULT 'seed',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_notes_family ON notes(family);
+    -- alias = normalized key of a raw note string (see noteKey() / TEXT_KEY_SQL)
+    CREATE TABLE IF NOT EXISTS note_aliases (
+      alias TEXT PRIMARY KEY,
+      note_id UUID NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_note_aliases_note ON note_aliases(note_id);
+
+    -- ===== IMAGE MIRROR (local WebP copies of remote images, see imageMirror.js) =====
+    -- image_assets: one row per distinct image (SHA-256 of its bytes) and the widths
+    -- stored for it. image_sources: remote URL → asset; status = mirrored | failed
+    CREATE TABLE IF NOT EXISTS image_assets (
+      hash CHAR(64) PRIMARY KEY,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      format VARCHAR(16),
+      bytes INTEGER,
+      widths INTEGER[] NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS image_sources (
+      url TEXT PRIMARY KEY,
+      hash CHAR(64) REFERENCES image_assets(hash) ON DELETE SET NULL,
+      status VARCHAR(16) NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_image_sources_hash ON image_sources(hash);
+    CREATE INDEX IF NOT EXISTS idx_image_sources_failed ON image_sources(checked_at) WHERE status = 'failed';
+
     -- ===== GENERIC KEY/VALUE SETTINGS =====
     -- Persists runtime config set from the admin UI (e.g. the rotating Algolia
     -- search key) so it survives container restarts instead of living only in
@@ -368,6 +618,12 @@ const connectAndInit = async () => {
         // Seed superadmin from environment variables
         await seedSuperAdmin();
 
+        await seedNotes();
+        syncBrandsInBackground();
+        syncDerivedFieldsInBackground();
+
+        await initSearchExtensions();
+
         return { connected: true, error: null };
     } catch (error) {
         console.error('❌ Error creating tables:', error.message);
@@ -378,6 +634,21 @@ const connectAndInit = async () => {
     }
 };
 
+// pg_trgm gives /search its typo tolerance. It is optional: on a Postgres where the
+// extension is missing (or the role can't create it) search still works, just
+// without fuzzy matching.
+let trigramAvailable = false;
+
+const initSearchExtensions = async () => {
+    try {
+        await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+        trigramAvailable = true;
+    } catch (error) {
+        trigramAvailable = false;
+        console.warn('⚠️ pg_trgm not available — search runs without typo tolerance:', error.message);
+    }
+};
+
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 let reconnectWatchdog = null;
@@ -469,11 +740,88 @@ const seedSuperAdmin = async () => {
     }
 };
 
+// Give every brand spelling in the catalogue a brands row + alias (first boot
+// after the brand-profile migration does the whole catalogue), then detect lines
+const syncBrandsInBackground = () => {
+    dataStore.syncBrands()
+        .then(({ mapped, created }) => {
+            if (mapped) console.log(`🏷️ Brands: ${mapped} spelling(s) mapped, ${created} new brand(s) created`);
+        })
+        .catch((err) => console.error('❌ Brand sync failed:', err.message))
+        // Lines are grouped per brand, so they are detected once spellings are mapped
+        .then(() => dataStore.syncPerfumeLines())
+        .then(({ updated, lines }) => {
+            if (updated) console.log(`🧬 Product lines: ${updated} perfume(s) regrouped into ${lines} line(s)`);
+        })
+        .catch((err) => console.error('❌ Product line detection failed:', err.message));
+};
+
+// Scores missing (new column) or computed with older weights, then descriptions
+// whose language was never detected
+const syncDerivedFieldsInBackground = async () => {
+    try {
+        const { updated } = await dataStore.syncCompletenessScores();
+        if (updated) console.log(`📋 Completeness: ${updated} perfume score(s) updated`);
+    } catch (err) {
+        console.error('❌ Completeness score sync failed:', err.message);
+    }
+    try {
+        const { updated } = await dataStore.syncDescriptionLocales();
+        if (updated) console.log(`🌐 Description language detected for ${updated} perfume(s)`);
+    } catch (err) {
+        console.error('❌ Description language sync failed:', err.message);
+    }
+};
+
+// Seed the built-in note registry, then map the catalogue's raw notes onto it in
+// the background (a full pass over every perfume on first boot)
+const seedNotes = async () => {
+    try {
+        await pool.query(
+            `INSERT INTO notes (slug, name, name_es, family, source)
+             SELECT slug, name, name_es, family, 'seed'
+             FROM unnest($1::text[], $2::text[], $3::text[], $4::text[]) AS s(slug, name, name_es, family)
+             ON CONFLICT (slug) DO NOTHING`,
+            [
+                SEED_NOTES.map((n) => n.slug),
+                SEED_NOTES.map((n) => n.name),
+                SEED_NOTES.map((n) => n.nameEs),
+                SEED_NOTES.map((n) => n.family),
+            ]
+        );
+        const pairs = SEED_NOTES.flatMap((n) => n.aliases.map((alias) => [alias, n.slug]));
+        await pool.query(
+            `INSERT INTO note_aliases (alias, note_id)
+             SELECT a.alias, n.id FROM unnest($1::text[], $2::text[]) AS a(alias, slug)
+             JOIN notes n ON n.slug = a.slug
+             ON CONFLICT (alias) DO NOTHING`,
+            [pairs.map(([alias]) => alias), pairs.map(([, slug]) => slug)]
+        );
+    } catch (err) {
+        console.error('❌ Error seeding notes:', err.message);
+        return;
+    }
+    dataStore.syncNoteAliases()
+        .then(({ mapped, created }) => {
+            if (mapped) console.log(`🌿 Notes: ${mapped} raw note(s) mapped, ${created} new note(s) created`);
+        })
+        .catch((err) => console.error('❌ Note mapping failed:', err.message));
+};
+
 // Obtener error de conexión
 export const getConnectionError = () => connectionError;
 
 // In-memory fallback storage
 let memoryStore = [];
+// Perfumes en la papelera (fallback sin BD)
+let memoryTrash = [];
+// Copias locales de imágenes (fallback sin BD): hash → asset, url → source
+const memoryImages = { assets: new Map(), sources: new Map() };
+// Remote image URLs of the in-memory catalogue, perfume images first (IMAGE_URLS_SQL)
+const memoryImageUrls = () => [...new Set([
+    ...memoryStore.map((p) => p.imageUrl),
+    ...memoryStore.map((p) => p.perfumerImageUrl),
+].filter((url) => typeof url === 'string' && /^https?:\/\//i.test(url)))];
 
 // Normalize accords: DB may store string[] or legacy object[{name,...}]; always return string[]
 const normalizeAccords = (raw) => {
@@ -498,6 +846,8 @@ const toCamelCase = (row) => {
         notes: row.notes,
         accords: normalizeAccords(row.accords),
         description: row.description,
+        descriptionLocale: row.description_locale || null,
+        translations: row.translations || {},
         imageUrl: row.image_url,
         rating: row.rating ? parseFloat(row.rating) : null,
         sillage: row.sillage,
@@ -506,143 +856,1393 @@ const toCamelCase = (row) => {
         similarPerfumes: row.similar_perfumes || [],
         seasonUsage: row.season_usage || null,
         sourceUrl: row.source_url,
+        objectId: row.object_id || null,
+        mirrorUrls: row.mirror_urls || [],
+        fieldSources: row.field_sources || {},
+        lockedFields: row.locked_fields || [],
+        line: row.line_key ? { key: row.line_key, name: row.line_name, role: row.line_role } : null,
+        lineManual: !!row.line_manual,
+        completenessScore: row.completeness_score ?? null,
         scrapedAt: row.scraped_at,
         createdAt: row.created_at,
         updatedAt: row.updated_at,
+        // Sólo en registros de la papelera
+        ...(row.deleted_at && {
+            deletedAt: row.deleted_at,
+            deletedBy: row.deleted_by || null,
+            deletedReason: row.deleted_reason || null,
+        }),
+    };
+};
+
+// ─── Revisions ────────────────────────────────────────────────────────────────
+
+export const REVISION_SOURCES = ['user', 'scrape', 'algolia', 'ai', 'dataset', 'backup'];
+
+// Fields tracked in revision diffs and provenance, and the ones admins can lock
+// (scrapedAt/updatedAt change on every write — noise)
+export const TRACKED_FIELDS = [
+    'name', 'brand', 'year', 'perfumer', 'perfumerImageUrl', 'gender', 'concentration',
+    'notes', 'accords', 'description', 'imageUrl', 'rating', 'sillage', 'longevity',
+    'projection', 'similarPerfumes', 'seasonUsage', 'sourceUrl', 'translations',
+];
+
+// Fields stored as JSONB (serialized before writing)
+const JSON_FIELDS = ['notes', 'accords', 'sillage', 'longevity', 'similarPerfumes', 'seasonUsage', 'translations'];
+
+// { field: { from, to } } between two camelCase records (`before` null on create)
+const diffPerfumes = (before, after) => {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        const from = before ? before[field] ?? null : null;
+        const to = after[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+    }
+    return changes;
+};
+
+// In-memory revisions for the no-DB fallback
+let memoryRevisions = [];
+
+// Store a revision if anything changed. `db` is the pool or a transaction client.
+const recordRevision = async (db, { before, after, source = 'user', userId = null, action, note = null }) => {
+    const changes = diffPerfumes(before, after);
+    if (!Object.keys(changes).length) return null;
+    const revision = {
+        perfumeId: after.id,
+        action: action || (before ? 'update' : 'create'),
+        source: REVISION_SOURCES.includes(source) ? source : 'user',
+        userId,
+        changes,
+        note,
+    };
+    if (!db) {
+        const row = { id: memoryRevisions.length + 1, ...revision, createdAt: new Date().toISOString() };
+        memoryRevisions.push(row);
+        return row;
+    }
+    await db.query(
+        `INSERT INTO perfume_revisions (perfume_id, action, source, user_id, changes, note)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [revision.perfumeId, revision.action, revision.source, revision.userId, JSON.stringify(changes), note]
+    );
+    return revision;
+};
+
+// Automated writers must not touch fields an admin locked; manual edits may, and
+// so may a backup restore: a superadmin putting a snapshot back wants it as saved
+const respectsLocks = (source) => source && source !== 'user' && source !== 'backup';
+
+// Record the revision and stamp { source, at } on every field that changed.
+// Returns `after` with its fieldSources updated.
+const trackChanges = async (db, { before, after, ...meta }) => {
+    const revision = await recordRevision(db, { before, after, ...meta });
+    if (!revision) return after;
+
+    const at = new Date().toISOString();
+    const stamp = Object.fromEntries(
+        Object.keys(revision.changes).map((field) => [field, { source: revision.source, at }])
+    );
+    const fieldSources = { ...(after.fieldSources || {}), ...stamp };
+    if (db) {
+        await db.query(
+            `UPDATE perfumes SET field_sources = COALESCE(field_sources, '{}'::jsonb) || $2::jsonb WHERE id = $1`,
+            [after.id, JSON.stringify(stamp)]
+        );
+    }
+    return { ...after, fieldSources };
+};
+
+const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// ─── URL aliases ──────────────────────────────────────────────────────────────
+
+// Merge aliases for the no-DB fallback: [{ sourceUrl, objectId, perfumeId, mergedFrom }]
+let memoryAliases = [];
+
+// Add `url` to a perfume's mirror URLs (no-op when it is already there)
+const appendMirrorUrl = (db, id, url) => db.query(
+    `UPDATE perfumes SET mirror_urls = COALESCE(mirror_urls, '[]'::jsonb) || jsonb_build_array($2::text)
+     WHERE id = $1 AND source_url IS DISTINCT FROM $2 AND NOT COALESCE(mirror_urls, '[]'::jsonb) ? $2`,
+    [id, url]
+);
+
+// Known source URLs that also recognises any other URL of a known objectID, so
+// queue/dedup checks treat .com and .es variants as the same perfume
+class KnownUrlSet extends Set {
+    constructor(urls = [], objectIds = []) {
+        super(urls);
+        this.objectIds = new Set(objectIds);
+    }
+
+    has(url) {
+        const oid = objectIdOf(url);
+        return super.has(url) || Boolean(oid && this.objectIds?.has(oid));
+    }
+
+    add(url) {
+        super.add(url);
+        const oid = objectIdOf(url);
+        if (oid && this.objectIds) this.objectIds.add(oid);
+        return this;
+    }
+}
+
+// Perfume for a URL / objectID match: a live row first, then the perfume a merged
+// alias points to, then a trashed row
+const resolveByUrlSql = (perfumeMatch, aliasMatch) => `
+    SELECT * FROM (
+        SELECT p.*, CASE WHEN p.deleted_at IS NULL THEN 0 ELSE 2 END AS match_rank
+        FROM perfumes p WHERE (${perfumeMatch})
+        UNION ALL
+        SELECT p.*, 1 FROM perfume_aliases a JOIN perfumes p ON p.id = a.perfume_id
+        WHERE (${aliasMatch}) AND p.deleted_at IS NULL
+    ) m
+    ORDER BY match_rank
+    LIMIT 1`;
+
+// ─── Catalog filter SQL (shape of `filters` documented in catalogFilters.js) ──
+
+// Lower-cased text[] of one note phase / all phases / accord names, for @> matching
+const NOTE_ARRAY_SQL = (phase) =>
+    `ARRAY(SELECT lower(trim(n.note)) FROM jsonb_array_elements_text(COALESCE(notes->'${phase}', '[]'::jsonb)) AS n(note))`;
+const ALL_NOTES_ARRAY_SQL = `ARRAY(SELECT lower(trim(n.note)) FROM jsonb_array_elements_text(
+    COALESCE(notes->'top', '[]'::jsonb) || COALESCE(notes->'heart', '[]'::jsonb) || COALESCE(notes->'base', '[]'::jsonb)
+) AS n(note))`;
+// Accords are stored as strings OR legacy {name,...} objects
+const ACCORD_NAME_SQL = (el) =>
+    `lower(trim(CASE WHEN jsonb_typeof(${el}) = 'string' THEN ${el} #>> '{}' ELSE ${el}->>'name' END))`;
+const ACCORD_ARRAY_SQL = `ARRAY(SELECT ${ACCORD_NAME_SQL('a.el')} FROM jsonb_array_elements(COALESCE(accords, '[]'::jsonb)) AS a(el))`;
+// add() stores missing vote data as JSON null, not SQL NULL — treat both as "no data"
+const HAS_VOTES_SQL = (col) => `(${col} IS NOT NULL AND ${col} <> 'null'::jsonb AND ${col} <> '{}'::jsonb)`;
+
+// WHERE clause for a parsed filter object. `exclude` leaves one facet dimension
+// out (disjunctive facet counts). Values are appended to `params`.
+const buildCatalogWhere = (f, { exclude = null, params = [] } = {}) => {
+    const clauses = ['deleted_at IS NULL'];
+    const use = (dim) => dim !== exclude;
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
     };
+
+    if (f.brand) clauses.push(`LOWER(brand) LIKE LOWER(${param(`%${f.brand}%`)})`);
+    if (use('brands') && f.brands.length) clauses.push(`LOWER(brand) = ANY(${param(f.brands)})`);
+    if (use('gender') && f.gender.length) clauses.push(`LOWER(gender) = ANY(${param(f.gender)})`);
+    if (f.search) {
+        const ref = param(`%${f.search}%`);
+        clauses.push(`(LOWER(name) LIKE LOWER(${ref}) OR LOWER(brand) LIKE LOWER(${ref}) OR LOWER(description) LIKE LOWER(${ref}))`);
+    }
+    if (use('perfumer') && f.perfumer.length) {
+        clauses.push(`EXISTS (
+            SELECT 1 FROM unnest(string_to_array(LOWER(perfumer), ',')) AS p_name
+            WHERE TRIM(p_name) = ANY(${param(f.perfumer)})
+        )`);
+    }
+    if (use('concentration') && f.concentration.length) {
+        clauses.push(`LOWER(concentration) = ANY(${param(f.concentration)})`);
+    }
+    if (f.notes.length) clauses.push(`${ALL_NOTES_ARRAY_SQL} @> ${param(f.notes)}::text[]`);
+    for (const [dim, phase] of [['topNotes', 'top'], ['heartNotes', 'heart'], ['baseNotes', 'base']]) {
+        if (use(dim) && f[dim].length) clauses.push(`${NOTE_ARRAY_SQL(phase)} @> ${param(f[dim])}::text[]`);
+    }
+    if (use('accords') && f.accords.length) clauses.push(`${ACCORD_ARRAY_SQL} @> ${param(f.accords)}::text[]`);
+    if (use('year')) {
+        if (f.yearMin != null) clauses.push(`year >= ${param(f.yearMin)}`);
+        if (f.yearMax != null) clauses.push(`year <= ${param(f.yearMax)}`);
+    }
+    if (use('rating')) {
+        if (f.ratingMin != null) clauses.push(`rating >= ${param(f.ratingMin)}`);
+        if (f.ratingMax != null) clauses.push(`rating <= ${param(f.ratingMax)}`);
+    }
+    if (use('hasLongevity') && f.hasLongevity != null) {
+        clauses.push(f.hasLongevity ? HAS_VOTES_SQL('longevity') : `NOT ${HAS_VOTES_SQL('longevity')}`);
+    }
+    if (use('hasSillage') && f.hasSillage != null) {
+        clauses.push(f.hasSillage ? HAS_VOTES_SQL('sillage') : `NOT ${HAS_VOTES_SQL('sillage')}`);
+    }
+
+    return { where: clauses.join(' AND '), params };
+};
+
+// One GROUP BY query per facet dimension; each returns (value, count) rows.
+const notePhaseFacetSql = (phase) => (where) => `
+    SELECT MIN(trim(n.note)) AS value, COUNT(DISTINCT id)::int AS count
+    FROM perfumes, LATERAL jsonb_array_elements_text(COALESCE(notes->'${phase}', '[]'::jsonb)) AS n(note)
+    WHERE ${where} AND trim(n.note) <> ''
+    GROUP BY lower(trim(n.note))`;
+
+const FACET_SQL = {
+    brands: (where) => `
+        SELECT MIN(brand) AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where} AND brand IS NOT NULL
+        GROUP BY LOWER(brand)`,
+    gender: (where) => `
+        SELECT MIN(gender) AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where} AND gender IS NOT NULL
+        GROUP BY LOWER(gender)`,
+    concentration: (where) => `
+        SELECT MIN(concentration) AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where} AND concentration IS NOT NULL AND TRIM(concentration) <> ''
+        GROUP BY LOWER(concentration)`,
+    perfumer: (where) => `
+        SELECT MIN(TRIM(p_name)) AS value, COUNT(DISTINCT id)::int AS count
+        FROM perfumes, LATERAL unnest(string_to_array(perfumer, ',')) AS p_name
+        WHERE ${where} AND TRIM(p_name) <> ''
+        GROUP BY LOWER(TRIM(p_name))`,
+    topNotes: notePhaseFacetSql('top'),
+    heartNotes: notePhaseFacetSql('heart'),
+    baseNotes: notePhaseFacetSql('base'),
+    accords: (where) => `
+        SELECT MIN(trim(CASE WHEN jsonb_typeof(a.el) = 'string' THEN a.el #>> '{}' ELSE a.el->>'name' END)) AS value,
+               COUNT(DISTINCT id)::int AS count
+        FROM perfumes, LATERAL jsonb_array_elements(COALESCE(accords, '[]'::jsonb)) AS a(el)
+        WHERE ${where} AND ${ACCORD_NAME_SQL('a.el')} <> ''
+        GROUP BY ${ACCORD_NAME_SQL('a.el')}`,
+    year: (where) => `
+        SELECT year AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where} AND year IS NOT NULL
+        GROUP BY year`,
+    rating: (where) => `
+        SELECT FLOOR(rating)::int AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where} AND rating IS NOT NULL
+        GROUP BY 1`,
+    hasLongevity: (where) => `
+        SELECT ${HAS_VOTES_SQL('longevity')} AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where}
+        GROUP BY 1`,
+    hasSillage: (where) => `
+        SELECT ${HAS_VOTES_SQL('sillage')} AS value, COUNT(*)::int AS count
+        FROM perfumes WHERE ${where}
+        GROUP BY 1`,
+};
+
+// Facet counts change only when the catalogue does — cache per filter combination
+const FACET_CACHE_TTL = 300;
+
+// Same order as `ORDER BY col dir NULLS LAST, id dir` for the in-memory fallback
+const compareForSort = (a, b, sort) => {
+    const av = a[sort.field], bv = b[sort.field];
+    const sign = sort.dir === 'ASC' ? 1 : -1;
+    if (av == null && bv != null) return 1;
+    if (bv == null && av != null) return -1;
+    if (av != null && bv != null) {
+        const cmp = sort.field.endsWith('At')
+            ? new Date(av) - new Date(bv)
+            : av > bv ? 1 : av < bv ? -1 : 0;
+        if (cmp) return sign * Math.sign(cmp);
+    }
+    return sign * (a.id > b.id ? 1 : a.id < b.id ? -1 : 0);
+};
+
+// Rows strictly after the cursor row in `ORDER BY col dir NULLS LAST, id dir`
+const keysetClause = (sort, cursor, params) => {
+    const op = sort.dir === 'ASC' ? '>' : '<';
+    params.push(cursor.id);
+    const idRef = `$${params.length}`;
+    if (cursor.value == null) {
+        return `(${sort.column} IS NULL AND id ${op} ${idRef})`;
+    }
+    params.push(cursor.value);
+    const valueRef = `$${params.length}`;
+    return `(${sort.column} ${op} ${valueRef}
+        OR (${sort.column} = ${valueRef} AND id ${op} ${idRef})
+        OR ${sort.column} IS NULL)`;
+};
+
+// SELECT list for a sparse fieldset (`*` when no fields were requested)
+const selectColumns = (fields) => {
+    if (!fields) return '*';
+    return [...new Set(fields.map((f) => PERFUME_FIELD_COLUMNS[f]).filter(Boolean))].join(', ');
+};
+
+// ─── Ranked search SQL ────────────────────────────────────────────────────────
+
+// Lower-case + strip accents; same character map as foldText() in textSearch.js
+const FOLD_SQL = (expr) => `translate(lower(${expr}), '${ACCENTED_CHARS}', '${PLAIN_CHARS}')`;
+
+// Minimum pg_trgm word_similarity for a token to count as a typo'd match
+const FUZZY_THRESHOLD = 0.5;
+
+// Weight of one query token ($tokens) against the folded columns of `p`
+const tokenWeightSql = (fuzzy) => `CASE
+        WHEN p.f_name LIKE '%' || t || '%' THEN ${FIELD_WEIGHTS.name}
+        WHEN p.f_brand LIKE '%' || t || '%' THEN ${FIELD_WEIGHTS.brand}
+        WHEN p.f_perfumer LIKE '%' || t || '%' THEN ${FIELD_WEIGHTS.perfumer}
+        WHEN p.f_notes LIKE '%' || t || '%' THEN ${FIELD_WEIGHTS.notes}
+        ${fuzzy ? `WHEN length(t) >= 4 AND word_similarity(t, p.f_name) >= ${FUZZY_THRESHOLD} THEN ${FIELD_WEIGHTS.fuzzyName}
+        WHEN length(t) >= 4 AND word_similarity(t, p.f_brand) >= ${FUZZY_THRESHOLD} THEN ${FIELD_WEIGHTS.fuzzyBrand}` : ''}
+        WHEN p.f_desc LIKE '%' || t || '%' THEN ${FIELD_WEIGHTS.description}
+        ELSE 0
+    END`;
+
+// Accord names separated by spaces — names only, not the keys of legacy {name,...} objects
+const ACCORD_TEXT_SQL = `array_to_string(ARRAY(SELECT ${ACCORD_NAME_SQL('a.el')} FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(accords) = 'array' THEN accords ELSE '[]'::jsonb END
+) AS a(el)), ' ')`;
+
+// Every token must match somewhere (AND); the score is the mean token weight plus
+// phrase bonuses for exact / prefix name hits and "name brand" queries.
+// $1 = folded query, $2 = tokens, $3 = limit, $4 = offset
+const searchSql = (fuzzy) => `
+    SELECT p.*, m.weight / cardinality($2::text[])
+        + CASE WHEN p.f_name = $1 THEN ${PHRASE_BONUS.exactName}
+               WHEN left(p.f_name, length($1)) = $1 THEN ${PHRASE_BONUS.namePrefix} ELSE 0 END
+        + CASE WHEN p.f_name || ' ' || p.f_brand = $1 OR p.f_brand || ' ' || p.f_name = $1
+               THEN ${PHRASE_BONUS.nameAndBrand} ELSE 0 END AS search_score,
+        COUNT(*) OVER () AS total_count
+    FROM (
+        SELECT *,
+            ${FOLD_SQL('name')} AS f_name,
+            ${FOLD_SQL('brand')} AS f_brand,
+            ${FOLD_SQL("COALESCE(perfumer, '')")} AS f_perfumer,
+            ${FOLD_SQL(`concat_ws(' ', notes->>'top', notes->>'heart', notes->>'base', ${ACCORD_TEXT_SQL})`)} AS f_notes,
+            ${FOLD_SQL("COALESCE(description, '')")} AS f_desc
+        FROM perfumes
+        WHERE deleted_at IS NULL
+    ) p,
+    LATERAL (
+        SELECT COUNT(*) FILTER (WHERE w > 0) AS matched, COALESCE(SUM(w), 0) AS weight
+        FROM (SELECT ${tokenWeightSql(fuzzy)} AS w FROM unnest($2::text[]) AS t) tw
+    ) m
+    WHERE m.matched = cardinality($2::text[])
+    ORDER BY search_score DESC, p.rating DESC NULLS LAST, p.id
+    LIMIT $3 OFFSET $4`;
+
+// ─── Notes taxonomy SQL ───────────────────────────────────────────────────────
+
+// Same key as noteKey() / brandKey() in JS ("Ylang-Ylang " → "ylang ylang")
+const TEXT_KEY_SQL = (expr) => `btrim(regexp_replace(${FOLD_SQL(expr)}, '[^a-z0-9]+', ' ', 'g'))`;
+
+// One row per (note, phase) of `t`'s pyramid, as `${n}(note, phase)`, with the
+// matching registry alias joined as `${n}a` (${n}a.note_id is NULL while unmapped)
+const NOTE_ROWS_SQL = (t, n) => `CROSS JOIN LATERAL (
+        SELECT jsonb_array_elements_text(COALESCE(${t}.notes->'top',   '[]'::jsonb)), 'top'
+        UNION ALL
+        SELECT jsonb_array_elements_text(COALESCE(${t}.notes->'heart', '[]'::jsonb)), 'heart'
+        UNION ALL
+        SELECT jsonb_array_elements_text(COALESCE(${t}.notes->'base',  '[]'::jsonb)), 'base'
+    ) AS ${n}(note, phase)
+    LEFT JOIN note_aliases ${n}a ON ${n}a.alias = ${TEXT_KEY_SQL(`${n}.note`)}`;
+
+// Registry with alias lists and live perfume counts — one pass over the catalogue,
+// cached (NOTES_CACHE_KEY) and dropped whenever the mapping changes
+const NOTE_INDEX_SQL = `
+    SELECT n.*, COALESCE(c.perfume_count, 0) AS perfume_count, COALESCE(a.aliases, '{}') AS aliases
+    FROM notes n
+    LEFT JOIN (
+        SELECT xa.note_id, COUNT(DISTINCT p.id)::int AS perfume_count
+        FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')}
+        WHERE p.deleted_at IS NULL AND xa.note_id IS NOT NULL
+        GROUP BY xa.note_id
+    ) c ON c.note_id = n.id
+    LEFT JOIN (
+        SELECT note_id, array_agg(alias ORDER BY alias) AS aliases FROM note_aliases GROUP BY note_id
+    ) a ON a.note_id = n.id`;
+const NOTES_CACHE_KEY = 'notes:index';
+const NOTES_CACHE_TTL = 600;
+
+const toNote = (row) => ({
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    nameEs: row.name_es || null,
+    family: row.family || null,
+    description: row.description || null,
+    imageUrl: row.image_url || null,
+    source: row.source,
+    aliases: row.aliases || [],
+    perfumeCount: row.perfume_count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+// ─── Accord catalogue SQL ─────────────────────────────────────────────────────
+
+// (perfume, canonical accord slug, best list position) for every live perfume.
+// $1/$2 = ACCORD_ALIAS_PARAMS; accords outside the canonical list keep their
+// normalized name as slug.
+const ACCORD_POSITIONS_SQL = `
+    WITH accord_aliases AS (
+        SELECT * FROM unnest($1::text[], $2::text[]) AS t(alias, slug)
+    ),
+    positions AS (
+        SELECT p.id,
+               COALESCE(al.slug, replace(${TEXT_KEY_SQL(ACCORD_NAME_SQL('a.el'))}, ' ', '-')) AS slug,
+               MIN(a.ord)::int AS position
+        FROM perfumes p
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(p.accords, '[]'::jsonb)) WITH ORDINALITY AS a(el, ord)
+        LEFT JOIN accord_aliases al ON al.alias = ${TEXT_KEY_SQL(ACCORD_NAME_SQL('a.el'))}
+        WHERE p.deleted_at IS NULL AND ${TEXT_KEY_SQL(ACCORD_NAME_SQL('a.el'))} <> ''
+        GROUP BY 1, 2
+    )`;
+const ACCORDS_CACHE_KEY = 'accords:index';
+const ACCORDS_CACHE_TTL = 600;
+
+// Same rows as ACCORD_POSITIONS_SQL for the no-DB fallback: [{ perfume, slug, position }]
+const memoryAccordPositions = () => memoryStore.flatMap((perfume) => {
+    const best = new Map();
+    normalizeAccords(perfume.accords).forEach((raw, i) => {
+        const accord = canonicalAccord(raw);
+        if (accord && !best.has(accord.slug)) best.set(accord.slug, i + 1);
+    });
+    return [...best].map(([slug, position]) => ({ perfume, slug, position }));
+});
+
+// Registry for the no-DB fallback, built from the seed on first use:
+// { bySlug: Map slug → note, byAlias: Map key → note }
+let memoryNotes = null;
+const memoryNoteRegistry = () => {
+    if (memoryNotes) return memoryNotes;
+    memoryNotes = { bySlug: new Map(), byAlias: new Map() };
+    const now = new Date().toISOString();
+    for (const seed of SEED_NOTES) {
+        const note = {
+            id: uuidv4(), ...seed, description: null, imageUrl: null, source: 'seed', createdAt: now, updatedAt: now,
+        };
+        memoryNotes.bySlug.set(note.slug, note);
+        for (const alias of note.aliases) memoryNotes.byAlias.set(alias, note);
+    }
+    return memoryNotes;
+};
+
+// Registry note for a raw note string in the no-DB fallback; unknown notes get an
+// 'auto' entry, like syncNoteAliases() does in the database
+const memoryNoteFor = (raw) => {
+    const key = noteKey(raw);
+    if (!key) return null;
+    const registry = memoryNoteRegistry();
+    let note = resolveNoteKey(key, registry.byAlias);
+    if (!note) {
+        const slug = slugifyNote(key);
+        note = registry.bySlug.get(slug);
+        if (!note) {
+            const now = new Date().toISOString();
+            note = {
+                id: uuidv4(), slug, name: displayNoteName(raw), nameEs: null, family: null,
+                description: null, imageUrl: null, source: 'auto', aliases: [], createdAt: now, updatedAt: now,
+            };
+            registry.bySlug.set(slug, note);
+        }
+    }
+    if (!registry.byAlias.has(key)) {
+        registry.byAlias.set(key, note);
+        note.aliases = [...new Set([...note.aliases, key])].sort();
+    }
+    return note;
+};
+
+// { perfume, phases } for every live perfume that lists `note` (no-DB fallback)
+const memoryNoteUsage = (note) => memoryStore.flatMap((perfume) => {
+    const phases = ['top', 'heart', 'base']
+        .filter((phase) => (perfume.notes?.[phase] || []).some((raw) => memoryNoteFor(raw) === note));
+    return phases.length ? [{ perfume, phases }] : [];
+});
+
+// ─── Trending (activity_events) ───────────────────────────────────────────────
+
+// views(perfume_id, session_id, last_at) and brand_searches(brand, session_id,
+// last_at) over the last $1 hours: one row per session and entity, without
+// bot-flagged events or sessions with more than $2 events in some hour
+const TRENDING_EVENTS_SQL = `
+    WITH recent AS (
+        SELECT * FROM activity_events
+        WHERE created_at > NOW() - make_interval(hours => $1::int)
+          AND COALESCE(metadata->>'bot', 'false') <> 'true'
+    ),
+    noisy AS (
+        SELECT DISTINCT session_id FROM recent
+        GROUP BY session_id, date_trunc('hour', created_at)
+        HAVING COUNT(*) > $2
+    ),
+    human AS (
+        SELECT * FROM recent WHERE session_id NOT IN (SELECT session_id FROM noisy)
+    ),
+    views AS (
+        SELECT p.id AS perfume_id, h.session_id, MAX(h.created_at) AS last_at
+        FROM human h
+        JOIN perfumes p ON p.id::text = h.entity_id AND p.deleted_at IS NULL
+        WHERE h.event_type = 'perfume_view'
+        GROUP BY p.id, h.session_id
+    ),
+    brand_searches AS (
+        SELECT trim(entity_name) AS brand, session_id, MAX(created_at) AS last_at
+        FROM human
+        WHERE event_type = 'brand_search' AND entity_name IS NOT NULL
+        GROUP BY trim(entity_name), session_id
+    )`;
+
+// Sum of per-session weights halving every $3 hours since that session's last event
+const TRENDING_SCORE_SQL = 'SUM(EXP(-LN(2) * EXTRACT(EPOCH FROM NOW() - last_at) / 3600.0 / $3::numeric))';
+
+// ─── Catalogue stats SQL ──────────────────────────────────────────────────────
+
+// Same checks as COMPLETENESS_CHECKS in catalogStats.js, over perfumes `p`
+const NONEMPTY_ARRAY_SQL = (expr) => `(CASE WHEN jsonb_typeof(${expr}) = 'array' THEN jsonb_array_length(${expr}) > 0 ELSE FALSE END)`;
+const NONEMPTY_TEXT_SQL = (col) => `(trim(COALESCE(${col}, '')) <> '')`;
+const COMPLETENESS_SQL = {
+    notes: `(${['top', 'heart', 'base'].map((phase) => NONEMPTY_ARRAY_SQL(`p.notes->'${phase}'`)).join(' OR ')})`,
+    accords: NONEMPTY_ARRAY_SQL('p.accords'),
+    description: NONEMPTY_TEXT_SQL('p.description'),
+    imageUrl: NONEMPTY_TEXT_SQL('p.image_url'),
+    year: 'p.year IS NOT NULL',
+    perfumer: NONEMPTY_TEXT_SQL('p.perfumer'),
+    concentration: NONEMPTY_TEXT_SQL('p.concentration'),
+    rating: 'p.rating IS NOT NULL',
+    longevity: HAS_VOTES_SQL('p.longevity'),
+    sillage: HAS_VOTES_SQL('p.sillage'),
+    seasonUsage: HAS_VOTES_SQL('p.season_usage'),
+};
+
+// completenessScore() in SQL, over perfumes `p`
+const COMPLETENESS_SCORE_SQL = `(${SCORED_FIELDS
+    .map((field) => `CASE WHEN ${COMPLETENESS_SQL[field]} THEN ${COMPLETENESS_WEIGHTS[field]} ELSE 0 END`)
+    .join(' + ')})`;
+
+// Distinct sessions that viewed each perfume in the last 30 days (bot-flagged
+// events left out, as in trending): views(perfume_id, views)
+const RECENT_VIEWS_SQL = `
+    SELECT entity_id AS perfume_id, COUNT(DISTINCT session_id)::int AS views
+    FROM activity_events
+    WHERE event_type = 'perfume_view' AND created_at > NOW() - INTERVAL '30 days'
+      AND COALESCE(metadata->>'bot', 'false') <> 'true'
+    GROUP BY entity_id`;
+
+// Enrichment priority: what is missing, amplified by how much the perfume is seen
+const ENRICHMENT_PRIORITY_SQL = '(100 - p.completeness_score) * (1 + LN(1 + COALESCE(v.views, 0)))';
+
+// Values derived from the record itself: completeness score and the language
+// of its description (see localization.js)
+const derivedFields = (perfume) => ({
+    completenessScore: completenessScore(perfume),
+    descriptionLocale: descriptionLocaleOf(perfume),
+});
+
+// Store them for one perfume after a write and put them on the returned record
+const deriveFieldsOf = async (perfume) => {
+    if (!perfume) return perfume;
+    Object.assign(perfume, derivedFields(perfume));
+    if (isDatabaseConnected) {
+        await pool.query(
+            `UPDATE perfumes p SET completeness_score = ${COMPLETENESS_SCORE_SQL}, description_locale = $2 WHERE p.id = $1`,
+            [perfume.id, perfume.descriptionLocale]
+        ).catch((err) => console.error('❌ Derived fields update failed:', err.message));
+    }
+    return perfume;
+};
+
+// Remote images wanted locally: perfume images and perfumer photos (verified and scraped)
+const IMAGE_URLS_SQL = `
+    SELECT image_url AS url, TRUE AS perfume FROM perfumes
+    WHERE deleted_at IS NULL AND image_url ~* '^https?://'
+    UNION ALL
+    SELECT perfumer_image_url, FALSE FROM perfumes
+    WHERE deleted_at IS NULL AND perfumer_image_url ~* '^https?://'
+    UNION ALL
+    SELECT image_url, FALSE FROM perfumers WHERE image_url ~* '^https?://'
+`;
+// Downloads of a URL before it is left alone (until retried by hand)
+const IMAGE_MIRROR_MAX_ATTEMPTS = 3;
+
+// Score ranges of the quality overview
+const QUALITY_BUCKETS = [[0, 19], [20, 39], [40, 59], [60, 79], [80, 99], [100, 100]];
+
+// WHERE for /stats scoping; values are appended to `params`
+const statsScopeSql = ({ brand, perfumer }, params) => {
+    const clauses = ['p.deleted_at IS NULL'];
+    if (brand) {
+        params.push(brand);
+        clauses.push(SAME_BRAND_SQL('p.brand', `$${params.length}`));
+    }
+    if (perfumer) {
+        params.push(perfumer);
+        clauses.push(`EXISTS (
+            SELECT 1 FROM unnest(string_to_array(LOWER(p.perfumer), ',')) AS scope_name
+            WHERE TRIM(scope_name) = LOWER($${params.length})
+        )`);
+    }
+    return clauses.join(' AND ');
+};
+const STATS_CACHE_TTL = 600;
+
+// ─── Similarity index ─────────────────────────────────────────────────────────
+
+// pairs(perfume_id, similar_id, score, shared_notes, same_phase_matches,
+// shared_accords) for every target in $1::uuid[] against every other live
+// perfume sharing at least one note or accord. Scoring rules in similarityScoring.js.
+const SIMILARITY_PAIRS_SQL = `
+    -- Notes compare by registry entry ("Calabrian Bergamot" = "bergamota"),
+    -- falling back to the normalized text while a note is unmapped
+    WITH target_notes AS (
+        SELECT DISTINCT tp.id AS target_id, COALESCE(xa.note_id::text, ${TEXT_KEY_SQL('x.note')}) AS note, x.phase
+        FROM perfumes tp ${NOTE_ROWS_SQL('tp', 'x')}
+        WHERE tp.id = ANY($1::uuid[]) AND trim(x.note) <> ''
+    ),
+    candidate_notes AS (
+        SELECT DISTINCT p.id, COALESCE(na.note_id::text, ${TEXT_KEY_SQL('n.note')}) AS note, n.phase
+        FROM perfumes p ${NOTE_ROWS_SQL('p', 'n')}
+        WHERE p.deleted_at IS NULL AND trim(n.note) <> ''
+    ),
+    note_scored AS (
+        SELECT
+            t.target_id,
+            c.id,
+            SUM(CASE WHEN c.phase = t.phase THEN 2 ELSE 1 END) AS nscore,
+            COUNT(DISTINCT c.note) AS shared_notes,
+            COUNT(*) FILTER (WHERE c.phase = t.phase) AS same_phase_matches
+        FROM candidate_notes c
+        JOIN target_notes t ON t.note = c.note AND c.id <> t.target_id
+        GROUP BY t.target_id, c.id
+    ),
+    -- Accords are stored as jsonb arrays of strings OR {name,...} objects,
+    -- ordered by crowd-voted prominence (position 1 = dominant accord).
+    all_accords AS (
+        SELECT DISTINCT ON (id, accord) id, accord, ord FROM (
+            SELECT p.id, lower(trim(CASE WHEN jsonb_typeof(a.el) = 'string' THEN a.el #>> '{}' ELSE a.el->>'name' END)) AS accord, a.ord
+            FROM perfumes p,
+            LATERAL jsonb_array_elements(COALESCE(p.accords, '[]'::jsonb)) WITH ORDINALITY AS a(el, ord)
+            WHERE p.deleted_at IS NULL OR p.id = ANY($1::uuid[])
+        ) q WHERE accord IS NOT NULL AND accord <> ''
+        ORDER BY id, accord, ord
+    ),
+    accord_scored AS (
+        SELECT
+            t.id AS target_id,
+            c.id,
+            SUM(CASE
+                WHEN t.ord <= 3 AND c.ord <= 3 THEN 4
+                WHEN t.ord <= 3 OR  c.ord <= 3 THEN 3
+                ELSE 2
+            END) AS ascore,
+            COUNT(*) AS shared_accords
+        FROM all_accords t
+        JOIN all_accords c ON c.accord = t.accord AND c.id <> t.id
+        JOIN perfumes cp ON cp.id = c.id AND cp.deleted_at IS NULL
+        WHERE t.id = ANY($1::uuid[])
+        GROUP BY t.id, c.id
+    ),
+    pairs AS (
+        SELECT
+            COALESCE(n.target_id, a.target_id) AS perfume_id,
+            COALESCE(n.id, a.id) AS similar_id,
+            (COALESCE(n.nscore, 0) + COALESCE(a.ascore, 0))::int AS score,
+            COALESCE(n.shared_notes, 0)::int AS shared_notes,
+            COALESCE(n.same_phase_matches, 0)::int AS same_phase_matches,
+            COALESCE(a.shared_accords, 0)::int AS shared_accords
+        FROM note_scored n
+        FULL OUTER JOIN accord_scored a ON a.target_id = n.target_id AND a.id = n.id
+    )`;
+
+// Fields that feed the score; editing one re-indexes the perfume. Registry changes
+// (note aliases merged or remapped) are picked up by the nightly rebuild.
+const SIMILARITY_FIELDS = ['notes', 'accords'];
+
+const SIMILARITY_UPSERT_SQL = `score = EXCLUDED.score, shared_notes = EXCLUDED.shared_notes,
+    same_phase_matches = EXCLUDED.same_phase_matches, shared_accords = EXCLUDED.shared_accords`;
+
+// Perfumes whose index entry is stale; refreshed in batches shortly after the write
+const pendingSimilarity = new Set();
+let similarityTimer = null;
+const SIMILARITY_QUEUE_DELAY_MS = 2000;
+const SIMILARITY_QUEUE_BATCH = 50;
+
+const flushSimilarityQueue = async () => {
+    similarityTimer = null;
+    while (pendingSimilarity.size) {
+        const ids = [...pendingSimilarity].slice(0, SIMILARITY_QUEUE_BATCH);
+        ids.forEach((id) => pendingSimilarity.delete(id));
+        try {
+            await dataStore.refreshSimilarity(ids, { reverse: true });
+        } catch (error) {
+            console.error('❌ Similarity index refresh failed:', error.message);
+        }
+    }
+};
+
+// Mark perfumes for re-indexing. Their entries stop being served right away
+// (getSimilarByNotes computes live until the refresh lands).
+const queueSimilarityRefresh = (...ids) => {
+    if (!isDatabaseConnected || !ids.length) return;
+    pool.query('DELETE FROM perfume_similarity_state WHERE perfume_id = ANY($1::uuid[])', [ids])
+        .catch((error) => console.error('❌ Similarity index invalidation failed:', error.message));
+    ids.forEach((id) => pendingSimilarity.add(id));
+    if (!similarityTimer) {
+        similarityTimer = setTimeout(flushSimilarityQueue, SIMILARITY_QUEUE_DELAY_MS);
+        similarityTimer.unref?.();
+    }
+};
+
+// Drop perfumes from the index entirely: their own lists and every list they appear in
+const dropFromSimilarityIndex = async (db, ids) => {
+    ids.forEach((id) => pendingSimilarity.delete(id));
+    await db.query('DELETE FROM perfume_similarity WHERE perfume_id = ANY($1::uuid[]) OR similar_id = ANY($1::uuid[])', [ids]);
+    await db.query('DELETE FROM perfume_similarity_state WHERE perfume_id = ANY($1::uuid[])', [ids]);
+};
+
+// { notes, accords } side of scoreSimilarity() for the no-DB fallback
+const memoryProfile = (perfume) => ({
+    notes: notePairs(['top', 'heart', 'base'].flatMap((phase) =>
+        (perfume.notes?.[phase] || []).map((raw) => ({ key: memoryNoteFor(raw)?.id, phase })))),
+    accords: accordPositions(perfume.accords),
+});
+
+// Point alias keys at `noteId` (taking them from whichever note had them) and
+// drop 'auto' notes left without any alias
+const assignNoteAliases = async (db, noteId, keys) => {
+    if (!keys.length) return;
+    await db.query(
+        `INSERT INTO note_aliases (alias, note_id) SELECT unnest($1::text[]), $2
+         ON CONFLICT (alias) DO UPDATE SET note_id = EXCLUDED.note_id`,
+        [[...new Set(keys)], noteId]
+    );
+    await db.query(
+        `DELETE FROM notes n
+         WHERE n.source = 'auto' AND NOT EXISTS (SELECT 1 FROM note_aliases a WHERE a.note_id = n.id)`
+    );
+};
+
+const assignMemoryNoteAliases = (note, keys) => {
+    const registry = memoryNoteRegistry();
+    for (const key of keys) {
+        const previous = registry.byAlias.get(key);
+        if (previous === note) continue;
+        if (previous) {
+            previous.aliases = previous.aliases.filter((a) => a !== key);
+            if (previous.source === 'auto' && !previous.aliases.length) registry.bySlug.delete(previous.slug);
+        }
+        registry.byAlias.set(key, note);
+        note.aliases = [...new Set([...note.aliases, key])].sort();
+    }
+};
+
+// Map a perfume's notes onto the registry after a write. Failures only delay the
+// mapping until the next full sync, so they never fail the write itself.
+const mapNotesOf = (perfumeId) =>
+    dataStore.syncNoteAliases({ perfumeId })
+        .catch((err) => console.error('❌ Note mapping failed:', err.message));
+
+// ─── Brands ───────────────────────────────────────────────────────────────────
+
+// Perfumes whose `column` is any spelling of the brand named in `param`
+const SAME_BRAND_SQL = (column, param) => `(
+    ${TEXT_KEY_SQL(column)} = ${TEXT_KEY_SQL(`${param}::text`)}
+    OR ${TEXT_KEY_SQL(column)} IN (
+        SELECT a2.alias FROM brand_aliases a1 JOIN brand_aliases a2 ON a2.brand_id = a1.brand_id
+        WHERE a1.alias = ${TEXT_KEY_SQL(`${param}::text`)}
+    ))`;
+
+// Brand profiles with alias lists and live perfume counts. `where` filters `b`.
+const brandIndexSql = (where) => `
+    SELECT b.*, COALESCE(c.perfume_count, 0) AS perfume_count, COALESCE(a.aliases, '{}') AS aliases
+    FROM brands b
+    LEFT JOIN (
+        SELECT ba.brand_id, COUNT(*)::int AS perfume_count
+        FROM perfumes p JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('p.brand')}
+        WHERE p.deleted_at IS NULL
+        GROUP BY ba.brand_id
+    ) c ON c.brand_id = b.id
+    LEFT JOIN (
+        SELECT brand_id, array_agg(alias ORDER BY alias) AS aliases FROM brand_aliases GROUP BY brand_id
+    ) a ON a.brand_id = b.id
+    WHERE ${where}`;
+
+const toBrand = (row) => ({
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    country: row.country || null,
+    foundedYear: row.founded_year ?? null,
+    parentGroup: row.parent_group || null,
+    description: row.description || null,
+    website: row.website || null,
+    classification: row.classification || null,
+    logoUrl: row.logo_url || null,
+    fragranticaUrl: row.fragrantica_url || null,
+    aliases: row.aliases || [],
+    perfumeCount: row.perfume_count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+// Brand registry for the no-DB fallback: { bySlug: Map slug → brand, byAlias: Map key → brand }
+const memoryBrands = { bySlug: new Map(), byAlias: new Map() };
+
+// Brand a raw spelling belongs to in the no-DB fallback (registered on first sight)
+const memoryBrandFor = (name) => {
+    const key = brandKey(name);
+    if (!key) return null;
+    let brand = memoryBrands.byAlias.get(key);
+    if (!brand) {
+        const now = new Date().toISOString();
+        brand = memoryBrands.bySlug.get(slugifyBrand(name)) || {
+            id: uuidv4(), slug: slugifyBrand(name), name: String(name).trim(), country: null, foundedYear: null,
+            parentGroup: null, description: null, website: null, classification: null, logoUrl: null,
+            fragranticaUrl: null, aliases: [], createdAt: now, updatedAt: now,
+        };
+        memoryBrands.bySlug.set(brand.slug, brand);
+        memoryBrands.byAlias.set(key, brand);
+        brand.aliases = [...new Set([...brand.aliases, key])].sort();
+    }
+    return brand;
+};
+
+const memoryBrandView = (brand) => ({
+    ...brand,
+    perfumeCount: memoryStore.filter((p) => memoryBrandFor(p.brand) === brand).length,
+});
+
+// Point the alias keys at `brand` in the no-DB fallback (moving them off other brands)
+const assignMemoryBrandAliases = (brand, keys) => {
+    for (const key of keys) {
+        const previous = memoryBrands.byAlias.get(key);
+        if (previous && previous !== brand) previous.aliases = previous.aliases.filter((a) => a !== key);
+        memoryBrands.byAlias.set(key, brand);
+    }
+    brand.aliases = [...new Set([...brand.aliases, ...keys])].sort();
+};
+
+// Point the alias keys at `brandId`, taking them over from whichever brand had them
+const assignBrandAliases = async (db, brandId, keys) => {
+    if (!keys.length) return;
+    await db.query(
+        `INSERT INTO brand_aliases (alias, brand_id) SELECT DISTINCT unnest($1::text[]), $2
+         ON CONFLICT (alias) DO UPDATE SET brand_id = EXCLUDED.brand_id`,
+        [keys, brandId]
+    );
+};
+
+// brands row for the name in $1: by any registered spelling, or by exact name
+const BRAND_MATCH_SQL = `(id = (SELECT brand_id FROM brand_aliases WHERE alias = ${TEXT_KEY_SQL('$1::text')}) OR LOWER(name) = LOWER($1))`;
+
+// Make a brands row's own name one of its aliases (no-op if the key is taken)
+const registerBrandAlias = async (row) => {
+    if (!row) return;
+    await pool.query(
+        `INSERT INTO brand_aliases (alias, brand_id) SELECT ${TEXT_KEY_SQL('$1::text')}, $2
+         WHERE ${TEXT_KEY_SQL('$1::text')} <> ''
+         ON CONFLICT DO NOTHING`,
+        [row.name, row.id]
+    );
+};
+
+// Spelling a perfume write should store: the name of the brand this spelling is
+// an alias of, or the spelling itself after registering it as a new brand
+const canonicalBrandName = async (db, name) => {
+    if (!name) return name;
+    if (!db) return memoryBrandFor(name)?.name || name;
+    const lookup = () => db.query(
+        `SELECT b.name FROM brand_aliases a JOIN brands b ON b.id = a.brand_id WHERE a.alias = ${TEXT_KEY_SQL('$1::text')}`,
+        [name]
+    );
+    const found = await lookup();
+    if (found.rows[0]) return found.rows[0].name;
+    const slug = slugifyBrand(name);
+    if (!slug) return name;
+    await db.query('INSERT INTO brands (name, slug) VALUES ($1, $2) ON CONFLICT DO NOTHING', [name, slug]);
+    await db.query(
+        `INSERT INTO brand_aliases (alias, brand_id)
+         SELECT ${TEXT_KEY_SQL('$1::text')}, id FROM brands WHERE slug = $2
+         ON CONFLICT DO NOTHING`,
+        [name, slug]
+    );
+    return (await lookup()).rows[0]?.name || name;
+};
+
+// Set perfumes.brand to `name` on every perfume (trash included) whose spelling is
+// an alias of `brandId`, with one 'user' revision each. Returns how many changed.
+const rewritePerfumeBrands = async (db, brandId, name, { userId = null, note = null } = {}) => {
+    if (!db) {
+        const brand = [...memoryBrands.bySlug.values()].find((b) => b.id === brandId);
+        let changed = 0;
+        for (const list of [memoryStore, memoryTrash]) {
+            for (let i = 0; i < list.length; i++) {
+                if (list[i].brand === name || memoryBrandFor(list[i].brand) !== brand) continue;
+                const after = { ...list[i], brand: name, updatedAt: new Date().toISOString() };
+                list[i] = await trackChanges(null, { before: list[i], after, source: 'user', userId, note });
+                changed++;
+            }
+        }
+        return changed;
+    }
+    const result = await db.query(
+        `WITH target AS (
+            SELECT p.id, p.brand AS old_brand
+            FROM perfumes p JOIN brand_aliases a ON a.alias = ${TEXT_KEY_SQL('p.brand')}
+            WHERE a.brand_id = $1 AND p.brand IS DISTINCT FROM $2::text
+            FOR UPDATE OF p
+        ),
+        changed AS (
+            UPDATE perfumes p SET
+                brand = $2::text,
+                updated_at = NOW(),
+                field_sources = COALESCE(p.field_sources, '{}'::jsonb)
+                    || jsonb_build_object('brand', jsonb_build_object('source', 'user', 'at', NOW()))
+            FROM target t WHERE p.id = t.id
+            RETURNING p.id, t.old_brand
+        )
+        INSERT INTO perfume_revisions (perfume_id, action, source, user_id, changes, note)
+        SELECT id, 'update', 'user', $3, jsonb_build_object('brand', jsonb_build_object('from', old_brand, 'to', $2::text)), $4
+        FROM changed`,
+        [brandId, name, userId, note]
+    );
+    return result.rowCount;
+};
+
+// ─── Product lines ────────────────────────────────────────────────────────────
+
+// Re-detect the lines of the brands a write touched. Like note mapping, failures
+// are only logged: the boot pass catches up.
+const detectLinesOf = (...brands) =>
+    Promise.all([...new Set(brands.filter(Boolean))].map((brand) => dataStore.syncPerfumeLines({ brand })))
+        .catch((err) => console.error('❌ Product line detection failed:', err.message));
+
+// Perfume fields line detection depends on
+const LINE_FIELDS = ['name', 'brand', 'year'];
+
+// Brands whose lines are re-detected shortly after an insert: one pass per brand
+// however many of its perfumes a scrape run, restore or import adds
+const pendingLineBrands = new Set();
+let lineTimer = null;
+const LINE_QUEUE_DELAY_MS = 2000;
+
+const flushLineQueue = async () => {
+    lineTimer = null;
+    while (pendingLineBrands.size) {
+        const brands = [...pendingLineBrands];
+        pendingLineBrands.clear();
+        for (const brand of brands) await detectLinesOf(brand);
+    }
+};
+
+const queueLineDetection = (...brands) => {
+    brands.filter(Boolean).forEach((brand) => pendingLineBrands.add(brand));
+    if (pendingLineBrands.size && !lineTimer) {
+        lineTimer = setTimeout(flushLineQueue, LINE_QUEUE_DELAY_MS);
+        lineTimer.unref?.();
+    }
 };
 
+// Input row for detectLines(); `manual` is undefined for auto-detected perfumes
+const lineCandidate = (p) => ({
+    id: p.id,
+    name: p.name,
+    brand: p.brand,
+    year: p.year,
+    manual: p.lineManual ? p.line : undefined,
+});
+
+const sameLine = (a, b) => (a?.key ?? null) === (b?.key ?? null) && a?.name === b?.name && a?.role === b?.role;
+
 export const dataStore = {
     // Estado de conexión
     isConnected: () => isDatabaseConnected,
 
-    // Obtener todos los perfumes con paginación
+    // Obtener todos los perfumes con paginación y filtros facetados
+    // (ver catalogFilters.js para los parámetros soportados).
+    // Con `cursor` (ver pagination.js) pagina por keyset y omite el COUNT;
+    // `fields` limita las columnas leídas y devueltas.
     getAll: async ({
         page = 1,
         limit = 12,
-        brand,
-        gender,
-        search,
         sortBy = 'createdAt',
+        order,
+        cursor = null,
+        fields = null,
+        ...rawFilters
     }) => {
+        const filters = parseCatalogFilters(rawFilters);
+        const sort = resolveSort(sortBy, order);
+        const nextCursorFor = (row, value) =>
+            encodeCursor({ sortBy: sort.key, dir: sort.dir, value, id: row.id });
+
         if (!isDatabaseConnected) {
             // Fallback a memoria
-            let filtered = [...memoryStore];
-            if (brand)
-                filtered = filtered.filter((p) =>
-                    p.brand?.toLowerCase().includes(brand.toLowerCase())
-                );
-            if (gender) filtered = filtered.filter((p) => p.gender === gender);
-            if (search)
-                filtered = filtered.filter(
-                    (p) =>
-                        p.name?.toLowerCase().includes(search.toLowerCase()) ||
-                        p.brand?.toLowerCase().includes(search.toLowerCase())
-                );
-            const total = filtered.length;
-            const offset = (page - 1) * limit;
+            const filtered = memoryStore
+                .filter((p) => matchesCatalogFilters(p, filters))
+                .sort((a, b) => compareForSort(a, b, sort));
+            const start = cursor
+                ? filtered.findIndex((p) => compareForSort(p, { [sort.field]: cursor.value, id: cursor.id }, sort) > 0)
+                : (page - 1) * limit;
+            const data = start < 0 ? [] : filtered.slice(start, start + limit);
+            const last = data[data.length - 1];
+            const hasMore = start >= 0 && start + limit < filtered.length;
+            const nextCursor = hasMore ? nextCursorFor(last, last[sort.field] ?? null) : null;
             return {
-                data: filtered.slice(offset, offset + limit),
-                pagination: {
-                    page,
-                    limit,
-                    total,
-                    totalPages: Math.ceil(total / limit),
-                },
+                data: data.map((p) => pickFields(p, fields)),
+                pagination: cursor
+                    ? { limit, hasMore, nextCursor }
+                    : {
+                        page,
+                        limit,
+                        total: filtered.length,
+                        totalPages: Math.ceil(filtered.length / limit),
+                        nextCursor,
+                    },
             };
         }
 
-        let query = 'SELECT * FROM perfumes WHERE 1=1';
-        const params = [];
-        let paramIndex = 1;
+        const { where, params } = buildCatalogWhere(filters);
+        const keyset = cursor ? keysetClause(sort, cursor, params) : null;
+        const orderBy = `ORDER BY ${sort.column} ${sort.dir} NULLS LAST, id ${sort.dir}`;
 
-        if (brand) {
-            query += ` AND LOWER(brand) LIKE LOWER($${paramIndex})`;
-            params.push(`%${brand}%`);
-            paramIndex++;
-        }
+        // Una fila extra para saber si hay página siguiente sin contar
+        const result = await pool.query(
+            `SELECT ${selectColumns(fields)}, ${sort.column}::text AS sort_cursor
+             FROM perfumes WHERE ${where}${keyset ? ` AND ${keyset}` : ''}
+             ${orderBy}
+             LIMIT $${params.length + 1}${cursor ? '' : ` OFFSET $${params.length + 2}`}`,
+            cursor ? [...params, limit + 1] : [...params, limit + 1, (page - 1) * limit]
+        );
 
-        if (gender) {
-            query += ` AND gender = $${paramIndex}`;
-            params.push(gender);
-            paramIndex++;
-        }
+        const hasMore = result.rows.length > limit;
+        const rows = result.rows.slice(0, limit);
+        const last = rows[rows.length - 1];
+        const nextCursor = hasMore ? nextCursorFor(last, last.sort_cursor) : null;
+        const data = rows.map((row) => pickFields(toCamelCase(row), fields));
 
-        if (search) {
-            query += ` AND (LOWER(name) LIKE LOWER($${paramIndex}) OR LOWER(brand) LIKE LOWER($${paramIndex}) OR LOWER(description) LIKE LOWER($${paramIndex}))`;
-            params.push(`%${search}%`);
-            paramIndex++;
+        if (cursor) {
+            return { data, pagination: { limit, hasMore, nextCursor } };
         }
 
-        const countQuery = query.replace('SELECT *', 'SELECT COUNT(*)');
-        const countResult = await pool.query(countQuery, params);
+        const countResult = await pool.query(
+            `SELECT COUNT(*) FROM perfumes WHERE ${where}`,
+            params
+        );
         const total = parseInt(countResult.rows[0].count);
 
-        const orderMap = {
-            name: 'name ASC',
-            rating: 'rating DESC NULLS LAST',
-            year: 'year DESC NULLS LAST',
-            createdAt: 'created_at DESC',
-        };
-        query += ` ORDER BY ${orderMap[sortBy] || 'created_at DESC'}`;
-
-        const offset = (page - 1) * limit;
-        query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-        params.push(limit, offset);
-
-        const result = await pool.query(query, params);
-
         return {
-            data: result.rows.map(toCamelCase),
+            data,
             pagination: {
                 page,
                 limit,
                 total,
                 totalPages: Math.ceil(total / limit),
+                nextCursor,
             },
         };
     },
 
-    // Find duplicate perfumes (same name + brand, different ids)
-    findDuplicates: async () => {
-        if (!isDatabaseConnected) return [];
-        const result = await pool.query(`
-            SELECT
-                LOWER(TRIM(name)) AS norm_name,
-                LOWER(TRIM(brand)) AS norm_brand,
-                COUNT(*) AS count,
-                ARRAY_AGG(id ORDER BY created_at ASC) AS ids,
-                ARRAY_AGG(name ORDER BY created_at ASC) AS names,
-                ARRAY_AGG(brand ORDER BY created_at ASC) AS brands,
-                ARRAY_AGG(source_url ORDER BY created_at ASC) AS urls,
-                ARRAY_AGG(created_at ORDER BY created_at ASC) AS created_ats,
-                ARRAY_AGG(COALESCE(rating, 0) ORDER BY created_at ASC) AS ratings
-            FROM perfumes
-            GROUP BY LOWER(TRIM(name)), LOWER(TRIM(brand))
-            HAVING COUNT(*) > 1
-            ORDER BY COUNT(*) DESC
-        `);
-        return result.rows.map(row => ({
-            name: row.names[0],
-            brand: row.brands[0],
-            count: parseInt(row.count),
-            duplicates: row.ids.map((id, i) => ({
-                id,
-                name: row.names[i],
-                brand: row.brands[i],
-                sourceUrl: row.urls[i],
-                createdAt: row.created_ats[i],
-                rating: row.ratings[i],
-            })),
-        }));
+    // getAll() for several filter sets sharing one page/sort (a page of brands
+    // each listing its perfumes, in GraphQL): two queries however many groups.
+    // Returns one getAll() result per group, in order.
+    getAllForGroups: async (groups, { page = 1, limit = 12, sortBy = 'createdAt', order, cursor = null, fields = null } = {}) => {
+        if (!isDatabaseConnected || groups.length < 2) {
+            return Promise.all(groups.map((group) => dataStore.getAll({ page, limit, sortBy, order, cursor, fields, ...group })));
+        }
+        const sort = resolveSort(sortBy, order);
+        const nextCursorFor = (row) =>
+            encodeCursor({ sortBy: sort.key, dir: sort.dir, value: row.sort_cursor, id: row.id });
+
+        // Filter params first: the count query takes exactly these
+        const params = [];
+        const wheres = groups.map((group) => buildCatalogWhere(parseCatalogFilters(group), { params }).where);
+        const countParams = [...params];
+        const keyset = cursor ? keysetClause(sort, cursor, params) : null;
+        params.push(limit + 1);
+        const limitRef = `$${params.length}`;
+        if (!cursor) params.push((page - 1) * limit);
+        const offsetRef = `$${params.length}`;
+        const orderBy = `ORDER BY ${sort.column} ${sort.dir} NULLS LAST, id ${sort.dir}`;
+
+        const result = await pool.query(
+            `SELECT * FROM (${wheres.map((where, i) => `(
+                SELECT ${selectColumns(fields)}, ${sort.column}::text AS sort_cursor,
+                       ${i} AS group_index, ROW_NUMBER() OVER (${orderBy}) AS group_rank
+                FROM perfumes WHERE ${where}${keyset ? ` AND ${keyset}` : ''}
+                ${orderBy}
+                LIMIT ${limitRef}${cursor ? '' : ` OFFSET ${offsetRef}`}
+            )`).join(' UNION ALL ')}) g
+             ORDER BY group_index, group_rank`,
+            params
+        );
+        const totals = cursor ? null : (await pool.query(
+            wheres.map((where, i) => `SELECT ${i} AS group_index, COUNT(*) FROM perfumes WHERE ${where}`).join(' UNION ALL '),
+            countParams
+        )).rows.reduce((map, row) => map.set(row.group_index, parseInt(row.count)), new Map());
+
+        return groups.map((_, i) => {
+            const groupRows = result.rows.filter((row) => row.group_index === i);
+            const hasMore = groupRows.length > limit;
+            const rows = groupRows.slice(0, limit);
+            const nextCursor = hasMore ? nextCursorFor(rows[rows.length - 1]) : null;
+            const data = rows.map(({ group_index: _index, group_rank: _rank, ...row }) => pickFields(toCamelCase(row), fields));
+            if (cursor) return { data, pagination: { limit, hasMore, nextCursor } };
+            const total = totals.get(i) || 0;
+            return { data, pagination: { page, limit, total, totalPages: Math.ceil(total / limit), nextCursor } };
+        });
     },
 
-    // Delete duplicate perfumes keeping the first-created one (or highest rated if specified)
-    deleteDuplicates: async () => {
-        if (!isDatabaseConnected) return { deleted: 0, groups: 0 };
-        // For each name+brand group with duplicates, keep the earliest created entry,
-        // then delete all others. Returns counts.
-        const result = await pool.query(`
+    // Filtered catalogue in keyset batches of `batchSize`, for streaming exports
+    // (catalogExport.js). `onBatch(perfumes)` is awaited before the next batch is
+    // read; returning false stops. Returns how many perfumes were handed out.
+    exportCatalog: async ({ sortBy = 'name', order, fields = null, batchSize = 500, ...rawFilters }, onBatch) => {
+        const filters = parseCatalogFilters(rawFilters);
+        const sort = resolveSort(sortBy, order);
+        let exported = 0;
+
+        if (!isDatabaseConnected) {
+            const filtered = memoryStore
+                .filter((p) => matchesCatalogFilters(p, filters))
+                .sort((a, b) => compareForSort(a, b, sort));
+            for (let i = 0; i < filtered.length; i += batchSize) {
+                const batch = filtered.slice(i, i + batchSize).map((p) => pickFields(p, fields));
+                exported += batch.length;
+                if (await onBatch(batch) === false) break;
+            }
+            return exported;
+        }
+
+        let cursor = null;
+        for (;;) {
+            const { where, params } = buildCatalogWhere(filters);
+            const keyset = cursor ? keysetClause(sort, cursor, params) : null;
+            const result = await pool.query(
+                `SELECT ${selectColumns(fields)}, ${sort.column}::text AS sort_cursor
+                 FROM perfumes WHERE ${where}${keyset ? ` AND ${keyset}` : ''}
+                 ORDER BY ${sort.column} ${sort.dir} NULLS LAST, id ${sort.dir}
+                 LIMIT $${params.length + 1}`,
+                [...params, batchSize]
+            );
+            if (!result.rows.length) break;
+            const last = result.rows[result.rows.length - 1];
+            cursor = { value: last.sort_cursor, id: last.id };
+            const batch = result.rows.map((row) => pickFields(toCamelCase(row), fields));
+            exported += batch.length;
+            if (await onBatch(batch) === false || result.rows.length < batchSize) break;
+        }
+        return exported;
+    },
+
+    // Live perfumes as dataset-import match targets (datasetImport.js):
+    // [{ id, name, brand, objectIds, urls, filled, lockedFields }] where urls holds
+    // source, mirror and merged-alias URLs and `filled` lists which of `fields`
+    // already have data (same checks as the completeness score).
+    getImportIndex: async ({ fields }) => {
+        const checks = { ...COMPLETENESS_CHECKS, gender: (p) => Boolean(p.gender?.trim()) };
+        if (!isDatabaseConnected) {
+            return memoryStore.map((p) => {
+                const aliases = memoryAliases.filter((a) => a.perfumeId === p.id);
+                const urls = [p.sourceUrl, ...(p.mirrorUrls || []), ...aliases.map((a) => a.sourceUrl)].filter(Boolean);
+                return {
+                    id: p.id,
+                    name: p.name,
+                    brand: p.brand,
+                    objectIds: [...new Set([p.objectId, ...urls.map(objectIdOf)].filter(Boolean))],
+                    urls: [...new Set(urls)],
+                    filled: fields.filter((f) => checks[f](p)),
+                    lockedFields: p.lockedFields || [],
+                };
+            });
+        }
+        const checksSql = { ...COMPLETENESS_SQL, gender: NONEMPTY_TEXT_SQL('p.gender') };
+        const result = await pool.query(
+            `SELECT p.id, p.name, p.brand, p.object_id, p.source_url,
+                    COALESCE(p.mirror_urls, '[]'::jsonb) AS mirror_urls,
+                    COALESCE(p.locked_fields, '[]'::jsonb) AS locked_fields,
+                    COALESCE(a.urls, '{}') AS alias_urls, COALESCE(a.object_ids, '{}') AS alias_object_ids,
+                    ${fields.map((f, i) => `${checksSql[f]} AS filled_${i}`).join(', ')}
+             FROM perfumes p
+             LEFT JOIN (
+                 SELECT perfume_id, array_agg(source_url) AS urls,
+                        array_agg(object_id) FILTER (WHERE object_id IS NOT NULL) AS object_ids
+                 FROM perfume_aliases GROUP BY perfume_id
+             ) a ON a.perfume_id = p.id
+             WHERE p.deleted_at IS NULL`
+        );
+        return result.rows.map((row) => {
+            const urls = [row.source_url, ...row.mirror_urls, ...row.alias_urls].filter(Boolean);
+            return {
+                id: row.id,
+                name: row.name,
+                brand: row.brand,
+                objectIds: [...new Set([row.object_id, ...row.alias_object_ids, ...urls.map(objectIdOf)].filter(Boolean))],
+                urls: [...new Set(urls)],
+                filled: fields.filter((f, i) => row[`filled_${i}`]),
+                lockedFields: row.locked_fields,
+            };
+        });
+    },
+
+    // Facet counts for the catalogue sidebar. Each dimension is counted with every
+    // filter applied EXCEPT its own, so selecting "Woody" still lists other accords.
+    getFacets: async (rawFilters = {}, { limit = DEFAULT_FACET_LIMIT } = {}) => {
+        const filters = parseCatalogFilters(rawFilters);
+        if (!isDatabaseConnected) {
+            return computeMemoryFacets(memoryStore, filters, limit);
+        }
+
+        const cacheKey = `facets:${limit}:${JSON.stringify(filters)}`;
+        const cached = cacheService.get(cacheKey);
+        if (cached) return cached;
+
+        const entries = await Promise.all(
+            FACET_DIMENSIONS.map(async (dim) => {
+                const { where, params } = buildCatalogWhere(filters, { exclude: dim });
+                const ordered = ORDERED_FACETS.has(dim);
+                const query = FACET_SQL[dim](where) + (ordered
+                    ? ' ORDER BY value'
+                    : ` ORDER BY count DESC, value LIMIT $${params.length + 1}`);
+                const result = await pool.query(query, ordered ? params : [...params, limit]);
+                return [dim, result.rows.map((r) => ({ value: r.value, count: r.count }))];
+            })
+        );
+
+        const facets = Object.fromEntries(entries);
+        cacheService.set(cacheKey, facets, FACET_CACHE_TTL);
+        return facets;
+    },
+
+    // Ranked, accent-insensitive search over name, brand, perfumer, notes, accords
+    // and description. Typo-tolerant when pg_trgm is available. Returns the usual
+    // { data, pagination } plus "did you mean" `suggestions` when nothing matched.
+    search: async ({ q, page = 1, limit = 12 }) => {
+        const folded = foldText(q).trim().replace(/\s+/g, ' ');
+        const tokens = tokenizeQuery(q);
+        const offset = (page - 1) * limit;
+        const empty = (suggestions) => ({
+            data: [],
+            pagination: { page, limit, total: 0, totalPages: 0 },
+            suggestions,
+        });
+
+        if (!tokens.length) return empty([]);
+
+        if (!isDatabaseConnected) {
+            // Fallback a memoria
+            const ranked = memoryStore
+                .map((p) => ({ p, score: scorePerfume(p, folded, tokens) }))
+                .filter((r) => r.score > 0)
+                .sort((a, b) => b.score - a.score || (b.p.rating ?? 0) - (a.p.rating ?? 0));
+            if (!ranked.length) {
+                return empty(closestTerms(q, memoryStore.flatMap((p) => [p.name, p.brand])));
+            }
+            return {
+                data: ranked.slice(offset, offset + limit).map((r) => ({ ...r.p, searchScore: r.score })),
+                pagination: {
+                    page,
+                    limit,
+                    total: ranked.length,
+                    totalPages: Math.ceil(ranked.length / limit),
+                },
+                suggestions: [],
+            };
+        }
+
+        const totalOf = ({ rows }) => (rows.length ? parseInt(rows[0].total_count) : 0);
+        const result = await pool.query(searchSql(trigramAvailable), [folded, tokens, limit, offset]);
+        // Past the last page the window count has no row to ride on: count from the first
+        const total = result.rows.length || offset === 0
+            ? totalOf(result)
+            : totalOf(await pool.query(searchSql(trigramAvailable), [folded, tokens, 1, 0]));
+
+        // Suggestions only when the query matches nothing, not for an empty page
+        if (!total) return empty(await dataStore.getSearchSuggestions(q));
+
+        return {
+            data: result.rows.map((row) => ({
+                ...toCamelCase(row),
+                searchScore: Math.round(parseFloat(row.search_score) * 100) / 100,
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+            suggestions: [],
+        };
+    },
+
+    // "Did you mean" — perfume names and brands closest to the query
+    getSearchSuggestions: async (q, limit = 5) => {
+        if (!isDatabaseConnected) {
+            return closestTerms(q, memoryStore.flatMap((p) => [p.name, p.brand]), limit);
+        }
+        const folded = foldText(q).trim();
+        if (!folded) return [];
+
+        if (trigramAvailable) {
+            const result = await pool.query(
+                `SELECT MIN(value) AS value, MAX(sim) AS sim FROM (
+                    SELECT name AS value, GREATEST(similarity($1, ${FOLD_SQL('name')}), word_similarity($1, ${FOLD_SQL('name')})) AS sim
+                    FROM perfumes WHERE deleted_at IS NULL
+                    UNION ALL
+                    SELECT brand, GREATEST(similarity($1, ${FOLD_SQL('brand')}), word_similarity($1, ${FOLD_SQL('brand')}))
+                    FROM perfumes WHERE deleted_at IS NULL
+                 ) c
+                 WHERE sim >= 0.3
+                 GROUP BY ${FOLD_SQL('value')}
+                 ORDER BY sim DESC, value
+                 LIMIT $2`,
+                [folded, limit]
+            );
+            return result.rows.map((r) => r.value);
+        }
+
+        // Sin pg_trgm: distancia de edición sobre marcas y nombres que comparten inicial
+        const result = await pool.query(
+            `SELECT DISTINCT name AS value FROM perfumes WHERE deleted_at IS NULL AND ${FOLD_SQL('name')} LIKE $1
+             UNION
+             SELECT DISTINCT brand FROM perfumes WHERE deleted_at IS NULL AND ${FOLD_SQL('brand')} LIKE $1`,
+            [`${folded[0]}%`]
+        );
+        return closestTerms(q, result.rows.map((r) => r.value), limit);
+    },
+
+    // Find duplicate perfumes (same name + brand, different ids)
+    findDuplicates: async () => {
+        if (!isDatabaseConnected) return [];
+        const result = await pool.query(`
+            SELECT
+                LOWER(TRIM(name)) AS norm_name,
+                LOWER(TRIM(brand)) AS norm_brand,
+                COUNT(*) AS count,
+                ARRAY_AGG(id ORDER BY created_at ASC) AS ids,
+                ARRAY_AGG(name ORDER BY created_at ASC) AS names,
+                ARRAY_AGG(brand ORDER BY created_at ASC) AS brands,
+                ARRAY_AGG(source_url ORDER BY created_at ASC) AS urls,
+                ARRAY_AGG(created_at ORDER BY created_at ASC) AS created_ats,
+                ARRAY_AGG(COALESCE(rating, 0) ORDER BY created_at ASC) AS ratings
+            FROM perfumes
+            WHERE deleted_at IS NULL
+            GROUP BY LOWER(TRIM(name)), LOWER(TRIM(brand))
+            HAVING COUNT(*) > 1
+            ORDER BY COUNT(*) DESC
+        `);
+        return result.rows.map(row => ({
+            name: row.names[0],
+            brand: row.brands[0],
+            count: parseInt(row.count),
+            duplicates: row.ids.map((id, i) => ({
+                id,
+                name: row.names[i],
+                brand: row.brands[i],
+                sourceUrl: row.urls[i],
+                createdAt: row.created_ats[i],
+                rating: row.ratings[i],
+            })),
+        }));
+    },
+
+    // Move duplicate perfumes to the trash keeping the highest rated (then first-created) one
+    deleteDuplicates: async ({ userId = null } = {}) => {
+        if (!isDatabaseConnected) return { deleted: 0, groups: 0 };
+        // For each name+brand group with duplicates, keep the best entry and trash
+        // all others (restorable from /api/perfumes/trash). Returns counts.
+        const result = await pool.query(`
             WITH ranked AS (
                 SELECT id,
                     ROW_NUMBER() OVER (
@@ -650,31 +2250,205 @@ export const dataStore = {
                         ORDER BY COALESCE(rating, 0) DESC, created_at ASC
                     ) AS rn
                 FROM perfumes
+                WHERE deleted_at IS NULL
             ),
             to_delete AS (
                 SELECT id FROM ranked WHERE rn > 1
             )
-            DELETE FROM perfumes WHERE id IN (SELECT id FROM to_delete)
+            UPDATE perfumes SET deleted_at = NOW(), deleted_by = $1, deleted_reason = 'duplicate'
+            WHERE id IN (SELECT id FROM to_delete)
             RETURNING id
-        `);
+        `, [userId]);
         const groupResult = await pool.query(`
             SELECT COUNT(DISTINCT LOWER(TRIM(name)) || '|' || LOWER(TRIM(brand))) AS groups
             FROM perfumes
+            WHERE deleted_at IS NULL
         `);
         return { deleted: result.rowCount, groups: parseInt(groupResult.rows[0]?.groups || 0) };
     },
 
+    // Near-duplicate candidates scored by duplicateDetection.js (live perfumes only)
+    getDuplicateCandidates: async ({ brand = null, minScore, limit } = {}) => {
+        let perfumes;
+        if (!isDatabaseConnected) {
+            perfumes = memoryStore.filter((p) => !brand || p.brand?.toLowerCase() === brand.toLowerCase());
+        } else {
+            const result = await pool.query(
+                `SELECT id, name, brand, concentration, year, source_url, rating, created_at
+                 FROM perfumes
+                 WHERE deleted_at IS NULL${brand ? ' AND LOWER(brand) = LOWER($1)' : ''}`,
+                brand ? [brand] : []
+            );
+            perfumes = result.rows.map(toCamelCase);
+        }
+        return findDuplicateCandidates(perfumes, { minScore, limit });
+    },
+
+    /**
+     * Merge `duplicateIds` into `survivorId`. The survivor takes the best value of
+     * each field (see pickMergedFields), inherits favorites and activity events,
+     * and keeps the duplicates' source URLs as aliases; the duplicates go to the
+     * trash with reason 'merged'. Recorded as a 'merge' revision.
+     * Returns null when any of the perfumes is missing or already trashed.
+     */
+    mergePerfumes: async (survivorId, duplicateIds, { userId = null, prefer = {} } = {}) => {
+        const fields = TRACKED_FIELDS.filter((f) => f !== 'sourceUrl');
+        const meta = { source: 'user', userId, action: 'merge', note: `merged ${duplicateIds.join(', ')}` };
+
+        if (!isDatabaseConnected) {
+            const survivor = memoryStore.find((p) => p.id === survivorId);
+            const duplicates = duplicateIds.map((id) => memoryStore.find((p) => p.id === id));
+            if (!survivor || duplicates.some((p) => !p)) return null;
+
+            const { data, sources } = pickMergedFields(survivor, duplicates, fields, { prefer });
+            const after = { ...survivor, ...data, updatedAt: new Date().toISOString() };
+            Object.assign(after, derivedFields(after));
+            const merged = await trackChanges(null, { before: survivor, after, ...meta });
+            memoryStore[memoryStore.indexOf(survivor)] = merged;
+
+            const newAliases = duplicates.flatMap((p) =>
+                [...new Set([p.sourceUrl, ...(p.mirrorUrls || [])])].filter(Boolean).map((url) => ({
+                    sourceUrl: url, objectId: p.objectId || objectIdOf(url), perfumeId: survivorId, mergedFrom: p.id,
+                })));
+            const aliases = newAliases.map((a) => a.sourceUrl);
+            memoryAliases = [
+                ...memoryAliases
+                    .filter((a) => !aliases.includes(a.sourceUrl))
+                    .map((a) => (duplicateIds.includes(a.perfumeId) ? { ...a, perfumeId: survivorId } : a)),
+                ...newAliases,
+            ];
+            for (const id of duplicateIds) await dataStore.delete(id, { userId, reason: 'merged' });
+            return { perfume: merged, fieldSources: sources, aliases, movedFavorites: 0, movedActivity: 0 };
+        }
+
+        const result = await withTransaction(async (client) => {
+            const rows = await client.query(
+                'SELECT * FROM perfumes WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL FOR UPDATE',
+                [[survivorId, ...duplicateIds]]
+            );
+            const byId = new Map(rows.rows.map((row) => [row.id, toCamelCase(row)]));
+            const survivor = byId.get(survivorId);
+            const duplicates = duplicateIds.map((id) => byId.get(id));
+            if (!survivor || duplicates.some((p) => !p)) return null;
+
+            // 1. Mejores valores por campo
+            const { data, sources } = pickMergedFields(survivor, duplicates, fields, { prefer });
+            let merged = survivor;
+            const entries = Object.entries(data);
+            if (entries.length) {
+                const values = entries.map(([field, value]) =>
+                    (JSON_FIELDS.includes(field) ? JSON.stringify(value) : value));
+                const result = await client.query(
+                    `UPDATE perfumes SET ${entries.map(([field], i) => `${PERFUME_FIELD_COLUMNS[field]} = $${i + 2}`).join(', ')},
+                        updated_at = NOW()
+                     WHERE id = $1 RETURNING *`,
+                    [survivorId, ...values]
+                );
+                merged = await trackChanges(client, { before: survivor, after: toCamelCase(result.rows[0]), ...meta });
+            }
+
+            // 2. Favoritos: uno por usuario, conservando el del superviviente
+            const favorites = await client.query(
+                `INSERT INTO favorites (user_id, perfume_id, created_at)
+                 SELECT user_id, $1, MIN(created_at) FROM favorites
+                 WHERE perfume_id = ANY($2::uuid[])
+                 GROUP BY user_id
+                 ON CONFLICT (user_id, perfume_id) DO NOTHING`,
+                [survivorId, duplicateIds]
+            );
+            await client.query('DELETE FROM favorites WHERE perfume_id = ANY($1::uuid[])', [duplicateIds]);
+
+            // 3. Actividad (perfume_view, etc.)
+            const activity = await client.query(
+                'UPDATE activity_events SET entity_id = $1 WHERE entity_id = ANY($2::text[])',
+                [survivorId, duplicateIds]
+            );
+
+            // 4. Alias: las URLs de los duplicados (y sus alias previos) apuntan al superviviente
+            await client.query(
+                'UPDATE perfume_aliases SET perfume_id = $1 WHERE perfume_id = ANY($2::uuid[])',
+                [survivorId, duplicateIds]
+            );
+            const aliases = await client.query(
+                `INSERT INTO perfume_aliases (source_url, object_id, perfume_id, merged_from)
+                 SELECT DISTINCT ON (u.url) u.url, COALESCE(p.object_id, substring(u.url from '-(\\d+)\\.html')), $1, p.id
+                 FROM perfumes p,
+                 LATERAL (
+                     SELECT p.source_url AS url
+                     UNION
+                     SELECT jsonb_array_elements_text(COALESCE(p.mirror_urls, '[]'::jsonb))
+                 ) u
+                 WHERE p.id = ANY($2::uuid[]) AND u.url IS NOT NULL
+                 ORDER BY u.url
+                 ON CONFLICT (source_url) DO UPDATE SET perfume_id = EXCLUDED.perfume_id, merged_from = EXCLUDED.merged_from
+                 RETURNING source_url`,
+                [survivorId, duplicateIds]
+            );
+
+            // 5. Duplicados a la papelera
+            await client.query(
+                `UPDATE perfumes SET deleted_at = NOW(), deleted_by = $2, deleted_reason = 'merged'
+                 WHERE id = ANY($1::uuid[])`,
+                [duplicateIds, userId]
+            );
+            await dropFromSimilarityIndex(client, duplicateIds);
+
+            return {
+                perfume: merged,
+                fieldSources: sources,
+                aliases: aliases.rows.map((r) => r.source_url),
+                movedFavorites: favorites.rowCount,
+                movedActivity: activity.rowCount,
+                brands: [survivor.brand, ...duplicates.map((p) => p.brand)],
+            };
+        });
+        if (!result) return null;
+        const { brands, ...merge } = result;
+        await detectLinesOf(...brands);
+        queueSimilarityRefresh(survivorId);
+        await deriveFieldsOf(merge.perfume);
+        return merge;
+    },
+
     // Get all source URLs (for duplicate checking)
+    // Includes trashed perfumes and merge aliases: none of them should be re-scraped
     getAllSourceUrls: async () => {
         if (!isDatabaseConnected) {
-            return memoryStore.map((p) => p.sourceUrl).filter(Boolean);
+            return [...memoryStore, ...memoryTrash, ...memoryAliases]
+                .flatMap((p) => [p.sourceUrl, ...(p.mirrorUrls || [])])
+                .filter(Boolean);
         }
         const result = await pool.query(
-            'SELECT source_url FROM perfumes WHERE source_url IS NOT NULL'
+            `SELECT source_url FROM perfumes WHERE source_url IS NOT NULL
+             UNION ALL
+             SELECT jsonb_array_elements_text(mirror_urls) FROM perfumes WHERE mirror_urls <> '[]'::jsonb
+             UNION ALL
+             SELECT source_url FROM perfume_aliases`
         );
         return result.rows.map((row) => row.source_url);
     },
 
+    // getAllSourceUrls() as a Set whose has() also matches other URLs of a known
+    // objectID (indexed object_id column + merge aliases)
+    getKnownUrlSet: async () => {
+        if (!isDatabaseConnected) {
+            const records = [...memoryStore, ...memoryTrash];
+            return new KnownUrlSet(
+                await dataStore.getAllSourceUrls(),
+                [...records, ...memoryAliases].map((p) => p.objectId).filter(Boolean)
+            );
+        }
+        const [urls, objectIds] = await Promise.all([
+            dataStore.getAllSourceUrls(),
+            pool.query(
+                `SELECT object_id FROM perfumes WHERE object_id IS NOT NULL
+                 UNION
+                 SELECT object_id FROM perfume_aliases WHERE object_id IS NOT NULL`
+            ),
+        ]);
+        return new KnownUrlSet(urls, objectIds.rows.map((r) => r.object_id));
+    },
+
     // id + source_url for every perfume — used by the URL migration.
     getAllIdSourceUrls: async () => {
         if (!isDatabaseConnected) return [];
@@ -690,21 +2464,33 @@ export const dataStore = {
     getAllForUrlMigration: async () => {
         if (!isDatabaseConnected) return [];
         const result = await pool.query(
-            'SELECT id, brand, name, source_url FROM perfumes WHERE source_url IS NOT NULL'
+            'SELECT id, brand, name, source_url, object_id FROM perfumes WHERE source_url IS NOT NULL'
         );
-        return result.rows.map((r) => ({ id: r.id, brand: r.brand, name: r.name, sourceUrl: r.source_url }));
+        return result.rows.map((r) => ({
+            id: r.id, brand: r.brand, name: r.name, sourceUrl: r.source_url, objectId: r.object_id,
+        }));
     },
 
-    // Repoint one perfume to a new canonical source_url. If another row already
-    // owns that URL (a duplicate), returns 'conflict' instead of violating the
-    // unique constraint, so the caller can delete this row.
+    // Repoint one perfume to a new canonical source_url; the old one is kept as a
+    // mirror. If another row already owns that URL or its objectID (a duplicate),
+    // returns 'conflict' instead of violating the unique constraints, so the
+    // caller can delete this row.
     migrateSourceUrl: async (id, newUrl) => {
         if (!isDatabaseConnected) return 'noop';
         const result = await pool.query(
-            `UPDATE perfumes SET source_url = $2, updated_at = NOW()
+            `UPDATE perfumes SET
+                mirror_urls = CASE WHEN source_url IS NULL OR COALESCE(mirror_urls, '[]'::jsonb) ? source_url
+                                   THEN COALESCE(mirror_urls, '[]'::jsonb)
+                                   ELSE COALESCE(mirror_urls, '[]'::jsonb) || jsonb_build_array(source_url) END,
+                source_url = $2,
+                object_id = COALESCE($3, object_id),
+                updated_at = NOW()
              WHERE id = $1
-               AND NOT EXISTS (SELECT 1 FROM perfumes p2 WHERE p2.source_url = $2 AND p2.id <> $1)`,
-            [id, newUrl]
+               AND NOT EXISTS (
+                 SELECT 1 FROM perfumes p2
+                 WHERE (p2.source_url = $2 OR p2.object_id = $3) AND p2.id <> $1
+               )`,
+            [id, newUrl, objectIdOf(newUrl)]
         );
         return result.rowCount > 0 ? 'updated' : 'conflict';
     },
@@ -745,7 +2531,11 @@ export const dataStore = {
                  WHERE NOT EXISTS (SELECT 1 FROM scrape_queue sq WHERE sq.url = v.url)
                    AND NOT EXISTS (
                      SELECT 1 FROM perfumes p
-                     WHERE substring(p.source_url from '-(\\d+)\\.html') = substring(v.url from '-(\\d+)\\.html')
+                     WHERE p.object_id = substring(v.url from '-(\\d+)\\.html')
+                   )
+                   AND NOT EXISTS (
+                     SELECT 1 FROM perfume_aliases a
+                     WHERE a.object_id = substring(v.url from '-(\\d+)\\.html')
                    )
                  ON CONFLICT (url) DO NOTHING`,
                 urls
@@ -813,7 +2603,10 @@ export const dataStore = {
     existsBySourceUrl: async (url) => {
         if (!isDatabaseConnected) return false;
         const result = await pool.query(
-            'SELECT 1 FROM perfumes WHERE source_url = $1 LIMIT 1',
+            `SELECT 1 FROM perfumes WHERE source_url = $1 OR mirror_urls ? $1
+             UNION ALL
+             SELECT 1 FROM perfume_aliases WHERE source_url = $1
+             LIMIT 1`,
             [url]
         );
         return result.rows.length > 0;
@@ -824,7 +2617,10 @@ export const dataStore = {
     existsByObjectId: async (objectId) => {
         if (!isDatabaseConnected || !objectId) return false;
         const result = await pool.query(
-            `SELECT 1 FROM perfumes WHERE substring(source_url from '-(\\d+)\\.html') = $1 LIMIT 1`,
+            `SELECT 1 FROM perfumes WHERE object_id = $1
+             UNION ALL
+             SELECT 1 FROM perfume_aliases WHERE object_id = $1
+             LIMIT 1`,
             [String(objectId)]
         );
         return result.rows.length > 0;
@@ -834,19 +2630,35 @@ export const dataStore = {
     getByObjectId: async (objectId) => {
         if (!isDatabaseConnected || !objectId) return null;
         const result = await pool.query(
-            `SELECT * FROM perfumes WHERE substring(source_url from '-(\\d+)\\.html') = $1 LIMIT 1`,
+            resolveByUrlSql('p.object_id = $1', 'a.object_id = $1'),
             [String(objectId)]
         );
         return result.rows.length > 0 ? toCamelCase(result.rows[0]) : null;
     },
 
+    // Recordar otra URL (p.ej. el dominio .com de un perfume guardado con .es)
+    addMirrorUrl: async (id, url) => {
+        if (!isDatabaseConnected) {
+            const perfume = memoryStore.find((p) => p.id === id);
+            if (perfume && perfume.sourceUrl !== url && !perfume.mirrorUrls?.includes(url)) {
+                perfume.mirrorUrls = [...(perfume.mirrorUrls || []), url];
+            }
+            return;
+        }
+        await appendMirrorUrl(pool, id, url);
+    },
+
     // Get a perfume by its source URL (returns the full record including id)
     getBySourceUrl: async (url) => {
         if (!isDatabaseConnected) {
-            return memoryStore.find(p => p.sourceUrl === url) || null;
+            const alias = memoryAliases.find((a) => a.sourceUrl === url);
+            return memoryStore.find((p) => p.sourceUrl === url || p.mirrorUrls?.includes(url))
+                || (alias && memoryStore.find((p) => p.id === alias.perfumeId))
+                || memoryTrash.find((p) => p.sourceUrl === url)
+                || null;
         }
         const result = await pool.query(
-            'SELECT * FROM perfumes WHERE source_url = $1 LIMIT 1',
+            resolveByUrlSql('p.source_url = $1 OR p.mirror_urls ? $1', 'a.source_url = $1'),
             [url]
         );
         return result.rows.length > 0 ? toCamelCase(result.rows[0]) : null;
@@ -886,12 +2698,15 @@ export const dataStore = {
     },
 
     // Obtener por ID
-    getById: async (id) => {
+    // Perfumes en la papelera sólo con `includeDeleted`
+    getById: async (id, { includeDeleted = false } = {}) => {
         if (!isDatabaseConnected) {
-            return memoryStore.find((p) => p.id === id) || null;
+            return memoryStore.find((p) => p.id === id)
+                || (includeDeleted && memoryTrash.find((p) => p.id === id))
+                || null;
         }
         const result = await pool.query(
-            'SELECT * FROM perfumes WHERE id = $1',
+            `SELECT * FROM perfumes WHERE id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
             [id]
         );
         return toCamelCase(result.rows[0]);
@@ -911,117 +2726,319 @@ export const dataStore = {
      *
      * A candidate qualifies with >= minSharedNotes distinct shared notes OR
      * >= minSharedAccords shared accords, so note-disjoint clones still enter.
+     * similarityScoring.js scores a single pair the same way in JS.
+     *
+     * Served from the precomputed index (perfume_similarity) when it holds the
+     * exact answer; otherwise computed live with the same SQL, and the perfume
+     * is queued for indexing.
      */
-    getSimilarByNotes: async (id, { limit = 8, minSharedNotes = 2, minSharedAccords = 3 } = {}) => {
-        if (!isDatabaseConnected) return [];
-        const result = await pool.query(
-            `
-            WITH target_notes AS (
-                SELECT DISTINCT lower(trim(x.note)) AS note, x.phase
-                FROM perfumes tp, LATERAL (
-                    SELECT jsonb_array_elements_text(COALESCE(tp.notes->'top',   '[]'::jsonb)) AS note, 'top'   AS phase
-                    UNION ALL
-                    SELECT jsonb_array_elements_text(COALESCE(tp.notes->'heart', '[]'::jsonb)), 'heart'
-                    UNION ALL
-                    SELECT jsonb_array_elements_text(COALESCE(tp.notes->'base',  '[]'::jsonb)), 'base'
-                ) x
-                WHERE tp.id = $1 AND trim(x.note) <> ''
-            ),
-            candidate_notes AS (
-                SELECT DISTINCT p.id, lower(trim(n.note)) AS note, n.phase
-                FROM perfumes p, LATERAL (
-                    SELECT jsonb_array_elements_text(COALESCE(p.notes->'top',   '[]'::jsonb)) AS note, 'top'   AS phase
-                    UNION ALL
-                    SELECT jsonb_array_elements_text(COALESCE(p.notes->'heart', '[]'::jsonb)), 'heart'
-                    UNION ALL
-                    SELECT jsonb_array_elements_text(COALESCE(p.notes->'base',  '[]'::jsonb)), 'base'
-                ) n
-                WHERE p.id <> $1 AND trim(n.note) <> ''
-            ),
-            note_scored AS (
-                SELECT
-                    c.id,
-                    SUM(CASE WHEN c.phase = t.phase THEN 2 ELSE 1 END) AS nscore,
-                    COUNT(DISTINCT c.note) AS shared_notes,
-                    COUNT(*) FILTER (WHERE c.phase = t.phase) AS same_phase_matches
-                FROM candidate_notes c
-                JOIN target_notes t ON t.note = c.note
-                GROUP BY c.id
-            ),
-            -- Accords are stored as jsonb arrays of strings OR {name,...} objects,
-            -- ordered by crowd-voted prominence (position 1 = dominant accord).
-            target_accords AS (
-                SELECT DISTINCT ON (accord) accord, ord FROM (
-                    SELECT lower(trim(CASE WHEN jsonb_typeof(a.el) = 'string' THEN a.el #>> '{}' ELSE a.el->>'name' END)) AS accord, a.ord
-                    FROM perfumes tp,
-                    LATERAL jsonb_array_elements(COALESCE(tp.accords, '[]'::jsonb)) WITH ORDINALITY AS a(el, ord)
-                    WHERE tp.id = $1
-                ) q WHERE accord IS NOT NULL AND accord <> ''
-                ORDER BY accord, ord
-            ),
-            candidate_accords AS (
-                SELECT DISTINCT ON (id, accord) id, accord, ord FROM (
-                    SELECT p.id, lower(trim(CASE WHEN jsonb_typeof(a.el) = 'string' THEN a.el #>> '{}' ELSE a.el->>'name' END)) AS accord, a.ord
-                    FROM perfumes p,
-                    LATERAL jsonb_array_elements(COALESCE(p.accords, '[]'::jsonb)) WITH ORDINALITY AS a(el, ord)
-                    WHERE p.id <> $1
-                ) q WHERE accord IS NOT NULL AND accord <> ''
-                ORDER BY id, accord, ord
-            ),
-            accord_scored AS (
-                SELECT
-                    c.id,
-                    SUM(CASE
-                        WHEN t.ord <= 3 AND c.ord <= 3 THEN 4
-                        WHEN t.ord <= 3 OR  c.ord <= 3 THEN 3
-                        ELSE 2
-                    END) AS ascore,
-                    COUNT(*) AS shared_accords
-                FROM candidate_accords c
-                JOIN target_accords t USING (accord)
-                GROUP BY c.id
-            ),
-            combined AS (
-                SELECT
-                    COALESCE(n.id, a.id) AS id,
-                    COALESCE(n.nscore, 0) + COALESCE(a.ascore, 0) AS score,
-                    COALESCE(n.shared_notes, 0) AS shared_notes,
-                    COALESCE(n.same_phase_matches, 0) AS same_phase_matches,
-                    COALESCE(a.shared_accords, 0) AS shared_accords
-                FROM note_scored n
-                FULL OUTER JOIN accord_scored a ON a.id = n.id
-                WHERE COALESCE(n.shared_notes, 0) >= $3
-                   OR COALESCE(a.shared_accords, 0) >= $4
-            )
-            SELECT p.*, s.score AS similarity_score, s.shared_notes, s.same_phase_matches, s.shared_accords
-            FROM combined s
-            JOIN perfumes p ON p.id = s.id
-            ORDER BY s.score DESC, s.shared_notes DESC, p.rating DESC NULLS LAST
-            LIMIT $2
-            `,
-            [id, limit, minSharedNotes, minSharedAccords]
+    getSimilarByNotes: async (id, options) => (await dataStore.getManySimilarByNotes([id], options))[0],
+
+    // getSimilarByNotes for several perfumes at once, one list per id in order:
+    // one index read for all of them, and one live computation for those the
+    // index can't answer exactly
+    getManySimilarByNotes: async (ids, { limit = 8, minSharedNotes = 2, minSharedAccords = 3 } = {}) => {
+        if (!ids.length) return [];
+        const qualifies = (s) => s.sharedNotes >= minSharedNotes || s.sharedAccords >= minSharedAccords;
+        if (!isDatabaseConnected) {
+            return ids.map((id) => {
+                const target = memoryStore.find((p) => p.id === id);
+                if (!target) return [];
+                const profile = memoryProfile(target);
+                return memoryStore
+                    .filter((p) => p.id !== id)
+                    .map((p) => ({ perfume: p, s: scoreSimilarity(profile, memoryProfile(p)) }))
+                    .filter(({ s }) => s.score > 0 && qualifies(s))
+                    .sort((a, b) => b.s.score - a.s.score || b.s.sharedNotes - a.s.sharedNotes
+                        || (b.perfume.rating ?? -1) - (a.perfume.rating ?? -1))
+                    .slice(0, limit)
+                    .map(({ perfume, s }) => ({
+                        ...perfume,
+                        similarityScore: s.score,
+                        sharedNotes: s.sharedNotes,
+                        samePhaseMatches: s.samePhaseMatches,
+                        sharedAccords: s.sharedAccords,
+                    }));
+            });
+        }
+
+        // Postgres returns uuids lowercased; key the lists the same way
+        const targets = ids.map((id) => String(id).toLowerCase());
+
+        // Top `limit` rows per target_id of a pairs-shaped source `s`
+        const rankedSql = (source) => `
+            SELECT * FROM (
+                SELECT p.*, s.perfume_id AS target_id, s.score AS similarity_score, s.shared_notes,
+                       s.same_phase_matches, s.shared_accords,
+                       ROW_NUMBER() OVER (
+                           PARTITION BY s.perfume_id
+                           ORDER BY s.score DESC, s.shared_notes DESC, p.rating DESC NULLS LAST
+                       ) AS similarity_rank
+                FROM ${source} s
+                JOIN perfumes p ON p.id = s.similar_id AND p.deleted_at IS NULL
+                WHERE s.perfume_id = ANY($1::uuid[]) AND (s.shared_notes >= $3 OR s.shared_accords >= $4)
+            ) ranked
+            WHERE similarity_rank <= $2
+            ORDER BY target_id, similarity_rank`;
+        const byTarget = (rows) => rows.reduce((map, row) => {
+            const list = map.get(row.target_id) || [];
+            list.push(row);
+            return map.set(row.target_id, list);
+        }, new Map());
+
+        // From the index when it is known to hold the exact answer: the complete
+        // list, or a full page whose last score is above the stored cut-off
+        const state = await pool.query(
+            'SELECT perfume_id, min_score FROM perfume_similarity_state WHERE perfume_id = ANY($1::uuid[])',
+            [targets]
         );
-        return result.rows.map((row) => ({
+        const minScores = new Map(state.rows.map((r) => [r.perfume_id, r.min_score]));
+        const unindexed = targets.filter((id) => !minScores.has(id));
+        if (unindexed.length) queueSimilarityRefresh(...unindexed);
+
+        const lists = new Map();
+        if (minScores.size) {
+            const indexed = byTarget((await pool.query(
+                rankedSql('perfume_similarity'),
+                [[...minScores.keys()], limit, minSharedNotes, minSharedAccords]
+            )).rows);
+            for (const [id, minScore] of minScores) {
+                const rows = indexed.get(id) || [];
+                const last = rows[rows.length - 1];
+                if (minScore === 0 || (rows.length === limit && last.similarity_score > minScore)) lists.set(id, rows);
+            }
+        }
+        const missing = [...new Set(targets)].filter((id) => !lists.has(id));
+        if (missing.length) {
+            const live = byTarget((await pool.query(
+                `${SIMILARITY_PAIRS_SQL}
+                ${rankedSql('pairs')}`,
+                [missing, limit, minSharedNotes, minSharedAccords]
+            )).rows);
+            missing.forEach((id) => lists.set(id, live.get(id) || []));
+        }
+
+        return targets.map((id) => lists.get(id).map(({ target_id: _target, similarity_rank: _rank, ...row }) => ({
             ...toCamelCase(row),
             similarityScore: parseInt(row.similarity_score, 10),
             sharedNotes: parseInt(row.shared_notes, 10),
             samePhaseMatches: parseInt(row.same_phase_matches, 10),
             sharedAccords: parseInt(row.shared_accords, 10),
-        }));
+        })));
     },
 
-    // Buscar por marca
-    getByBrand: async (brand) => {
+    // Recompute the similarity index of `ids` (live perfumes; others just lose
+    // their entries). With `reverse`, their scores are also written into the
+    // lists of the perfumes they pair with, so those stay exact without a rebuild.
+    refreshSimilarity: async (ids, { reverse = false } = {}) => {
+        if (!isDatabaseConnected || !ids.length) return { indexed: 0 };
+        return withTransaction(async (client) => {
+            await client.query(
+                `CREATE TEMP TABLE similarity_batch (
+                    perfume_id UUID, similar_id UUID, score INT, shared_notes INT, same_phase_matches INT, shared_accords INT
+                 ) ON COMMIT DROP`
+            );
+            await client.query(
+                `INSERT INTO similarity_batch
+                 ${SIMILARITY_PAIRS_SQL}
+                 SELECT pairs.* FROM pairs JOIN perfumes t ON t.id = pairs.perfume_id AND t.deleted_at IS NULL`,
+                [ids]
+            );
+            await client.query(
+                `DELETE FROM perfume_similarity WHERE perfume_id = ANY($1::uuid[])${reverse ? ' OR similar_id = ANY($1::uuid[])' : ''}`,
+                [ids]
+            );
+            await client.query('DELETE FROM perfume_similarity_state WHERE perfume_id = ANY($1::uuid[])', [ids]);
+            await client.query(
+                `WITH ranked AS (
+                    SELECT *, ROW_NUMBER() OVER (
+                        PARTITION BY perfume_id ORDER BY score DESC, shared_notes DESC, similar_id
+                    ) AS rn
+                    FROM similarity_batch
+                 )
+                 INSERT INTO perfume_similarity (perfume_id, similar_id, score, shared_notes, same_phase_matches, shared_accords)
+                 SELECT perfume_id, similar_id, score, shared_notes, same_phase_matches, shared_accords
+                 FROM ranked WHERE rn <= $1
+                 ON CONFLICT (perfume_id, similar_id) DO UPDATE SET ${SIMILARITY_UPSERT_SQL}`,
+                [SIMILARITY_INDEX_DEPTH]
+            );
+            const indexed = await client.query(
+                `INSERT INTO perfume_similarity_state (perfume_id, min_score, computed_at)
+                 SELECT t.id, COALESCE(cut.min_score, 0), NOW()
+                 FROM perfumes t
+                 LEFT JOIN (
+                     SELECT perfume_id, MAX(score) AS min_score FROM (
+                         SELECT perfume_id, score, ROW_NUMBER() OVER (
+                             PARTITION BY perfume_id ORDER BY score DESC, shared_notes DESC, similar_id
+                         ) AS rn
+                         FROM similarity_batch
+                     ) r WHERE rn > $2
+                     GROUP BY perfume_id
+                 ) cut ON cut.perfume_id = t.id
+                 WHERE t.id = ANY($1::uuid[]) AND t.deleted_at IS NULL
+                 ON CONFLICT (perfume_id) DO UPDATE SET min_score = EXCLUDED.min_score, computed_at = EXCLUDED.computed_at`,
+                [ids, SIMILARITY_INDEX_DEPTH]
+            );
+            if (reverse) {
+                // Into the partner's list when it beats the partner's cut-off, then
+                // trim lists that grew past the depth (raising their cut-off)
+                await client.query(
+                    `INSERT INTO perfume_similarity (perfume_id, similar_id, score, shared_notes, same_phase_matches, shared_accords)
+                     SELECT b.similar_id, b.perfume_id, b.score, b.shared_notes, b.same_phase_matches, b.shared_accords
+                     FROM similarity_batch b
+                     JOIN perfume_similarity_state st ON st.perfume_id = b.similar_id
+                     WHERE b.score > st.min_score AND NOT (b.similar_id = ANY($1::uuid[]))
+                     ON CONFLICT (perfume_id, similar_id) DO UPDATE SET ${SIMILARITY_UPSERT_SQL}`,
+                    [ids]
+                );
+                await client.query(
+                    `WITH ranked AS (
+                        SELECT perfume_id, similar_id, score, ROW_NUMBER() OVER (
+                            PARTITION BY perfume_id ORDER BY score DESC, shared_notes DESC, similar_id
+                        ) AS rn
+                        FROM perfume_similarity
+                        WHERE perfume_id IN (SELECT DISTINCT similar_id FROM similarity_batch)
+                    ),
+                    cut AS (
+                        DELETE FROM perfume_similarity ps USING ranked r
+                        WHERE ps.perfume_id = r.perfume_id AND ps.similar_id = r.similar_id AND r.rn > $1
+                        RETURNING ps.perfume_id, ps.score
+                    )
+                    UPDATE perfume_similarity_state st SET min_score = GREATEST(st.min_score, c.score)
+                    FROM (SELECT perfume_id, MAX(score) AS score FROM cut GROUP BY perfume_id) c
+                    WHERE st.perfume_id = c.perfume_id`,
+                    [SIMILARITY_INDEX_DEPTH]
+                );
+            }
+            return { indexed: indexed.rowCount };
+        });
+    },
+
+    // Rebuild the similarity index in batches (only perfumes without an entry
+    // with `onlyMissing`). `onProgress(done, total)` is called after each batch.
+    rebuildSimilarityIndex: async ({ onlyMissing = false, batchSize = 100, onProgress = null } = {}) => {
+        if (!isDatabaseConnected) return { indexed: 0, total: 0 };
+        const result = await pool.query(
+            `SELECT p.id FROM perfumes p
+             ${onlyMissing ? 'LEFT JOIN perfume_similarity_state st ON st.perfume_id = p.id' : ''}
+             WHERE p.deleted_at IS NULL${onlyMissing ? ' AND st.perfume_id IS NULL' : ''}
+             ORDER BY p.id`
+        );
+        const ids = result.rows.map((r) => r.id);
+        let indexed = 0;
+        for (let i = 0; i < ids.length; i += batchSize) {
+            // Missing perfumes are new to the catalogue: their scores also belong in
+            // the lists of perfumes that are already indexed
+            const batch = await dataStore.refreshSimilarity(ids.slice(i, i + batchSize), { reverse: onlyMissing });
+            indexed += batch.indexed;
+            if (onProgress) onProgress(Math.min(i + batchSize, ids.length), ids.length);
+        }
+        return { indexed, total: ids.length };
+    },
+
+    // Estado del índice de similitud: perfumes indexados / en cola / total
+    getSimilarityIndexStats: async () => {
+        if (!isDatabaseConnected) return { indexed: 0, pending: 0, total: memoryStore.length, pairs: 0, lastComputedAt: null };
+        const result = await pool.query(`
+            SELECT
+                (SELECT COUNT(*) FROM perfume_similarity_state)::int AS indexed,
+                (SELECT COUNT(*) FROM perfumes WHERE deleted_at IS NULL)::int AS total,
+                (SELECT COUNT(*) FROM perfume_similarity)::int AS pairs,
+                (SELECT MAX(computed_at) FROM perfume_similarity_state) AS last_computed_at
+        `);
+        const row = result.rows[0];
+        return {
+            indexed: row.indexed,
+            pending: pendingSimilarity.size,
+            total: row.total,
+            pairs: row.pairs,
+            lastComputedAt: row.last_computed_at,
+        };
+    },
+
+    // Comparativa lado a lado de 2-3 perfumes, en el orden de `ids`
+    // (ver perfumeComparison.js). Devuelve null si alguno no existe.
+    comparePerfumes: async (ids) => {
+        let perfumes;
+        let noteRows;
         if (!isDatabaseConnected) {
-            return memoryStore.filter(
-                (p) => p.brand?.toLowerCase() === brand.toLowerCase()
+            perfumes = ids.map((id) => memoryStore.find((p) => p.id === id));
+            if (perfumes.some((p) => !p)) return null;
+            noteRows = perfumes.flatMap((p) => ['top', 'heart', 'base'].flatMap((phase) =>
+                (p.notes?.[phase] || []).filter((raw) => String(raw).trim()).map((raw) => {
+                    const note = memoryNoteFor(raw);
+                    return { id: p.id, phase, raw: String(raw).trim(), key: note?.id ?? null, name: note?.name ?? null };
+                })));
+        } else {
+            const [rows, notes] = await Promise.all([
+                pool.query('SELECT * FROM perfumes WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL', [ids]),
+                pool.query(
+                    `SELECT p.id, x.phase, trim(x.note) AS raw,
+                            COALESCE(xa.note_id::text, ${TEXT_KEY_SQL('x.note')}) AS key, n.name
+                     FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')}
+                     LEFT JOIN notes n ON n.id = xa.note_id
+                     WHERE p.id = ANY($1::uuid[]) AND trim(x.note) <> ''`,
+                    [ids]
+                ),
+            ]);
+            const byId = new Map(rows.rows.map((row) => [row.id, toCamelCase(row)]));
+            perfumes = ids.map((id) => byId.get(id));
+            if (perfumes.some((p) => !p)) return null;
+            noteRows = notes.rows;
+        }
+        return buildComparison(perfumes, noteRows);
+    },
+
+    // Sugerencias para un contexto (estación, día/noche, clima, ocasión), ver
+    // contextSuggestions.js. Con `userId` solo entre los favoritos de ese usuario.
+    getContextSuggestions: async (resolved, { userId = null, limit = 10 } = {}) => {
+        let candidates;
+        if (!isDatabaseConnected) {
+            // Sin base de datos no hay favoritos
+            candidates = userId ? [] : memoryStore.filter((p) => p.seasonUsage);
+        } else if (userId) {
+            const result = await pool.query(
+                `SELECT p.* FROM favorites f
+                 JOIN perfumes p ON p.id = f.perfume_id AND p.deleted_at IS NULL
+                 WHERE f.user_id = $1`,
+                [userId]
             );
+            candidates = result.rows.map(toCamelCase);
+        } else {
+            // Pre-selection by the season / time votes, the heaviest signals
+            const { season, time } = resolved.context;
+            const result = await pool.query(
+                `SELECT * FROM perfumes
+                 WHERE deleted_at IS NULL AND season_usage IS NOT NULL
+                 ORDER BY COALESCE((season_usage->>$1)::numeric, 0)
+                        + COALESCE((season_usage->>$2)::numeric, 0) * 0.5 DESC,
+                          rating DESC NULLS LAST
+                 LIMIT $3`,
+                [season, time || season, CANDIDATE_POOL]
+            );
+            candidates = result.rows.map(toCamelCase);
+        }
+        return rankForContext(candidates, resolved)
+            .slice(0, limit)
+            .map(({ perfume, score, matches }) => ({ ...perfume, contextScore: score, matches }));
+    },
+
+    // Buscar por marca
+    getByBrand: async (brand, { fields = null } = {}) => {
+        if (!isDatabaseConnected) {
+            const target = memoryBrands.byAlias.get(brandKey(brand));
+            return memoryStore
+                .filter((p) => p.brand?.toLowerCase() === brand.toLowerCase() || (target && memoryBrandFor(p.brand) === target))
+                .map((p) => pickFields(p, fields));
         }
+        // Cualquier grafía de la misma marca ("chanel-paris" → perfumes de Chanel)
         const result = await pool.query(
-            'SELECT * FROM perfumes WHERE LOWER(brand) = LOWER($1) ORDER BY name',
+            `SELECT ${selectColumns(fields)} FROM perfumes
+             WHERE deleted_at IS NULL AND ${SAME_BRAND_SQL('brand', '$1')}
+             ORDER BY name`,
             [brand]
         );
-        return result.rows.map(toCamelCase);
+        return result.rows.map((row) => pickFields(toCamelCase(row), fields));
     },
 
     // Fetch multiple perfumes by ID array
@@ -1032,20 +3049,35 @@ export const dataStore = {
         if (!ids || ids.length === 0) return [];
         const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
         const result = await pool.query(
-            `SELECT id, source_url FROM perfumes WHERE id IN (${placeholders})`,
+            `SELECT id, source_url FROM perfumes WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
             ids
         );
         return result.rows.map(toCamelCase);
     },
 
+    // Full live perfumes for a batch of ids, in one query (GraphQL loaders). Ids
+    // not found are simply absent.
+    getManyByIds: async (ids) => {
+        if (!isDatabaseConnected) {
+            const wanted = new Set(ids);
+            return memoryStore.filter((p) => wanted.has(p.id));
+        }
+        if (!ids.length) return [];
+        const result = await pool.query(
+            'SELECT * FROM perfumes WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL',
+            [ids]
+        );
+        return result.rows.map(toCamelCase);
+    },
+
     // Export all perfumes (optionally filtered by brand) for backup
     exportAll: async ({ brand } = {}) => {
         if (!isDatabaseConnected) {
             return memoryStore.filter(p => !brand || p.brand === brand);
         }
         const query = brand
-            ? 'SELECT * FROM perfumes WHERE brand = $1 ORDER BY brand, name'
-            : 'SELECT * FROM perfumes ORDER BY brand, name';
+            ? 'SELECT * FROM perfumes WHERE brand = $1 AND deleted_at IS NULL ORDER BY brand, name'
+            : 'SELECT * FROM perfumes WHERE deleted_at IS NULL ORDER BY brand, name';
         const params = brand ? [brand] : [];
         const result = await pool.query(query, params);
         return result.rows.map(toCamelCase);
@@ -1054,45 +3086,100 @@ export const dataStore = {
     // Obtener todas las marcas con imagen representativa y conteo
     getBrands: async () => {
         if (!isDatabaseConnected) {
-            const brandNames = [...new Set(memoryStore.map((p) => p.brand?.toLowerCase()).filter(Boolean))].sort();
-            return brandNames.map((key) => {
-                const brandPerfumes = memoryStore.filter((p) => p.brand?.toLowerCase() === key);
-                const withImage = brandPerfumes.find((p) => p.image_url);
-                return { name: brandPerfumes[0].brand, count: brandPerfumes.length, imageUrl: withImage?.image_url || null };
-            });
+            const groups = new Map();
+            for (const p of memoryStore) {
+                const brand = memoryBrandFor(p.brand);
+                if (!brand) continue;
+                if (!groups.has(brand)) groups.set(brand, []);
+                groups.get(brand).push(p);
+            }
+            return [...groups].map(([brand, brandPerfumes]) => ({
+                name: brand.name,
+                slug: brand.slug,
+                count: brandPerfumes.length,
+                imageUrl: brand.logoUrl || brandPerfumes.find((p) => p.imageUrl)?.imageUrl || null,
+            })).sort((a, b) => a.name.localeCompare(b.name));
         }
-        // Group by LOWER(brand) to merge case-insensitive duplicates (e.g. "Chanel" + "CHANEL")
+        // Spellings are grouped by brand alias ("CHANEL" + "Chanel Paris" → Chanel);
+        // spellings not registered yet fall back to their normalized key
         const result = await pool.query(`
             WITH brand_groups AS (
                 SELECT
-                    LOWER(brand) AS brand_key,
-                    MIN(brand)   AS canonical_name,
-                    COUNT(*)     AS total
-                FROM perfumes
-                WHERE brand IS NOT NULL
-                GROUP BY LOWER(brand)
+                    COALESCE(ba.brand_id::text, ${TEXT_KEY_SQL('p.brand')}) AS brand_key,
+                    ba.brand_id,
+                    MIN(p.brand) AS raw_name,
+                    COUNT(*) AS total,
+                    (array_agg(p.image_url ORDER BY p.rating DESC NULLS LAST)
+                        FILTER (WHERE p.image_url IS NOT NULL AND p.image_url != ''))[1] AS top_image
+                FROM perfumes p
+                LEFT JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('p.brand')}
+                WHERE p.brand IS NOT NULL AND p.deleted_at IS NULL
+                GROUP BY 1, 2
             )
             SELECT
-                bg.canonical_name AS name,
+                COALESCE(b.name, bg.raw_name) AS name,
+                b.slug,
                 bg.total AS count,
-                COALESCE(
-                    (SELECT b.logo_url FROM brands b
-                     WHERE LOWER(b.name) = bg.brand_key AND b.logo_url IS NOT NULL
-                     ORDER BY b.scraped_at DESC NULLS LAST LIMIT 1),
-                    (SELECT p.image_url FROM perfumes p
-                     WHERE LOWER(p.brand) = bg.brand_key AND p.image_url IS NOT NULL AND p.image_url != ''
-                     ORDER BY p.rating DESC NULLS LAST LIMIT 1)
-                ) AS image_url
+                COALESCE(NULLIF(b.logo_url, ''), bg.top_image) AS image_url
             FROM brand_groups bg
-            ORDER BY bg.canonical_name
+            LEFT JOIN brands b ON b.id = bg.brand_id
+            ORDER BY 1
         `);
         return result.rows.map((row) => ({
             name: row.name,
+            slug: row.slug || null,
             count: parseInt(row.count),
             imageUrl: row.image_url || null,
         }));
     },
 
+    // Source rows for the autocomplete prefix index: a light projection of every
+    // perfume plus note names with the number of perfumes using them
+    getAutocompleteSource: async () => {
+        if (!isDatabaseConnected) {
+            const noteCounts = new Map();
+            for (const p of memoryStore) {
+                const seen = new Set();
+                for (const n of [...(p.notes?.top || []), ...(p.notes?.heart || []), ...(p.notes?.base || [])]) {
+                    const name = String(n).trim();
+                    const key = name.toLowerCase();
+                    if (!name || seen.has(key)) continue;
+                    seen.add(key);
+                    if (!noteCounts.has(key)) noteCounts.set(key, { name, count: 0 });
+                    noteCounts.get(key).count++;
+                }
+            }
+            return {
+                perfumes: memoryStore.map((p) => ({
+                    id: p.id, name: p.name, brand: p.brand, imageUrl: p.imageUrl || null, rating: p.rating ?? null,
+                })),
+                notes: [...noteCounts.values()],
+            };
+        }
+        const [perfumes, notes] = await Promise.all([
+            pool.query('SELECT id, name, brand, image_url, rating FROM perfumes WHERE deleted_at IS NULL'),
+            pool.query(`
+                SELECT MIN(TRIM(n.note)) AS name, COUNT(DISTINCT p.id)::int AS count
+                FROM perfumes p,
+                LATERAL jsonb_array_elements_text(
+                    COALESCE(p.notes->'top', '[]'::jsonb) || COALESCE(p.notes->'heart', '[]'::jsonb) || COALESCE(p.notes->'base', '[]'::jsonb)
+                ) AS n(note)
+                WHERE p.deleted_at IS NULL AND TRIM(n.note) <> ''
+                GROUP BY LOWER(TRIM(n.note))
+            `),
+        ]);
+        return {
+            perfumes: perfumes.rows.map((row) => ({
+                id: row.id,
+                name: row.name,
+                brand: row.brand,
+                imageUrl: row.image_url || null,
+                rating: row.rating ? parseFloat(row.rating) : null,
+            })),
+            notes: notes.rows,
+        };
+    },
+
     // Helper: split perfumer field by comma, trim, filter valid person names
     // A valid name: starts with uppercase letter, >= 3 chars, no digits
     _splitPerfumers: (raw) => {
@@ -1125,7 +3212,7 @@ export const dataStore = {
                     perfumer_image_url
                 FROM perfumes,
                 LATERAL unnest(string_to_array(perfumer, ',')) AS p_name
-                WHERE perfumer IS NOT NULL AND TRIM(perfumer) != ''
+                WHERE perfumer IS NOT NULL AND TRIM(perfumer) != '' AND deleted_at IS NULL
             ),
             grouped AS (
                 SELECT
@@ -1171,6 +3258,43 @@ export const dataStore = {
         return result.rows[0] || null;
     },
 
+    // Perfumistas por nombre en una sola consulta: [{ name, imageUrl, bio, nationality,
+    // verified }] en el orden de `names`. Sin ficha verificada, la foto scrapeada si la hay.
+    getPerfumersByNames: async (names) => {
+        const profile = (name, row) => ({
+            name: row?.name || name,
+            imageUrl: row?.image_url || null,
+            bio: row?.bio || null,
+            nationality: row?.nationality || null,
+            verified: row?.verified || false,
+        });
+        if (!isDatabaseConnected) {
+            return names.map((name) => {
+                const perfume = memoryStore.find((p) => p.perfumerImageUrl && dataStore._splitPerfumers(p.perfumer)
+                    .some((n) => n.toLowerCase() === name.toLowerCase()));
+                return profile(name, { image_url: perfume?.perfumerImageUrl });
+            });
+        }
+        if (!names.length) return [];
+        const result = await pool.query(`
+            WITH wanted AS (SELECT DISTINCT LOWER(n) AS key FROM unnest($1::text[]) AS n)
+            SELECT w.key, pf.name, pf.bio, pf.nationality, COALESCE(pf.verified, FALSE) AS verified,
+                   COALESCE(NULLIF(pf.image_url, ''), s.image_url) AS image_url
+            FROM wanted w
+            LEFT JOIN perfumers pf ON LOWER(pf.name) = w.key
+            LEFT JOIN LATERAL (
+                SELECT MAX(p.perfumer_image_url) AS image_url FROM perfumes p
+                WHERE p.deleted_at IS NULL AND p.perfumer_image_url IS NOT NULL AND p.perfumer_image_url != ''
+                  AND EXISTS (
+                      SELECT 1 FROM unnest(string_to_array(LOWER(p.perfumer), ',')) AS p_name
+                      WHERE TRIM(p_name) = w.key
+                  )
+            ) s ON pf.image_url IS NULL OR pf.image_url = ''
+        `, [names]);
+        const byKey = new Map(result.rows.map((row) => [row.key, row]));
+        return names.map((name) => profile(name, byKey.get(name.toLowerCase())));
+    },
+
     // Guardar/actualizar datos verificados de un perfumista
     upsertPerfumer: async ({ name, imageUrl, bio, nationality, verified }) => {
         if (!isDatabaseConnected) return;
@@ -1203,23 +3327,26 @@ export const dataStore = {
     },
 
     // Perfumes de un perfumista — busca su nombre en cualquier posición del campo
-    getByPerfumer: async (name) => {
+    getByPerfumer: async (name, { fields = null } = {}) => {
         if (!isDatabaseConnected) {
-            return memoryStore.filter((p) =>
-                dataStore._splitPerfumers(p.perfumer)
-                    .some(n => n.toLowerCase() === name.toLowerCase())
-            );
+            return memoryStore
+                .filter((p) =>
+                    dataStore._splitPerfumers(p.perfumer)
+                        .some(n => n.toLowerCase() === name.toLowerCase())
+                )
+                .map((p) => pickFields(p, fields));
         }
         const result = await pool.query(`
-            SELECT * FROM perfumes
+            SELECT ${selectColumns(fields)} FROM perfumes
             WHERE EXISTS (
                 SELECT 1
                 FROM unnest(string_to_array(LOWER(perfumer), ',')) AS p_name
                 WHERE TRIM(p_name) = LOWER($1)
             )
+            AND deleted_at IS NULL
             ORDER BY name
         `, [name]);
-        return result.rows.map(toCamelCase);
+        return result.rows.map((row) => pickFields(toCamelCase(row), fields));
     },
 
     // Marcas con las que ha trabajado un perfumista (busca en campo compuesto)
@@ -1253,6 +3380,7 @@ export const dataStore = {
                 WHERE TRIM(p_name) = LOWER($1)
             )
             AND p2.brand IS NOT NULL
+            AND p2.deleted_at IS NULL
             GROUP BY p2.brand
             ORDER BY p2.brand
         `, [name]);
@@ -1280,13 +3408,372 @@ export const dataStore = {
                 WHERE TRIM(p_name) = LOWER($1)
             )
             AND LOWER(brand) = LOWER($2)
+            AND deleted_at IS NULL
             ORDER BY name
         `, [perfumer, brand]);
         return result.rows.map(toCamelCase);
     },
 
-    // Agregar perfume
-    add: async (perfume) => {
+    // ─── Notes taxonomy ───────────────────────────────────────────────────────
+
+    // Map raw note spellings that have no registry alias yet: known variants join
+    // their canonical note, anything else becomes a new 'auto' note. With
+    // `perfumeId` only that perfume's notes are looked at. Returns { mapped, created }.
+    syncNoteAliases: async ({ perfumeId = null } = {}) => {
+        if (!isDatabaseConnected) {
+            const registry = memoryNoteRegistry();
+            const [aliasesBefore, notesBefore] = [registry.byAlias.size, registry.bySlug.size];
+            for (const perfume of memoryStore) {
+                if (perfumeId && perfume.id !== perfumeId) continue;
+                for (const phase of ['top', 'heart', 'base']) (perfume.notes?.[phase] || []).forEach(memoryNoteFor);
+            }
+            return { mapped: registry.byAlias.size - aliasesBefore, created: registry.bySlug.size - notesBefore };
+        }
+
+        // Shortest keys first, so "musk" exists before "musks" is resolved
+        const unmapped = await pool.query(
+            `SELECT key, sample FROM (
+                SELECT ${TEXT_KEY_SQL('x.note')} AS key, MIN(trim(x.note)) AS sample
+                FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')}
+                WHERE xa.note_id IS NULL${perfumeId ? ' AND p.id = $1' : ''}
+                GROUP BY 1
+             ) u
+             WHERE key <> ''
+             ORDER BY length(key), key`,
+            perfumeId ? [perfumeId] : []
+        );
+        if (!unmapped.rows.length) return { mapped: 0, created: 0 };
+
+        const [aliasRows, noteRows] = await Promise.all([
+            pool.query('SELECT a.alias, n.slug FROM note_aliases a JOIN notes n ON n.id = a.note_id'),
+            pool.query('SELECT slug FROM notes'),
+        ]);
+        const bySlugAlias = new Map(aliasRows.rows.map((r) => [r.alias, r.slug]));
+        const slugs = new Set(noteRows.rows.map((r) => r.slug));
+        const created = new Map();
+        const aliases = [];
+        for (const { key, sample } of unmapped.rows) {
+            let slug = resolveNoteKey(key, bySlugAlias);
+            if (!slug) {
+                slug = slugifyNote(key).slice(0, 150);
+                if (!slugs.has(slug)) {
+                    slugs.add(slug);
+                    created.set(slug, displayNoteName(sample).slice(0, 150));
+                }
+            }
+            bySlugAlias.set(key, slug);
+            aliases.push([key, slug]);
+        }
+
+        await withTransaction(async (client) => {
+            if (created.size) {
+                await client.query(
+                    `INSERT INTO notes (slug, name, source)
+                     SELECT slug, name, 'auto' FROM unnest($1::text[], $2::text[]) AS s(slug, name)
+                     ON CONFLICT (slug) DO NOTHING`,
+                    [[...created.keys()], [...created.values()]]
+                );
+            }
+            await client.query(
+                `INSERT INTO note_aliases (alias, note_id)
+                 SELECT a.alias, n.id FROM unnest($1::text[], $2::text[]) AS a(alias, slug)
+                 JOIN notes n ON n.slug = a.slug
+                 ON CONFLICT (alias) DO NOTHING`,
+                [aliases.map(([alias]) => alias), aliases.map(([, slug]) => slug)]
+            );
+        });
+        cacheService.del(NOTES_CACHE_KEY);
+        return { mapped: aliases.length, created: created.size };
+    },
+
+    // Every registry note with its aliases and live perfume count (cached)
+    _noteIndex: async () => {
+        if (!isDatabaseConnected) {
+            await dataStore.syncNoteAliases();
+            const counts = new Map();
+            for (const perfume of memoryStore) {
+                const notes = new Set(['top', 'heart', 'base'].flatMap((phase) =>
+                    (perfume.notes?.[phase] || []).map(memoryNoteFor).filter(Boolean)));
+                for (const note of notes) counts.set(note, (counts.get(note) || 0) + 1);
+            }
+            return [...memoryNoteRegistry().bySlug.values()].map((note) => ({ ...note, perfumeCount: counts.get(note) || 0 }));
+        }
+        const cached = cacheService.get(NOTES_CACHE_KEY);
+        if (cached) return cached;
+        const result = await pool.query(NOTE_INDEX_SQL);
+        const notes = result.rows.map(toNote);
+        cacheService.set(NOTES_CACHE_KEY, notes, NOTES_CACHE_TTL);
+        return notes;
+    },
+
+    // Listado del registro de notas. family = slug de NOTE_FAMILIES o 'none' (sin
+    // clasificar); q busca en nombre, nombre en español y alias; sort = name | popular
+    getNotes: async ({ family = null, q = null, sort = 'name', page = 1, limit = 50 } = {}) => {
+        let notes = await dataStore._noteIndex();
+        if (family) notes = notes.filter((n) => (family === 'none' ? !n.family : n.family === family));
+        if (q) {
+            const key = noteKey(q);
+            notes = notes.filter((n) =>
+                noteKey(n.name).includes(key) || noteKey(n.nameEs).includes(key) || n.aliases.some((a) => a.includes(key)));
+        }
+        notes = [...notes].sort((a, b) => (sort === 'popular' ? b.perfumeCount - a.perfumeCount : 0) || a.name.localeCompare(b.name));
+        const offset = (page - 1) * limit;
+        return {
+            data: notes.slice(offset, offset + limit),
+            pagination: { page, limit, total: notes.length, totalPages: Math.ceil(notes.length / limit) },
+        };
+    },
+
+    // Familias olfativas con cuántas notas tiene cada una
+    getNoteFamilies: async () => {
+        const notes = await dataStore._noteIndex();
+        return Object.entries(NOTE_FAMILIES).map(([slug, { en, es }]) => ({
+            slug,
+            name: en,
+            nameEs: es,
+            noteCount: notes.filter((n) => n.family === slug).length,
+        }));
+    },
+
+    // Nota por slug — o por cualquier variante conocida ("bergamota", "calabrian-bergamot").
+    // Incluye en cuántos perfumes aparece por fase de la pirámide.
+    getNote: async (slugOrName) => {
+        const notes = await dataStore._noteIndex();
+        let note = notes.find((n) => n.slug === slugOrName);
+        if (!note) {
+            const byAlias = new Map(notes.flatMap((n) => n.aliases.map((alias) => [alias, n])));
+            note = resolveNoteKey(noteKey(String(slugOrName).replace(/-/g, ' ')), byAlias);
+        }
+        if (!note) return null;
+
+        const phases = { top: 0, heart: 0, base: 0 };
+        if (!isDatabaseConnected) {
+            const registered = memoryNoteRegistry().bySlug.get(note.slug);
+            for (const usage of memoryNoteUsage(registered)) usage.phases.forEach((phase) => phases[phase]++);
+            return { ...note, phases };
+        }
+        const result = await pool.query(
+            `SELECT x.phase, COUNT(DISTINCT p.id)::int AS count
+             FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')}
+             WHERE xa.note_id = $1 AND p.deleted_at IS NULL
+             GROUP BY x.phase`,
+            [note.id]
+        );
+        for (const row of result.rows) phases[row.phase] = row.count;
+        return { ...note, phases };
+    },
+
+    // Registry note for each raw note name ("Calabrian Bergamot" → bergamot), or
+    // null when unmapped. Served from the cached note index.
+    resolveNotes: async (names) => {
+        const notes = await dataStore._noteIndex();
+        const byAlias = new Map(notes.flatMap((n) => n.aliases.map((alias) => [alias, n])));
+        return names.map((name) => resolveNoteKey(noteKey(name), byAlias) || null);
+    },
+
+    // Perfumes que llevan la nota (en cualquier fase, o solo en `phase`), mejor
+    // valorados primero. Cada perfume trae `notePhases` con las fases donde aparece.
+    getNotePerfumes: async (note, { phase = null, page = 1, limit = 24 } = {}) => {
+        const offset = (page - 1) * limit;
+        const byPyramid = (phases) => ['top', 'heart', 'base'].filter((p) => phases.includes(p));
+        if (!isDatabaseConnected) {
+            const registered = memoryNoteRegistry().bySlug.get(note.slug);
+            const items = memoryNoteUsage(registered)
+                .filter((usage) => !phase || usage.phases.includes(phase))
+                .sort((a, b) => (b.perfume.rating ?? -1) - (a.perfume.rating ?? -1) || a.perfume.name.localeCompare(b.perfume.name));
+            return {
+                data: items.slice(offset, offset + limit).map(({ perfume, phases }) => ({ ...perfume, notePhases: phases })),
+                pagination: { page, limit, total: items.length, totalPages: Math.ceil(items.length / limit) },
+            };
+        }
+        const where = `xa.note_id = $1 AND p.deleted_at IS NULL${phase ? ' AND x.phase = $2' : ''}`;
+        const filterParams = phase ? [note.id, phase] : [note.id];
+        const [result, countResult] = await Promise.all([
+            pool.query(
+                `SELECT p.*, array_agg(DISTINCT x.phase) AS note_phases
+                 FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')}
+                 WHERE ${where}
+                 GROUP BY p.id
+                 ORDER BY p.rating DESC NULLS LAST, p.name, p.id
+                 LIMIT $${filterParams.length + 1} OFFSET $${filterParams.length + 2}`,
+                [...filterParams, limit, offset]
+            ),
+            pool.query(
+                `SELECT COUNT(DISTINCT p.id)::int AS count FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')} WHERE ${where}`,
+                filterParams
+            ),
+        ]);
+        const total = countResult.rows[0].count;
+        return {
+            data: result.rows.map((row) => ({ ...toCamelCase(row), notePhases: byPyramid(row.note_phases) })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        };
+    },
+
+    // Crear una nota a mano. Devuelve null si ya existe una con ese slug.
+    createNote: async ({ name, nameEs = null, family = null, description = null, imageUrl = null, aliases = [] }) => {
+        const slug = slugifyNote(name);
+        const keys = [name, nameEs, ...aliases].map(noteKey).filter(Boolean);
+        if (!isDatabaseConnected) {
+            const registry = memoryNoteRegistry();
+            if (registry.bySlug.has(slug)) return null;
+            const now = new Date().toISOString();
+            const note = {
+                id: uuidv4(), slug, name, nameEs, family, description, imageUrl, source: 'manual', aliases: [], createdAt: now, updatedAt: now,
+            };
+            registry.bySlug.set(slug, note);
+            assignMemoryNoteAliases(note, keys);
+            return dataStore.getNote(slug);
+        }
+        const created = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO notes (slug, name, name_es, family, description, image_url, source)
+                 VALUES ($1, $2, $3, $4, $5, $6, 'manual')
+                 ON CONFLICT (slug) DO NOTHING
+                 RETURNING id`,
+                [slug, name, nameEs, family, description, imageUrl]
+            );
+            if (!result.rows[0]) return false;
+            await assignNoteAliases(client, result.rows[0].id, keys);
+            return true;
+        });
+        if (!created) return null;
+        cacheService.del(NOTES_CACHE_KEY);
+        return dataStore.getNote(slug);
+    },
+
+    // Editar una nota. `aliases` añade variantes; si ya pertenecían a otra nota se
+    // mueven a esta, y las notas 'auto' que se quedan sin variantes se eliminan
+    // (así se fusiona una nota creada automáticamente con la canónica).
+    updateNote: async (slug, { aliases = [], ...fields }) => {
+        const columns = { name: 'name', nameEs: 'name_es', family: 'family', description: 'description', imageUrl: 'image_url' };
+        const keys = aliases.map(noteKey).filter(Boolean);
+        if (!isDatabaseConnected) {
+            const note = memoryNoteRegistry().bySlug.get(slug);
+            if (!note) return null;
+            for (const key of Object.keys(columns)) if (fields[key] !== undefined) note[key] = fields[key];
+            note.updatedAt = new Date().toISOString();
+            assignMemoryNoteAliases(note, keys);
+            return dataStore.getNote(slug);
+        }
+        const updated = await withTransaction(async (client) => {
+            const current = await client.query('SELECT id FROM notes WHERE slug = $1 FOR UPDATE', [slug]);
+            if (!current.rows[0]) return false;
+            const sets = [];
+            const values = [];
+            for (const [key, column] of Object.entries(columns)) {
+                if (fields[key] === undefined) continue;
+                values.push(fields[key]);
+                sets.push(`${column} = $${values.length}`);
+            }
+            values.push(current.rows[0].id);
+            await client.query(
+                `UPDATE notes SET ${[...sets, 'updated_at = NOW()'].join(', ')} WHERE id = $${values.length}`,
+                values
+            );
+            await assignNoteAliases(client, current.rows[0].id, keys);
+            return true;
+        });
+        if (!updated) return null;
+        cacheService.del(NOTES_CACHE_KEY);
+        return dataStore.getNote(slug);
+    },
+
+    // ─── Accords ──────────────────────────────────────────────────────────────
+
+    // Catálogo de acordes: la lista canónica (aunque no tenga perfumes) más los
+    // acordes fuera de ella que aparecen en el catálogo, con perfumeCount,
+    // dominantCount (posiciones 1-3), primaryCount (posición 1) y posición media.
+    getAccords: async () => {
+        let rows;
+        if (!isDatabaseConnected) {
+            const stats = new Map();
+            for (const { slug, position } of memoryAccordPositions()) {
+                const s = stats.get(slug) || { slug, perfume_count: 0, dominant_count: 0, primary_count: 0, position_sum: 0 };
+                s.perfume_count++;
+                if (position <= DOMINANT_ACCORD_POSITIONS) s.dominant_count++;
+                if (position === 1) s.primary_count++;
+                s.position_sum += position;
+                stats.set(slug, s);
+            }
+            rows = [...stats.values()].map(({ position_sum, ...s }) => ({
+                ...s, avg_position: Math.round((position_sum / s.perfume_count) * 100) / 100,
+            }));
+        } else {
+            const cached = cacheService.get(ACCORDS_CACHE_KEY);
+            if (cached) return cached;
+            const result = await pool.query(
+                `${ACCORD_POSITIONS_SQL}
+                 SELECT slug,
+                        COUNT(*)::int AS perfume_count,
+                        COUNT(*) FILTER (WHERE position <= $3)::int AS dominant_count,
+                        COUNT(*) FILTER (WHERE position = 1)::int AS primary_count,
+                        ROUND(AVG(position), 2)::float AS avg_position
+                 FROM positions
+                 GROUP BY slug`,
+                [...ACCORD_ALIAS_PARAMS, DOMINANT_ACCORD_POSITIONS]
+            );
+            rows = result.rows;
+        }
+
+        const bySlug = new Map(rows.map((r) => [r.slug, r]));
+        const slugs = [...new Set([...CANONICAL_ACCORDS.map((a) => a.slug), ...bySlug.keys()])];
+        const accords = slugs.map((slug) => {
+            const stats = bySlug.get(slug);
+            return {
+                ...canonicalAccord(slug),
+                perfumeCount: stats?.perfume_count || 0,
+                dominantCount: stats?.dominant_count || 0,
+                primaryCount: stats?.primary_count || 0,
+                avgPosition: stats?.avg_position ?? null,
+            };
+        });
+        if (isDatabaseConnected) cacheService.set(ACCORDS_CACHE_KEY, accords, ACCORDS_CACHE_TTL);
+        return accords;
+    },
+
+    // Perfumes con un acorde, del más dominante al menos (posición en su lista de
+    // acordes, luego rating). `maxPosition` = solo donde está entre los N primeros.
+    getAccordPerfumes: async (slug, { maxPosition = null, page = 1, limit = 24 } = {}) => {
+        const offset = (page - 1) * limit;
+        const withAccord = (perfume, position) => ({
+            ...perfume,
+            accordPosition: position,
+            accordCount: normalizeAccords(perfume.accords).length,
+        });
+        if (!isDatabaseConnected) {
+            const items = memoryAccordPositions()
+                .filter((r) => r.slug === slug && (!maxPosition || r.position <= maxPosition))
+                .sort((a, b) => a.position - b.position || (b.perfume.rating ?? -1) - (a.perfume.rating ?? -1));
+            return {
+                data: items.slice(offset, offset + limit).map((r) => withAccord(r.perfume, r.position)),
+                pagination: { page, limit, total: items.length, totalPages: Math.ceil(items.length / limit) },
+            };
+        }
+        const where = `pos.slug = $3${maxPosition ? ' AND pos.position <= $4' : ''}`;
+        const params = [...ACCORD_ALIAS_PARAMS, slug, ...(maxPosition ? [maxPosition] : [])];
+        const [result, countResult] = await Promise.all([
+            pool.query(
+                `${ACCORD_POSITIONS_SQL}
+                 SELECT p.*, pos.position AS accord_position
+                 FROM positions pos JOIN perfumes p ON p.id = pos.id
+                 WHERE ${where}
+                 ORDER BY pos.position, p.rating DESC NULLS LAST, p.id
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            pool.query(`${ACCORD_POSITIONS_SQL} SELECT COUNT(*)::int AS count FROM positions pos WHERE ${where}`, params),
+        ]);
+        const total = countResult.rows[0].count;
+        return {
+            data: result.rows.map((row) => withAccord(toCamelCase(row), row.accord_position)),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        };
+    },
+
+    // Agregar perfume (upsert por source_url). `meta` = { source, userId, note }
+    // para el historial de revisiones (ver REVISION_SOURCES).
+    add: async (perfume, meta = {}) => {
         const id = perfume.id || uuidv4();
         const now = new Date().toISOString();
 
@@ -1294,33 +3781,46 @@ export const dataStore = {
             const newPerfume = {
                 ...perfume,
                 id,
+                brand: await canonicalBrandName(null, perfume.brand),
+                objectId: objectIdOf(perfume.sourceUrl),
+                mirrorUrls: [],
+                line: null,
+                lineManual: false,
+                ...derivedFields(perfume),
                 createdAt: now,
                 updatedAt: now,
             };
-            memoryStore.push(newPerfume);
-            return newPerfume;
+            const tracked = await trackChanges(null, { before: null, after: newPerfume, ...meta });
+            memoryStore.push(tracked);
+            queueLineDetection(tracked.brand);
+            return tracked;
         }
 
+        // En un upsert sobre una fila existente, las fuentes automáticas no pisan
+        // los campos bloqueados ($21 = respetar bloqueos)
+        const set = (field, column, expr) =>
+            `${column} = CASE WHEN $21 AND perfumes.locked_fields ? '${field}' THEN perfumes.${column} ELSE ${expr} END`;
         const query = `
-      INSERT INTO perfumes (id, name, brand, year, perfumer, perfumer_image_url, gender, concentration, notes, accords, description, image_url, rating, sillage, longevity, projection, similar_perfumes, season_usage, source_url, scraped_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      INSERT INTO perfumes (id, name, brand, year, perfumer, perfumer_image_url, gender, concentration, notes, accords, description, image_url, rating, sillage, longevity, projection, similar_perfumes, season_usage, source_url, scraped_at, object_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $22)
       ON CONFLICT (source_url) DO UPDATE SET
-        name = EXCLUDED.name,
-        brand = EXCLUDED.brand,
-        year = COALESCE(EXCLUDED.year, perfumes.year),
-        perfumer = COALESCE(EXCLUDED.perfumer, perfumes.perfumer),
-        perfumer_image_url = COALESCE(EXCLUDED.perfumer_image_url, perfumes.perfumer_image_url),
-        gender = COALESCE(EXCLUDED.gender, perfumes.gender),
-        concentration = COALESCE(EXCLUDED.concentration, perfumes.concentration),
-        notes = EXCLUDED.notes,
-        accords = EXCLUDED.accords,
-        description = COALESCE(EXCLUDED.description, perfumes.description),
-        image_url = COALESCE(EXCLUDED.image_url, perfumes.image_url),
-        rating = COALESCE(EXCLUDED.rating, perfumes.rating),
-        sillage = COALESCE(EXCLUDED.sillage, perfumes.sillage),
-        longevity = COALESCE(EXCLUDED.longevity, perfumes.longevity),
-        season_usage = COALESCE(EXCLUDED.season_usage, perfumes.season_usage),
+        ${set('name', 'name', 'EXCLUDED.name')},
+        ${set('brand', 'brand', 'EXCLUDED.brand')},
+        ${set('year', 'year', 'COALESCE(EXCLUDED.year, perfumes.year)')},
+        ${set('perfumer', 'perfumer', 'COALESCE(EXCLUDED.perfumer, perfumes.perfumer)')},
+        ${set('perfumerImageUrl', 'perfumer_image_url', 'COALESCE(EXCLUDED.perfumer_image_url, perfumes.perfumer_image_url)')},
+        ${set('gender', 'gender', 'COALESCE(EXCLUDED.gender, perfumes.gender)')},
+        ${set('concentration', 'concentration', 'COALESCE(EXCLUDED.concentration, perfumes.concentration)')},
+        ${set('notes', 'notes', 'EXCLUDED.notes')},
+        ${set('accords', 'accords', 'EXCLUDED.accords')},
+        ${set('description', 'description', 'COALESCE(EXCLUDED.description, perfumes.description)')},
+        ${set('imageUrl', 'image_url', 'COALESCE(EXCLUDED.image_url, perfumes.image_url)')},
+        ${set('rating', 'rating', 'COALESCE(EXCLUDED.rating, perfumes.rating)')},
+        ${set('sillage', 'sillage', 'COALESCE(EXCLUDED.sillage, perfumes.sillage)')},
+        ${set('longevity', 'longevity', 'COALESCE(EXCLUDED.longevity, perfumes.longevity)')},
+        ${set('seasonUsage', 'season_usage', 'COALESCE(EXCLUDED.season_usage, perfumes.season_usage)')},
         scraped_at = EXCLUDED.scraped_at,
+        object_id = COALESCE(perfumes.object_id, EXCLUDED.object_id),
         updated_at = NOW()
       RETURNING *
     `;
@@ -1345,29 +3845,86 @@ export const dataStore = {
             perfume.seasonUsage ? JSON.stringify(perfume.seasonUsage) : null,
             perfume.sourceUrl || null,
             perfume.scrapedAt || null,
+            respectsLocks(meta.source),
+            objectIdOf(perfume.sourceUrl),
         ];
 
-        const result = await pool.query(query, values);
-        return toCamelCase(result.rows[0]);
+        const saved = await withTransaction(async (client) => {
+            // "CHANEL" / "Chanel Paris" se guardan con el nombre de su marca
+            values[2] = await canonicalBrandName(client, perfume.brand);
+            // Fila previa (si el upsert va a pisar una existente) para el diff. Se busca
+            // también por objectID, espejos y alias: una URL espejo (.com ↔ .es) actualiza
+            // el perfume existente en vez de chocar con el índice único de object_id.
+            const match = perfume.sourceUrl
+                ? await client.query(
+                    resolveByUrlSql(
+                        'p.source_url = $1 OR p.mirror_urls ? $1 OR p.object_id = $2',
+                        'a.source_url = $1 OR a.object_id = $2'
+                    ),
+                    [perfume.sourceUrl, values[21]]
+                )
+                : { rows: [] };
+            const previous = match.rows[0]
+                ? await client.query('SELECT * FROM perfumes WHERE id = $1 FOR UPDATE', [match.rows[0].id])
+                : { rows: [] };
+            const mirrorOf = previous.rows[0]?.source_url && previous.rows[0].source_url !== perfume.sourceUrl
+                ? previous.rows[0]
+                : null;
+            if (mirrorOf) {
+                values[18] = mirrorOf.source_url;
+                await appendMirrorUrl(client, mirrorOf.id, perfume.sourceUrl);
+            }
+            // Una descripción en otro idioma (re-scrape del espejo .es / .com) se guarda
+            // como traducción y no pisa la original
+            const before = previous.rows[0] ? toCamelCase(previous.rows[0]) : null;
+            const incomingLocale = descriptionLocaleOf(perfume);
+            const storedLocale = before && (before.descriptionLocale || descriptionLocaleOf(before));
+            const asTranslation = SUPPORTED_LOCALES.includes(incomingLocale)
+                && SUPPORTED_LOCALES.includes(storedLocale) && incomingLocale !== storedLocale;
+            if (asTranslation) values[10] = null;
+            let row = (await client.query(query, values)).rows[0];
+            if (asTranslation) {
+                const updated = await client.query(
+                    `UPDATE perfumes
+                     SET translations = jsonb_set(COALESCE(translations, '{}'::jsonb), ARRAY[$2::text],
+                         COALESCE(translations->($2::text), '{}'::jsonb) || jsonb_build_object('description', $3::text))
+                     WHERE id = $1 RETURNING *`,
+                    [row.id, incomingLocale, perfume.description]
+                );
+                row = updated.rows[0];
+            }
+            return trackChanges(client, { before, after: toCamelCase(row), ...meta });
+        });
+        await mapNotesOf(saved.id);
+        queueLineDetection(saved.brand);
+        queueSimilarityRefresh(saved.id);
+        return deriveFieldsOf(saved);
     },
 
-    // Actualizar perfume
-    update: async (id, data) => {
+    // Actualizar perfume. `meta` = { source, userId, note, action } para el historial.
+    // Con una fuente automática (scrape, algolia, ai, dataset) los campos bloqueados
+    // se ignoran en silencio.
+    update: async (id, data, meta = {}) => {
+        const unlocked = (locked) => (respectsLocks(meta.source) && locked?.length
+            ? Object.fromEntries(Object.entries(data).filter(([key]) => !locked.includes(key)))
+            : data);
+
         if (!isDatabaseConnected) {
             const index = memoryStore.findIndex((p) => p.id === id);
             if (index === -1) return null;
-            memoryStore[index] = {
-                ...memoryStore[index],
-                ...data,
+            const before = memoryStore[index];
+            const after = {
+                ...before,
+                ...unlocked(before.lockedFields),
                 updatedAt: new Date().toISOString(),
             };
+            if (after.brand !== before.brand) after.brand = await canonicalBrandName(null, after.brand);
+            Object.assign(after, derivedFields(after));
+            memoryStore[index] = await trackChanges(null, { before, after, ...meta });
+            if (LINE_FIELDS.some((f) => after[f] !== before[f])) await detectLinesOf(before.brand, after.brand);
             return memoryStore[index];
         }
 
-        const fields = [];
-        const values = [];
-        let paramIndex = 1;
-
         const fieldMap = {
             name: 'name',
             brand: 'brand',
@@ -1388,57 +3945,273 @@ export const dataStore = {
             seasonUsage: 'season_usage',
             sourceUrl: 'source_url',
             scrapedAt: 'scraped_at',
+            translations: 'translations',
         };
 
-        const jsonFields = [
-            'notes',
-            'accords',
-            'sillage',
-            'longevity',
-            'similarPerfumes',
-            'seasonUsage',
-        ];
+        if (!Object.keys(fieldMap).some((key) => data[key] !== undefined)) return null;
+
+        let before = null;
+        const updated = await withTransaction(async (client) => {
+            const previous = await client.query('SELECT * FROM perfumes WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+            if (!previous.rows[0]) return null;
+            before = toCamelCase(previous.rows[0]);
+            const writable = { ...unlocked(before.lockedFields) };
+            if (writable.brand) writable.brand = await canonicalBrandName(client, writable.brand);
+
+            const fields = [];
+            const values = [];
+            let paramIndex = 1;
+
+            for (const [key, column] of Object.entries(fieldMap)) {
+                if (writable[key] !== undefined) {
+                    fields.push(`${column} = $${paramIndex}`);
+                    values.push(
+                        JSON_FIELDS.includes(key)
+                            ? JSON.stringify(writable[key])
+                            : writable[key]
+                    );
+                    paramIndex++;
+                }
+            }
 
-        for (const [key, column] of Object.entries(fieldMap)) {
-            if (data[key] !== undefined) {
-                fields.push(`${column} = $${paramIndex}`);
-                values.push(
-                    jsonFields.includes(key)
-                        ? JSON.stringify(data[key])
-                        : data[key]
-                );
+            // Todo lo enviado estaba bloqueado: nada que escribir
+            if (fields.length === 0) return before;
+
+            // Nueva URL canónica: object_id sigue a la URL y la anterior queda como espejo
+            if (writable.sourceUrl !== undefined && writable.sourceUrl !== before.sourceUrl) {
+                fields.push(`object_id = $${paramIndex}`);
+                values.push(objectIdOf(writable.sourceUrl));
                 paramIndex++;
+                if (before.sourceUrl && !before.mirrorUrls.includes(before.sourceUrl)) {
+                    fields.push(`mirror_urls = COALESCE(mirror_urls, '[]'::jsonb) || jsonb_build_array($${paramIndex}::text)`);
+                    values.push(before.sourceUrl);
+                    paramIndex++;
+                }
             }
+
+            fields.push(`updated_at = NOW()`);
+            values.push(id);
+
+            const query = `UPDATE perfumes SET ${fields.join(
+                ', '
+            )} WHERE id = $${paramIndex} RETURNING *`;
+            const result = await client.query(query, values);
+            return trackChanges(client, { before, after: toCamelCase(result.rows[0]), ...meta });
+        });
+        if (updated && data.notes !== undefined) await mapNotesOf(id);
+        if (updated && LINE_FIELDS.some((f) => updated[f] !== before[f])) await detectLinesOf(before.brand, updated.brand);
+        if (updated && SIMILARITY_FIELDS.some((f) => JSON.stringify(updated[f]) !== JSON.stringify(before[f]))) {
+            queueSimilarityRefresh(id);
         }
+        return deriveFieldsOf(updated);
+    },
 
-        if (fields.length === 0) return null;
+    // Bloquear / desbloquear campos frente a escrituras automáticas.
+    // Devuelve la lista resultante, o null si el perfume no existe.
+    setLockedFields: async (id, { lock = [], unlock = [] }) => {
+        const apply = (current) =>
+            [...new Set([...(current || []), ...lock])].filter((f) => !unlock.includes(f));
 
-        fields.push(`updated_at = NOW()`);
-        values.push(id);
+        if (!isDatabaseConnected) {
+            const perfume = memoryStore.find((p) => p.id === id);
+            if (!perfume) return null;
+            perfume.lockedFields = apply(perfume.lockedFields);
+            return perfume.lockedFields;
+        }
+        return withTransaction(async (client) => {
+            const current = await client.query('SELECT locked_fields FROM perfumes WHERE id = $1 FOR UPDATE', [id]);
+            if (!current.rows[0]) return null;
+            const lockedFields = apply(current.rows[0].locked_fields);
+            await client.query(
+                'UPDATE perfumes SET locked_fields = $2::jsonb WHERE id = $1',
+                [id, JSON.stringify(lockedFields)]
+            );
+            return lockedFields;
+        });
+    },
+
+    // Historial de revisiones de un perfume (más reciente primero)
+    getRevisions: async (perfumeId, { limit = 50, offset = 0 } = {}) => {
+        if (!isDatabaseConnected) {
+            const rows = memoryRevisions.filter((r) => r.perfumeId === perfumeId).reverse();
+            return {
+                total: rows.length,
+                data: rows.slice(offset, offset + limit).map(({ userId, ...r }) => ({
+                    ...r,
+                    user: userId ? { id: userId, name: null } : null,
+                })),
+            };
+        }
+        const [rows, count] = await Promise.all([
+            pool.query(
+                `SELECT r.*, u.name AS user_name
+                 FROM perfume_revisions r
+                 LEFT JOIN users u ON u.id = r.user_id
+                 WHERE r.perfume_id = $1
+                 ORDER BY r.id DESC
+                 LIMIT $2 OFFSET $3`,
+                [perfumeId, limit, offset]
+            ),
+            pool.query('SELECT COUNT(*) FROM perfume_revisions WHERE perfume_id = $1', [perfumeId]),
+        ]);
+        return {
+            total: parseInt(count.rows[0].count),
+            data: rows.rows.map((r) => ({
+                id: parseInt(r.id),
+                perfumeId: r.perfume_id,
+                action: r.action,
+                source: r.source,
+                user: r.user_id ? { id: r.user_id, name: r.user_name || null } : null,
+                changes: r.changes,
+                note: r.note,
+                createdAt: r.created_at,
+            })),
+        };
+    },
+
+    // Volver al estado inmediatamente posterior a una revisión: deshace, de la más
+    // reciente hacia atrás, todas las revisiones posteriores. La vuelta atrás queda
+    // registrada como una revisión más (action 'revert'), así que también se puede deshacer.
+    // Devuelve null si la revisión no existe o no es de ese perfume.
+    revertToRevision: async (perfumeId, revisionId, { userId = null } = {}) => {
+        let target;
+        let newer;
+        if (!isDatabaseConnected) {
+            const all = memoryRevisions.filter((r) => r.perfumeId === perfumeId);
+            target = all.find((r) => r.id === revisionId);
+            newer = all.filter((r) => r.id > revisionId).reverse();
+        } else {
+            const result = await pool.query(
+                `SELECT id, changes FROM perfume_revisions
+                 WHERE perfume_id = $1 AND id >= $2
+                 ORDER BY id DESC`,
+                [perfumeId, revisionId]
+            );
+            target = result.rows.find((r) => parseInt(r.id) === revisionId);
+            newer = result.rows.filter((r) => parseInt(r.id) > revisionId);
+        }
+        if (!target) return null;
+
+        const restore = {};
+        for (const revision of newer) {
+            for (const [field, { from }] of Object.entries(revision.changes || {})) {
+                restore[field] = from;
+            }
+        }
 
-        const query = `UPDATE perfumes SET ${fields.join(
-            ', '
-        )} WHERE id = $${paramIndex} RETURNING *`;
-        const result = await pool.query(query, values);
+        if (!Object.keys(restore).length) {
+            return { perfume: await dataStore.getById(perfumeId), restoredFields: [] };
+        }
 
-        return result.rows[0] ? toCamelCase(result.rows[0]) : null;
+        const perfume = await dataStore.update(perfumeId, restore, {
+            source: 'user',
+            userId,
+            action: 'revert',
+            note: `Revert to revision #${revisionId}`,
+        });
+        return { perfume, restoredFields: Object.keys(restore) };
     },
 
-    // Eliminar perfume
-    delete: async (id) => {
+    // Mover perfume a la papelera. Sus favoritos se conservan y vuelven con restore();
+    // el borrado definitivo lo hace purgeTrash().
+    delete: async (id, { userId = null, reason = 'manual' } = {}) => {
         if (!isDatabaseConnected) {
             const index = memoryStore.findIndex((p) => p.id === id);
             if (index === -1) return false;
-            memoryStore.splice(index, 1);
+            const [perfume] = memoryStore.splice(index, 1);
+            memoryTrash.push({ ...perfume, deletedAt: new Date().toISOString(), deletedBy: userId, deletedReason: reason });
+            await detectLinesOf(perfume.brand);
             return true;
         }
         const result = await pool.query(
-            'DELETE FROM perfumes WHERE id = $1 RETURNING id',
-            [id]
+            `UPDATE perfumes SET deleted_at = NOW(), deleted_by = $2, deleted_reason = $3
+             WHERE id = $1 AND deleted_at IS NULL RETURNING brand`,
+            [id, userId, reason]
         );
+        if (result.rows[0]) {
+            await detectLinesOf(result.rows[0].brand);
+            await dropFromSimilarityIndex(pool, [id]).catch((error) =>
+                console.error('❌ Similarity index cleanup failed:', error.message));
+        }
         return result.rowCount > 0;
     },
 
+    // ===== TRASH =====
+
+    // Papelera paginada, lo más reciente primero, con cuántos usuarios lo tenían
+    // en favoritos (se recuperan al restaurar)
+    getTrash: async ({ page = 1, limit = 50, reason = null } = {}) => {
+        const offset = (page - 1) * limit;
+        if (!isDatabaseConnected) {
+            const items = memoryTrash
+                .filter((p) => !reason || p.deletedReason === reason)
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+            return {
+                data: items.slice(offset, offset + limit).map((p) => ({ ...p, favoritesCount: 0 })),
+                pagination: { page, limit, total: items.length, totalPages: Math.ceil(items.length / limit) },
+            };
+        }
+        const params = reason ? [limit, offset, reason] : [limit, offset];
+        const where = `deleted_at IS NOT NULL${reason ? ' AND deleted_reason = $3' : ''}`;
+        const [result, countResult] = await Promise.all([
+            pool.query(
+                `SELECT p.*, (SELECT COUNT(*) FROM favorites f WHERE f.perfume_id = p.id)::int AS favorites_count
+                 FROM perfumes p
+                 WHERE ${where}
+                 ORDER BY deleted_at DESC, id
+                 LIMIT $1 OFFSET $2`,
+                params
+            ),
+            pool.query(`SELECT COUNT(*) FROM perfumes WHERE ${where}`, reason ? [reason] : []),
+        ]);
+        const total = parseInt(countResult.rows[0].count);
+        return {
+            data: result.rows.map((row) => ({ ...toCamelCase(row), favoritesCount: row.favorites_count })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        };
+    },
+
+    // Sacar un perfume de la papelera. Devuelve el perfume, o null si no estaba.
+    restore: async (id) => {
+        if (!isDatabaseConnected) {
+            const index = memoryTrash.findIndex((p) => p.id === id);
+            if (index === -1) return null;
+            const [{ deletedAt, deletedBy, deletedReason, ...perfume }] = memoryTrash.splice(index, 1);
+            memoryStore.push(perfume);
+            await detectLinesOf(perfume.brand);
+            return perfume;
+        }
+        const result = await pool.query(
+            `UPDATE perfumes SET deleted_at = NULL, deleted_by = NULL, deleted_reason = NULL, updated_at = NOW()
+             WHERE id = $1 AND deleted_at IS NOT NULL RETURNING *`,
+            [id]
+        );
+        if (!result.rows[0]) return null;
+        await detectLinesOf(result.rows[0].brand);
+        queueSimilarityRefresh(id);
+        return dataStore.getById(id);
+    },
+
+    // Borrado definitivo (con sus favoritos y revisiones, por cascada) de lo que
+    // lleva en la papelera al menos `olderThanDays` días, o de los `ids` indicados.
+    purgeTrash: async ({ olderThanDays = 0, ids = null } = {}) => {
+        const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+        if (!isDatabaseConnected) {
+            const purge = (p) => new Date(p.deletedAt) <= cutoff && (!ids || ids.includes(p.id));
+            const count = memoryTrash.filter(purge).length;
+            memoryTrash = memoryTrash.filter((p) => !purge(p));
+            return { purged: count };
+        }
+        const result = await pool.query(
+            `DELETE FROM perfumes
+             WHERE deleted_at IS NOT NULL AND deleted_at <= $1
+               ${ids ? 'AND id = ANY($2::uuid[])' : ''}
+             RETURNING id`,
+            ids ? [cutoff, ids] : [cutoff]
+        );
+        return { purged: result.rowCount };
+    },
+
     // Estadísticas
     getStats: async () => {
         if (!isDatabaseConnected) {
@@ -1467,86 +4240,756 @@ export const dataStore = {
         COUNT(*) FILTER (WHERE gender = 'feminine') as feminine,
         COUNT(*) FILTER (WHERE gender = 'unisex') as unisex
       FROM perfumes
+      WHERE deleted_at IS NULL
     `;
         const result = await pool.query(statsQuery);
         const row = result.rows[0];
 
         return {
-            totalPerfumes: parseInt(row.total_perfumes),
-            totalBrands: parseInt(row.total_brands),
-            byGender: {
-                masculine: parseInt(row.masculine),
-                feminine: parseInt(row.feminine),
-                unisex: parseInt(row.unisex),
+            totalPerfumes: parseInt(row.total_perfumes),
+            totalBrands: parseInt(row.total_brands),
+            byGender: {
+                masculine: parseInt(row.masculine),
+                feminine: parseInt(row.feminine),
+                unisex: parseInt(row.unisex),
+            },
+            databaseConnected: true,
+        };
+    },
+
+    // Analítica del catálogo (ver catalogStats.js), opcionalmente limitada a una
+    // marca (cualquier grafía) y/o un perfumista. Cacheada STATS_CACHE_TTL segundos.
+    getCatalogStats: async ({ brand = null, perfumer = null } = {}) => {
+        const scope = { brand, perfumer };
+        const minRated = brand ? 1 : MIN_RATED_PER_BRAND;
+        if (!isDatabaseConnected) {
+            const target = brand ? memoryBrands.byAlias.get(brandKey(brand)) : null;
+            const perfumes = memoryStore.filter((p) =>
+                (!brand || (target ? memoryBrandFor(p.brand) === target : p.brand?.toLowerCase() === brand.toLowerCase()))
+                && (!perfumer || dataStore._splitPerfumers(p.perfumer).some((n) => n.toLowerCase() === perfumer.toLowerCase())));
+            const stats = buildCatalogStats(perfumes, {
+                noteOf: (raw) => {
+                    const note = memoryNoteFor(raw);
+                    return note && { key: note.id, name: note.name, slug: note.slug };
+                },
+                brandOf: (name) => {
+                    const b = memoryBrandFor(name);
+                    return b && { key: b.slug, name: b.name, slug: b.slug };
+                },
+                perfumersOf: dataStore._splitPerfumers,
+            }, { minRated });
+            return { scope, ...stats, databaseConnected: false };
+        }
+
+        const cacheKey = `stats:${brand ? brandKey(brand) : ''}|${(perfumer || '').toLowerCase()}`;
+        const cached = cacheService.get(cacheKey);
+        if (cached) return cached;
+
+        const params = [];
+        const where = statsScopeSql(scope, params);
+        const accordParams = [...ACCORD_ALIAS_PARAMS];
+        const accordWhere = statsScopeSql(scope, accordParams);
+        const brandKeySql = `COALESCE(ba.brand_id::text, ${TEXT_KEY_SQL('p.brand')})`;
+        const brandJoinSql = `LEFT JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('p.brand')}`;
+        const fields = Object.entries(COMPLETENESS_SQL);
+        const noteKeySql = `COALESCE(xa.note_id::text, ${TEXT_KEY_SQL('x.note')})`;
+
+        const [totals, years, concentrations, notes, accords, brandRatings, perfumers, perfumerCount] = await Promise.all([
+            pool.query(
+                `SELECT COUNT(*)::int AS total,
+                        COUNT(DISTINCT ${brandKeySql})::int AS brands,
+                        AVG(p.rating) AS average_rating,
+                        ${STATS_GENDERS.map((g) => `COUNT(*) FILTER (WHERE p.gender = '${g}')::int AS ${g}`).join(', ')},
+                        ${fields.map(([field, sql]) => `COUNT(*) FILTER (WHERE ${sql})::int AS "has_${field}"`).join(', ')},
+                        COUNT(*) FILTER (WHERE ${fields.map(([, sql]) => sql).join(' AND ')})::int AS complete
+                 FROM perfumes p ${brandJoinSql}
+                 WHERE ${where}`,
+                params
+            ),
+            pool.query(
+                `SELECT p.year, COUNT(*)::int AS count FROM perfumes p
+                 WHERE ${where} AND p.year IS NOT NULL
+                 GROUP BY p.year ORDER BY p.year`,
+                params
+            ),
+            pool.query(
+                `SELECT MIN(trim(p.concentration)) AS name, COUNT(*)::int AS count FROM perfumes p
+                 WHERE ${where} AND trim(COALESCE(p.concentration, '')) <> ''
+                 GROUP BY lower(trim(p.concentration))
+                 ORDER BY count DESC, name`,
+                params
+            ),
+            // One count per note overall (gender NULL) and per gender
+            pool.query(
+                `SELECT g.key, g.gender, g.count, COALESCE(n.name, g.raw) AS name, n.slug
+                 FROM (
+                     SELECT ${noteKeySql} AS key,
+                            CASE WHEN GROUPING(p.gender) = 0 THEN p.gender END AS gender,
+                            COUNT(DISTINCT p.id)::int AS count,
+                            MIN(trim(x.note)) AS raw
+                     FROM perfumes p ${NOTE_ROWS_SQL('p', 'x')}
+                     WHERE ${where} AND trim(x.note) <> ''
+                     GROUP BY GROUPING SETS ((${noteKeySql}), (${noteKeySql}, p.gender))
+                 ) g
+                 LEFT JOIN notes n ON n.id::text = g.key`,
+                params
+            ),
+            pool.query(
+                `${ACCORD_POSITIONS_SQL}
+                 SELECT pos.slug AS key,
+                        CASE WHEN GROUPING(p.gender) = 0 THEN p.gender END AS gender,
+                        COUNT(*)::int AS count
+                 FROM positions pos JOIN perfumes p ON p.id = pos.id
+                 WHERE ${accordWhere}
+                 GROUP BY GROUPING SETS ((pos.slug), (pos.slug, p.gender))`,
+                accordParams
+            ),
+            pool.query(
+                `SELECT COALESCE(b.name, MIN(p.brand)) AS name, b.slug,
+                        COUNT(*)::int AS perfume_count, COUNT(p.rating)::int AS rated_count, AVG(p.rating) AS average_rating
+                 FROM perfumes p ${brandJoinSql}
+                 LEFT JOIN brands b ON b.id = ba.brand_id
+                 WHERE ${where}
+                 GROUP BY ${brandKeySql}, b.name, b.slug
+                 HAVING COUNT(p.rating) >= ${minRated}
+                 ORDER BY average_rating DESC, rated_count DESC
+                 LIMIT ${TOP_BRANDS}`,
+                params
+            ),
+            pool.query(
+                `SELECT MIN(trim(p_name)) AS name,
+                        COUNT(DISTINCT p.id)::int AS perfume_count,
+                        COUNT(DISTINCT ${brandKeySql})::int AS brand_count,
+                        MIN(p.year) AS first_year, MAX(p.year) AS last_year,
+                        AVG(p.rating) AS average_rating
+                 FROM perfumes p ${brandJoinSql}
+                 CROSS JOIN LATERAL unnest(string_to_array(p.perfumer, ',')) AS p_name
+                 WHERE ${where} AND length(trim(p_name)) >= 3
+                 GROUP BY lower(trim(p_name))
+                 ORDER BY perfume_count DESC, name
+                 LIMIT ${TOP_PERFUMERS}`,
+                params
+            ),
+            pool.query(
+                `SELECT COUNT(DISTINCT lower(trim(p_name)))::int AS count
+                 FROM perfumes p CROSS JOIN LATERAL unnest(string_to_array(p.perfumer, ',')) AS p_name
+                 WHERE ${where} AND length(trim(p_name)) >= 3`,
+                params
+            ),
+        ]);
+
+        const row = totals.rows[0];
+        const total = row.total;
+        const round2 = (v) => (v == null ? null : Math.round(Number(v) * 100) / 100);
+        const byYear = years.rows;
+        const stats = {
+            scope,
+            totalPerfumes: total,
+            totalBrands: row.brands,
+            totalPerfumers: perfumerCount.rows[0].count,
+            averageRating: round2(row.average_rating),
+            byGender: {
+                ...Object.fromEntries(STATS_GENDERS.map((g) => [g, row[g]])),
+                unknown: total - STATS_GENDERS.reduce((n, g) => n + row[g], 0),
+            },
+            releases: {
+                byYear,
+                byDecade: decadesOf(byYear),
+                unknownYear: total - byYear.reduce((n, y) => n + y.count, 0),
+            },
+            concentrations: concentrations.rows.map((c) => ({ ...c, percentage: percentage(c.count, total) })),
+            topNotes: rankedByGender(notes.rows, (r) => ({ name: r.name, slug: r.slug })),
+            topAccords: rankedByGender(accords.rows, describeAccord),
+            brandRatings: brandRatings.rows.map((r) => ({
+                name: r.name,
+                slug: r.slug,
+                perfumeCount: r.perfume_count,
+                ratedCount: r.rated_count,
+                averageRating: round2(r.average_rating),
+            })),
+            perfumers: perfumers.rows.map((r) => ({
+                name: r.name,
+                perfumeCount: r.perfume_count,
+                brandCount: r.brand_count,
+                firstYear: r.first_year,
+                lastYear: r.last_year,
+                averageRating: round2(r.average_rating),
+            })),
+            completeness: completenessOf(Object.fromEntries(fields.map(([field]) => [field, row[`has_${field}`]])), row.complete, total),
+            databaseConnected: true,
+        };
+        cacheService.set(cacheKey, stats, STATS_CACHE_TTL);
+        return stats;
+    },
+
+    // Obtener perfumes que necesitan re-scrape (sin notas, acordes, sillage o longevity)
+    getIncomplete: async ({ limit = 50 }) => {
+        if (!isDatabaseConnected) {
+            return memoryStore
+                .filter(
+                    (p) =>
+                        !p.sillage || !p.longevity || !p.similarPerfumes?.length ||
+                        !p.accords?.length ||
+                        (!p.notes?.top?.length && !p.notes?.heart?.length && !p.notes?.base?.length)
+                )
+                .slice(0, limit);
+        }
+
+        const query = `
+      SELECT * FROM perfumes
+      WHERE (
+        sillage IS NULL
+        OR longevity IS NULL
+        OR similar_perfumes IS NULL OR similar_perfumes = '[]'
+        OR accords IS NULL OR accords = '[]'
+        OR (notes IS NULL OR notes = '{}')
+        OR (notes->>'top' = '[]' AND notes->>'heart' = '[]' AND notes->>'base' = '[]')
+        OR (
+          notes->>'top' = '[]' AND notes->>'base' = '[]'
+          AND jsonb_array_length(notes->'heart') > 3
+        )
+      )
+        AND source_url IS NOT NULL
+        AND deleted_at IS NULL
+      ORDER BY rating DESC NULLS LAST, created_at DESC
+      LIMIT $1
+    `;
+        const result = await pool.query(query, [limit]);
+        return result.rows.map(toCamelCase);
+    },
+
+    // Contar perfumes incompletos
+    countIncomplete: async () => {
+        if (!isDatabaseConnected) {
+            return memoryStore.filter(
+                (p) =>
+                    !p.sillage || !p.longevity || !p.similarPerfumes?.length ||
+                    !p.accords?.length ||
+                    (!p.notes?.top?.length && !p.notes?.heart?.length && !p.notes?.base?.length)
+            ).length;
+        }
+
+        const query = `
+      SELECT COUNT(*) as count FROM perfumes
+      WHERE (
+        sillage IS NULL
+        OR longevity IS NULL
+        OR similar_perfumes IS NULL OR similar_perfumes = '[]'
+        OR accords IS NULL OR accords = '[]'
+        OR (notes IS NULL OR notes = '{}')
+        OR (notes->>'top' = '[]' AND notes->>'heart' = '[]' AND notes->>'base' = '[]')
+        OR (
+          notes->>'top' = '[]' AND notes->>'base' = '[]'
+          AND jsonb_array_length(notes->'heart') > 3
+        )
+      )
+        AND source_url IS NOT NULL
+        AND deleted_at IS NULL
+    `;
+        const result = await pool.query(query);
+        return parseInt(result.rows[0].count);
+    },
+
+    // ===== DATA QUALITY (completeness_score, see catalogStats.js) =====
+
+    // Recalcular completeness_score donde no coincida (al arrancar y tras cambiar pesos)
+    syncCompletenessScores: async () => {
+        if (!isDatabaseConnected) {
+            let updated = 0;
+            for (const p of memoryStore) {
+                const score = completenessScore(p);
+                if (p.completenessScore !== score) {
+                    p.completenessScore = score;
+                    updated++;
+                }
+            }
+            return { updated };
+        }
+        const result = await pool.query(
+            `UPDATE perfumes p SET completeness_score = ${COMPLETENESS_SCORE_SQL}
+             WHERE p.completeness_score IS DISTINCT FROM ${COMPLETENESS_SCORE_SQL}`
+        );
+        return { updated: result.rowCount };
+    },
+
+    // Resumen: media, reparto por tramos y campos que más faltan (?brand= opcional)
+    getQualityOverview: async ({ brand = null } = {}) => {
+        const shape = ({ total, average, complete, buckets, missing }) => ({
+            perfumeCount: total,
+            averageScore: average === null ? null : Math.round(Number(average) * 10) / 10,
+            complete: { count: complete, percentage: percentage(complete, total) },
+            distribution: QUALITY_BUCKETS.map(([min, max], i) => ({ min, max, count: buckets[i] || 0 })),
+            fields: SCORED_FIELDS
+                .map((field) => ({
+                    field,
+                    weight: COMPLETENESS_WEIGHTS[field],
+                    missing: missing[field] || 0,
+                    percentage: percentage(missing[field] || 0, total),
+                }))
+                .sort((a, b) => b.missing - a.missing || b.weight - a.weight),
+        });
+        if (!isDatabaseConnected) {
+            const target = brand ? memoryBrands.byAlias.get(brandKey(brand)) : null;
+            const perfumes = memoryStore.filter((p) =>
+                !brand || (target ? memoryBrandFor(p.brand) === target : p.brand?.toLowerCase() === brand.toLowerCase()));
+            const scores = perfumes.map(completenessScore);
+            const missing = {};
+            for (const p of perfumes) for (const f of missingFields(p)) missing[f] = (missing[f] || 0) + 1;
+            return shape({
+                total: perfumes.length,
+                average: scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null,
+                complete: scores.filter((v) => v === 100).length,
+                buckets: QUALITY_BUCKETS.map(([min, max]) => scores.filter((v) => v >= min && v <= max).length),
+                missing,
+            });
+        }
+        const params = [];
+        const where = statsScopeSql({ brand }, params);
+        const result = await pool.query(
+            `SELECT COUNT(*)::int AS total,
+                    AVG(p.completeness_score) AS average,
+                    COUNT(*) FILTER (WHERE p.completeness_score = 100)::int AS complete,
+                    ${QUALITY_BUCKETS.map(([min, max], i) =>
+                        `COUNT(*) FILTER (WHERE p.completeness_score BETWEEN ${min} AND ${max})::int AS bucket_${i}`).join(', ')},
+                    ${SCORED_FIELDS.map((f) => `COUNT(*) FILTER (WHERE NOT ${COMPLETENESS_SQL[f]})::int AS "missing_${f}"`).join(', ')}
+             FROM perfumes p
+             WHERE ${where}`,
+            params
+        );
+        const row = result.rows[0];
+        return shape({
+            total: row.total,
+            average: row.average,
+            complete: row.complete,
+            buckets: QUALITY_BUCKETS.map((_, i) => row[`bucket_${i}`]),
+            missing: Object.fromEntries(SCORED_FIELDS.map((f) => [f, row[`missing_${f}`]])),
+        });
+    },
+
+    // Calidad por marca: puntuación media y campos que faltan, peores primero
+    // (sort = score | perfumes | incomplete)
+    getQualityByBrand: async ({ sort = 'score', page = 1, limit = 50 } = {}) => {
+        let rows;
+        if (!isDatabaseConnected) {
+            const brands = new Map();
+            for (const p of memoryStore) {
+                const brand = memoryBrandFor(p.brand);
+                if (!brand) continue;
+                if (!brands.has(brand.slug)) {
+                    brands.set(brand.slug, { name: brand.name, slug: brand.slug, perfumeCount: 0, scoreSum: 0, incomplete: 0, missing: {} });
+                }
+                const b = brands.get(brand.slug);
+                const score = completenessScore(p);
+                b.perfumeCount++;
+                b.scoreSum += score;
+                if (score < 100) b.incomplete++;
+                for (const f of missingFields(p)) b.missing[f] = (b.missing[f] || 0) + 1;
+            }
+            rows = [...brands.values()].map(({ scoreSum, ...b }) => ({ ...b, averageScore: scoreSum / b.perfumeCount }));
+        } else {
+            const result = await pool.query(
+                `SELECT COALESCE(b.name, MIN(p.brand)) AS name, b.slug,
+                        COUNT(*)::int AS perfume_count,
+                        AVG(p.completeness_score) AS average_score,
+                        COUNT(*) FILTER (WHERE p.completeness_score < 100)::int AS incomplete,
+                        ${SCORED_FIELDS.map((f) => `COUNT(*) FILTER (WHERE NOT ${COMPLETENESS_SQL[f]})::int AS "missing_${f}"`).join(', ')}
+                 FROM perfumes p
+                 LEFT JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('p.brand')}
+                 LEFT JOIN brands b ON b.id = ba.brand_id
+                 WHERE p.deleted_at IS NULL AND ${TEXT_KEY_SQL('p.brand')} <> ''
+                 GROUP BY COALESCE(ba.brand_id::text, ${TEXT_KEY_SQL('p.brand')}), b.name, b.slug`
+            );
+            rows = result.rows.map((r) => ({
+                name: r.name,
+                slug: r.slug,
+                perfumeCount: r.perfume_count,
+                averageScore: Number(r.average_score),
+                incomplete: r.incomplete,
+                missing: Object.fromEntries(SCORED_FIELDS.map((f) => [f, r[`missing_${f}`]]).filter(([, n]) => n)),
+            }));
+        }
+        const order = {
+            score: (a, b) => a.averageScore - b.averageScore || b.perfumeCount - a.perfumeCount,
+            perfumes: (a, b) => b.perfumeCount - a.perfumeCount || a.averageScore - b.averageScore,
+            incomplete: (a, b) => b.incomplete - a.incomplete || a.averageScore - b.averageScore,
+        }[sort];
+        rows.sort((a, b) => order(a, b) || a.name.localeCompare(b.name));
+        const offset = (page - 1) * limit;
+        return {
+            data: rows.slice(offset, offset + limit).map((b) => ({ ...b, averageScore: Math.round(b.averageScore * 10) / 10 })),
+            pagination: { page, limit, total: rows.length, totalPages: Math.ceil(rows.length / limit) },
+        };
+    },
+
+    // Perfumes a completar, por prioridad: menor puntuación y más vistos (30 días)
+    // primero. `fields` = solo los que no tienen alguno de esos campos;
+    // `withSourceUrl` = solo los que se pueden re-scrapear.
+    getEnrichmentTargets: async ({ limit = 50, page = 1, maxScore = 99, fields = null, brand = null, withSourceUrl = false } = {}) => {
+        const toTarget = (perfume, views) => {
+            const score = perfume.completenessScore ?? completenessScore(perfume);
+            return {
+                ...perfume,
+                completenessScore: score,
+                missingFields: missingFields(perfume),
+                views,
+                priority: Math.round((100 - score) * (1 + Math.log(1 + views)) * 10) / 10,
+            };
+        };
+        const offset = (page - 1) * limit;
+        if (!isDatabaseConnected) {
+            const target = brand ? memoryBrands.byAlias.get(brandKey(brand)) : null;
+            const rows = memoryStore
+                .filter((p) => completenessScore(p) <= maxScore
+                    && (!fields?.length || fields.some((f) => !COMPLETENESS_CHECKS[f](p)))
+                    && (!withSourceUrl || p.sourceUrl)
+                    && (!brand || (target ? memoryBrandFor(p.brand) === target : p.brand?.toLowerCase() === brand.toLowerCase())))
+                .map((p) => toTarget(p, 0))
+                .sort((a, b) => b.priority - a.priority || (b.rating ?? -1) - (a.rating ?? -1));
+            return {
+                data: rows.slice(offset, offset + limit),
+                pagination: { page, limit, total: rows.length, totalPages: Math.ceil(rows.length / limit) },
+            };
+        }
+        const params = [maxScore];
+        const clauses = [statsScopeSql({ brand }, params), 'p.completeness_score <= $1'];
+        if (fields?.length) clauses.push(`NOT (${fields.map((f) => COMPLETENESS_SQL[f]).join(' AND ')})`);
+        if (withSourceUrl) clauses.push('p.source_url IS NOT NULL');
+        const where = clauses.join(' AND ');
+        const [rows, count] = await Promise.all([
+            pool.query(
+                `SELECT p.*, COALESCE(v.views, 0) AS views
+                 FROM perfumes p
+                 LEFT JOIN (${RECENT_VIEWS_SQL}) v ON v.perfume_id = p.id::text
+                 WHERE ${where}
+                 ORDER BY ${ENRICHMENT_PRIORITY_SQL} DESC, p.rating DESC NULLS LAST, p.id
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            pool.query(`SELECT COUNT(*)::int AS total FROM perfumes p WHERE ${where}`, params),
+        ]);
+        const total = count.rows[0].total;
+        return {
+            data: rows.rows.map((row) => toTarget(toCamelCase(row), row.views)),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        };
+    },
+
+    // ===== LOCALIZATION (see localization.js) =====
+
+    // Perfumes en `locale`: descripción, etiqueta de concentración y nombres de
+    // notas (vía el registro) y acordes. Sin locale se devuelven tal cual.
+    localizePerfumes: async (perfumes, locale) => {
+        if (!locale || !perfumes?.length) return perfumes;
+        const notes = await dataStore._noteIndex();
+        const byAlias = new Map(notes.flatMap((n) => n.aliases.map((alias) => [alias, n])));
+        const noteOf = (raw) => resolveNoteKey(noteKey(raw), byAlias);
+        return perfumes.map((perfume) => localizePerfume(perfume, locale, { noteOf }));
+    },
+
+    // Detectar el idioma de las descripciones que aún no lo tienen (al arrancar)
+    syncDescriptionLocales: async () => {
+        if (!isDatabaseConnected) {
+            let updated = 0;
+            for (const p of memoryStore) {
+                if (p.descriptionLocale || !p.description?.trim()) continue;
+                p.descriptionLocale = descriptionLocaleOf(p);
+                updated++;
+            }
+            return { updated };
+        }
+        const result = await pool.query(
+            `SELECT id, description, source_url FROM perfumes
+             WHERE description_locale IS NULL AND ${NONEMPTY_TEXT_SQL('description')}`
+        );
+        const rows = result.rows.map((row) => [row.id, descriptionLocaleOf({ description: row.description, sourceUrl: row.source_url })]);
+        for (let i = 0; i < rows.length; i += 1000) {
+            const batch = rows.slice(i, i + 1000);
+            await pool.query(
+                `UPDATE perfumes p SET description_locale = v.locale
+                 FROM unnest($1::uuid[], $2::text[]) AS v(id, locale)
+                 WHERE p.id = v.id`,
+                [batch.map(([id]) => id), batch.map(([, locale]) => locale)]
+            );
+        }
+        return { updated: rows.length };
+    },
+
+    // Informe de traducciones que faltan en `locale`: descripciones de perfumes (más
+    // vistos primero), notas sin nombre, acordes fuera de la lista, concentraciones
+    // sin etiqueta y páginas de contenido
+    getMissingTranslations: async (locale, { limit = 20 } = {}) => {
+        const [notes, accords] = await Promise.all([dataStore._noteIndex(), dataStore.getAccords()]);
+        let perfumes;
+        let concentrations;
+        let contentKeys;
+        if (!isDatabaseConnected) {
+            const described = memoryStore.filter((p) => p.description?.trim());
+            const missing = described.filter((p) => !hasDescriptionIn(p, locale));
+            const descriptionLocales = {};
+            for (const p of described) {
+                const l = p.descriptionLocale || 'unknown';
+                descriptionLocales[l] = (descriptionLocales[l] || 0) + 1;
+            }
+            perfumes = {
+                withDescription: described.length,
+                missing: missing.length,
+                descriptionLocales,
+                samples: missing
+                    .sort((a, b) => (b.rating ?? -1) - (a.rating ?? -1))
+                    .slice(0, limit)
+                    .map((p) => ({ id: p.id, name: p.name, brand: p.brand, descriptionLocale: p.descriptionLocale || null, views: 0 })),
+            };
+            const counts = new Map();
+            for (const p of memoryStore) if (p.concentration?.trim()) counts.set(p.concentration, (counts.get(p.concentration) || 0) + 1);
+            concentrations = [...counts].map(([value, count]) => ({ value, count }));
+            contentKeys = [];
+        } else {
+            const missingSql = `${NONEMPTY_TEXT_SQL('p.description')}
+                AND p.description_locale IS DISTINCT FROM $1::text
+                AND NOT ${NONEMPTY_TEXT_SQL("p.translations->($1::text)->>'description'")}`;
+            const [summary, byLocale, samples, concentrationRows, contentRows] = await Promise.all([
+                pool.query(
+                    `SELECT COUNT(*) FILTER (WHERE ${NONEMPTY_TEXT_SQL('p.description')})::int AS with_description,
+                            COUNT(*) FILTER (WHERE ${missingSql})::int AS missing
+                     FROM perfumes p WHERE p.deleted_at IS NULL`,
+                    [locale]
+                ),
+                pool.query(
+                    `SELECT COALESCE(p.description_locale, 'unknown') AS locale, COUNT(*)::int AS count
+                     FROM perfumes p
+                     WHERE p.deleted_at IS NULL AND ${NONEMPTY_TEXT_SQL('p.description')}
+                     GROUP BY 1`
+                ),
+                pool.query(
+                    `SELECT p.id, p.name, p.brand, p.description_locale, COALESCE(v.views, 0) AS views
+                     FROM perfumes p
+                     LEFT JOIN (${RECENT_VIEWS_SQL}) v ON v.perfume_id = p.id::text
+                     WHERE p.deleted_at IS NULL AND ${missingSql}
+                     ORDER BY views DESC, p.rating DESC NULLS LAST, p.id
+                     LIMIT $2`,
+                    [locale, limit]
+                ),
+                pool.query(
+                    `SELECT concentration AS value, COUNT(*)::int AS count
+                     FROM perfumes p
+                     WHERE p.deleted_at IS NULL AND ${NONEMPTY_TEXT_SQL('p.concentration')}
+                     GROUP BY concentration`
+                ),
+                pool.query('SELECT key FROM site_content'),
+            ]);
+            perfumes = {
+                withDescription: summary.rows[0].with_description,
+                missing: summary.rows[0].missing,
+                descriptionLocales: Object.fromEntries(byLocale.rows.map((r) => [r.locale, r.count])),
+                samples: samples.rows.map((r) => ({
+                    id: r.id, name: r.name, brand: r.brand, descriptionLocale: r.description_locale, views: r.views,
+                })),
+            };
+            concentrations = concentrationRows.rows;
+            contentKeys = contentRows.rows.map((r) => r.key);
+        }
+
+        const untranslatedNotes = notes
+            .filter((n) => n.perfumeCount > 0 && !hasNameIn(n, locale))
+            .sort((a, b) => b.perfumeCount - a.perfumeCount || a.name.localeCompare(b.name));
+        // Fuera de la lista canónica no hay nombre en ningún idioma
+        const unlistedAccords = accords
+            .filter((a) => !a.canonical && a.perfumeCount > 0)
+            .sort((a, b) => b.perfumeCount - a.perfumeCount || a.name.localeCompare(b.name));
+        const unlabelled = concentrations
+            .filter((c) => !concentrationLabels(c.value))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+        const stored = new Set(contentKeys);
+        const pages = contentKeys.filter((key) => !key.includes(':'));
+
+        return {
+            locale,
+            perfumes: {
+                ...perfumes,
+                translated: perfumes.withDescription - perfumes.missing,
+                percentage: percentage(perfumes.withDescription - perfumes.missing, perfumes.withDescription),
+            },
+            notes: {
+                total: notes.filter((n) => n.perfumeCount > 0).length,
+                missing: untranslatedNotes.length,
+                samples: untranslatedNotes.slice(0, limit).map((n) => ({ slug: n.slug, name: n.name, perfumeCount: n.perfumeCount })),
+            },
+            accords: {
+                missing: unlistedAccords.length,
+                samples: unlistedAccords.slice(0, limit).map((a) => ({ slug: a.slug, name: a.name, perfumeCount: a.perfumeCount })),
+            },
+            concentrations: {
+                missing: unlabelled.length,
+                samples: unlabelled.slice(0, limit),
+            },
+            content: {
+                missing: locale === DEFAULT_LOCALE ? [] : pages.filter((key) => !stored.has(contentKey(key, locale))),
             },
-            databaseConnected: true,
         };
     },
 
-    // Obtener perfumes que necesitan re-scrape (sin notas, acordes, sillage o longevity)
-    getIncomplete: async ({ limit = 50 }) => {
+    // ===== IMAGE MIRROR (see imageMirror.js / imageMirrorScheduler.js) =====
+
+    // Remote perfume and perfumer image URLs with no local copy yet, perfume
+    // images first. A failed URL is retried a day later, up to
+    // IMAGE_MIRROR_MAX_ATTEMPTS times; `retryFailed` retries every failed one now.
+    getImagesToMirror: async ({ limit = 300, retryFailed = false } = {}) => {
         if (!isDatabaseConnected) {
-            return memoryStore
-                .filter(
-                    (p) =>
-                        !p.sillage || !p.longevity || !p.similarPerfumes?.length ||
-                        !p.accords?.length ||
-                        (!p.notes?.top?.length && !p.notes?.heart?.length && !p.notes?.base?.length)
-                )
-                .slice(0, limit);
+            const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+            const due = (url) => {
+                const source = memoryImages.sources.get(url);
+                if (!source) return true;
+                if (source.status !== 'failed') return false;
+                return retryFailed || (source.attempts < IMAGE_MIRROR_MAX_ATTEMPTS && new Date(source.checkedAt).getTime() < dayAgo);
+            };
+            return memoryImageUrls().filter(due).slice(0, limit);
         }
+        const result = await pool.query(`
+            SELECT w.url
+            FROM (${IMAGE_URLS_SQL}) w
+            LEFT JOIN image_sources s ON s.url = w.url
+            WHERE s.url IS NULL
+               OR (s.status = 'failed' AND ($3 OR (s.attempts < $2 AND s.checked_at < NOW() - INTERVAL '1 day')))
+            GROUP BY w.url
+            ORDER BY bool_or(w.perfume) DESC, w.url
+            LIMIT $1
+        `, [limit, IMAGE_MIRROR_MAX_ATTEMPTS, retryFailed]);
+        return result.rows.map((row) => row.url);
+    },
 
-        const query = `
-      SELECT * FROM perfumes
-      WHERE (
-        sillage IS NULL
-        OR longevity IS NULL
-        OR similar_perfumes IS NULL OR similar_perfumes = '[]'
-        OR accords IS NULL OR accords = '[]'
-        OR (notes IS NULL OR notes = '{}')
-        OR (notes->>'top' = '[]' AND notes->>'heart' = '[]' AND notes->>'base' = '[]')
-        OR (
-          notes->>'top' = '[]' AND notes->>'base' = '[]'
-          AND jsonb_array_length(notes->'heart') > 3
-        )
-      )
-        AND source_url IS NOT NULL
-      ORDER BY rating DESC NULLS LAST, created_at DESC
-      LIMIT $1
-    `;
-        const result = await pool.query(query, [limit]);
-        return result.rows.map(toCamelCase);
+    getImageAsset: async (hash) => {
+        if (!isDatabaseConnected) return memoryImages.assets.get(hash) || null;
+        const result = await pool.query('SELECT hash, width, height, format, bytes, widths FROM image_assets WHERE hash = $1', [hash]);
+        return result.rows[0] || null;
     },
 
-    // Contar perfumes incompletos
-    countIncomplete: async () => {
+    saveImageAsset: async ({ hash, width, height, format = null, bytes = null, widths }) => {
+        const asset = { hash, width, height, format, bytes, widths };
         if (!isDatabaseConnected) {
-            return memoryStore.filter(
-                (p) =>
-                    !p.sillage || !p.longevity || !p.similarPerfumes?.length ||
-                    !p.accords?.length ||
-                    (!p.notes?.top?.length && !p.notes?.heart?.length && !p.notes?.base?.length)
-            ).length;
+            memoryImages.assets.set(hash, asset);
+            return asset;
         }
+        await pool.query(`
+            INSERT INTO image_assets (hash, width, height, format, bytes, widths)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (hash) DO UPDATE SET
+                width = EXCLUDED.width, height = EXCLUDED.height, format = EXCLUDED.format,
+                bytes = EXCLUDED.bytes, widths = EXCLUDED.widths
+        `, [hash, width, height, format, bytes, widths]);
+        return asset;
+    },
 
-        const query = `
-      SELECT COUNT(*) as count FROM perfumes
-      WHERE (
-        sillage IS NULL
-        OR longevity IS NULL
-        OR similar_perfumes IS NULL OR similar_perfumes = '[]'
-        OR accords IS NULL OR accords = '[]'
-        OR (notes IS NULL OR notes = '{}')
-        OR (notes->>'top' = '[]' AND notes->>'heart' = '[]' AND notes->>'base' = '[]')
-        OR (
-          notes->>'top' = '[]' AND notes->>'base' = '[]'
-          AND jsonb_array_length(notes->'heart') > 3
-        )
-      )
-        AND source_url IS NOT NULL
-    `;
-        const result = await pool.query(query);
-        return parseInt(result.rows[0].count);
+    // `url` is stored locally as `hash`
+    linkImageSource: async (url, hash) => {
+        if (!isDatabaseConnected) {
+            memoryImages.sources.set(url, { url, hash, status: 'mirrored', attempts: 0, lastError: null, checkedAt: new Date().toISOString() });
+            return;
+        }
+        await pool.query(`
+            INSERT INTO image_sources (url, hash, status, attempts, last_error, checked_at)
+            VALUES ($1, $2, 'mirrored', 0, NULL, NOW())
+            ON CONFLICT (url) DO UPDATE SET
+                hash = EXCLUDED.hash, status = 'mirrored', attempts = 0, last_error = NULL, checked_at = NOW()
+        `, [url, hash]);
+    },
+
+    // A download or conversion of `url` failed
+    markImageFailed: async (url, error) => {
+        const lastError = String(error || '').slice(0, 500);
+        if (!isDatabaseConnected) {
+            const attempts = (memoryImages.sources.get(url)?.attempts || 0) + 1;
+            memoryImages.sources.set(url, { url, hash: null, status: 'failed', attempts, lastError, checkedAt: new Date().toISOString() });
+            return;
+        }
+        await pool.query(`
+            INSERT INTO image_sources (url, status, attempts, last_error, checked_at)
+            VALUES ($1, 'failed', 1, $2, NOW())
+            ON CONFLICT (url) DO UPDATE SET
+                hash = NULL, status = 'failed', attempts = image_sources.attempts + 1, last_error = $2, checked_at = NOW()
+        `, [url, lastError]);
+    },
+
+    // Local copy of a remote URL: { hash, width, height, widths } or null
+    getMirroredImage: async (url) => {
+        if (!url) return null;
+        if (!isDatabaseConnected) {
+            const source = memoryImages.sources.get(url);
+            return (source?.hash && memoryImages.assets.get(source.hash)) || null;
+        }
+        const result = await pool.query(`
+            SELECT a.hash, a.width, a.height, a.widths
+            FROM image_sources s
+            JOIN image_assets a ON a.hash = s.hash
+            WHERE s.url = $1
+        `, [url]);
+        return result.rows[0] || null;
+    },
+
+    // Remote image of a perfumer: the verified one (perfumers table), else a scraped one
+    getPerfumerImageUrl: async (name) => {
+        if (!isDatabaseConnected) {
+            const perfume = memoryStore.find((p) => p.perfumerImageUrl && dataStore._splitPerfumers(p.perfumer)
+                .some((n) => n.toLowerCase() === name.toLowerCase()));
+            return perfume?.perfumerImageUrl || null;
+        }
+        const result = await pool.query(`
+            SELECT COALESCE(
+                (SELECT NULLIF(image_url, '') FROM perfumers WHERE LOWER(name) = LOWER($1)),
+                (SELECT MAX(perfumer_image_url) FROM perfumes
+                 WHERE deleted_at IS NULL AND perfumer_image_url IS NOT NULL AND perfumer_image_url != ''
+                   AND EXISTS (
+                       SELECT 1 FROM unnest(string_to_array(LOWER(perfumer), ',')) AS p_name
+                       WHERE TRIM(p_name) = LOWER($1)
+                   ))
+            ) AS image_url
+        `, [name]);
+        return result.rows[0]?.image_url || null;
+    },
+
+    // Coverage of the mirror for GET /api/images/status
+    getImageMirrorStats: async ({ failedLimit = 20 } = {}) => {
+        if (!isDatabaseConnected) {
+            const sources = [...memoryImages.sources.values()];
+            const assets = [...memoryImages.assets.values()];
+            const failed = sources.filter((s) => s.status === 'failed');
+            return {
+                pending: memoryImageUrls().filter((url) => !memoryImages.sources.has(url)).length,
+                mirrored: sources.filter((s) => s.status === 'mirrored').length,
+                failed: failed.length,
+                assets: assets.length,
+                originalBytes: assets.reduce((n, a) => n + (a.bytes || 0), 0),
+                recentFailures: failed
+                    .sort((a, b) => String(b.checkedAt).localeCompare(String(a.checkedAt)))
+                    .slice(0, failedLimit)
+                    .map(({ url, attempts, lastError, checkedAt }) => ({ url, attempts, lastError, checkedAt })),
+            };
+        }
+        const [counts, failures] = await Promise.all([
+            pool.query(`
+                SELECT
+                    (SELECT COUNT(DISTINCT w.url) FROM (${IMAGE_URLS_SQL}) w
+                     WHERE NOT EXISTS (SELECT 1 FROM image_sources s WHERE s.url = w.url))::int AS pending,
+                    (SELECT COUNT(*) FROM image_sources WHERE status = 'mirrored')::int AS mirrored,
+                    (SELECT COUNT(*) FROM image_sources WHERE status = 'failed')::int AS failed,
+                    (SELECT COUNT(*) FROM image_assets)::int AS assets,
+                    (SELECT COALESCE(SUM(bytes), 0) FROM image_assets)::bigint AS original_bytes
+            `),
+            pool.query(`
+                SELECT url, attempts, last_error, checked_at FROM image_sources
+                WHERE status = 'failed' ORDER BY checked_at DESC LIMIT $1
+            `, [failedLimit]),
+        ]);
+        const row = counts.rows[0];
+        return {
+            pending: row.pending,
+            mirrored: row.mirrored,
+            failed: row.failed,
+            assets: row.assets,
+            originalBytes: Number(row.original_bytes),
+            recentFailures: failures.rows.map((r) => ({
+                url: r.url, attempts: r.attempts, lastError: r.last_error, checkedAt: r.checked_at,
+            })),
+        };
     },
 
     // ===== API KEYS METHODS =====
@@ -1978,6 +5421,84 @@ export const dataStore = {
         }
     },
 
+    // Trending perfumes / brands / perfumers over the last `hours` (see
+    // trendingService.js). Each session counts once per entity, weighted by its
+    // latest event with a `halfLifeHours` exponential decay; bot-flagged events
+    // and sessions above `maxEventsPerHour` in any hour are ignored.
+    computeTrending: async ({ hours, halfLifeHours, limit = 50, maxEventsPerHour = 120 }) => {
+        if (!isDatabaseConnected) return { perfumes: [], brands: [], perfumers: [] };
+        const params = [hours, maxEventsPerHour, halfLifeHours, limit];
+        const [perfumes, brands, perfumers] = await Promise.all([
+            pool.query(
+                `${TRENDING_EVENTS_SQL}
+                SELECT p.id, p.name, p.brand, p.year, p.image_url, p.rating,
+                       ${TRENDING_SCORE_SQL} AS score, COUNT(*)::int AS sessions
+                FROM views v JOIN perfumes p ON p.id = v.perfume_id
+                GROUP BY p.id
+                ORDER BY score DESC, sessions DESC, p.rating DESC NULLS LAST
+                LIMIT $4`,
+                params
+            ),
+            // Brand interest = searches for the brand + views of its perfumes, one per
+            // session and brand (any spelling of the brand counts for its profile)
+            pool.query(
+                `${TRENDING_EVENTS_SQL},
+                brand_hits AS (
+                    SELECT session_id, brand, last_at FROM brand_searches
+                    UNION ALL
+                    SELECT v.session_id, p.brand, v.last_at FROM views v JOIN perfumes p ON p.id = v.perfume_id
+                ),
+                keyed AS (
+                    SELECT h.session_id, COALESCE(b.id::text, ${TEXT_KEY_SQL('h.brand')}) AS key,
+                           COALESCE(b.name, MIN(h.brand)) AS name, b.slug, MAX(h.last_at) AS last_at
+                    FROM brand_hits h
+                    LEFT JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('h.brand')}
+                    LEFT JOIN brands b ON b.id = ba.brand_id
+                    WHERE ${TEXT_KEY_SQL('h.brand')} <> ''
+                    GROUP BY h.session_id, 2, b.name, b.slug
+                )
+                SELECT MIN(name) AS name, MIN(slug) AS slug, ${TRENDING_SCORE_SQL} AS score, COUNT(*)::int AS sessions
+                FROM keyed
+                GROUP BY key
+                ORDER BY score DESC, sessions DESC
+                LIMIT $4`,
+                params
+            ),
+            pool.query(
+                `${TRENDING_EVENTS_SQL},
+                perfumer_hits AS (
+                    SELECT v.session_id, lower(trim(p_name)) AS key, MIN(trim(p_name)) AS name, MAX(v.last_at) AS last_at
+                    FROM views v
+                    JOIN perfumes p ON p.id = v.perfume_id
+                    CROSS JOIN LATERAL unnest(string_to_array(p.perfumer, ',')) AS p_name
+                    WHERE length(trim(p_name)) >= 3
+                    GROUP BY v.session_id, 2
+                )
+                SELECT MIN(name) AS name, ${TRENDING_SCORE_SQL} AS score, COUNT(*)::int AS sessions
+                FROM perfumer_hits
+                GROUP BY key
+                ORDER BY score DESC, sessions DESC
+                LIMIT $4`,
+                params
+            ),
+        ]);
+        const score = (row) => Math.round(Number(row.score) * 100) / 100;
+        return {
+            perfumes: perfumes.rows.map((row) => ({
+                id: row.id,
+                name: row.name,
+                brand: row.brand,
+                year: row.year,
+                imageUrl: row.image_url,
+                rating: row.rating === null ? null : Number(row.rating),
+                score: score(row),
+                sessions: row.sessions,
+            })),
+            brands: brands.rows.map((row) => ({ name: row.name, slug: row.slug, score: score(row), sessions: row.sessions })),
+            perfumers: perfumers.rows.map((row) => ({ name: row.name, score: score(row), sessions: row.sessions })),
+        };
+    },
+
     // ===== FAVORITES METHODS =====
 
     getUserFavorites: async (userId) => {
@@ -1987,7 +5508,7 @@ export const dataStore = {
                 `SELECT p.*, f.created_at as favorited_at
                  FROM favorites f
                  JOIN perfumes p ON f.perfume_id = p.id
-                 WHERE f.user_id = $1
+                 WHERE f.user_id = $1 AND p.deleted_at IS NULL
                  ORDER BY f.created_at DESC`,
                 [userId]
             );
@@ -2003,7 +5524,7 @@ export const dataStore = {
         try {
             const result = await pool.query(
                 `INSERT INTO favorites (user_id, perfume_id)
-                 VALUES ($1, $2)
+                 SELECT $1, id FROM perfumes WHERE id = $2 AND deleted_at IS NULL
                  ON CONFLICT (user_id, perfume_id) DO NOTHING
                  RETURNING *`,
                 [userId, perfumeId]
@@ -2042,6 +5563,16 @@ export const dataStore = {
         }
     },
 
+    // Which of `perfumeIds` the user has as favorites (Set), in one query
+    getFavoriteIds: async (userId, perfumeIds) => {
+        if (!isDatabaseConnected || !perfumeIds.length) return new Set();
+        const result = await pool.query(
+            'SELECT perfume_id FROM favorites WHERE user_id = $1 AND perfume_id = ANY($2::uuid[])',
+            [userId, perfumeIds]
+        );
+        return new Set(result.rows.map((row) => String(row.perfume_id)));
+    },
+
     // ===== SITE CONTENT METHODS =====
 
     getContent: async (key) => {
@@ -2076,15 +5607,27 @@ export const dataStore = {
 
     // ===== RESET METHODS =====
 
-    // Delete all perfumes (cascades to favorites)
-    clearPerfumes: async () => {
+    // Move all perfumes to the trash. With `purge` they are deleted for good
+    // instead (cascades to favorites) — needed before re-scraping the same URLs.
+    clearPerfumes: async ({ purge = false, userId = null } = {}) => {
         if (!isDatabaseConnected) {
             const count = memoryStore.length;
+            const now = new Date().toISOString();
+            memoryTrash = purge
+                ? []
+                : [...memoryTrash, ...memoryStore.map((p) => ({ ...p, deletedAt: now, deletedBy: userId, deletedReason: 'reset' }))];
             memoryStore = [];
             return { deleted: count };
         }
         try {
-            const result = await pool.query('DELETE FROM perfumes RETURNING id');
+            const result = purge
+                ? await pool.query('DELETE FROM perfumes RETURNING id')
+                : await pool.query(
+                    `UPDATE perfumes SET deleted_at = NOW(), deleted_by = $1, deleted_reason = 'reset'
+                     WHERE deleted_at IS NULL RETURNING id`,
+                    [userId]
+                );
+            if (!purge) await dropFromSimilarityIndex(pool, result.rows.map((r) => r.id));
             return { deleted: result.rowCount };
         } catch (err) {
             console.error('❌ clearPerfumes:', err.message);
@@ -2104,6 +5647,494 @@ export const dataStore = {
         }
     },
 
+    // ─── Brands ───────────────────────────────────────────────────────────────
+
+    // Register every brand spelling found in perfumes: brands rows get their own
+    // name as alias, and spellings with no alias yet become new brands (named
+    // after their most common spelling). Returns { mapped, created }.
+    syncBrands: async () => {
+        if (!isDatabaseConnected) {
+            const [aliasesBefore, brandsBefore] = [memoryBrands.byAlias.size, memoryBrands.bySlug.size];
+            for (const perfume of [...memoryStore, ...memoryTrash]) memoryBrandFor(perfume.brand);
+            return { mapped: memoryBrands.byAlias.size - aliasesBefore, created: memoryBrands.bySlug.size - brandsBefore };
+        }
+        const own = await pool.query(
+            `INSERT INTO brand_aliases (alias, brand_id)
+             SELECT ${TEXT_KEY_SQL('name')}, id FROM brands WHERE ${TEXT_KEY_SQL('name')} <> ''
+             ON CONFLICT DO NOTHING`
+        );
+        const unmapped = await pool.query(
+            `SELECT key, name FROM (
+                SELECT ${TEXT_KEY_SQL('p.brand')} AS key, mode() WITHIN GROUP (ORDER BY trim(p.brand)) AS name
+                FROM perfumes p
+                LEFT JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('p.brand')}
+                WHERE p.brand IS NOT NULL AND ba.brand_id IS NULL
+                GROUP BY 1
+             ) u
+             WHERE key <> ''`
+        );
+        if (!unmapped.rows.length) return { mapped: own.rowCount, created: 0 };
+
+        const keys = unmapped.rows.map((r) => r.key);
+        const created = await withTransaction(async (client) => {
+            const inserted = await client.query(
+                `INSERT INTO brands (name, slug)
+                 SELECT name, slug FROM unnest($1::text[], $2::text[]) AS s(name, slug)
+                 ON CONFLICT DO NOTHING`,
+                [unmapped.rows.map((r) => r.name.slice(0, 255)), keys.map((key) => key.replace(/ /g, '-'))]
+            );
+            await client.query(
+                `INSERT INTO brand_aliases (alias, brand_id)
+                 SELECT k.key, b.id FROM unnest($1::text[]) AS k(key)
+                 JOIN brands b ON b.slug = replace(k.key, ' ', '-')
+                 ON CONFLICT DO NOTHING`,
+                [keys]
+            );
+            return inserted.rowCount;
+        });
+        return { mapped: own.rowCount + keys.length, created };
+    },
+
+    // Fichas de marca. q busca en nombre y alias; classification / country filtran;
+    // sort = name | perfumes
+    getBrandProfiles: async ({ q = null, classification = null, country = null, sort = 'name', page = 1, limit = 50 } = {}) => {
+        const key = q ? brandKey(q) : null;
+        if (!isDatabaseConnected) {
+            await dataStore.syncBrands();
+            const brands = [...memoryBrands.bySlug.values()]
+                .filter((b) => !key || brandKey(b.name).includes(key) || b.aliases.some((a) => a.includes(key)))
+                .filter((b) => !classification || b.classification === classification)
+                .filter((b) => !country || b.country?.toLowerCase() === country.toLowerCase())
+                .map(memoryBrandView)
+                .sort((a, b) => (sort === 'perfumes' ? b.perfumeCount - a.perfumeCount : 0) || a.name.localeCompare(b.name));
+            const offset = (page - 1) * limit;
+            return {
+                data: brands.slice(offset, offset + limit),
+                pagination: { page, limit, total: brands.length, totalPages: Math.ceil(brands.length / limit) },
+            };
+        }
+        const where = ['TRUE'];
+        const values = [];
+        if (key) {
+            values.push(`%${key}%`);
+            where.push(`(${TEXT_KEY_SQL('b.name')} LIKE $${values.length}
+                OR EXISTS (SELECT 1 FROM brand_aliases x WHERE x.brand_id = b.id AND x.alias LIKE $${values.length}))`);
+        }
+        if (classification) {
+            values.push(classification);
+            where.push(`b.classification = $${values.length}`);
+        }
+        if (country) {
+            values.push(country);
+            where.push(`LOWER(b.country) = LOWER($${values.length})`);
+        }
+        values.push(limit, (page - 1) * limit);
+        const result = await pool.query(
+            `SELECT *, COUNT(*) OVER() AS total_count FROM (${brandIndexSql(where.join(' AND '))}) x
+             ORDER BY ${sort === 'perfumes' ? 'perfume_count DESC, ' : ''}name
+             LIMIT $${values.length - 1} OFFSET $${values.length}`,
+            values
+        );
+        const total = parseInt(result.rows[0]?.total_count || 0);
+        return {
+            data: result.rows.map(toBrand),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        };
+    },
+
+    // Una marca por slug o por cualquiera de sus grafías ("CHANEL", "chanel-paris")
+    getBrand: async (slugOrName) => {
+        if (!isDatabaseConnected) {
+            await dataStore.syncBrands();
+            const brand = memoryBrands.bySlug.get(slugOrName) || memoryBrands.byAlias.get(brandKey(slugOrName));
+            return brand ? memoryBrandView(brand) : null;
+        }
+        const result = await pool.query(
+            `${brandIndexSql(`b.slug = $1 OR b.id = (SELECT brand_id FROM brand_aliases WHERE alias = ${TEXT_KEY_SQL('$1::text')})`)}
+             ORDER BY (b.slug = $1) DESC LIMIT 1`,
+            [slugOrName]
+        );
+        return result.rows[0] ? toBrand(result.rows[0]) : null;
+    },
+
+    // Marca de cada grafía de `names` (null si no está registrada), en una consulta
+    getBrandsByNames: async (names) => {
+        if (!isDatabaseConnected) {
+            await dataStore.syncBrands();
+            return names.map((name) => {
+                const brand = memoryBrands.byAlias.get(brandKey(name));
+                return brand ? memoryBrandView(brand) : null;
+            });
+        }
+        const keys = names.map(brandKey);
+        const result = await pool.query(
+            brandIndexSql('b.id IN (SELECT brand_id FROM brand_aliases WHERE alias = ANY($1::text[]))'),
+            [keys.filter(Boolean)]
+        );
+        const byAlias = new Map(result.rows.flatMap((row) => (row.aliases || []).map((alias) => [alias, row])));
+        return keys.map((key) => (byAlias.has(key) ? toBrand(byAlias.get(key)) : null));
+    },
+
+    // Crear una marca. `aliases` (y el propio nombre) se mueven a ella junto con sus
+    // perfumes. Devuelve null si ya existe una con ese nombre o slug.
+    createBrand: async ({ aliases = [], ...fields }, { userId = null } = {}) => {
+        const slug = slugifyBrand(fields.name);
+        const keys = [fields.name, ...aliases].map(brandKey).filter(Boolean);
+        const note = `brand created: ${fields.name}`;
+        if (!isDatabaseConnected) {
+            await dataStore.syncBrands();
+            const taken = [...memoryBrands.bySlug.values()].some((b) => b.name.toLowerCase() === fields.name.toLowerCase());
+            if (taken || memoryBrands.bySlug.has(slug)) return null;
+            const now = new Date().toISOString();
+            const brand = {
+                id: uuidv4(), slug, name: fields.name, country: null, foundedYear: null, parentGroup: null,
+                description: null, website: null, classification: null, logoUrl: null, fragranticaUrl: null,
+                ...fields, aliases: [], createdAt: now, updatedAt: now,
+            };
+            memoryBrands.bySlug.set(slug, brand);
+            assignMemoryBrandAliases(brand, keys);
+            await rewritePerfumeBrands(null, brand.id, brand.name, { userId, note });
+            return dataStore.getBrand(slug);
+        }
+        const entries = Object.entries(BRAND_PROFILE_COLUMNS).filter(([field]) => fields[field] !== undefined);
+        const created = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO brands (slug, ${entries.map(([, column]) => column).join(', ')})
+                 VALUES ($1, ${entries.map((_, i) => `$${i + 2}`).join(', ')})
+                 ON CONFLICT DO NOTHING
+                 RETURNING id`,
+                [slug, ...entries.map(([field]) => fields[field])]
+            );
+            if (!result.rows[0]) return false;
+            await assignBrandAliases(client, result.rows[0].id, keys);
+            await rewritePerfumeBrands(client, result.rows[0].id, fields.name, { userId, note });
+            return true;
+        });
+        return created ? dataStore.getBrand(slug) : null;
+    },
+
+    // Editar la ficha de una marca. `aliases` mueve esas grafías a esta marca; un
+    // cambio de nombre lo añade como alias. En ambos casos los perfumes afectados
+    // pasan a escribirse con el nombre de la marca (con revisión).
+    // Devuelve null si no existe y 'conflict' si el nombre ya es de otra marca.
+    updateBrand: async (slug, { aliases = [], ...fields }, { userId = null } = {}) => {
+        const keys = [fields.name, ...aliases].map(brandKey).filter(Boolean);
+        if (!isDatabaseConnected) {
+            await dataStore.syncBrands();
+            const brand = memoryBrands.bySlug.get(slug);
+            if (!brand) return null;
+            if (fields.name && [...memoryBrands.bySlug.values()]
+                .some((b) => b !== brand && b.name.toLowerCase() === fields.name.toLowerCase())) return 'conflict';
+            for (const field of Object.keys(BRAND_PROFILE_COLUMNS)) if (fields[field] !== undefined) brand[field] = fields[field];
+            brand.updatedAt = new Date().toISOString();
+            assignMemoryBrandAliases(brand, keys);
+            if (keys.length) await rewritePerfumeBrands(null, brand.id, brand.name, { userId, note: `brand updated: ${brand.name}` });
+            return dataStore.getBrand(slug);
+        }
+        const updated = await withTransaction(async (client) => {
+            const current = await client.query('SELECT id FROM brands WHERE slug = $1 FOR UPDATE', [slug]);
+            if (!current.rows[0]) return null;
+            const id = current.rows[0].id;
+            if (fields.name) {
+                const taken = await client.query('SELECT 1 FROM brands WHERE LOWER(name) = LOWER($1) AND id <> $2', [fields.name, id]);
+                if (taken.rows[0]) return 'conflict';
+            }
+            const sets = [];
+            const values = [];
+            for (const [field, column] of Object.entries(BRAND_PROFILE_COLUMNS)) {
+                if (fields[field] === undefined) continue;
+                values.push(fields[field]);
+                sets.push(`${column} = $${values.length}`);
+            }
+            values.push(id);
+            const row = await client.query(
+                `UPDATE brands SET ${[...sets, 'updated_at = NOW()'].join(', ')} WHERE id = $${values.length} RETURNING name`,
+                values
+            );
+            await assignBrandAliases(client, id, keys);
+            if (keys.length) {
+                await rewritePerfumeBrands(client, id, row.rows[0].name, { userId, note: `brand updated: ${row.rows[0].name}` });
+            }
+            return 'updated';
+        });
+        return updated === 'updated' ? dataStore.getBrand(slug) : updated;
+    },
+
+    // Borrar una marca sin perfumes. Devuelve null si no existe, o la marca (con
+    // perfumeCount) sin borrarla si aún tiene perfumes.
+    deleteBrand: async (slug) => {
+        const brand = await dataStore.getBrand(slug);
+        if (!brand || brand.slug !== slug) return null;
+        if (brand.perfumeCount > 0) return { deleted: false, brand };
+        if (!isDatabaseConnected) {
+            const stored = memoryBrands.bySlug.get(slug);
+            memoryBrands.bySlug.delete(slug);
+            for (const key of stored.aliases) if (memoryBrands.byAlias.get(key) === stored) memoryBrands.byAlias.delete(key);
+        } else {
+            await pool.query('DELETE FROM brands WHERE id = $1', [brand.id]);
+        }
+        return { deleted: true, brand };
+    },
+
+    // Fusionar marcas duplicadas en `targetSlug`: los alias de las fuentes pasan a
+    // la destino, los campos vacíos de la ficha destino se rellenan con los de las
+    // fuentes, los perfumes se reescriben con el nombre destino y las fuentes se
+    // borran. Devuelve null si alguna marca no existe.
+    mergeBrands: async (targetSlug, sourceSlugs, { userId = null } = {}) => {
+        const slugs = [...new Set(sourceSlugs)].filter((s) => s !== targetSlug);
+        const profileFields = Object.keys(BRAND_PROFILE_COLUMNS).filter((f) => f !== 'name');
+        if (!isDatabaseConnected) {
+            await dataStore.syncBrands();
+            const target = memoryBrands.bySlug.get(targetSlug);
+            const sources = slugs.map((s) => memoryBrands.bySlug.get(s));
+            if (!target || sources.some((s) => !s)) return null;
+            let movedAliases = 0;
+            for (const source of sources) {
+                for (const field of profileFields) if (target[field] == null && source[field] != null) target[field] = source[field];
+                movedAliases += source.aliases.length;
+                assignMemoryBrandAliases(target, source.aliases);
+                memoryBrands.bySlug.delete(source.slug);
+            }
+            target.updatedAt = new Date().toISOString();
+            const movedPerfumes = await rewritePerfumeBrands(null, target.id, target.name, {
+                userId, note: `brand merge: ${slugs.join(', ')} → ${target.slug}`,
+            });
+            await detectLinesOf(target.name);
+            return { brand: await dataStore.getBrand(targetSlug), movedPerfumes, movedAliases };
+        }
+        const merged = await withTransaction(async (client) => {
+            const rows = await client.query(
+                'SELECT * FROM brands WHERE slug = ANY($1::text[]) ORDER BY slug FOR UPDATE',
+                [[targetSlug, ...slugs]]
+            );
+            const target = rows.rows.find((r) => r.slug === targetSlug);
+            const sources = rows.rows.filter((r) => r.slug !== targetSlug);
+            if (!target || sources.length !== slugs.length) return null;
+
+            const fill = {};
+            for (const source of sources) {
+                for (const field of profileFields) {
+                    const column = BRAND_PROFILE_COLUMNS[field];
+                    if (target[column] == null && fill[column] === undefined && source[column] != null) fill[column] = source[column];
+                }
+            }
+            const sets = Object.keys(fill).map((column, i) => `${column} = $${i + 2}`);
+            await client.query(
+                `UPDATE brands SET ${[...sets, 'updated_at = NOW()'].join(', ')} WHERE id = $1`,
+                [target.id, ...Object.values(fill)]
+            );
+            const sourceIds = sources.map((r) => r.id);
+            const moved = await client.query(
+                'UPDATE brand_aliases SET brand_id = $1 WHERE brand_id = ANY($2::uuid[])',
+                [target.id, sourceIds]
+            );
+            await client.query('DELETE FROM brands WHERE id = ANY($1::uuid[])', [sourceIds]);
+            const movedPerfumes = await rewritePerfumeBrands(client, target.id, target.name, {
+                userId, note: `brand merge: ${slugs.join(', ')} → ${target.slug}`,
+            });
+            return { name: target.name, movedPerfumes, movedAliases: moved.rowCount };
+        });
+        if (!merged) return null;
+        await detectLinesOf(merged.name);
+        const { name, ...moved } = merged;
+        return { brand: await dataStore.getBrand(targetSlug), ...moved };
+    },
+
+    // ─── Product lines ────────────────────────────────────────────────────────
+
+    // Detect product lines (see productLines.js) for one brand — any spelling —
+    // or the whole catalogue, leaving admin overrides alone.
+    // Returns { updated, lines }: perfumes whose line changed and lines found.
+    syncPerfumeLines: async ({ brand = null } = {}) => {
+        let rows;
+        if (!isDatabaseConnected) {
+            const target = brand ? memoryBrandFor(brand) : null;
+            rows = memoryStore
+                .map((p) => ({ perfume: p, group: memoryBrandFor(p.brand)?.id }))
+                .filter(({ group }) => group && (!target || group === target.id))
+                .map(({ perfume, group }) => ({ ...perfume, group }));
+        } else {
+            const result = await pool.query(
+                `SELECT p.id, p.name, p.brand, p.year, p.line_key, p.line_name, p.line_role, p.line_manual,
+                        COALESCE(ba.brand_id::text, ${TEXT_KEY_SQL('p.brand')}) AS brand_group
+                 FROM perfumes p
+                 LEFT JOIN brand_aliases ba ON ba.alias = ${TEXT_KEY_SQL('p.brand')}
+                 WHERE p.deleted_at IS NULL${brand ? ` AND ${SAME_BRAND_SQL('p.brand', '$1')}` : ''}`,
+                brand ? [brand] : []
+            );
+            rows = result.rows.map((row) => ({ ...toCamelCase(row), group: row.brand_group }));
+        }
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.group)) groups.set(row.group, []);
+            groups.get(row.group).push(row);
+        }
+        const changes = [];
+        const lines = new Set();
+        for (const [group, members] of groups) {
+            const detected = detectLines(members.map(lineCandidate));
+            for (const p of members) {
+                const line = p.lineManual ? p.line : detected.get(p.id);
+                if (line) lines.add(`${group}|${line.key}`);
+                if (!p.lineManual && !sameLine(p.line, line)) changes.push([p.id, line]);
+            }
+        }
+
+        if (!isDatabaseConnected) {
+            const byId = new Map(changes);
+            for (const p of memoryStore) if (byId.has(p.id)) p.line = byId.get(p.id);
+        } else if (changes.length) {
+            await pool.query(
+                `UPDATE perfumes p SET line_key = c.key, line_name = c.name, line_role = c.role
+                 FROM unnest($1::uuid[], $2::text[], $3::text[], $4::text[]) AS c(id, key, name, role)
+                 WHERE p.id = c.id AND NOT COALESCE(p.line_manual, FALSE)`,
+                [
+                    changes.map(([id]) => id),
+                    changes.map(([, line]) => line?.key ?? null),
+                    changes.map(([, line]) => line?.name ?? null),
+                    changes.map(([, line]) => line?.role ?? null),
+                ]
+            );
+        }
+        return { updated: changes.length, lines: lines.size };
+    },
+
+    // Línea de un perfume y todas sus versiones (original, variantes, flankers).
+    // null si el perfume no existe; { line: null, members: [] } si no tiene línea.
+    getPerfumeFamily: async (id) => {
+        const perfume = await dataStore.getById(id);
+        if (!perfume) return null;
+        if (!perfume.line) return { perfumeId: id, line: null, role: null, manual: perfume.lineManual, members: [] };
+
+        const roleOrder = { original: 0, variant: 1, flanker: 2 };
+        let members;
+        if (!isDatabaseConnected) {
+            const brand = memoryBrandFor(perfume.brand);
+            members = memoryStore.filter((p) => p.line?.key === perfume.line.key && memoryBrandFor(p.brand) === brand);
+        } else {
+            const result = await pool.query(
+                `SELECT * FROM perfumes
+                 WHERE deleted_at IS NULL AND line_key = $1 AND ${SAME_BRAND_SQL('brand', '$2')}`,
+                [perfume.line.key, perfume.brand]
+            );
+            members = result.rows.map(toCamelCase);
+        }
+        return {
+            perfumeId: id,
+            line: { key: perfume.line.key, name: perfume.line.name, brand: perfume.brand },
+            role: perfume.line.role,
+            manual: perfume.lineManual,
+            members: members
+                .sort((a, b) => roleOrder[a.line.role] - roleOrder[b.line.role]
+                    || (a.year || 9999) - (b.year || 9999) || a.name.localeCompare(b.name))
+                .map((p) => ({
+                    id: p.id,
+                    name: p.name,
+                    brand: p.brand,
+                    year: p.year,
+                    concentration: p.concentration,
+                    gender: p.gender,
+                    imageUrl: p.imageUrl,
+                    rating: p.rating,
+                    role: p.line.role,
+                })),
+        };
+    },
+
+    // Override de admin: `line` = { name, role } fija el perfume en esa línea
+    // (se une a la detectada si el nombre coincide), null lo saca de cualquier línea.
+    // Devuelve la familia resultante, o null si el perfume no existe.
+    setPerfumeLine: async (id, line) => {
+        const perfume = await dataStore.getById(id);
+        if (!perfume) return null;
+        const pinned = line && { key: lineKeyOf(line.name, perfume.brand), name: line.name, role: line.role };
+        if (!isDatabaseConnected) {
+            perfume.line = pinned;
+            perfume.lineManual = true;
+        } else {
+            await pool.query(
+                'UPDATE perfumes SET line_key = $2, line_name = $3, line_role = $4, line_manual = TRUE WHERE id = $1',
+                [id, pinned?.key ?? null, pinned?.name ?? null, pinned?.role ?? null]
+            );
+        }
+        await dataStore.syncPerfumeLines({ brand: perfume.brand });
+        return dataStore.getPerfumeFamily(id);
+    },
+
+    // Quitar el override: el perfume vuelve a la detección automática
+    clearPerfumeLine: async (id) => {
+        const perfume = await dataStore.getById(id);
+        if (!perfume) return null;
+        if (!isDatabaseConnected) {
+            perfume.line = null;
+            perfume.lineManual = false;
+        } else {
+            await pool.query(
+                'UPDATE perfumes SET line_key = NULL, line_name = NULL, line_role = NULL, line_manual = FALSE WHERE id = $1',
+                [id]
+            );
+        }
+        await dataStore.syncPerfumeLines({ brand: perfume.brand });
+        return dataStore.getPerfumeFamily(id);
+    },
+
+    // Líneas de una marca (cualquier grafía) con su original, número de versiones
+    // y años, las más grandes primero
+    getBrandLines: async (brand) => {
+        let rows;
+        if (!isDatabaseConnected) {
+            const target = memoryBrandFor(brand);
+            const lines = new Map();
+            for (const p of memoryStore) {
+                if (!p.line || memoryBrandFor(p.brand) !== target) continue;
+                if (!lines.has(p.line.key)) lines.set(p.line.key, []);
+                lines.get(p.line.key).push(p);
+            }
+            rows = [...lines].map(([key, members]) => {
+                const years = members.map((p) => p.year).filter(Boolean);
+                const original = members.find((p) => p.line.role === 'original');
+                return {
+                    key,
+                    name: members[0].line.name,
+                    perfume_count: members.length,
+                    variants: members.filter((p) => p.line.role === 'variant').length,
+                    flankers: members.filter((p) => p.line.role === 'flanker').length,
+                    first_year: years.length ? Math.min(...years) : null,
+                    last_year: years.length ? Math.max(...years) : null,
+                    original: original && { id: original.id, name: original.name, year: original.year, imageUrl: original.imageUrl },
+                };
+            }).sort((a, b) => b.perfume_count - a.perfume_count || a.name.localeCompare(b.name));
+        } else {
+            const result = await pool.query(
+                `SELECT line_key AS key,
+                        mode() WITHIN GROUP (ORDER BY line_name) AS name,
+                        COUNT(*)::int AS perfume_count,
+                        COUNT(*) FILTER (WHERE line_role = 'variant')::int AS variants,
+                        COUNT(*) FILTER (WHERE line_role = 'flanker')::int AS flankers,
+                        MIN(year) AS first_year,
+                        MAX(year) AS last_year,
+                        (array_agg(jsonb_build_object('id', id, 'name', name, 'year', year, 'imageUrl', image_url))
+                            FILTER (WHERE line_role = 'original'))[1] AS original
+                 FROM perfumes
+                 WHERE deleted_at IS NULL AND line_key IS NOT NULL AND ${SAME_BRAND_SQL('brand', '$1')}
+                 GROUP BY line_key
+                 ORDER BY perfume_count DESC, name`,
+                [brand]
+            );
+            rows = result.rows;
+        }
+        return rows.map((row) => ({
+            key: row.key,
+            name: row.name,
+            perfumeCount: row.perfume_count,
+            variants: row.variants,
+            flankers: row.flankers,
+            years: { from: row.first_year ?? null, to: row.last_year ?? null },
+            original: row.original || null,
+        }));
+    },
+
     // ===== BRAND LOGO METHODS =====
 
     // Upsert a brand with its logo URL — case-insensitive: updates existing row if name matches
@@ -2116,21 +6147,22 @@ export const dataStore = {
                     logo_url = COALESCE($2, logo_url),
                     fragrantica_url = COALESCE($3, fragrantica_url),
                     scraped_at = NOW()
-                 WHERE LOWER(name) = LOWER($1)
+                 WHERE ${BRAND_MATCH_SQL}
                  RETURNING *`,
                 [name, logoUrl || null, fragranticaUrl || null]
             );
             if (upd.rows[0]) return upd.rows[0];
             // No existing row → insert
             const ins = await pool.query(
-                `INSERT INTO brands (name, logo_url, fragrantica_url) VALUES ($1, $2, $3)
+                `INSERT INTO brands (name, logo_url, fragrantica_url, slug) VALUES ($1, $2, $3, $4)
                  ON CONFLICT (name) DO UPDATE SET
                    logo_url = COALESCE($2, brands.logo_url),
                    fragrantica_url = COALESCE($3, brands.fragrantica_url),
                    scraped_at = NOW()
                  RETURNING *`,
-                [name, logoUrl || null, fragranticaUrl || null]
+                [name, logoUrl || null, fragranticaUrl || null, slugifyBrand(name)]
             );
+            await registerBrandAlias(ins.rows[0]);
             return ins.rows[0] || null;
         } catch (err) {
             console.error('❌ upsertBrand:', err.message);
@@ -2144,17 +6176,18 @@ export const dataStore = {
         try {
             const upd = await pool.query(
                 `UPDATE brands SET logo_url = $2, scraped_at = NOW()
-                 WHERE LOWER(name) = LOWER($1) RETURNING *`,
+                 WHERE ${BRAND_MATCH_SQL} RETURNING *`,
                 [name, logoUrl]
             );
             if (upd.rows[0]) return upd.rows[0];
             const ins = await pool.query(
-                `INSERT INTO brands (name, logo_url)
-                 VALUES ($1, $2)
+                `INSERT INTO brands (name, logo_url, slug)
+                 VALUES ($1, $2, $3)
                  ON CONFLICT (name) DO UPDATE SET logo_url = $2, scraped_at = NOW()
                  RETURNING *`,
-                [name, logoUrl]
+                [name, logoUrl, slugifyBrand(name)]
             );
+            await registerBrandAlias(ins.rows[0]);
             return ins.rows[0] || null;
         } catch (err) {
             console.error('❌ setBrandLogo:', err.message);
@@ -0,0 +1,390 @@
+import { foldText } from './textSearch.js';
+import { objectIdOf } from './duplicateDetection.js';
+import { COMPLETENESS_CHECKS } from './catalogStats.js';
+import { PERFUME_GENDERS, validatePerfumeField } from '../middleware/validatePerfume.js';
+
+/**
+ * Dataset imports (POST /api/imports): fill empty perfume fields from an
+ * uploaded CSV / JSON dataset — e.g. a Fragrantica dump with notes, accords
+ * and perfumers for the perfumes Algolia imported without them.
+ *
+ *   mapping   perfume field → dataset column ({ topNotes: 'top', accords: 'main_accords' })
+ *   matchBy   strategies tried in order for each row:
+ *               objectId   Fragrantica id (id column, or taken from the URL column)
+ *               url        source / mirror URL, merged aliases included
+ *               brandName  brand + name, accent- and punctuation-insensitive
+ *
+ * A row only fills fields that are empty on the matched perfume and not
+ * locked, so re-running an import is harmless. planImport() does the matching
+ * for both the dry-run report and the import job.
+ */
+
+// Columns that locate the perfume
+export const MATCH_FIELDS = ['objectId', 'sourceUrl', 'name', 'brand'];
+// Columns that fill data; the four note columns all land in `notes`
+export const VALUE_FIELDS = [
+    'topNotes', 'heartNotes', 'baseNotes', 'notes', 'accords', 'perfumer', 'year',
+    'concentration', 'gender', 'description', 'imageUrl', 'rating',
+];
+export const IMPORT_FIELDS = [...MATCH_FIELDS, ...VALUE_FIELDS];
+
+// Perfume fields an import can fill
+export const FILLABLE_FIELDS = ['notes', 'accords', 'perfumer', 'year', 'concentration', 'gender', 'description', 'imageUrl', 'rating'];
+
+export const MATCH_STRATEGIES = ['objectId', 'url', 'brandName'];
+
+// Column headers recognised for each field by suggestMapping (folded, see columnKey)
+const COLUMN_ALIASES = {
+    objectId: ['pid', 'objectid', 'object id', 'fragrantica id', 'id'],
+    sourceUrl: ['url', 'source url', 'link', 'fragrantica url'],
+    name: ['name', 'perfume', 'perfume name', 'title'],
+    brand: ['brand', 'brand name', 'house', 'designer'],
+    topNotes: ['top', 'top notes'],
+    heartNotes: ['middle', 'heart', 'middle notes', 'heart notes'],
+    baseNotes: ['base', 'base notes'],
+    notes: ['notes', 'all notes'],
+    accords: ['accords', 'main accords', 'mainaccords'],
+    perfumer: ['perfumer', 'perfumers', 'nose', 'noses'],
+    year: ['year', 'launch year', 'release year', 'launched'],
+    concentration: ['concentration', 'type'],
+    gender: ['gender', 'for'],
+    description: ['description'],
+    imageUrl: ['image', 'image url', 'img', 'picture'],
+    rating: ['rating', 'rating value', 'score'],
+};
+
+const MAX_ROWS = 200000;
+const LIST_SEPARATOR = /[;,|]/;
+
+// ─── Parsing ───
+
+// Minimal RFC-4180 parser: quoted fields, doubled quotes, CRLF
+export function parseCsv(text, delimiter) {
+    const rows = [];
+    let field = '', row = [], inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"') {
+                if (text[i + 1] === '"') { field += '"'; i++; }
+                else inQuotes = false;
+            } else field += c;
+        } else if (c === '"') inQuotes = true;
+        else if (c === delimiter) { row.push(field); field = ''; }
+        else if (c === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+        else if (c === '\r') { /* skip */ }
+        else field += c;
+    }
+    if (field.length || row.length) { row.push(field); rows.push(row); }
+    return rows;
+}
+
+// Delimiter used most often on the header line
+const detectDelimiter = (text) => {
+    const header = text.slice(0, text.indexOf('\n') >>> 0);
+    return [',', ';', '|', '\t']
+        .map((d) => [d, header.split(d).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+};
+
+const uniqueHeaders = (headers) => {
+    const seen = new Map();
+    return headers.map((h, i) => {
+        const name = String(h).trim() || `column${i + 1}`;
+        const n = seen.get(name) || 0;
+        seen.set(name, n + 1);
+        return n ? `${name}_${n + 1}` : name;
+    });
+};
+
+/**
+ * Uploaded file → { format, columns, rows: [{ column: value }] }. JSON may be
+ * an array, { data: [...] } or one object per line. Throws with a readable
+ * message on anything else.
+ */
+export function parseDataset(buffer, { filename = '', delimiter = null } = {}) {
+    const text = buffer.toString('utf-8').replace(/^﻿/, '');
+    const trimmed = text.trimStart();
+    let format;
+    let rows;
+
+    if (/\.(json|ndjson|jsonl)$/i.test(filename) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        format = 'json';
+        try {
+            const parsed = JSON.parse(text);
+            rows = Array.isArray(parsed) ? parsed : parsed?.data;
+        } catch {
+            try {
+                rows = text.split('\n').filter((l) => l.trim()).map((l) => JSON.parse(l));
+            } catch {
+                throw new Error('JSON no válido (se espera un array, { data: [...] } o un objeto por línea)');
+            }
+        }
+        if (!Array.isArray(rows) || rows.some((r) => !r || typeof r !== 'object' || Array.isArray(r))) {
+            throw new Error('El JSON debe ser una lista de objetos');
+        }
+    } else {
+        format = 'csv';
+        const [header, ...data] = parseCsv(text, delimiter || detectDelimiter(text));
+        if (!header) throw new Error('El CSV está vacío');
+        const columns = uniqueHeaders(header);
+        rows = data
+            .filter((r) => r.some((v) => v.trim()))
+            .map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+    }
+
+    if (!rows.length) throw new Error('El dataset no tiene filas');
+    if (rows.length > MAX_ROWS) throw new Error(`El dataset tiene más de ${MAX_ROWS} filas`);
+    const columns = [...new Set(rows.slice(0, 1000).flatMap((r) => Object.keys(r)))];
+    return { format, columns, rows };
+}
+
+// ─── Mapping ───
+
+const columnKey = (name) => foldText(name).replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Best guess of { field: column } from the column headers
+export const suggestMapping = (columns) => {
+    const byKey = new Map(columns.map((c) => [columnKey(c), c]));
+    const mapping = {};
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const match = aliases.find((a) => byKey.has(a) && !Object.values(mapping).includes(byKey.get(a)));
+        if (match) mapping[field] = byKey.get(match);
+    }
+    return mapping;
+};
+
+// Problems with a mapping / matchBy choice, as { field, message } (empty = usable)
+export const validateImportOptions = ({ mapping, matchBy }, columns) => {
+    const details = [];
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return [{ field: 'mapping', message: 'must be an object { field: column }' }];
+    }
+    for (const [field, column] of Object.entries(mapping)) {
+        if (!IMPORT_FIELDS.includes(field)) details.push({ field, message: 'unknown field' });
+        else if (!columns.includes(column)) details.push({ field, message: `column "${column}" is not in the dataset` });
+    }
+    if (!VALUE_FIELDS.some((f) => mapping[f])) {
+        details.push({ field: 'mapping', message: `map at least one of: ${VALUE_FIELDS.join(', ')}` });
+    }
+    if (!Array.isArray(matchBy) || !matchBy.length || matchBy.some((m) => !MATCH_STRATEGIES.includes(m))) {
+        details.push({ field: 'matchBy', message: `must be a list of: ${MATCH_STRATEGIES.join(', ')}` });
+    } else {
+        const needs = { objectId: ['objectId', 'sourceUrl'], url: ['sourceUrl'], brandName: ['brand', 'name'] };
+        for (const strategy of matchBy) {
+            const ok = strategy === 'brandName'
+                ? needs.brandName.every((f) => mapping[f])
+                : needs[strategy].some((f) => mapping[f]);
+            if (!ok) details.push({ field: 'matchBy', message: `${strategy} needs ${needs[strategy].join(strategy === 'brandName' ? ' and ' : ' or ')} mapped` });
+        }
+    }
+    return details;
+};
+
+// ─── Rows ───
+
+// Fragrantica id from "12345", a perfume URL, or null
+export const extractObjectId = (value) => {
+    if (value == null) return null;
+    const s = String(value).trim();
+    return /^\d+$/.test(s) ? s : objectIdOf(s);
+};
+
+const brandNameKey = (brand, name) => {
+    const fold = (s) => foldText(String(s || '')).replace(/[^a-z0-9]+/g, '');
+    const b = fold(brand), n = fold(name);
+    return b && n ? `${b}|${n}` : null;
+};
+
+const toList = (v) => {
+    if (v == null) return [];
+    const items = Array.isArray(v) ? v : String(v).split(LIST_SEPARATOR);
+    return items.map((x) => (typeof x === 'string' ? x : x?.name ?? '')).map((x) => String(x).trim()).filter(Boolean);
+};
+
+const GENDER_ALIASES = {
+    masculine: ['masculine', 'male', 'men', 'man', 'for men', 'hombre', 'masculino'],
+    feminine: ['feminine', 'female', 'women', 'woman', 'for women', 'mujer', 'femenino'],
+    unisex: ['unisex', 'for women and men', 'for men and women', 'shared'],
+};
+const genderOf = (v) => {
+    const key = columnKey(v);
+    return PERFUME_GENDERS.find((g) => GENDER_ALIASES[g].includes(key)) || String(v).trim();
+};
+
+// Dataset cell → the value validatePerfumeField() expects for the perfume field
+const COERCE = {
+    year: (v) => (typeof v === 'number' ? v : parseInt(String(v).trim(), 10)),
+    rating: (v) => (typeof v === 'number' ? v : parseFloat(String(v).trim().replace(',', '.'))),
+    gender: genderOf,
+    accords: toList,
+};
+const isBlank = (v) => v == null || (typeof v === 'string' && !v.trim()) || (Array.isArray(v) && !v.length);
+
+/**
+ * A dataset row through the mapping:
+ *   { keys: { objectId, url, brandName }, name, brand, values: { field: clean }, invalid: [{ field, message }] }
+ * Values are only the fillable fields with data; note columns are merged into
+ * `notes` ({ top, heart, base }; a plain list goes to heart).
+ */
+export const readRow = (row, mapping) => {
+    const cell = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+    const values = {};
+    const invalid = [];
+
+    const phases = { top: toList(cell('topNotes')), heart: toList(cell('heartNotes')), base: toList(cell('baseNotes')) };
+    const combined = cell('notes');
+    if (combined && typeof combined === 'object' && !Array.isArray(combined)) {
+        for (const phase of Object.keys(phases)) if (!phases[phase].length) phases[phase] = toList(combined[phase]);
+    } else if (!phases.top.length && !phases.heart.length && !phases.base.length) {
+        phases.heart = toList(combined);
+    }
+    if (phases.top.length || phases.heart.length || phases.base.length) values.notes = phases;
+
+    for (const field of FILLABLE_FIELDS.filter((f) => f !== 'notes')) {
+        const raw = cell(field);
+        if (isBlank(raw)) continue;
+        const coerced = COERCE[field] ? COERCE[field](raw) : String(raw);
+        if (isBlank(coerced)) continue;
+        const result = validatePerfumeField(field, coerced);
+        if (typeof result === 'string') invalid.push({ field, message: result });
+        else if (result[0] != null) values[field] = result[0];
+    }
+
+    const url = isBlank(cell('sourceUrl')) ? null : String(cell('sourceUrl')).trim();
+    return {
+        keys: {
+            objectId: extractObjectId(cell('objectId')) || objectIdOf(url),
+            url,
+            brandName: brandNameKey(cell('brand'), cell('name')),
+        },
+        name: cell('name') ?? null,
+        brand: cell('brand') ?? null,
+        values,
+        invalid,
+    };
+};
+
+// ─── Matching ───
+
+/**
+ * Lookup over dataStore.getImportIndex() entries
+ * ({ id, name, brand, objectIds, urls, filled, lockedFields }).
+ * match(keys, matchBy) → { entry, by } | { ambiguous: by } | null
+ */
+export const buildMatcher = (index) => {
+    const maps = { objectId: new Map(), url: new Map(), brandName: new Map() };
+    const put = (map, key, entry) => {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(entry);
+    };
+    for (const entry of index) {
+        entry.objectIds.forEach((oid) => put(maps.objectId, oid, entry));
+        entry.urls.forEach((url) => put(maps.url, url, entry));
+        put(maps.brandName, brandNameKey(entry.brand, entry.name), entry);
+    }
+    return (keys, matchBy) => {
+        for (const by of matchBy) {
+            const found = keys[by] && maps[by].get(keys[by]);
+            if (!found) continue;
+            if (found.size > 1) return { ambiguous: by };
+            return { entry: [...found][0], by };
+        }
+        return null;
+    };
+};
+
+// Fillable fields a perfume already has data in (dataStore.getImportIndex does
+// the same in SQL); the import job re-checks each perfume right before writing
+export const filledFields = (perfume) => FILLABLE_FIELDS.filter((f) => (f === 'gender'
+    ? Boolean(perfume.gender?.trim())
+    : COMPLETENESS_CHECKS[f](perfume)));
+
+// Fields of `values` that may be written to `entry`: empty there and not locked
+export const fillableChanges = (values, entry) => {
+    const changes = {};
+    const locked = [];
+    for (const [field, value] of Object.entries(values)) {
+        if (entry.filled.includes(field)) continue;
+        if (entry.lockedFields.includes(field)) locked.push(field);
+        else changes[field] = value;
+    }
+    return { changes, locked };
+};
+
+/**
+ * Walk the dataset and call `onRow(result)` for every row (awaited), where
+ * result = { row (1-based), status, by, entry, changes, locked, invalid, record }
+ * and status is matched | unchanged | unmatched | ambiguous | duplicate.
+ * A perfume matched by an earlier row is a duplicate; its first row wins.
+ */
+export async function planImport(rows, { mapping, matchBy }, index, onRow) {
+    const match = buildMatcher(index);
+    const seen = new Set();
+    for (let i = 0; i < rows.length; i++) {
+        const record = readRow(rows[i], mapping);
+        const base = { row: i + 1, record, invalid: record.invalid };
+        const found = match(record.keys, matchBy);
+        let result;
+        if (!found) result = { ...base, status: 'unmatched' };
+        else if (found.ambiguous) result = { ...base, status: 'ambiguous', by: found.ambiguous };
+        else if (seen.has(found.entry.id)) result = { ...base, status: 'duplicate', by: found.by, entry: found.entry };
+        else {
+            seen.add(found.entry.id);
+            const { changes, locked } = fillableChanges(record.values, found.entry);
+            result = { ...base, status: Object.keys(changes).length ? 'matched' : 'unchanged', by: found.by, entry: found.entry, changes, locked };
+        }
+        if (await onRow(result) === false) return;
+    }
+}
+
+// Dry-run report for a dataset (see README / docs for the shape)
+export async function dryRunReport(rows, options, index, { sampleLimit = 20 } = {}) {
+    const report = {
+        rows: rows.length,
+        matched: 0,
+        wouldUpdate: 0,
+        unchanged: 0,
+        unmatched: 0,
+        ambiguous: 0,
+        duplicates: 0,
+        matchedBy: Object.fromEntries(MATCH_STRATEGIES.map((m) => [m, 0])),
+        fields: Object.fromEntries(FILLABLE_FIELDS.map((f) => [f, 0])),
+        lockedSkipped: {},
+        invalidValues: 0,
+        samples: { updates: [], unmatched: [], invalid: [] },
+    };
+    const sample = (list, item) => { if (list.length < sampleLimit) list.push(item); };
+    const describe = ({ row, record }) => ({ row, name: record.name, brand: record.brand, objectId: record.keys.objectId, url: record.keys.url });
+
+    await planImport(rows, options, index, (r) => {
+        report.invalidValues += r.invalid.length;
+        r.invalid.forEach((inv) => sample(report.samples.invalid, { row: r.row, ...inv }));
+        if (r.status === 'unmatched' || r.status === 'ambiguous') {
+            report[r.status]++;
+            sample(report.samples.unmatched, { ...describe(r), reason: r.status === 'ambiguous' ? `ambiguous ${r.by}` : 'no match' });
+            return;
+        }
+        if (r.status === 'duplicate') {
+            report.duplicates++;
+            return;
+        }
+        report.matched++;
+        report.matchedBy[r.by]++;
+        r.locked.forEach((f) => { report.lockedSkipped[f] = (report.lockedSkipped[f] || 0) + 1; });
+        if (r.status === 'unchanged') {
+            report.unchanged++;
+            return;
+        }
+        report.wouldUpdate++;
+        Object.keys(r.changes).forEach((f) => report.fields[f]++);
+        sample(report.samples.updates, {
+            row: r.row,
+            matchedBy: r.by,
+            perfume: { id: r.entry.id, name: r.entry.name, brand: r.entry.brand },
+            changes: r.changes,
+        });
+    });
+    return report;
+}
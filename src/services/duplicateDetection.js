@@ -0,0 +1,198 @@
+import { foldText, levenshtein } from './textSearch.js';
+
+/**
+ * Near-duplicate detection and field selection for perfume merges.
+ *
+ * Two records are candidates when they share a Fragrantica objectID (same
+ * perfume under .com/.es URLs) or belong to the same brand with names that are
+ * equal once concentration spellings are canonicalised ("EDP" = "Eau de
+ * Parfum") or within a small edit distance. Different concentrations of the
+ * same name (EDT vs EDP) are different products and never match.
+ */
+
+export const DEFAULT_MIN_SCORE = 0.8;
+
+// Concentration spellings → canonical token; longest phrases first
+const CONCENTRATION_PATTERNS = [
+    [/\b(extrait de parfum|extrait)\b/g, 'extrait'],
+    [/\b(eau de parfum|edp)\b/g, 'edp'],
+    [/\b(eau de toilette|edt)\b/g, 'edt'],
+    [/\b(eau de cologne|edc)\b/g, 'edc'],
+];
+const CONCENTRATION_TOKENS = new Set(CONCENTRATION_PATTERNS.map(([, token]) => token));
+
+const collapse = (s) => s.replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const objectIdOf = (url) => String(url || '').match(/-(\d+)\.html/)?.[1] || null;
+
+// Canonical concentration of a free-text value ("Eau de Parfum" → "edp"), or null
+const canonicalConcentration = (text) => {
+    let s = collapse(foldText(text));
+    for (const [re, token] of CONCENTRATION_PATTERNS) s = s.replace(re, token);
+    return s.split(' ').find((t) => CONCENTRATION_TOKENS.has(t)) || null;
+};
+
+// { base, concentration }: the folded name without its concentration words, and
+// the concentration taken from the name or, failing that, the record's field
+export const normalizePerfumeName = (p) => {
+    let s = collapse(foldText(p.name));
+    for (const [re, token] of CONCENTRATION_PATTERNS) s = s.replace(re, token);
+    const words = s.split(' ');
+    const fromName = words.find((t) => CONCENTRATION_TOKENS.has(t)) || null;
+    const base = words.filter((t) => !CONCENTRATION_TOKENS.has(t)).join(' ') || s;
+    return { base, concentration: fromName || canonicalConcentration(p.concentration) };
+};
+
+const normalizeBrand = (brand) => collapse(foldText(brand)).replace(/ /g, '');
+
+// Score in [0, 1] for one pair of same-brand records, or 0 when they are distinct
+const scorePair = (a, b) => {
+    if (a.norm.concentration && b.norm.concentration && a.norm.concentration !== b.norm.concentration) return { score: 0 };
+
+    const reasons = [];
+    let score;
+    if (a.norm.base === b.norm.base) {
+        score = 0.95;
+        reasons.push('sameName');
+    } else {
+        const maxLen = Math.max(a.norm.base.length, b.norm.base.length);
+        const similarity = 1 - levenshtein(a.norm.base, b.norm.base) / maxLen;
+        if (similarity < 0.85) return { score: 0 };
+        score = similarity * 0.9;
+        reasons.push('similarName');
+    }
+    if (a.year && b.year) {
+        if (a.year === b.year) {
+            score += 0.05;
+            reasons.push('sameYear');
+        } else {
+            score -= 0.2;
+        }
+    }
+    return { score: Math.min(Math.round(score * 100) / 100, 1), reasons };
+};
+
+// Records are compared only inside a brand and a 3-letter name prefix bucket,
+// so large brands don't turn into an all-pairs scan.
+const bucketKey = (r) => `${r.brandKey}|${r.norm.base.slice(0, 3)}`;
+
+// The record to keep by default: best rated, then oldest
+const preferredSurvivor = (a, b) => {
+    const ra = a.rating ?? -1, rb = b.rating ?? -1;
+    if (ra !== rb) return ra > rb ? a : b;
+    return new Date(a.createdAt) <= new Date(b.createdAt) ? a : b;
+};
+
+const summary = ({ id, name, brand, concentration, year, sourceUrl, rating, createdAt }) =>
+    ({ id, name, brand, concentration, year, sourceUrl, rating, createdAt });
+
+// Scored candidate pairs, best first:
+// [{ score, reasons, suggestedSurvivorId, perfumes: [a, b] }]
+export const findDuplicateCandidates = (perfumes, { minScore = DEFAULT_MIN_SCORE, limit = 200 } = {}) => {
+    const records = perfumes.map((p) => ({
+        ...p,
+        brandKey: normalizeBrand(p.brand),
+        objectId: objectIdOf(p.sourceUrl),
+        norm: normalizePerfumeName(p),
+    }));
+
+    const pairs = new Map();
+    const addPair = (a, b, score, reasons) => {
+        const key = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+        const current = pairs.get(key);
+        if (current && current.score >= score) return;
+        pairs.set(key, { score, reasons, a, b });
+    };
+
+    const byObjectId = new Map();
+    const buckets = new Map();
+    for (const r of records) {
+        if (r.objectId) {
+            if (!byObjectId.has(r.objectId)) byObjectId.set(r.objectId, []);
+            byObjectId.get(r.objectId).push(r);
+        }
+        const key = bucketKey(r);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(r);
+    }
+
+    for (const group of byObjectId.values()) {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) addPair(group[i], group[j], 1, ['sameObjectId']);
+        }
+    }
+
+    for (const group of buckets.values()) {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const { score, reasons } = scorePair(group[i], group[j]);
+                if (score >= minScore) addPair(group[i], group[j], score, reasons);
+            }
+        }
+    }
+
+    return [...pairs.values()]
+        .sort((x, y) => y.score - x.score || x.a.name.localeCompare(y.a.name))
+        .slice(0, limit)
+        .map(({ score, reasons, a, b }) => ({
+            score,
+            reasons,
+            suggestedSurvivorId: preferredSurvivor(a, b).id,
+            perfumes: [summary(a), summary(b)],
+        }));
+};
+
+// ─── Merge field selection ───────────────────────────────────────────────────
+
+const isEmpty = (v) =>
+    v == null || v === '' ||
+    (Array.isArray(v) && !v.length) ||
+    (typeof v === 'object' && !Array.isArray(v) && !Object.values(v).some((x) => !isEmpty(x)));
+
+const noteCount = (notes) => ['top', 'heart', 'base'].reduce((n, phase) => n + (notes?.[phase]?.length || 0), 0);
+const voteTotal = (votes) => Object.values(votes || {}).reduce((n, v) => n + (typeof v === 'number' ? v : 0), 0);
+const freshness = (p) => new Date(p.scrapedAt || p.updatedAt || 0).getTime();
+
+// How to pick the best value of a field among the records that have one.
+// Fields not listed keep the survivor's value, or the first non-empty one.
+const BEST_VALUE = {
+    notes: (records) => records.reduce((best, p) => (noteCount(p.notes) > noteCount(best.notes) ? p : best)),
+    accords: (records) => records.reduce((best, p) => (p.accords.length > best.accords.length ? p : best)),
+    similarPerfumes: (records) => records.reduce((best, p) => (p.similarPerfumes.length > best.similarPerfumes.length ? p : best)),
+    description: (records) => records.reduce((best, p) => (p.description.length > best.description.length ? p : best)),
+    sillage: (records) => records.reduce((best, p) => (voteTotal(p.sillage) > voteTotal(best.sillage) ? p : best)),
+    longevity: (records) => records.reduce((best, p) => (voteTotal(p.longevity) > voteTotal(best.longevity) ? p : best)),
+    seasonUsage: (records) => records.reduce((best, p) => (voteTotal(p.seasonUsage) > voteTotal(best.seasonUsage) ? p : best)),
+    rating: (records) => records.reduce((best, p) => (freshness(p) > freshness(best) ? p : best)),
+};
+
+/**
+ * Values the survivor should take from the merged records.
+ * `prefer` = { field: perfumeId } forces a field from a given record; fields the
+ * survivor has locked are never changed. Returns { data, sources } where `data`
+ * only holds fields whose value changes and `sources` maps each field to the id
+ * it was taken from.
+ */
+export const pickMergedFields = (survivor, duplicates, fields, { prefer = {} } = {}) => {
+    const all = [survivor, ...duplicates];
+    const locked = survivor.lockedFields || [];
+    const data = {};
+    const sources = {};
+
+    for (const field of fields) {
+        if (locked.includes(field)) continue;
+        let chosen;
+        if (prefer[field]) {
+            chosen = all.find((p) => p.id === prefer[field]);
+        } else {
+            const withValue = all.filter((p) => !isEmpty(p[field]));
+            if (!withValue.length) continue;
+            chosen = BEST_VALUE[field] ? BEST_VALUE[field](withValue) : withValue[0];
+        }
+        if (!chosen || chosen.id === survivor.id) continue;
+        if (JSON.stringify(chosen[field] ?? null) === JSON.stringify(survivor[field] ?? null)) continue;
+        data[field] = chosen[field] ?? null;
+        sources[field] = chosen.id;
+    }
+    return { data, sources };
+};
@@ -0,0 +1,85 @@
+import DataLoader from 'dataloader';
+import { dataStore } from './dataStore.js';
+
+/**
+ * Per-request DataLoaders for /api/graphql. Resolvers never call dataStore for
+ * a single related record: they ask a loader, which collects every key asked
+ * for in the same tick and resolves them with one batched dataStore call —
+ * twenty perfumes asking for their brand cost one brand query, not twenty.
+ * Loaders also cache per request, so the same perfume or brand reached twice
+ * through different paths is read once.
+ *
+ * Created fresh for each request: nothing is cached across users.
+ */
+
+// Values for `keys` from records found by some of them, in key order (null = missing)
+const byKey = (keys, records, keyOf) => {
+    const map = new Map(records.map((r) => [keyOf(r), r]));
+    return keys.map((key) => map.get(key) ?? null);
+};
+
+const caseInsensitive = (name) => String(name).toLowerCase();
+
+export const createLoaders = ({ user = null, locale = null } = {}) => ({
+    // Perfume by id, localized for the request
+    perfume: new DataLoader(async (ids) => {
+        const perfumes = await dataStore.localizePerfumes(await dataStore.getManyByIds([...ids]), locale);
+        return byKey(ids, perfumes, (p) => String(p.id));
+    }),
+
+    // Brand profile by any spelling of its name ("CHANEL", "Chanel Paris")
+    brand: new DataLoader((names) => dataStore.getBrandsByNames([...names])),
+
+    perfumer: new DataLoader(
+        (names) => dataStore.getPerfumersByNames([...names]),
+        { cacheKeyFn: caseInsensitive }
+    ),
+
+    // Registry note for a raw note name (null when unmapped)
+    note: new DataLoader((names) => dataStore.resolveNotes([...names])),
+
+    // Whether the viewer has a perfume as favorite; false when anonymous
+    isFavorite: new DataLoader(async (ids) => {
+        if (!user) return ids.map(() => false);
+        const favorites = await dataStore.getFavoriteIds(user.id, [...ids]);
+        return ids.map((id) => favorites.has(String(id)));
+    }),
+
+    // Page of perfumes for a filter, keyed { filter, listing } (getAll() options):
+    // pages with the same listing — every brand of a page asking for its
+    // perfumes — share one dataStore.getAllForGroups call
+    perfumePage: new DataLoader(async (keys) => {
+        const byListing = new Map();
+        keys.forEach((key, i) => {
+            const listing = JSON.stringify(key.listing);
+            byListing.set(listing, [...(byListing.get(listing) || []), i]);
+        });
+        const pages = new Array(keys.length);
+        for (const indexes of byListing.values()) {
+            const results = await dataStore.getAllForGroups(indexes.map((i) => keys[i].filter), keys[indexes[0]].listing);
+            indexes.forEach((i, n) => { pages[i] = results[n]; });
+        }
+        return pages;
+    }, { cacheKeyFn: JSON.stringify }),
+
+    // Similar perfumes, keyed "id:limit": one batched dataStore call per distinct
+    // limit (in practice one per query level), not one per perfume
+    similar: new DataLoader(async (keys) => {
+        const byLimit = new Map();
+        keys.forEach((key) => {
+            const [id, limit] = key.split(':');
+            byLimit.set(limit, [...(byLimit.get(limit) || []), id]);
+        });
+        const lists = new Map();
+        for (const [limit, ids] of byLimit) {
+            const similar = await dataStore.getManySimilarByNotes(ids, { limit: Number(limit) });
+            const localized = await dataStore.localizePerfumes(similar.flat(), locale);
+            let offset = 0;
+            ids.forEach((id, i) => {
+                lists.set(`${id}:${limit}`, localized.slice(offset, offset + similar[i].length));
+                offset += similar[i].length;
+            });
+        }
+        return keys.map((key) => lists.get(key));
+    }),
+});
@@ -0,0 +1,417 @@
+import {
+    buildSchema, getArgumentValues, getNamedType, getNullableType, getVariableValues, GraphQLError, isListType, Kind,
+} from 'graphql';
+import { dataStore } from './dataStore.js';
+import { decodeCursor, resolveSort, SORT_OPTIONS } from './pagination.js';
+import { NOTE_PHASES } from '../middleware/validatePerfume.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * GraphQL schema for /api/graphql: the catalogue (perfumes, brands, perfumers,
+ * notes, similar perfumes) and the viewer's favorites, so a perfume page is one
+ * request instead of five REST calls.
+ *
+ * Types are written in SDL below; resolvers are attached to the built schema
+ * by type and field. Related records (a perfume's brand, its perfumers, the
+ * favorite flag…) always go through the request's loaders (graphqlLoaders.js),
+ * which batch them into one dataStore call per kind.
+ *
+ * Resolver context: { user, locale, loaders }.
+ */
+
+const typeDefs = `
+    type Query {
+        "A live perfume by id"
+        perfume(id: ID!): Perfume
+        "Filtered catalogue; page/limit, or cursor for keyset pagination (see REST /api/perfumes)"
+        perfumes(filter: PerfumeFilter, sortBy: PerfumeSort, order: SortOrder, page: Int, limit: Int = 12, cursor: String): PerfumePage!
+        "Brand by slug or any spelling of its name"
+        brand(slug: String!): Brand
+        brands(q: String, page: Int, limit: Int = 50): BrandPage!
+        perfumer(name: String!): Perfumer
+        "Note by slug or any known variant (bergamota → bergamot)"
+        note(slug: String!): Note
+        notes(q: String, family: String, page: Int, limit: Int = 50): NotePage!
+        "The logged-in user; null without a token"
+        viewer: Viewer
+    }
+
+    enum PerfumeSort { ${Object.keys(SORT_OPTIONS).join(' ')} }
+    enum SortOrder { asc desc }
+    enum NotePhase { ${NOTE_PHASES.join(' ')} }
+
+    input PerfumeFilter {
+        brand: String
+        brands: [String!]
+        gender: [String!]
+        search: String
+        perfumer: [String!]
+        concentration: [String!]
+        notes: [String!]
+        topNotes: [String!]
+        heartNotes: [String!]
+        baseNotes: [String!]
+        accords: [String!]
+        yearMin: Int
+        yearMax: Int
+        ratingMin: Float
+        ratingMax: Float
+        hasLongevity: Boolean
+        hasSillage: Boolean
+    }
+
+    type Pagination {
+        page: Int
+        limit: Int!
+        total: Int
+        totalPages: Int
+        "Pass as cursor to get the next page (keyset pagination)"
+        nextCursor: String
+    }
+
+    type Perfume {
+        id: ID!
+        name: String!
+        brand: String!
+        year: Int
+        "Raw perfumer field as scraped (comma-separated)"
+        perfumer: String
+        gender: String
+        concentration: String
+        notes: NotePyramid!
+        "Every note with its phase and registry entry"
+        noteList: [PerfumeNote!]!
+        accords: [String!]!
+        description: String
+        imageUrl: String
+        rating: Float
+        longevity: [Vote!]!
+        sillage: [Vote!]!
+        projection: String
+        seasonUsage: [Vote!]!
+        sourceUrl: String
+        completenessScore: Int
+        createdAt: String
+        updatedAt: String
+        brandProfile: Brand
+        perfumers: [Perfumer!]!
+        similar(limit: Int = 8): [SimilarPerfume!]!
+        "Whether the viewer has it as favorite; null without a token"
+        isFavorite: Boolean
+    }
+
+    type NotePyramid {
+        top: [String!]!
+        heart: [String!]!
+        base: [String!]!
+    }
+
+    type PerfumeNote {
+        name: String!
+        phase: NotePhase!
+        "Registry entry the name maps to; null while unmapped"
+        note: Note
+    }
+
+    type Vote {
+        label: String!
+        votes: Float!
+    }
+
+    type SimilarPerfume {
+        perfume: Perfume!
+        score: Int!
+        sharedNotes: Int!
+        sharedAccords: Int!
+    }
+
+    type PerfumePage {
+        data: [Perfume!]!
+        pagination: Pagination!
+    }
+
+    type Brand {
+        id: ID!
+        slug: String!
+        name: String!
+        country: String
+        foundedYear: Int
+        parentGroup: String
+        description: String
+        website: String
+        classification: String
+        logoUrl: String
+        aliases: [String!]!
+        perfumeCount: Int!
+        perfumes(sortBy: PerfumeSort, order: SortOrder, page: Int, limit: Int = 12, cursor: String): PerfumePage!
+    }
+
+    type BrandPage {
+        data: [Brand!]!
+        pagination: Pagination!
+    }
+
+    type Perfumer {
+        name: String!
+        imageUrl: String
+        bio: String
+        nationality: String
+        verified: Boolean!
+        perfumes(sortBy: PerfumeSort, order: SortOrder, page: Int, limit: Int = 12, cursor: String): PerfumePage!
+    }
+
+    type Note {
+        slug: String!
+        name: String!
+        nameEs: String
+        family: String
+        description: String
+        imageUrl: String
+        aliases: [String!]!
+        perfumeCount: Int!
+        perfumes(phase: NotePhase, page: Int, limit: Int = 24): PerfumePage!
+    }
+
+    type NotePage {
+        data: [Note!]!
+        pagination: Pagination!
+    }
+
+    type Viewer {
+        id: ID!
+        email: String!
+        name: String
+        avatarUrl: String
+        role: String!
+        favorites: [Perfume!]!
+    }
+`;
+
+// Deepest field nesting a query may reach ({ perfume { name } } is 2)
+export const MAX_QUERY_DEPTH = 8;
+// Largest page any list field serves
+const MAX_LIMIT = 100;
+// Most expensive query accepted (see costLimit)
+export const MAX_QUERY_COST = 5000;
+// Expected length of lists without a limit argument, for costLimit
+const LIST_SIZES = { 'Perfume.perfumers': 3, 'Perfume.noteList': 30, 'Viewer.favorites': MAX_LIMIT };
+const DEFAULT_LIST_SIZE = 10;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const clampLimit = (limit, fallback) => Math.min(Math.max(limit || fallback, 1), MAX_LIMIT);
+
+const votes = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.entries(value).map(([label, v]) => ({ label, votes: Number(v) || 0 }))
+    : []);
+
+// Page of perfumes through the loaders' cache, localized for the request
+const perfumePage = async ({ data, pagination }, { locale, loaders }) => {
+    const perfumes = await dataStore.localizePerfumes(data, locale);
+    perfumes.forEach((p) => loaders.perfume.prime(String(p.id), p));
+    return { data: perfumes, pagination };
+};
+
+// getAll() listing options from GraphQL args, same validation as the REST listing
+const listing = ({ sortBy, order, page, limit, cursor }, defaultSort) => {
+    const sort = resolveSort(sortBy || defaultSort, order);
+    let decoded = null;
+    if (cursor) {
+        decoded = decodeCursor(cursor, { sortBy: sort.key, dir: sort.dir });
+        if (!decoded) throw new ApiError('Cursor inválido o emitido para otro orden', 400);
+    }
+    return {
+        page: Math.max(page || 1, 1),
+        limit: clampLimit(limit, 12),
+        sortBy: sort.key,
+        order: sort.dir.toLowerCase(),
+        cursor: decoded,
+    };
+};
+
+const resolvers = {
+    Query: {
+        // Lowercased like the ids Postgres returns, which key the loader's results
+        perfume: (_, { id }, { loaders }) => (UUID_RE.test(id) ? loaders.perfume.load(id.toLowerCase()) : null),
+        perfumes: async (_, { filter, ...args }, ctx) =>
+            perfumePage(await dataStore.getAll({ ...listing(args, 'createdAt'), ...filter }), ctx),
+        brand: (_, { slug }) => dataStore.getBrand(slug),
+        brands: (_, { q, page, limit }) => dataStore.getBrandProfiles({ q, page: Math.max(page || 1, 1), limit: clampLimit(limit, 50) }),
+        perfumer: async (_, { name }, { loaders }) => {
+            const perfumer = await loaders.perfumer.load(name);
+            const { pagination } = await dataStore.getAll({ perfumer: [name], limit: 1, fields: ['id'] });
+            return pagination.total || perfumer.verified ? perfumer : null;
+        },
+        note: (_, { slug }) => dataStore.getNote(slug),
+        notes: (_, { q, family, page, limit }) => dataStore.getNotes({ q, family, page: Math.max(page || 1, 1), limit: clampLimit(limit, 50) }),
+        viewer: (_, __, { user }) => user,
+    },
+
+    Perfume: {
+        notes: (p) => Object.fromEntries(NOTE_PHASES.map((phase) => [phase, p.notes?.[phase] || []])),
+        noteList: (p, _, { loaders }) => NOTE_PHASES.flatMap((phase) => (p.notes?.[phase] || []).map((name) => ({
+            name,
+            phase,
+            note: () => loaders.note.load(name),
+        }))),
+        accords: (p) => (Array.isArray(p.accords) ? p.accords : [])
+            .map((a) => (typeof a === 'string' ? a : a?.name))
+            .filter(Boolean),
+        rating: (p) => (p.rating == null ? null : Number(p.rating)),
+        longevity: (p) => votes(p.longevity),
+        sillage: (p) => votes(p.sillage),
+        seasonUsage: (p) => votes(p.seasonUsage),
+        brandProfile: (p, _, { loaders }) => (p.brand ? loaders.brand.load(p.brand) : null),
+        perfumers: (p, _, { loaders }) => loaders.perfumer.loadMany(dataStore._splitPerfumers(p.perfumer)),
+        similar: async (p, { limit }, { loaders }) => {
+            const similar = await loaders.similar.load(`${p.id}:${Math.min(Math.max(limit, 1), 24)}`);
+            return similar.map((s) => ({ perfume: s, score: s.similarityScore, sharedNotes: s.sharedNotes, sharedAccords: s.sharedAccords }));
+        },
+        isFavorite: (p, _, { user, loaders }) => (user ? loaders.isFavorite.load(String(p.id)) : null),
+    },
+
+    Brand: {
+        perfumes: async (brand, args, ctx) => perfumePage(
+            await ctx.loaders.perfumePage.load({ filter: { brands: [brand.name] }, listing: listing(args, 'name') }),
+            ctx
+        ),
+    },
+
+    Perfumer: {
+        perfumes: async (perfumer, args, ctx) => perfumePage(
+            await ctx.loaders.perfumePage.load({ filter: { perfumer: [perfumer.name] }, listing: listing(args, 'name') }),
+            ctx
+        ),
+    },
+
+    Note: {
+        perfumes: async (note, { phase, page, limit }, ctx) => perfumePage(
+            await dataStore.getNotePerfumes(note, { phase, page: Math.max(page || 1, 1), limit: clampLimit(limit, 24) }),
+            ctx
+        ),
+    },
+
+    Viewer: {
+        avatarUrl: (user) => user.avatar_url || null,
+        favorites: async (user, _, { locale, loaders }) => {
+            const favorites = await dataStore.localizePerfumes(await dataStore.getUserFavorites(user.id), locale);
+            favorites.forEach((p) => {
+                loaders.perfume.prime(String(p.id), p);
+                loaders.isFavorite.prime(String(p.id), true);
+            });
+            return favorites;
+        },
+    },
+};
+
+export const schema = buildSchema(typeDefs);
+
+for (const [typeName, fields] of Object.entries(resolvers)) {
+    const type = schema.getType(typeName);
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+        type.getFields()[fieldName].resolve = resolve;
+    }
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than `maxDepth` fields,
+ * following fragments. Introspection fields (__schema, __type) don't count.
+ */
+export const depthLimit = (maxDepth) => (context) => {
+    const fragments = new Map(context.getDocument().definitions
+        .filter((d) => d.kind === Kind.FRAGMENT_DEFINITION)
+        .map((d) => [d.name.value, d]));
+
+    const depthOf = (selectionSet, depth, seen) => selectionSet.selections.reduce((max, selection) => {
+        if (selection.kind === Kind.FIELD) {
+            if (selection.name.value.startsWith('__')) return max;
+            return Math.max(max, selection.selectionSet ? depthOf(selection.selectionSet, depth + 1, seen) : depth + 1);
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) return Math.max(max, depthOf(selection.selectionSet, depth, seen));
+        const fragment = fragments.get(selection.name.value);
+        if (!fragment || seen.has(fragment)) return max;
+        return Math.max(max, depthOf(fragment.selectionSet, depth, new Set([...seen, fragment])));
+    }, depth);
+
+    return {
+        OperationDefinition(node) {
+            const depth = depthOf(node.selectionSet, 0, new Set());
+            if (depth > maxDepth) {
+                context.reportError(new GraphQLError(
+                    `Query depth ${depth} exceeds the maximum of ${maxDepth}`,
+                    { nodes: [node], extensions: { code: 'DEPTH_LIMIT_EXCEEDED' } }
+                ));
+            }
+        },
+    };
+};
+
+/**
+ * Validation rule rejecting operations whose estimated cost exceeds `maxCost`,
+ * so a shallow query can't fan out either: every field costs 1 plus its
+ * selection's cost times the list length. A list is as long as its `limit`
+ * (argument, variable or default), the `data` of a page as the `limit` of the
+ * field that returned it, and other lists as LIST_SIZES estimates.
+ * `perfumes(limit: 100) { data { similar(limit: 24) { perfume { similar(limit: 24) … } } } }`
+ * is some 60,000; a full perfume page is a few hundred.
+ */
+export const costLimit = (maxCost, variables) => (context) => {
+    const schema = context.getSchema();
+    const fragments = new Map(context.getDocument().definitions
+        .filter((d) => d.kind === Kind.FRAGMENT_DEFINITION)
+        .map((d) => [d.name.value, d]));
+    let variableValues = {};
+
+    const limitOf = (field, node) => {
+        if (!field.args.some((arg) => arg.name === 'limit')) return null;
+        try {
+            return getArgumentValues(field, node, variableValues).limit ?? MAX_LIMIT;
+        } catch {
+            return MAX_LIMIT;
+        }
+    };
+
+    // pageSize: limit of the field that returned this (page) type, for its `data`
+    const costOf = (selectionSet, type, pageSize, seen) => selectionSet.selections.reduce((total, selection) => {
+        if (selection.kind === Kind.FIELD) {
+            if (selection.name.value.startsWith('__')) return total;
+            const field = type.getFields?.()[selection.name.value];
+            if (!field || !selection.selectionSet) return total + 1;
+            const limit = limitOf(field, selection);
+            const list = isListType(getNullableType(field.type));
+            const size = list
+                ? Math.min(limit ?? pageSize ?? LIST_SIZES[`${type.name}.${field.name}`] ?? DEFAULT_LIST_SIZE, MAX_LIMIT)
+                : 1;
+            const childPageSize = !list && limit !== null ? Math.min(limit, MAX_LIMIT) : null;
+            return total + 1 + size * costOf(selection.selectionSet, getNamedType(field.type), childPageSize, seen);
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+            const fragmentType = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : type;
+            return total + costOf(selection.selectionSet, fragmentType || type, pageSize, seen);
+        }
+        const fragment = fragments.get(selection.name.value);
+        if (!fragment || seen.has(fragment)) return total;
+        return total + costOf(
+            fragment.selectionSet,
+            schema.getType(fragment.typeCondition.name.value) || type,
+            pageSize,
+            new Set([...seen, fragment])
+        );
+    }, 0);
+
+    return {
+        OperationDefinition(node) {
+            const { coerced } = getVariableValues(schema, node.variableDefinitions || [], variables || {});
+            variableValues = coerced || {};
+            const root = node.operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+            if (!root) return;
+            const cost = costOf(node.selectionSet, root, null, new Set());
+            if (cost > maxCost) {
+                context.reportError(new GraphQLError(
+                    `Query cost ${cost} exceeds the maximum of ${maxCost}`,
+                    { nodes: [node], extensions: { code: 'COST_LIMIT_EXCEEDED', cost, maxCost } }
+                ));
+            }
+        },
+    };
+};
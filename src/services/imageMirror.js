@@ -0,0 +1,99 @@
+import { createHash } from 'crypto';
+import { access, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+/**
+ * Local copies of perfume and perfumer images, so the catalogue stops
+ * depending on fimgs.net hot-links (they break when Fragrantica moves paths
+ * or blocks referrers).
+ *
+ * Each image is downloaded once and stored under the SHA-256 of its bytes —
+ * the same picture behind several URLs is kept once — re-encoded to WebP at
+ * the IMAGE_WIDTHS that fit it:
+ *
+ *   uploads/images/3f/3fa4…c9/200.webp
+ *
+ * dataStore records which URL maps to which hash (image_sources) and the
+ * widths stored for each hash (image_assets). imageMirrorScheduler.js runs the
+ * downloads; GET /api/images/* serves a width or redirects to the original.
+ */
+
+export const IMAGES_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../uploads/images');
+
+export const IMAGE_WIDTHS = [100, 200, 400, 800];
+const WEBP_QUALITY = 80;
+const MAX_DOWNLOAD_BYTES = 15 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 20000;
+
+// One image at a time and no libvips cache: the container runs with little memory
+sharp.concurrency(1);
+sharp.cache(false);
+
+// Widths to store for a source `width` px wide: the standard ones below it plus
+// the source itself (capped at the largest). Never upscaled.
+export const widthsFor = (width) => {
+    const max = Math.min(width, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+    return [...IMAGE_WIDTHS.filter((w) => w < max), max];
+};
+
+// Stored width to serve for a wanted one: the smallest that covers it, else the
+// largest. Without a wanted width, the largest.
+export const pickWidth = (widths, wanted) => {
+    const sorted = [...widths].sort((a, b) => a - b);
+    return (wanted && sorted.find((w) => w >= wanted)) || sorted[sorted.length - 1];
+};
+
+export const imagePath = (hash, width) => join(IMAGES_DIR, hash.slice(0, 2), hash, `${width}.webp`);
+
+export const hashImage = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+// Every width of an asset is on disk (the uploads volume may have been wiped
+// while the DB kept the rows)
+export const hasImageFiles = async ({ hash, widths }) => {
+    try {
+        await Promise.all(widths.map((w) => access(imagePath(hash, w))));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Image bytes from a remote URL. No Referer: fimgs.net refuses foreign ones.
+export async function downloadImage(url) {
+    const res = await fetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+            Accept: 'image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8',
+        },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const type = res.headers.get('content-type') || '';
+    if (type && !type.startsWith('image/')) throw new Error(`Not an image (${type})`);
+    if (Number(res.headers.get('content-length')) > MAX_DOWNLOAD_BYTES) throw new Error('Image too large');
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.length > MAX_DOWNLOAD_BYTES) throw new Error('Image too large');
+    if (!buffer.length) throw new Error('Empty response');
+    return buffer;
+}
+
+/**
+ * Write the WebP sizes of an image under `hash`. Returns the asset row
+ * { hash, width, height, format, bytes, widths }. Throws on data sharp can't decode.
+ */
+export async function writeImageSizes(buffer, hash) {
+    const { width, height, format, orientation } = await sharp(buffer).metadata();
+    if (!width || !height) throw new Error('Unreadable image');
+    // EXIF orientations 5-8 swap the axes once the image is rotated upright
+    const [uprightWidth, uprightHeight] = orientation >= 5 ? [height, width] : [width, height];
+    const widths = widthsFor(uprightWidth);
+
+    await mkdir(dirname(imagePath(hash, widths[0])), { recursive: true });
+    for (const w of widths) {
+        await sharp(buffer).rotate().resize({ width: w }).webp({ quality: WEBP_QUALITY }).toFile(imagePath(hash, w));
+    }
+    return { hash, width: uprightWidth, height: uprightHeight, format: format || null, bytes: buffer.length, widths };
+}
@@ -0,0 +1,85 @@
+import cron from 'node-cron';
+import { dataStore } from './dataStore.js';
+import { downloadImage, hasImageFiles, hashImage, writeImageSizes } from './imageMirror.js';
+
+// Every 30 minutes — picks up images of perfumes added or rescraped since the last run
+const MIRROR_CRON = '*/30 * * * *';
+// URLs per run, and the pause between downloads so fimgs.net isn't hammered
+const MIRROR_BATCH = 300;
+const BETWEEN_DOWNLOADS_MS = 500;
+
+let currentTask = null;
+
+// Last / current run, for GET /api/images/status
+export const imageMirrorStatus = {
+    running: false,
+    startedAt: null,
+    finishedAt: null,
+    progress: null,
+    mirrored: 0,
+    reused: 0,
+    failed: 0,
+    error: null,
+};
+
+// Download, dedupe and store one URL. 'reused' when its bytes were already stored.
+async function mirrorOne(url) {
+    const buffer = await downloadImage(url);
+    const hash = hashImage(buffer);
+    const existing = await dataStore.getImageAsset(hash);
+    if (existing && await hasImageFiles(existing)) {
+        await dataStore.linkImageSource(url, hash);
+        return 'reused';
+    }
+    await dataStore.saveImageAsset(await writeImageSizes(buffer, hash));
+    await dataStore.linkImageSource(url, hash);
+    return 'mirrored';
+}
+
+// Mirror up to `limit` images not stored yet. `retryFailed` also retries URLs
+// that failed before, however recently and however many times.
+// Returns false when a run is already going.
+export async function runImageMirror({ limit = MIRROR_BATCH, retryFailed = false } = {}) {
+    if (imageMirrorStatus.running) return false;
+    Object.assign(imageMirrorStatus, {
+        running: true,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        progress: null,
+        mirrored: 0,
+        reused: 0,
+        failed: 0,
+        error: null,
+    });
+    try {
+        const urls = await dataStore.getImagesToMirror({ limit, retryFailed });
+        imageMirrorStatus.progress = { done: 0, total: urls.length };
+        for (const url of urls) {
+            try {
+                imageMirrorStatus[await mirrorOne(url)]++;
+            } catch (err) {
+                imageMirrorStatus.failed++;
+                await dataStore.markImageFailed(url, err.message);
+            }
+            imageMirrorStatus.progress.done++;
+            await new Promise((r) => setTimeout(r, BETWEEN_DOWNLOADS_MS));
+        }
+        const { mirrored, reused, failed } = imageMirrorStatus;
+        if (urls.length) console.log(`🖼️ Image mirror: ${mirrored} stored, ${reused} deduplicated, ${failed} failed`);
+    } catch (err) {
+        imageMirrorStatus.error = err.message;
+        console.error('❌ Image mirror failed:', err.message);
+    } finally {
+        imageMirrorStatus.running = false;
+        imageMirrorStatus.finishedAt = new Date().toISOString();
+    }
+    return true;
+}
+
+export function initImageMirror() {
+    if (currentTask) currentTask.destroy();
+    currentTask = cron.schedule(MIRROR_CRON, () => runImageMirror(), { timezone: 'UTC' });
+    console.log(`⏰ Image mirror scheduled: ${MIRROR_CRON}`);
+    // Start on whatever is pending without blocking boot
+    runImageMirror();
+}
@@ -0,0 +1,178 @@
+import { canonicalAccord } from './accordTaxonomy.js';
+import { noteKey } from './noteTaxonomy.js';
+
+/**
+ * Catalogue content in several languages. The client picks a locale with
+ * ?lang= or Accept-Language (negotiateLocale middleware); public routes then
+ * localize what they return:
+ *
+ *   perfumes — description (original or translations[locale]), concentration
+ *              label, note and accord names
+ *   notes    — name (nameEs for 'es')
+ *   accords  — name (Spanish names from the accord list)
+ *   content  — per-locale site_content entries (routes/content.js)
+ *
+ * Fallback for every field: the requested locale, then DEFAULT_LOCALE, then
+ * whatever the record has. Without ?lang= or Accept-Language nothing is
+ * localized and records come back as stored.
+ */
+
+export const SUPPORTED_LOCALES = ['en', 'es'];
+export const DEFAULT_LOCALE = 'en';
+
+// Stored as description_locale when the language of a description can't be told
+export const UNDETERMINED_LOCALE = 'und';
+
+/**
+ * `Accept-Language` → supported locales by preference ("es-ES,es;q=0.9,en;q=0.8"
+ * → ['es', 'en']). `*` stands for DEFAULT_LOCALE; q=0 excludes.
+ */
+export const parseAcceptLanguage = (header) => String(header || '')
+    .split(',')
+    .map((part, i) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+        const primary = tag.trim().toLowerCase().split('-')[0];
+        return { locale: primary === '*' ? DEFAULT_LOCALE : primary, q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(({ locale, q }) => SUPPORTED_LOCALES.includes(locale) && q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(({ locale }) => locale)
+    .filter((locale, i, all) => all.indexOf(locale) === i);
+
+// Locales to try for a requested one, in order
+export const fallbackChain = (locale) => [...new Set([locale, DEFAULT_LOCALE])];
+
+// ─── Names (notes, accords, note families) ───
+// Records keep the English name in `name` and the Spanish one in `nameEs`.
+
+const NAME_FIELDS = { en: 'name', es: 'nameEs' };
+
+export const hasNameIn = (entity, locale) => Boolean(entity?.[NAME_FIELDS[locale]]);
+
+export const nameIn = (entity, locale) => {
+    for (const l of fallbackChain(locale)) if (hasNameIn(entity, l)) return entity[NAME_FIELDS[l]];
+    return entity?.name ?? null;
+};
+
+// Note, accord or family with `name` in the locale (nameEs is kept)
+export const localizeNamed = (entity, locale) => (locale && entity ? { ...entity, name: nameIn(entity, locale) } : entity);
+
+// site_content key for a locale: the default locale keeps the plain key ('about',
+// 'about:es')
+export const contentKey = (key, locale) => (locale === DEFAULT_LOCALE ? key : `${key}:${locale}`);
+
+// ─── Concentrations ───
+
+// [label en, label es, spellings]
+const CONCENTRATIONS = [
+    ['Extrait de Parfum', 'Extracto de perfume', ['extrait de parfum', 'extrait', 'extracto', 'extracto de perfume', 'pure perfume']],
+    ['Parfum', 'Perfume', ['parfum', 'perfume']],
+    ['Eau de Parfum', 'Eau de Parfum', ['eau de parfum', 'edp']],
+    ['Eau de Toilette', 'Eau de Toilette', ['eau de toilette', 'edt']],
+    ['Eau de Cologne', 'Eau de Cologne', ['eau de cologne', 'edc', 'cologne', 'colonia', 'agua de colonia']],
+    ['Eau Fraîche', 'Eau Fraîche', ['eau fraiche']],
+    ['Body Mist', 'Bruma corporal', ['body mist', 'body spray', 'bruma corporal']],
+    ['Hair Mist', 'Bruma para el cabello', ['hair mist', 'hair perfume', 'perfume para el cabello']],
+    ['After Shave', 'Loción after shave', ['after shave', 'aftershave', 'after shave lotion']],
+    ['Perfume Oil', 'Aceite perfumado', ['perfume oil', 'parfum oil', 'attar', 'aceite perfumado']],
+    ['Solid Perfume', 'Perfume sólido', ['solid perfume', 'perfume solido']],
+];
+
+const CONCENTRATION_BY_KEY = new Map(CONCENTRATIONS.flatMap(([en, es, spellings]) =>
+    spellings.map((s) => [noteKey(s), { en, es }])));
+
+export const concentrationLabels = (raw) => CONCENTRATION_BY_KEY.get(noteKey(raw)) || null;
+
+// Label for a stored concentration ("edp" → "Eau de Parfum"); unknown values as stored
+export const concentrationLabel = (raw, locale) => {
+    if (!raw) return null;
+    const labels = concentrationLabels(raw);
+    if (!labels) return raw;
+    return fallbackChain(locale).map((l) => labels[l]).find(Boolean);
+};
+
+// ─── Descriptions ───
+
+// Function words that only one of the languages uses (both use "a", "de" is
+// Spanish but shows up in French names, so they are left out)
+const STOPWORDS = {
+    en: new Set(['the', 'and', 'of', 'with', 'is', 'for', 'this', 'that', 'by', 'its', 'was', 'were', 'behind', 'top', 'notes', 'scent', 'fragrance', 'launched', 'heart']),
+    es: new Set(['el', 'la', 'los', 'las', 'del', 'y', 'con', 'por', 'una', 'es', 'su', 'sus', 'se', 'fue', 'para', 'como', 'notas', 'fragancia', 'salida', 'corazon', 'fondo', 'lanzo', 'nariz', 'detras', 'esta']),
+};
+const MIN_STOPWORDS = 3;
+
+/**
+ * 'en' | 'es' | null for a text, by counting language-specific function words
+ * (a few are needed, and clearly more of one language than the other).
+ */
+export const detectLanguage = (text) => {
+    const words = noteKey(text).split(' ');
+    const hits = Object.fromEntries(Object.entries(STOPWORDS).map(([l, set]) => [l, words.filter((w) => set.has(w)).length]));
+    const [best, second] = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    if (best[1] < MIN_STOPWORDS || best[1] < second[1] * 2) return null;
+    return best[0];
+};
+
+// Language of the site a perfume was scraped from (fragrantica.es → 'es')
+export const localeOfSourceUrl = (url) => {
+    try {
+        const tld = new URL(url).hostname.split('.').pop();
+        return { es: 'es', com: 'en' }[tld] || null;
+    } catch {
+        return null;
+    }
+};
+
+// description_locale for a perfume: from the text, else its source site
+export const descriptionLocaleOf = (perfume) => {
+    if (!perfume?.description?.trim()) return null;
+    return detectLanguage(perfume.description) || localeOfSourceUrl(perfume.sourceUrl) || UNDETERMINED_LOCALE;
+};
+
+// Per-locale perfume fields kept in perfumes.translations ({ es: { description } })
+export const TRANSLATABLE_FIELDS = ['description'];
+
+// Description in `locale`: { text, locale } or null. The original wins when it
+// is already in that locale; otherwise translations[locale].
+export const descriptionIn = (perfume, locale) => {
+    if (perfume.description && perfume.descriptionLocale === locale) return { text: perfume.description, locale };
+    const translated = perfume.translations?.[locale]?.description;
+    return translated ? { text: translated, locale } : null;
+};
+
+export const hasDescriptionIn = (perfume, locale) => Boolean(descriptionIn(perfume, locale));
+
+/**
+ * Perfume (full or a ?fields= subset) for a locale. `noteOf(raw)` resolves a
+ * raw note to its registry entry ({ name, nameEs }) or null. Notes and accords
+ * without a known translation keep their stored spelling.
+ */
+export const localizePerfume = (perfume, locale, { noteOf = () => null } = {}) => {
+    if (!locale || !perfume) return perfume;
+    const { translations, ...out } = perfume;
+
+    if ('description' in perfume) {
+        const served = fallbackChain(locale).map((l) => descriptionIn(perfume, l)).find(Boolean);
+        out.description = served ? served.text : perfume.description;
+        out.descriptionLocale = served ? served.locale : perfume.descriptionLocale ?? null;
+    }
+    if ('concentration' in perfume) out.concentrationLabel = concentrationLabel(perfume.concentration, locale);
+    if (perfume.notes && typeof perfume.notes === 'object') {
+        out.notes = Object.fromEntries(Object.entries(perfume.notes).map(([phase, list]) => [
+            phase,
+            Array.isArray(list) ? list.map((raw) => {
+                const note = noteOf(raw);
+                return note ? nameIn(note, locale) : raw;
+            }) : list,
+        ]));
+    }
+    if (Array.isArray(perfume.accords)) {
+        const accordName = (raw) => {
+            const accord = canonicalAccord(raw);
+            return accord?.canonical ? nameIn(accord, locale) : raw;
+        };
+        out.accords = perfume.accords.map((el) => (typeof el === 'string' ? accordName(el) : el && { ...el, name: accordName(el.name) }));
+    }
+    return out;
+};
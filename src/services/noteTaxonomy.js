@@ -0,0 +1,214 @@
+import { foldText } from './textSearch.js';
+
+/**
+ * Canonical note registry: olfactory families, seed notes with their Spanish
+ * names and spelling variants, and the rules that map a free-text note from a
+ * scrape ("Calabrian Bergamot", "bergamota ", "Bergamot") onto one entry.
+ *
+ * Raw notes are compared by key — folded, punctuation collapsed to single
+ * spaces (see TEXT_KEY_SQL in dataStore for the SQL twin). A key that is not a
+ * known alias is retried without origin/grade qualifiers and in singular form.
+ */
+
+export const NOTE_FAMILIES = {
+    citrus: { en: 'Citrus', es: 'Cítricos' },
+    fruity: { en: 'Fruits', es: 'Frutas' },
+    floral: { en: 'Flowers', es: 'Flores' },
+    'white-floral': { en: 'White flowers', es: 'Flores blancas' },
+    green: { en: 'Greens, herbs and fougères', es: 'Verdes, hierbas y fougères' },
+    spicy: { en: 'Spices', es: 'Especias' },
+    gourmand: { en: 'Sweets and gourmand', es: 'Dulces y gourmand' },
+    woody: { en: 'Woods and mosses', es: 'Maderas y musgos' },
+    resinous: { en: 'Resins and balsams', es: 'Resinas y bálsamos' },
+    musky: { en: 'Musk, amber and animalic', es: 'Almizcle, ámbar y animálicos' },
+    aquatic: { en: 'Water and ozonic', es: 'Acuáticos y ozónicos' },
+    beverages: { en: 'Beverages', es: 'Bebidas' },
+};
+
+// [name, Spanish name, family, extra aliases]
+const SEED = [
+    ['Bergamot', 'Bergamota', 'citrus', []],
+    ['Lemon', 'Limón', 'citrus', ['citron']],
+    ['Lime', 'Lima', 'citrus', ['lima acida']],
+    ['Mandarin Orange', 'Mandarina', 'citrus', ['mandarin', 'tangerine', 'mandarina verde']],
+    ['Orange', 'Naranja', 'citrus', ['sweet orange', 'naranja dulce']],
+    ['Bitter Orange', 'Naranja amarga', 'citrus', ['bigarade', 'seville orange']],
+    ['Grapefruit', 'Pomelo', 'citrus', ['toronja']],
+    ['Yuzu', 'Yuzu', 'citrus', []],
+    ['Petitgrain', 'Petitgrain', 'citrus', []],
+    ['Neroli', 'Neroli', 'citrus', ['nerolí']],
+    ['Blood Orange', 'Naranja sanguina', 'citrus', []],
+    ['Lemon Verbena', 'Verbena de limón', 'citrus', ['verbena', 'hierba luisa']],
+    ['Apple', 'Manzana', 'fruity', ['green apple', 'manzana verde']],
+    ['Pear', 'Pera', 'fruity', []],
+    ['Peach', 'Melocotón', 'fruity', ['durazno']],
+    ['Apricot', 'Albaricoque', 'fruity', ['damasco', 'chabacano']],
+    ['Plum', 'Ciruela', 'fruity', []],
+    ['Blackcurrant', 'Grosella negra', 'fruity', ['black currant', 'cassis', 'casis']],
+    ['Raspberry', 'Frambuesa', 'fruity', []],
+    ['Strawberry', 'Fresa', 'fruity', ['frutilla']],
+    ['Pineapple', 'Piña', 'fruity', ['ananas', 'ananá']],
+    ['Coconut', 'Coco', 'fruity', []],
+    ['Fig', 'Higo', 'fruity', ['fig leaf', 'hoja de higuera', 'higuera']],
+    ['Cherry', 'Cereza', 'fruity', []],
+    ['Mango', 'Mango', 'fruity', []],
+    ['Red Berries', 'Frutos rojos', 'fruity', ['berries', 'bayas rojas']],
+    ['Pomegranate', 'Granada', 'fruity', []],
+    ['Melon', 'Melón', 'fruity', []],
+    ['Lychee', 'Lichi', 'fruity', ['litchi']],
+    ['Rose', 'Rosa', 'floral', ['damask rose', 'rosa damascena', 'rose de mai', 'turkish rose', 'bulgarian rose', 'rosa de mayo']],
+    ['Iris', 'Iris', 'floral', ['orris', 'orris root', 'raíz de lirio']],
+    ['Violet', 'Violeta', 'floral', ['violet leaf', 'hoja de violeta']],
+    ['Lavender', 'Lavanda', 'floral', ['lavandin', 'lavandín', 'espliego']],
+    ['Geranium', 'Geranio', 'floral', []],
+    ['Peony', 'Peonía', 'floral', []],
+    ['Lily of the Valley', 'Lirio de los valles', 'floral', ['muguet', 'muguete']],
+    ['Freesia', 'Fresia', 'floral', []],
+    ['Magnolia', 'Magnolia', 'floral', []],
+    ['Cyclamen', 'Ciclamen', 'floral', []],
+    ['Heliotrope', 'Heliotropo', 'floral', []],
+    ['Mimosa', 'Mimosa', 'floral', []],
+    ['Osmanthus', 'Osmanto', 'floral', []],
+    ['Lotus', 'Loto', 'floral', []],
+    ['Jasmine', 'Jazmín', 'white-floral', ['jasmine sambac', 'sambac', 'jazmín sambac']],
+    ['Tuberose', 'Nardos', 'white-floral', ['nardo']],
+    ['Orange Blossom', 'Flor de azahar', 'white-floral', ['azahar', 'flor de naranjo', 'orange flower']],
+    ['Gardenia', 'Gardenia', 'white-floral', []],
+    ['Ylang-Ylang', 'Ylang-Ylang', 'white-floral', ['ylang ylang', 'ylang']],
+    ['Frangipani', 'Frangipani', 'white-floral', ['plumeria']],
+    ['Honeysuckle', 'Madreselva', 'white-floral', []],
+    ['Lily', 'Lirio', 'white-floral', ['azucena']],
+    ['Mint', 'Menta', 'green', ['peppermint', 'spearmint', 'hierbabuena']],
+    ['Basil', 'Albahaca', 'green', []],
+    ['Rosemary', 'Romero', 'green', []],
+    ['Sage', 'Salvia', 'green', ['clary sage', 'salvia esclarea']],
+    ['Thyme', 'Tomillo', 'green', []],
+    ['Galbanum', 'Gálbano', 'green', []],
+    ['Tea', 'Té', 'green', ['green tea', 'te verde', 'black tea', 'te negro']],
+    ['Grass', 'Hierba', 'green', ['cut grass', 'cesped']],
+    ['Artemisia', 'Artemisa', 'green', ['wormwood', 'ajenjo']],
+    ['Tomato Leaf', 'Hoja de tomate', 'green', []],
+    ['Pink Pepper', 'Pimienta rosa', 'spicy', ['pink peppercorn', 'baies roses']],
+    ['Black Pepper', 'Pimienta negra', 'spicy', ['pepper', 'pimienta']],
+    ['Cardamom', 'Cardamomo', 'spicy', []],
+    ['Cinnamon', 'Canela', 'spicy', []],
+    ['Clove', 'Clavo', 'spicy', ['clavo de olor']],
+    ['Nutmeg', 'Nuez moscada', 'spicy', []],
+    ['Ginger', 'Jengibre', 'spicy', []],
+    ['Saffron', 'Azafrán', 'spicy', []],
+    ['Cumin', 'Comino', 'spicy', []],
+    ['Star Anise', 'Anís estrellado', 'spicy', ['anise', 'anis']],
+    ['Coriander', 'Cilantro', 'spicy', []],
+    ['Elemi', 'Elemí', 'spicy', []],
+    ['Vanilla', 'Vainilla', 'gourmand', ['bourbon vanilla', 'vainilla de madagascar']],
+    ['Tonka Bean', 'Haba tonka', 'gourmand', ['tonka', 'cumarina', 'coumarin']],
+    ['Caramel', 'Caramelo', 'gourmand', []],
+    ['Chocolate', 'Chocolate', 'gourmand', ['cacao', 'cocoa']],
+    ['Honey', 'Miel', 'gourmand', []],
+    ['Praline', 'Praliné', 'gourmand', []],
+    ['Almond', 'Almendra', 'gourmand', ['bitter almond', 'almendra amarga']],
+    ['Coffee', 'Café', 'gourmand', []],
+    ['Sugar', 'Azúcar', 'gourmand', ['brown sugar', 'azucar moreno']],
+    ['Hazelnut', 'Avellana', 'gourmand', []],
+    ['Licorice', 'Regaliz', 'gourmand', ['liquorice']],
+    ['Marshmallow', 'Malvavisco', 'gourmand', []],
+    ['Sandalwood', 'Sándalo', 'woody', ['mysore sandalwood', 'australian sandalwood']],
+    ['Cedar', 'Cedro', 'woody', ['cedarwood', 'virginia cedar', 'atlas cedar', 'cedro de virginia']],
+    ['Vetiver', 'Vetiver', 'woody', ['haitian vetiver', 'vetiver de haiti']],
+    ['Patchouli', 'Pachulí', 'woody', ['patchouly', 'pachuli']],
+    ['Oakmoss', 'Musgo de roble', 'woody', ['oak moss', 'musgo']],
+    ['Agarwood (Oud)', 'Oud', 'woody', ['oud', 'agarwood', 'agar', 'madera de agar']],
+    ['Guaiac Wood', 'Madera de guayaco', 'woody', ['guaiac', 'guayaco']],
+    ['Cashmeran', 'Cashmeran', 'woody', ['cashmere wood', 'madera de cachemira']],
+    ['Birch', 'Abedul', 'woody', ['birch tar']],
+    ['Cypress', 'Ciprés', 'woody', []],
+    ['Pine', 'Pino', 'woody', ['pine needles']],
+    ['Oak', 'Roble', 'woody', []],
+    ['Iso E Super', 'Iso E Super', 'woody', []],
+    ['Ambroxan', 'Ambroxan', 'woody', ['ambrox', 'ambroxide']],
+    ['Woody Notes', 'Notas amaderadas', 'woody', ['woods', 'maderas']],
+    ['Incense', 'Incienso', 'resinous', ['olibanum', 'frankincense', 'olíbano']],
+    ['Labdanum', 'Ládano', 'resinous', ['cistus', 'cistus labdanum']],
+    ['Benzoin', 'Benjuí', 'resinous', []],
+    ['Myrrh', 'Mirra', 'resinous', []],
+    ['Tolu Balsam', 'Bálsamo de Tolú', 'resinous', ['tolu']],
+    ['Peru Balsam', 'Bálsamo del Perú', 'resinous', []],
+    ['Opoponax', 'Opopónaco', 'resinous', ['opopanax']],
+    ['Styrax', 'Estoraque', 'resinous', []],
+    ['Musk', 'Almizcle', 'musky', ['white musk', 'almizcle blanco', 'musks', 'almizcles']],
+    ['Amber', 'Ámbar', 'musky', ['ambar']],
+    ['Ambergris', 'Ámbar gris', 'musky', []],
+    ['Leather', 'Cuero', 'musky', ['suede', 'ante']],
+    ['Castoreum', 'Castóreo', 'musky', []],
+    ['Civet', 'Civeta', 'musky', []],
+    ['Tobacco', 'Tabaco', 'musky', ['tobacco leaf', 'hoja de tabaco']],
+    ['Sea Notes', 'Notas marinas', 'aquatic', ['marine notes', 'sea salt', 'sal marina', 'notas marinas']],
+    ['Water Notes', 'Notas acuáticas', 'aquatic', ['aquatic notes', 'notas acuaticas']],
+    ['Ozonic Notes', 'Notas ozónicas', 'aquatic', ['ozone', 'ozono']],
+    ['Calone', 'Calone', 'aquatic', []],
+    ['Rum', 'Ron', 'beverages', []],
+    ['Cognac', 'Coñac', 'beverages', ['brandy']],
+    ['Whiskey', 'Whisky', 'beverages', ['whisky']],
+    ['Champagne', 'Champán', 'beverages', ['champagne accord']],
+    ['Mate', 'Mate', 'beverages', ['yerba mate']],
+];
+
+// Words that name an origin, grade or form rather than a different material:
+// "Calabrian Bergamot", "bergamota de Calabria", "Rose Absolute"
+const QUALIFIERS = new Set([
+    'calabrian', 'calabria', 'italian', 'italiana', 'italiano', 'italia', 'sicilian', 'siciliano', 'siciliana', 'sicilia',
+    'amalfi', 'spanish', 'espanola', 'espanol', 'french', 'frances', 'francesa', 'grasse', 'egyptian', 'egipcio', 'egipcia',
+    'indian', 'indio', 'india', 'indonesian', 'indonesio', 'madagascar', 'tahitian', 'tahiti', 'mexican', 'mexicana',
+    'haitian', 'haiti', 'javanese', 'java', 'brazilian', 'brasil', 'moroccan', 'marroqui', 'tunisian', 'tunecino',
+    'sri', 'lanka', 'lankan', 'guatemalan', 'guatemala', 'paraguayan', 'paraguay', 'florentine', 'tuscan', 'toscana',
+    'absolute', 'absoluto', 'absoluta', 'essence', 'esencia', 'oil', 'aceite', 'extract', 'extracto', 'accord', 'acorde',
+    'co2', 'de', 'del', 'la', 'el',
+]);
+
+// Key a raw note is compared by: folded, punctuation collapsed ("Ylang-Ylang " → "ylang ylang")
+export const noteKey = (raw) => foldText(raw).replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const slugifyNote = (name) => noteKey(name).replace(/ /g, '-');
+
+// Seed notes in registry shape, with every alias key they answer to
+export const SEED_NOTES = SEED.map(([name, nameEs, family, aliases]) => ({
+    slug: slugifyNote(name),
+    name,
+    nameEs,
+    family,
+    aliases: [...new Set([name, nameEs, ...aliases].map(noteKey).filter(Boolean))],
+}));
+
+// Possible singulars of a word ("berries" → berry, "roses" → ros / rose)
+const singulars = (word) => {
+    if (word.endsWith('ies')) return [`${word.slice(0, -3)}y`];
+    if (word.endsWith('es')) return [word.slice(0, -2), word.slice(0, -1)];
+    if (word.endsWith('s') && !word.endsWith('ss')) return [word.slice(0, -1)];
+    return [];
+};
+
+// Keys to try for a raw key, most specific first
+const candidateKeys = (key) => {
+    const stripped = key.split(' ').filter((w) => !QUALIFIERS.has(w)).join(' ');
+    const out = [key];
+    if (stripped && stripped !== key) out.push(stripped);
+    for (const k of [...out]) {
+        const words = k.split(' ');
+        for (const last of singulars(words[words.length - 1])) out.push([...words.slice(0, -1), last].join(' '));
+    }
+    return out;
+};
+
+// Registry entry a key maps to through `aliasIndex` (Map key → note), or null
+export const resolveNoteKey = (key, aliasIndex) => {
+    if (!key) return null;
+    for (const k of candidateKeys(key)) {
+        const note = aliasIndex.get(k);
+        if (note) return note;
+    }
+    return null;
+};
+
+// Display name for a note created from a raw spelling ("white  MUSK" → "White Musk")
+export const displayNoteName = (raw) =>
+    String(raw).trim().replace(/\s+/g, ' ').toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase());
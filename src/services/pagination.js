@@ -0,0 +1,107 @@
+/**
+ * Keyset (cursor) pagination and sparse fieldsets for catalog listings.
+ *
+ * A cursor is an opaque base64url token holding the sort it was issued for and
+ * the (sort value, id) of the last row served. The next page starts strictly
+ * after that row, so inserts mid-browse don't shift items and deep pages cost
+ * the same as the first one (no OFFSET, no COUNT).
+ */
+
+export const SORT_OPTIONS = {
+    name: { column: 'name', field: 'name', dir: 'ASC', type: 'text' },
+    rating: { column: 'rating', field: 'rating', dir: 'DESC', type: 'number' },
+    year: { column: 'year', field: 'year', dir: 'DESC', type: 'number' },
+    createdAt: { column: 'created_at', field: 'createdAt', dir: 'DESC', type: 'date' },
+    updatedAt: { column: 'updated_at', field: 'updatedAt', dir: 'DESC', type: 'date' },
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Whether a cursor's sort value can stand for a column of that type. SQL cursors
+// carry the value as text (`column::text`), the in-memory ones as stored.
+const CURSOR_VALUE_CHECKS = {
+    text: (v) => typeof v === 'string',
+    number: (v) => (typeof v === 'number' || (typeof v === 'string' && v.trim() !== '')) && Number.isFinite(Number(v)),
+    date: (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v)),
+};
+
+// Sort options shared by the SQL listing and the in-memory fallback.
+// `order=asc|desc` overrides the default direction.
+export const resolveSort = (sortBy, order) => {
+    const key = Object.hasOwn(SORT_OPTIONS, sortBy) ? sortBy : 'createdAt';
+    const sort = SORT_OPTIONS[key];
+    const dir = ['asc', 'desc'].includes(String(order).toLowerCase())
+        ? String(order).toUpperCase()
+        : sort.dir;
+    return { ...sort, key, dir };
+};
+
+export const encodeCursor = ({ sortBy, dir, value, id }) =>
+    Buffer.from(JSON.stringify({ s: sortBy, d: dir, v: value ?? null, id })).toString('base64url');
+
+// Returns { sortBy, dir, value, id }, or null when the token is malformed (id not
+// a UUID, sort value of the wrong type) or was issued for a different sort than
+// the current request.
+export const decodeCursor = (raw, { sortBy, dir }) => {
+    try {
+        const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+        if (!c || typeof c !== 'object' || typeof c.id !== 'string' || !UUID_RE.test(c.id)) return null;
+        if (c.s !== sortBy || c.d !== dir || !Object.hasOwn(SORT_OPTIONS, c.s)) return null;
+        if (c.v !== null && !CURSOR_VALUE_CHECKS[SORT_OPTIONS[c.s].type](c.v)) return null;
+        return { sortBy: c.s, dir: c.d, value: c.v, id: c.id };
+    } catch {
+        return null;
+    }
+};
+
+// API field name → perfumes column (same names toCamelCase() produces)
+export const PERFUME_FIELD_COLUMNS = {
+    id: 'id',
+    name: 'name',
+    brand: 'brand',
+    year: 'year',
+    perfumer: 'perfumer',
+    perfumerImageUrl: 'perfumer_image_url',
+    gender: 'gender',
+    concentration: 'concentration',
+    notes: 'notes',
+    accords: 'accords',
+    description: 'description',
+    descriptionLocale: 'description_locale',
+    translations: 'translations',
+    imageUrl: 'image_url',
+    rating: 'rating',
+    sillage: 'sillage',
+    longevity: 'longevity',
+    projection: 'projection',
+    similarPerfumes: 'similar_perfumes',
+    seasonUsage: 'season_usage',
+    sourceUrl: 'source_url',
+    objectId: 'object_id',
+    mirrorUrls: 'mirror_urls',
+    fieldSources: 'field_sources',
+    lockedFields: 'locked_fields',
+    completenessScore: 'completeness_score',
+    scrapedAt: 'scraped_at',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+};
+
+// `?fields=name,brand,imageUrl` → { fields: ['id','name','brand','imageUrl'], unknown: [] }.
+// `fields` is null when the param is absent (full objects). `id` is always included.
+export const parseFields = (raw) => {
+    if (raw == null || raw === '') return { fields: null, unknown: [] };
+    const requested = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map((f) => String(f).trim())
+        .filter(Boolean);
+    const unknown = requested.filter((f) => !Object.hasOwn(PERFUME_FIELD_COLUMNS, f));
+    const fields = [...new Set(['id', ...requested.filter((f) => Object.hasOwn(PERFUME_FIELD_COLUMNS, f))])];
+    return { fields, unknown };
+};
+
+export const pickFields = (obj, fields) => {
+    if (!fields || !obj) return obj;
+    const out = {};
+    for (const f of fields) if (f in obj) out[f] = obj[f];
+    return out;
+};
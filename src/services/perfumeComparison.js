@@ -0,0 +1,130 @@
+import { canonicalAccord } from './accordTaxonomy.js';
+import { accordPositions, notePairs, scoreSimilarity } from './similarityScoring.js';
+
+/**
+ * Side-by-side comparison of 2-3 perfumes: notes per pyramid phase, accords
+ * with their prominence, performance votes and pairwise similarity.
+ *
+ * "shared" = in every compared perfume, "partial" = in some but not all (only
+ * possible with 3), "unique" = in that perfume alone.
+ */
+
+export const MAX_COMPARE = 3;
+
+const PHASES = ['top', 'heart', 'base'];
+
+// Vote keys written by the scraper, weakest first
+export const LONGEVITY_LEVELS = ['poor', 'veryweak', 'weak', 'moderate', 'longlasting', 'verylong', 'eternal'];
+export const SILLAGE_LEVELS = ['intimate', 'moderate', 'strong', 'enormous'];
+const SEASON_KEYS = ['winter', 'spring', 'summer', 'autumn', 'day', 'night'];
+
+// Split items seen per perfume into shared / partial / unique
+const overlap = (ids, itemsById, describe) => {
+    const owners = new Map();
+    for (const id of ids) {
+        for (const [key, item] of itemsById.get(id)) {
+            if (!owners.has(key)) owners.set(key, { item, ids: [] });
+            owners.get(key).ids.push(id);
+        }
+    }
+    const result = { shared: [], partial: [], unique: Object.fromEntries(ids.map((id) => [id, []])) };
+    for (const [key, { item, ids: holders }] of owners) {
+        if (holders.length === ids.length) result.shared.push(describe(key, item, holders));
+        else if (holders.length > 1) result.partial.push({ ...describe(key, item, holders), perfumeIds: holders });
+        else result.unique[holders[0]].push(describe(key, item, holders));
+    }
+    return result;
+};
+
+// Vote distribution in percent over `levels`, or null without votes
+const distribution = (metric, levels) => {
+    const votes = metric?.votes;
+    const total = levels.reduce((n, level) => n + (Number(votes?.[level]) || 0), 0);
+    if (!total) return null;
+    return {
+        dominant: metric.dominant ?? null,
+        totalVotes: total,
+        distribution: Object.fromEntries(levels.map((level) => [level, Math.round(((Number(votes[level]) || 0) / total) * 100)])),
+    };
+};
+
+const sideBySide = (perfumes, field, levels) => {
+    const used = levels.filter((level) => perfumes.some((p) => Number(p[field]?.votes?.[level]) > 0));
+    return {
+        levels: used,
+        perfumes: Object.fromEntries(perfumes.map((p) => [p.id, distribution(p[field], used)])),
+    };
+};
+
+/**
+ * `perfumes` in the requested order; `noteRows` = [{ id, phase, raw, key, name }]
+ * with the registry key and canonical name of every raw note (name null while
+ * the note is unmapped).
+ */
+export const buildComparison = (perfumes, noteRows) => {
+    const ids = perfumes.map((p) => p.id);
+
+    const notes = {};
+    for (const phase of PHASES) {
+        const itemsById = new Map(ids.map((id) => [id, new Map()]));
+        for (const row of noteRows) {
+            if (row.phase !== phase || !row.key) continue;
+            const items = itemsById.get(row.id);
+            if (!items.has(row.key)) items.set(row.key, row.name || row.raw);
+        }
+        notes[phase] = overlap(ids, itemsById, (_key, name) => ({ name }));
+    }
+
+    const positions = new Map(perfumes.map((p) => [p.id, accordPositions(p.accords)]));
+    const accords = overlap(ids, positions, (name, _position, holders) => {
+        const canonical = canonicalAccord(name);
+        return {
+            name,
+            slug: canonical?.slug ?? null,
+            color: canonical?.color ?? null,
+            positions: Object.fromEntries(holders.map((id) => [id, positions.get(id).get(name)])),
+        };
+    });
+    const byProminence = (a, b) =>
+        Math.min(...Object.values(a.positions)) - Math.min(...Object.values(b.positions)) || a.name.localeCompare(b.name);
+    accords.shared.sort(byProminence);
+    accords.partial.sort(byProminence);
+    for (const id of ids) accords.unique[id].sort(byProminence);
+
+    const profiles = new Map(perfumes.map((p) => [p.id, {
+        notes: notePairs(noteRows.filter((row) => row.id === p.id)),
+        accords: positions.get(p.id),
+    }]));
+    const similarity = [];
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+            similarity.push({ perfumeIds: [ids[i], ids[j]], ...scoreSimilarity(profiles.get(ids[i]), profiles.get(ids[j])) });
+        }
+    }
+
+    return {
+        perfumes: perfumes.map((p) => ({
+            id: p.id,
+            name: p.name,
+            brand: p.brand,
+            year: p.year ?? null,
+            concentration: p.concentration ?? null,
+            gender: p.gender ?? null,
+            imageUrl: p.imageUrl ?? null,
+            rating: p.rating ?? null,
+        })),
+        notes,
+        accords,
+        performance: {
+            longevity: sideBySide(perfumes, 'longevity', LONGEVITY_LEVELS),
+            sillage: sideBySide(perfumes, 'sillage', SILLAGE_LEVELS),
+            seasons: {
+                keys: SEASON_KEYS,
+                perfumes: Object.fromEntries(perfumes.map((p) => [p.id, p.seasonUsage
+                    ? Object.fromEntries(SEASON_KEYS.map((k) => [k, Number(p.seasonUsage[k]) || 0]))
+                    : null])),
+            },
+        },
+        similarity,
+    };
+};
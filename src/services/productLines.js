@@ -0,0 +1,124 @@
+import { foldText } from './textSearch.js';
+
+/**
+ * Product-line detection: groups one brand's perfumes into lines such as
+ * "Sauvage" (Sauvage EDT, Sauvage Eau de Parfum, Sauvage Elixir) or "La Vie Est
+ * Belle" (+ Intensément, L'Éclat…).
+ *
+ * A perfume's core name is its folded name without the brand prefix and without
+ * concentration/strength words. The line root is the shortest core of the same
+ * brand that is a word-prefix of the perfume's core; perfumes sharing a root form
+ * a line when there are at least two of them. Inside a line the role is:
+ *   original — the earliest perfume whose core is the root itself
+ *   variant  — same core, another concentration (EDT/EDP/Parfum/Elixir…)
+ *   flanker  — root plus extra words ("Sauvage Very Cool Spray")
+ */
+
+export const LINE_ROLES = ['original', 'variant', 'flanker'];
+
+// Concentration / strength spellings dropped from the core name; longest first
+const VARIANT_PATTERNS = [
+    /\b(extrait de parfum|eau de parfum|eau de toilette|eau de cologne|le parfum|pure parfum)\b/g,
+    /\b(edp|edt|edc|extrait|parfum|cologne|elixir|intense|absolu|absolue|concentree|concentre)\b/g,
+];
+
+// Roots shorter than this ("l", "no") would pull unrelated perfumes together
+const MIN_ROOT_LENGTH = 3;
+
+const collapse = (s) => s.replace(/[^a-z0-9]+/g, ' ').trim();
+
+const lineKey = (text) => collapse(foldText(text));
+
+// Folded name words with the brand prefix removed ("Dior Homme" by Dior → ["homme"])
+const nameWords = (name, brand) => {
+    const words = lineKey(name).split(' ').filter(Boolean);
+    const brandWords = lineKey(brand).split(' ').filter(Boolean);
+    const prefixed = brandWords.length && brandWords.every((w, i) => words[i] === w);
+    return prefixed && words.length > brandWords.length ? words.slice(brandWords.length) : words;
+};
+
+// Key of a line name typed by an admin, comparable with detected roots
+// ("Dior Homme" by Dior → "homme")
+export const lineKeyOf = (name, brand) => nameWords(name, brand).join(' ');
+
+// { core, hasVariantWords } for one perfume
+const coreOf = (p) => {
+    const words = nameWords(p.name, p.brand).join(' ');
+    let core = words;
+    for (const re of VARIANT_PATTERNS) core = core.replace(re, ' ');
+    core = collapse(core);
+    return { core: core || words, hasVariantWords: core !== words };
+};
+
+// Display name of the line: the words of `perfume`'s name that make up the root,
+// keeping their original spelling and brand prefix ("Dior Homme"), or the root itself
+const displayName = (perfume, root) => {
+    const target = root.split(' ');
+    const brandWords = lineKey(perfume.brand).split(' ').filter(Boolean);
+    const prefix = [];
+    const taken = [];
+    let matched = 0;
+    let skipped = 0;
+    for (const token of String(perfume.name).trim().split(/\s+/)) {
+        const words = lineKey(token).split(' ').filter(Boolean);
+        if (skipped < brandWords.length && words.every((w, i) => w === brandWords[skipped + i])) {
+            skipped += words.length;
+            prefix.push(token);
+            continue;
+        }
+        skipped = brandWords.length;
+        if (!words.length) continue;
+        if (words.every((w, i) => w === target[matched + i])) {
+            taken.push(token);
+            matched += words.length;
+            if (matched === target.length) return [...prefix, ...taken].join(' ');
+        } else if (taken.length) {
+            break;
+        }
+    }
+    return root.replace(/\b\w/g, (c) => c.toUpperCase());
+};
+
+const isPrefix = (root, core) => core === root || core.startsWith(`${root} `);
+
+const compareOriginal = (a, b) =>
+    (a.year || 9999) - (b.year || 9999)
+    || Number(a.hasVariantWords) - Number(b.hasVariantWords)
+    || a.name.length - b.name.length
+    || String(a.id).localeCompare(String(b.id));
+
+/**
+ * Lines of one brand's perfumes. Each input is { id, name, brand, year, manual },
+ * where `manual` is an admin override: { key, name, role } pins the perfume to that
+ * line, null keeps it out of any line, undefined means "detect".
+ * Returns Map id → { key, name, role } | null for every perfume without an override.
+ */
+export const detectLines = (perfumes) => {
+    const auto = perfumes.filter((p) => p.manual === undefined).map((p) => ({ ...p, ...coreOf(p) }));
+    const pinned = perfumes.filter((p) => p.manual);
+    const cores = [...new Set([...auto.map((p) => p.core), ...pinned.map((p) => p.manual.key)])]
+        .filter((c) => c.length >= MIN_ROOT_LENGTH)
+        .sort((a, b) => a.split(' ').length - b.split(' ').length || a.length - b.length);
+
+    const groups = new Map();
+    for (const p of auto) {
+        const root = cores.find((c) => isPrefix(c, p.core));
+        if (!root) continue;
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(p);
+    }
+
+    const result = new Map(auto.map((p) => [p.id, null]));
+    for (const [root, members] of groups) {
+        const pins = pinned.filter((p) => p.manual.key === root);
+        if (members.length + pins.length < 2) continue;
+        const exact = members.filter((p) => p.core === root).sort(compareOriginal);
+        const original = pins.some((p) => p.manual.role === 'original') ? null : exact[0];
+        const name = pins[0]?.manual.name || displayName(original || exact[0] || members[0], root);
+        for (const p of members) {
+            const role = p === original ? 'original' : p.core === root ? 'variant' : 'flanker';
+            result.set(p.id, { key: root, name, role });
+        }
+    }
+    return result;
+};
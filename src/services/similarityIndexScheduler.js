@@ -0,0 +1,57 @@
+import cron from 'node-cron';
+import { dataStore } from './dataStore.js';
+
+// Daily at 04:00 UTC — full rebuild, so note registry changes (aliases merged or
+// remapped) reach every stored score. Writes keep the index fresh in between.
+const REBUILD_CRON = '0 4 * * *';
+
+let currentTask = null;
+
+// Last / current build, for GET /api/perfumes/similarity/status
+export const similarityIndexStatus = {
+    running: false,
+    mode: null,
+    startedAt: null,
+    finishedAt: null,
+    progress: null,
+    indexed: 0,
+    error: null,
+};
+
+// Build the index: every perfume, or only those without an entry (`onlyMissing`).
+// Returns false when a build is already running.
+export async function rebuildSimilarityIndex({ onlyMissing = false } = {}) {
+    if (similarityIndexStatus.running || !dataStore.isConnected()) return false;
+    Object.assign(similarityIndexStatus, {
+        running: true,
+        mode: onlyMissing ? 'missing' : 'full',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        progress: null,
+        indexed: 0,
+        error: null,
+    });
+    try {
+        const { indexed } = await dataStore.rebuildSimilarityIndex({
+            onlyMissing,
+            onProgress: (done, total) => { similarityIndexStatus.progress = { done, total }; },
+        });
+        similarityIndexStatus.indexed = indexed;
+        if (indexed) console.log(`🔗 Similarity index: ${indexed} perfume(s) indexed (${similarityIndexStatus.mode})`);
+    } catch (err) {
+        similarityIndexStatus.error = err.message;
+        console.error('❌ Similarity index build failed:', err.message);
+    } finally {
+        similarityIndexStatus.running = false;
+        similarityIndexStatus.finishedAt = new Date().toISOString();
+    }
+    return true;
+}
+
+export function initSimilarityIndex() {
+    if (currentTask) currentTask.destroy();
+    currentTask = cron.schedule(REBUILD_CRON, () => rebuildSimilarityIndex(), { timezone: 'UTC' });
+    console.log(`⏰ Similarity index rebuild scheduled: ${REBUILD_CRON}`);
+    // Index whatever is missing (first deploy, perfumes added while down) without blocking boot
+    rebuildSimilarityIndex({ onlyMissing: true });
+}
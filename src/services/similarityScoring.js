@@ -0,0 +1,82 @@
+import { DOMINANT_ACCORD_POSITIONS } from './accordTaxonomy.js';
+
+/**
+ * JS side of the similarity score computed in SQL by dataStore (SIMILARITY_PAIRS_SQL):
+ *
+ *   notes   — every (note, phase) pair of A matched with the same note in B:
+ *             same phase = 2 pts, different phase = 1 pt
+ *   accords — each accord both share, by prominence position (1 = dominant):
+ *             top 3 in both = 4 pts, top 3 in one = 3 pts, otherwise 2 pts
+ *
+ * Notes are compared by registry key (note id, or normalized text while the
+ * note is unmapped) and accords by their lower-cased name, exactly like the SQL.
+ */
+
+// Pairs kept per perfume in the precomputed index (perfume_similarity); pages
+// deeper than this fall back to the live query
+export const SIMILARITY_INDEX_DEPTH = 100;
+
+export const SIMILARITY_WEIGHTS = {
+    samePhaseNote: 2,
+    crossPhaseNote: 1,
+    accordBothDominant: 4,
+    accordOneDominant: 3,
+    accord: 2,
+};
+
+// Distinct (key, phase) pairs from rows of { key, phase }
+export const notePairs = (rows) => {
+    const seen = new Map();
+    for (const row of rows) if (row.key) seen.set(`${row.key}|${row.phase}`, { key: row.key, phase: row.phase });
+    return [...seen.values()];
+};
+
+// Map accord name → best (lowest) 1-based position, from a raw accords array
+// (strings or { name } objects, in prominence order)
+export const accordPositions = (accords) => {
+    const positions = new Map();
+    (Array.isArray(accords) ? accords : []).forEach((el, i) => {
+        const name = String((typeof el === 'string' ? el : el?.name) ?? '').trim().toLowerCase();
+        if (name && !positions.has(name)) positions.set(name, i + 1);
+    });
+    return positions;
+};
+
+/**
+ * Score of B against A. Each side is { notes: notePairs(...), accords: accordPositions(...) }.
+ * Returns { score, sharedNotes, samePhaseMatches, sharedAccords } — the same
+ * numbers getSimilarByNotes reports for the pair.
+ */
+export const scoreSimilarity = (a, b) => {
+    const byKey = new Map();
+    for (const n of b.notes) {
+        if (!byKey.has(n.key)) byKey.set(n.key, []);
+        byKey.get(n.key).push(n.phase);
+    }
+    let score = 0;
+    let samePhaseMatches = 0;
+    const shared = new Set();
+    for (const n of a.notes) {
+        for (const phase of byKey.get(n.key) || []) {
+            shared.add(n.key);
+            if (phase === n.phase) {
+                score += SIMILARITY_WEIGHTS.samePhaseNote;
+                samePhaseMatches++;
+            } else {
+                score += SIMILARITY_WEIGHTS.crossPhaseNote;
+            }
+        }
+    }
+
+    let sharedAccords = 0;
+    for (const [name, posA] of a.accords) {
+        const posB = b.accords.get(name);
+        if (posB === undefined) continue;
+        sharedAccords++;
+        const dominant = Number(posA <= DOMINANT_ACCORD_POSITIONS) + Number(posB <= DOMINANT_ACCORD_POSITIONS);
+        score += dominant === 2 ? SIMILARITY_WEIGHTS.accordBothDominant
+            : dominant === 1 ? SIMILARITY_WEIGHTS.accordOneDominant
+                : SIMILARITY_WEIGHTS.accord;
+    }
+    return { score, sharedNotes: shared.size, samePhaseMatches, sharedAccords };
+};
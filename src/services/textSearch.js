@@ -0,0 +1,132 @@
+/**
+ * Text helpers for the ranked search (`GET /api/perfumes/search`).
+ *
+ * The SQL side folds accents with translate() (see FOLD_SQL in dataStore) using
+ * the same character map as foldText(), so "hermes" matches "Hermès" in both
+ * the database and the in-memory fallback.
+ */
+
+// Accented characters and their plain equivalents — kept in sync with FOLD_SQL
+export const ACCENTED_CHARS = 'áàâäãåāéèêëēíìîïīóòôöõøōúùûüūñçýÿœæ';
+export const PLAIN_CHARS = 'aaaaaaaeeeeeiiiiiooooooouuuuuncyyoa';
+
+// Lower-case and strip diacritics ("Hermès Terre d'Hermès" → "hermes terre d'hermes")
+export const foldText = (text) =>
+    String(text ?? '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[œæ]/g, (c) => PLAIN_CHARS[ACCENTED_CHARS.indexOf(c)]);
+
+// Search tokens: folded, split on anything that is not a letter/digit, single
+// letters dropped (but "no 5" keeps the "5"). Safe to embed in LIKE patterns.
+export const tokenizeQuery = (q) =>
+    [...new Set(
+        foldText(q)
+            .split(/[^a-z0-9]+/)
+            .filter((t) => t.length > 1 || /\d/.test(t))
+    )].slice(0, 8);
+
+export const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(
+                prev[j] + 1,
+                cur[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+};
+
+// Edits allowed for a token of this length: none for short words, 1 from 4
+// letters, 2 from 8 ("sauvagee" → "sauvage").
+const maxEdits = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+// Does `token` match some word of `text` with at most maxEdits() typos?
+export const fuzzyWordMatch = (token, text) => {
+    const edits = maxEdits(token);
+    if (!edits) return false;
+    return text
+        .split(/[^a-z0-9]+/)
+        .some((w) => Math.abs(w.length - token.length) <= edits && levenshtein(token, w) <= edits);
+};
+
+// Per-token field weights — name beats brand beats perfumer/notes beats description
+export const FIELD_WEIGHTS = {
+    name: 3,
+    brand: 2,
+    perfumer: 1.5,
+    notes: 1,
+    fuzzyName: 2,
+    fuzzyBrand: 1.2,
+    description: 0.3,
+};
+
+// Phrase bonuses on top of the token weights
+export const PHRASE_BONUS = {
+    exactName: 6,
+    nameAndBrand: 6,
+    namePrefix: 3,
+};
+
+// In-memory ranking with the same weights as the SQL scoring in dataStore.search().
+// Returns 0 when some token does not match anywhere (AND semantics).
+export const scorePerfume = (p, q, tokens) => {
+    const name = foldText(p.name);
+    const brand = foldText(p.brand);
+    const perfumer = foldText(p.perfumer);
+    const notes = foldText([
+        ...(p.notes?.top || []),
+        ...(p.notes?.heart || []),
+        ...(p.notes?.base || []),
+        ...(Array.isArray(p.accords) ? p.accords.map((a) => (typeof a === 'string' ? a : a?.name)) : []),
+    ].join(' '));
+    const description = foldText(p.description);
+
+    let weight = 0;
+    for (const t of tokens) {
+        const w = name.includes(t) ? FIELD_WEIGHTS.name
+            : brand.includes(t) ? FIELD_WEIGHTS.brand
+            : perfumer.includes(t) ? FIELD_WEIGHTS.perfumer
+            : notes.includes(t) ? FIELD_WEIGHTS.notes
+            : fuzzyWordMatch(t, name) ? FIELD_WEIGHTS.fuzzyName
+            : fuzzyWordMatch(t, brand) ? FIELD_WEIGHTS.fuzzyBrand
+            : description.includes(t) ? FIELD_WEIGHTS.description
+            : 0;
+        if (!w) return 0;
+        weight += w;
+    }
+
+    let score = weight / tokens.length;
+    if (name === q) score += PHRASE_BONUS.exactName;
+    else if (name.startsWith(q)) score += PHRASE_BONUS.namePrefix;
+    if (`${name} ${brand}` === q || `${brand} ${name}` === q) score += PHRASE_BONUS.nameAndBrand;
+    return score;
+};
+
+// "Did you mean" candidates from a list of names/brands, closest first
+export const closestTerms = (q, candidates, limit = 5) => {
+    const folded = foldText(q);
+    const maxDistance = Math.max(2, Math.ceil(folded.length / 3));
+    const seen = new Set();
+    return candidates
+        .filter((c) => {
+            const key = foldText(c);
+            if (!c || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map((c) => ({ value: c, distance: levenshtein(folded, foldText(c)) }))
+        .filter((c) => c.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.value.localeCompare(b.value))
+        .slice(0, limit)
+        .map((c) => c.value);
+};
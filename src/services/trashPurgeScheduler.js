@@ -0,0 +1,29 @@
+import cron from 'node-cron';
+import { dataStore } from './dataStore.js';
+
+// Days a deleted perfume stays in the trash (restorable) before it is purged for good.
+// Read on use: dotenv is loaded after module imports.
+export const trashRetentionDays = () => Math.max(parseInt(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+
+// Daily at 03:30 UTC — after the default 02:00 backup, so purged rows are in the last backup
+const PURGE_CRON = '30 3 * * *';
+
+let currentTask = null;
+
+export async function purgeExpiredTrash() {
+    try {
+        const days = trashRetentionDays();
+        const { purged } = await dataStore.purgeTrash({ olderThanDays: days });
+        if (purged) console.log(`🗑️ Trash purge: ${purged} perfume(s) older than ${days} days deleted`);
+        return purged;
+    } catch (err) {
+        console.error('❌ Trash purge failed:', err.message);
+        return 0;
+    }
+}
+
+export function initTrashPurge() {
+    if (currentTask) currentTask.destroy();
+    currentTask = cron.schedule(PURGE_CRON, purgeExpiredTrash, { timezone: 'UTC' });
+    console.log(`⏰ Trash purge scheduled: ${PURGE_CRON} (retention ${trashRetentionDays()} days)`);
+}
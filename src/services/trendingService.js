@@ -0,0 +1,74 @@
+import cron from 'node-cron';
+import { dataStore } from './dataStore.js';
+import { cacheService } from './cacheService.js';
+
+// ─── Trending from activity_events ───
+// Rankings per window are computed on a schedule and kept in cacheService;
+// requests only read the cache (the very first one after boot waits for the
+// initial computation).
+
+// Window → span and half-life: an event loses half its weight every halfLifeHours
+export const TRENDING_WINDOWS = {
+    '24h': { hours: 24, halfLifeHours: 6 },
+    '7d': { hours: 7 * 24, halfLifeHours: 48 },
+    '30d': { hours: 30 * 24, halfLifeHours: 7 * 24 },
+};
+export const DEFAULT_TRENDING_WINDOW = '7d';
+export const TRENDING_TYPES = ['perfumes', 'brands', 'perfumers'];
+
+// Entries kept per type and window (the most an endpoint can return)
+export const TRENDING_DEPTH = 50;
+
+// Every 15 minutes; cached results outlive a couple of failed refreshes
+const REFRESH_CRON = '*/15 * * * *';
+const CACHE_TTL = 2 * 60 * 60;
+const cacheKey = (window) => `trending:${window}`;
+
+// Sessions above this many events in a single hour are treated as bots.
+// Read on use: dotenv is loaded after module imports.
+const maxEventsPerHour = () => Math.max(parseInt(process.env.TRENDING_MAX_EVENTS_PER_HOUR) || 120, 1);
+
+let currentTask = null;
+let refreshing = null;
+
+const compute = async (window) => {
+    const rankings = await dataStore.computeTrending({
+        ...TRENDING_WINDOWS[window],
+        limit: TRENDING_DEPTH,
+        maxEventsPerHour: maxEventsPerHour(),
+    });
+    const entry = { window, computedAt: new Date().toISOString(), ...rankings };
+    cacheService.set(cacheKey(window), entry, CACHE_TTL);
+    return entry;
+};
+
+// Recompute every window; concurrent calls share the same run
+export function refreshTrending() {
+    if (!refreshing) {
+        refreshing = (async () => {
+            for (const window of Object.keys(TRENDING_WINDOWS)) {
+                try {
+                    await compute(window);
+                } catch (err) {
+                    console.error(`❌ Trending refresh failed (${window}):`, err.message);
+                }
+            }
+        })().finally(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+
+// { window, computedAt, perfumes, brands, perfumers } for a window, from the cache
+export async function getTrending(window = DEFAULT_TRENDING_WINDOW) {
+    const cached = cacheService.get(cacheKey(window));
+    if (cached) return cached;
+    await refreshTrending();
+    return cacheService.get(cacheKey(window)) || compute(window);
+}
+
+export function initTrending() {
+    if (currentTask) currentTask.destroy();
+    currentTask = cron.schedule(REFRESH_CRON, refreshTrending, { timezone: 'UTC' });
+    console.log(`⏰ Trending refresh scheduled: ${REFRESH_CRON}`);
+    refreshTrending();
+}